@@ -5,12 +5,20 @@ const redisService = require('./src/services/redis.service');
 const rabbitmqService = require('./src/services/rabbitmq.service');
 const { testConnection, disconnect } = require('./src/services/database.service');
 const hospitalRoutes = require('./src/routes/hospital.routes');
-// const patientRoutes = require('./src/routes/patient.routes');
+const patientRoutes = require('./src/routes/patient.routes');
+const userRoutes = require('./src/routes/user.routes');
 const doctorRoutes = require('./src/routes/doctor.routes');
 const staffRoutes = require('./src/routes/staff.route');
 const appointmentRoutes = require('./src/routes/appointment.route');
+const paymentRoutes = require('./src/routes/payment.routes');
+const subscriptionRoutes = require('./src/routes/subscription.routes');
 const appointmentProcessor = require('./src/modules/appointment/appointmentProcessor');
+const reminderService = require('./src/modules/appointment/reminder.service');
+const noShowService = require('./src/modules/appointment/noShow.service');
+const queueEtaService = require('./src/modules/appointment/queueEta.service');
 const websocketService = require('./src/services/websocket.service');
+const queueStreamService = require('./src/services/queueStream.service');
+const displayBoardService = require('./src/modules/hospital/displayBoard.service');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -25,8 +33,11 @@ const ServiceStatus = {
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization','x-timestamp', 'x-signature'],
+  allowedHeaders: ['Content-Type', 'Authorization','x-timestamp', 'x-signature', 'If-None-Match', 'Last-Event-ID', 'X-Display-Key'],
+  exposedHeaders: ['ETag'],
 }));
+// Razorpay webhook signatures are computed over the raw request body
+app.use('/api/payments/razorpay/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
 // Health check with detailed service status
@@ -85,10 +96,13 @@ app.get('/health', async (req, res) => {
 
 // Routes
 app.use('/api/hospitals', hospitalRoutes);
-// app.use('/api/patients', patientRoutes);
+app.use('/api/patients', patientRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api/staff', staffRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/users', userRoutes);
 
 // Basic route
 app.get('/api', (req, res) => {
@@ -176,7 +190,9 @@ async function shutdown(signal) {
   }, shutdownTimeout);
 
   try {
-    // Stop accepting new connections first
+    // Stop accepting new connections first, open event streams would keep the server from closing
+    queueStreamService.closeAll();
+    displayBoardService.closeAll();
     if (server) {
       console.log('Closing HTTP server...');
       await new Promise(resolve => server.close(resolve));
@@ -184,6 +200,11 @@ async function shutdown(signal) {
       console.log('HTTP server closed');
     }
 
+    // Stop scheduled appointment jobs
+    reminderService.stop();
+    noShowService.stop();
+    queueEtaService.stop();
+
     // Stop WebSocket service
     console.log('Stopping WebSocket service...');
     await websocketService.cleanup();
@@ -246,10 +267,19 @@ async function startServer() {
     await initializeServices();
     // Initialize appointment processor
     await appointmentProcessor.initialize();
+    // Start the appointment reminder scheduler
+    await reminderService.initialize();
+    // Start no-show marking and the daily reconciliation email
+    noShowService.initialize();
+    // Start broadcasting queue ETA shifts to tracking rooms
+    queueEtaService.initialize();
     
     server = app.listen(PORT, async () => {
       console.log(`Server running on http://localhost:${PORT}`);
       console.log('✅ Appointment processor initialized');
+      console.log('✅ Appointment reminder scheduler started');
+      console.log('✅ No-show and reconciliation jobs scheduled');
+      console.log('✅ Queue ETA shift scan scheduled');
       
       // Initialize WebSocket service
       try {
@@ -20,6 +20,11 @@ const getRazorpayInstance = () => {
         key_id: process.env.RAZORPAY_KEY_ID,
         key_secret: process.env.RAZORPAY_KEY_SECRET
       });
+
+      // The SDK always targets api.razorpay.com, allow another host (e.g. a local stub of the API)
+      if (process.env.RAZORPAY_API_URL) {
+        razorpayInstance.api.rq.defaults.baseURL = process.env.RAZORPAY_API_URL;
+      }
       
       // Validate the instance and its methods
       if (!razorpayInstance?.orders?.create || !razorpayInstance?.payments?.fetch) {
@@ -1,5 +1,29 @@
 const supabase = require('../config/supabase.config');
-const { prisma } = require('../services/database.service');
+const userService = require('../modules/user/user.service');
+const { DOCTOR_SCOPED_ROLES } = require('../modules/user/user.constants');
+
+/**
+ * Add the hospital, role and doctor scope of a user's access to the Supabase user
+ *
+ * A doctor-scoped login without a linked doctor is refused, a null doctor_id
+ * would otherwise give it hospital-wide access.
+ */
+const attachAccess = (user, access) => {
+  const doctorScoped = DOCTOR_SCOPED_ROLES.includes(access.role);
+
+  if (doctorScoped && !access.hospitalUser?.doctorId) {
+    throw Object.assign(new Error('This login is not linked to a doctor'), { code: 'DOCTOR_NOT_LINKED' });
+  }
+
+  user.hospital_id = access.hospital.id;
+  user.hospital= access.hospital;
+  user.role = access.role;
+  user.hospital_user_id = access.hospitalUser?.id || null;
+  user.staff_id = access.hospitalUser?.staffId || null;
+  // Set for roles that may only see their own appointments
+  user.doctor_id = doctorScoped ? access.hospitalUser.doctorId : null;
+  return user;
+};
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -15,21 +39,27 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid token' });
     }
     
-    // Check if this is the initial registration route
+    // Initial registration and accepting an invitation happen before the user has a hospital
     const isInitialRegistration = req.path.endsWith('/initial-details');
+    const isAcceptingInvite = req.path.endsWith('/accept-invite');
     
-    // Look up hospital ID for all routes except initial registration
-    if (!isInitialRegistration) {
-      const hospital = await prisma.hospital.findUnique({
-        where: { supabaseUserId: user.id },
-      });
+    // Look up hospital ID for all other routes
+    if (!isInitialRegistration && !isAcceptingInvite) {
+      let access;
+      try {
+        access = await userService.resolveAuthUser(user);
       
-      if (!hospital) {
-        return res.status(404).json({ error: 'Hospital not found for this user' });
-      }
+        if (!access) {
+          return res.status(404).json({ error: 'Hospital not found for this user' });
+        }
       
-      user.hospital_id = hospital.id;
-      user.hospital= hospital;
+        attachAccess(user, access);
+      } catch (accessError) {
+        if (accessError.code === 'USER_DEACTIVATED' || accessError.code === 'DOCTOR_NOT_LINKED') {
+          return res.status(403).json({ error: accessError.message, code: accessError.code });
+        }
+        throw accessError;
+      }
     }
 
     req.user = user;
@@ -40,4 +70,30 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+/**
+ * Authenticate a Supabase access token outside of an HTTP request, e.g. a socket connection
+ * @param {string} token - Supabase access token
+ * @returns {Promise<Object>} User with the same hospital fields authMiddleware sets
+ */
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw Object.assign(new Error('No token provided'), { code: 'NO_TOKEN' });
+  }
+
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+
+  if (error || !user) {
+    throw Object.assign(new Error('Invalid token'), { code: 'INVALID_TOKEN' });
+  }
+
+  const access = await userService.resolveAuthUser(user);
+
+  if (!access) {
+    throw Object.assign(new Error('Hospital not found for this user'), { code: 'HOSPITAL_NOT_FOUND' });
+  }
+
+  return attachAccess(user, access);
+};
+
+module.exports = authMiddleware;
+module.exports.authenticateToken = authenticateToken;
@@ -0,0 +1,67 @@
+const { prisma } = require('../services/database.service');
+const { ROLE_PERMISSIONS } = require('../modules/user/user.constants');
+
+const hasPermissions = (user, permissions) => {
+  const granted = ROLE_PERMISSIONS[user?.role] || [];
+  return permissions.every(permission => granted.includes(permission));
+};
+
+const forbidden = (res, permissions) => res.status(403).json({
+  error: 'You do not have permission to perform this action',
+  code: 'FORBIDDEN',
+  required: permissions
+});
+
+/**
+ * Allow the request only when the user's role has all the permissions.
+ * Must run after authMiddleware.
+ * @param {...string} permissions - PERMISSIONS values
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!hasPermissions(req.user, permissions)) {
+    return forbidden(res, permissions);
+  }
+  next();
+};
+
+/**
+ * Require extra permissions only for some requests, e.g. when the body
+ * touches salary fields
+ * @param {Function} condition - Receives the request, true when the permissions apply
+ * @param {...string} permissions - PERMISSIONS values
+ */
+const requirePermissionIf = (condition, ...permissions) => (req, res, next) => {
+  if (condition(req) && !hasPermissions(req.user, permissions)) {
+    return forbidden(res, permissions);
+  }
+  next();
+};
+
+/**
+ * Limit routes with an appointment :id to the user's hospital, and doctors
+ * to their own appointments. Other appointments look like they do not exist.
+ */
+const restrictAppointmentAccess = async (req, res, next) => {
+  try {
+    const appointment = await prisma.appointment.findUnique({
+      where: { id: req.params.id },
+      select: { hospitalId: true, doctorId: true }
+    }).catch(() => null);
+
+    if (!appointment ||
+        appointment.hospitalId !== req.user.hospital_id ||
+        (req.user.doctor_id && appointment.doctorId !== req.user.doctor_id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission middleware error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { hasPermissions, requirePermission, requirePermissionIf, restrictAppointmentAccess };
@@ -0,0 +1,42 @@
+const subscriptionService = require('../modules/subscription/subscription.service');
+
+/**
+ * Block an action when the hospital's plan has no room left for the resource
+ * or its subscription has expired. The hospital is taken from the logged in
+ * user, or from the request body on public routes such as booking.
+ * @param {string} resource - One of PLAN_RESOURCES
+ */
+const checkPlanLimit = (resource) => async (req, res, next) => {
+  try {
+    const hospitalId = req.user?.hospital_id || req.body?.hospitalId;
+
+    // Requests without a hospital are rejected by the route's own validation
+    if (!hospitalId) {
+      return next();
+    }
+
+    const result = await subscriptionService.checkLimit(hospitalId, resource);
+
+    res.set('X-Subscription-Status', result.status);
+
+    if (!result.allowed) {
+      return res.status(402).json({
+        error: result.message,
+        code: result.code,
+        data: {
+          resource: result.resource,
+          status: result.status,
+          limit: result.limit,
+          used: result.used
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Subscription middleware error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { checkPlanLimit };
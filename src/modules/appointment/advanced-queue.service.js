@@ -2,7 +2,27 @@ const { prisma } = require('../../services/database.service');
 const redisService = require('../../services/redis.service');
 const TimezoneUtil = require('../../utils/timezone.util');
 const trackingUtil = require('../../utils/tracking.util');
-const { APPOINTMENT_STATUS } = require('./appointment.constants');
+const {
+  APPOINTMENT_STATUS,
+  QUEUE_ORDER,
+  DEFAULT_QUEUE_SETTINGS,
+  CONSULTATION_MODEL,
+  QUEUE_FORECAST,
+  QUEUE_EVENTS,
+  DOCTOR_DELAY_TYPE,
+  APPOINTMENT_PRIORITY,
+  PRIORITY_RANK,
+  PRIORITY_RULE
+} = require('./appointment.constants');
+const scheduleOverrideService = require('../doctor/scheduleOverride.service');
+const consultationDurationService = require('./consultationDuration.service');
+
+// How patients are told about their own priority level
+const PRIORITY_LABELS = {
+  [APPOINTMENT_PRIORITY.SENIOR_CITIZEN]: 'a senior citizen',
+  [APPOINTMENT_PRIORITY.PREGNANT]: 'an expecting mother',
+  [APPOINTMENT_PRIORITY.EMERGENCY]: 'an emergency'
+};
 
 /**
  * Enhanced QueueService for appointment queue management with advanced caching
@@ -42,9 +62,11 @@ class AdvancedQueueService {
    * @returns {Promise<Object>} Queue information
    */
   async getQueueInfo(token, skipCache = false) {
-    const cacheKey = `${this.CACHE_PREFIX.TRACKING}${token}`;
-    
     try {
+      // The key names the hospital and doctor so queue updates can invalidate it
+      const { hospitalId, doctorId } = await trackingUtil.verifyToken(token);
+      const cacheKey = `${this.CACHE_PREFIX.TRACKING}${hospitalId}:${doctorId}:${token}`;
+
       // Try to get from cache first, unless skipCache is true
       if (!skipCache) {
         const cachedData = await redisService.get(cacheKey);
@@ -148,11 +170,14 @@ class AdvancedQueueService {
         appointment: {
           id: appointment.id,
           patientName: appointment.patientName,
+          tokenNumber: appointment.tokenNumber ?? null,
           appointmentDate: appointment.appointmentDate,
           startTime: appointment.startTime,
           endTime: appointment.endTime,
           status: appointment.status.toLowerCase(),
-          paymentStatus: appointment.paymentStatus.toLowerCase()
+          paymentStatus: appointment.paymentStatus.toLowerCase(),
+          checkedIn: !!appointment.checkedInAt,
+          checkedInAt: appointment.checkedInAt || null
         },
         doctor: {
           id: appointment.doctor.id,
@@ -173,10 +198,17 @@ class AdvancedQueueService {
         },
         queue: {
           position: queueInfo.position,
+          priority: queueInfo.priority || appointment.priority || APPOINTMENT_PRIORITY.NORMAL,
+          queueOverride: queueInfo.queueOverride || null,
           appointmentsAhead: queueInfo.appointmentsAhead,
           isPatientTurn: queueInfo.position === 1 && queueInfo.estimatedWaitTime === 0,
           estimatedWaitTime: queueInfo.estimatedWaitTime,
           estimatedWaitTimeIST: queueInfo.estimatedWaitTimeIST,
+          estimatedWaitRange: queueInfo.estimatedWaitRange || null,
+          estimateConfidence: queueInfo.estimateConfidence || null,
+          expectedStartTime: queueInfo.expectedStartTime || null,
+          delayMinutes: queueInfo.delayMinutes || 0,
+          beyondDoctorHours: queueInfo.beyondDoctorHours || false,
           queueStatus: queueInfo.queueStatus
         },
         refreshedAt: TimezoneUtil.getIstISOString(TimezoneUtil.getCurrentIst())
@@ -225,12 +257,33 @@ class AdvancedQueueService {
 
   /**
    * Get the doctor's schedule for a specific day
+   * Leave, closures and extra hours for that date are applied on top of the weekly schedule
    * @param {string} doctorId - The doctor's ID
    * @param {Date|string} appointmentDate - The appointment date (Date object or ISO string)
    * @param {string} hospitalId - The hospital's ID
    * @returns {Promise<Object|null>} Doctor's schedule for that day with avgConsultationTime
    */
   async getDoctorDaySchedule(doctorId, appointmentDate, hospitalId) {
+    const weeklySchedule = await this.getWeeklyDaySchedule(doctorId, appointmentDate, hospitalId);
+
+    let overrides = [];
+    try {
+      overrides = await scheduleOverrideService.getOverridesForDate(hospitalId, doctorId, appointmentDate);
+    } catch (error) {
+      console.error('Error getting schedule overrides:', error);
+    }
+
+    return scheduleOverrideService.applyOverrides(weeklySchedule, overrides);
+  }
+
+  /**
+   * Get the doctor's weekly schedule entry for the day of week of a date
+   * @param {string} doctorId - The doctor's ID
+   * @param {Date|string} appointmentDate - The appointment date (Date object or ISO string)
+   * @param {string} hospitalId - The hospital's ID
+   * @returns {Promise<Object|null>} Weekly schedule for that day with avgConsultationTime
+   */
+  async getWeeklyDaySchedule(doctorId, appointmentDate, hospitalId) {
     // Ensure appointmentDate is a valid Date object
     let dateObj;
     try {
@@ -337,6 +390,38 @@ class AdvancedQueueService {
       return result;
     }
     
+    // Handle appointments in consultation
+    if (appointment.status === APPOINTMENT_STATUS.IN_CONSULTATION) {
+      const result = {
+        position: 0,
+        appointmentsAhead: 0,
+        estimatedWaitTime: 0,
+        estimatedWaitTimeIST: 'Now',
+        queueStatus: 'You are in consultation with the doctor',
+        isPatientTurn: true,
+        isInConsultation: true
+      };
+      
+      await redisService.set(positionCacheKey, result, this.CACHE_TTL.QUEUE_POSITION);
+      return result;
+    }
+    
+    // Handle patients skipped from the live queue
+    if (appointment.status === APPOINTMENT_STATUS.BOOKED && appointment.skippedAt) {
+      const result = {
+        position: 0,
+        appointmentsAhead: 0,
+        estimatedWaitTime: 0,
+        estimatedWaitTimeIST: 'Skipped',
+        queueStatus: 'You were called but not present, please contact the reception',
+        isPatientTurn: false,
+        isSkipped: true
+      };
+      
+      await redisService.set(positionCacheKey, result, this.CACHE_TTL.QUEUE_POSITION);
+      return result;
+    }
+    
     // Handle cancelled appointments
     if (appointment.status === APPOINTMENT_STATUS.CANCELLED) {
       const result = {
@@ -371,37 +456,12 @@ class AdvancedQueueService {
       return result;
     }
     
-    // If not in cache, calculate the position for BOOKED appointments
-    const startTime = new Date(appointment.startTime);
-    const appointmentDateTime = new Date(appointment.appointmentDate);
-    appointmentDateTime.setHours(startTime.getHours(), startTime.getMinutes(), 0, 0);
-    
-    // Get current time in IST
-    const currentTimeIST = TimezoneUtil.getCurrentIst();
-    
-    // Find all appointments with the same start time (only BOOKED appointments for queue calculation)
-    const sameTimeAppointments = await prisma.appointment.findMany({
-      where: {
-        hospitalId: appointment.hospitalId,
-        doctorId: appointment.doctorId,
-        appointmentDate: appointment.appointmentDate,
-        startTime: startTime,
-        status: {
-          in: [APPOINTMENT_STATUS.BOOKED]
-        }
-      },
-      orderBy: [
-        // Primary sort: payment timestamp
-        { paymentAt: 'asc' },
-        // Secondary sort: creation time
-        { createdAt: 'asc' }
-      ]
-    });
+    // If not in cache, place BOOKED appointments in the doctor's whole-day queue
+    const forecast = await this.getDayForecast(appointment.hospitalId, appointment.doctorId, appointment.appointmentDate);
+    const entry = forecast.entries[appointment.id];
 
-    // Find position in queue
-    const appointmentIndex = sameTimeAppointments.findIndex(apt => apt.id === appointment.id);
-    if (appointmentIndex === -1) {
-      // If appointment is not found in BOOKED appointments, it might have a different status
+    if (!entry) {
+      // If appointment is not found among the waiting appointments, it might have a different status
       const result = {
         position: 0,
         appointmentsAhead: 0,
@@ -417,41 +477,7 @@ class AdvancedQueueService {
       return result;
     }
 
-    const position = appointmentIndex + 1;
-    const appointmentsAhead = appointmentIndex;
-    
-    // Get the doctor's consultation time from their schedule for this day
-    let doctorSchedule;
-    try {
-      doctorSchedule = await this.getDoctorDaySchedule(
-        appointment.doctorId, 
-        appointment.appointmentDate,
-        appointment.hospitalId
-      );
-    } catch (error) {
-      console.warn('Error fetching doctor schedule, using default consultation time:', error.message);
-      doctorSchedule = null;
-    }
-    
-    // Calculate estimated wait time using doctor's avg consultation time if available
-    const consultationTime = doctorSchedule?.avgConsultationTime || this.DEFAULT_CONSULTATION_TIME;
-    
-    // Calculate time-based wait estimate based on current time vs. appointment time
-    let estimatedWaitTime = 0;
-    
-    // Convert appointment date and start time to a full datetime in IST for comparison
-    // Check if appointment is in the future
-    if (currentTimeIST < appointmentDateTime) {
-      // Calculate minutes until appointment
-      const diffMs = appointmentDateTime.getTime() - currentTimeIST.getTime();
-      const diffMinutes = Math.ceil(diffMs / (1000 * 60));
-      
-      // Add waiting time for patients ahead in queue
-      estimatedWaitTime = diffMinutes + (appointmentsAhead * consultationTime);
-    } else {
-      // If appointment time has already passed, just consider patients ahead
-      estimatedWaitTime = appointmentsAhead * consultationTime;
-    }
+    const { position, patientsAhead: appointmentsAhead, waitMinutes: estimatedWaitTime } = entry;
 
     // Generate IST wait time string (HH:MM format)
     const waitHours = Math.floor(estimatedWaitTime / 60);
@@ -472,15 +498,35 @@ class AdvancedQueueService {
     }
 
     // Generate queue status message
-    // let queueStatus = `You are at first position in the your slot of ${appointment.startTime.toISOString()} t0 ${appointment.endTime.toISOString()} `;
-   
-    const queueStatus = `${appointmentsAhead} patient${appointmentsAhead > 1 ? 's' : ''} ahead of you in your slot `;
+    let queueStatus = `${appointmentsAhead} patient${appointmentsAhead === 1 ? '' : 's'} ahead of you today`;
+    if (entry.delayMinutes > 0) {
+      queueStatus += `, running about ${entry.delayMinutes} minute${entry.delayMinutes > 1 ? 's' : ''} behind your slot`;
+    }
+    if (forecast.delay?.reason) {
+      queueStatus += ` (${forecast.delay.reason})`;
+    }
+    if (entry.beyondDoctorHours) {
+      queueStatus = `The doctor finishes early at ${forecast.earlyFinish.endsAt}, please contact the reception`;
+    }
+
+    const queueOverride = this.explainQueueOverride(entry);
 
     const result = {
       position,
       appointmentsAhead,
       estimatedWaitTime,
       estimatedWaitTimeIST,
+      estimatedWaitRange: {
+        low: entry.lowMinutes,
+        high: entry.highMinutes
+      },
+      estimateConfidence: entry.confidence,
+      expectedStartTime: entry.expectedStart,
+      delayMinutes: entry.delayMinutes,
+      beyondDoctorHours: entry.beyondDoctorHours,
+      averageConsultationTime: entry.averageConsultation,
+      priority: entry.priority,
+      queueOverride,
       queueStatus,
       isPatientTurn: position === 1
     };
@@ -491,6 +537,386 @@ class AdvancedQueueService {
     return result;
   }
 
+  /**
+   * Why a patient's place differs from booking order, null when it does not
+   *
+   * Patients only learn their own priority level, never whose priority moved
+   * others ahead of them.
+   * @param {Object} entry - Forecast entry of the appointment
+   * @returns {Object|null} Fast-track and priority flags, patients moved ahead and an explanation
+   */
+  explainQueueOverride(entry) {
+    const movedAhead = entry.movedAhead || 0;
+
+    if (!entry.prioritized && movedAhead === 0) {
+      return null;
+    }
+
+    const explanations = [];
+    if (entry.fastTracked) {
+      explanations.push('The reception has moved you up the queue');
+    } else if (entry.prioritized) {
+      explanations.push(`You have been given priority as ${PRIORITY_LABELS[entry.priority]}`);
+    }
+    if (movedAhead > 0) {
+      explanations.push(`${movedAhead} patient${movedAhead === 1 ? ' who needs' : 's who need'} priority care ${movedAhead === 1 ? 'was' : 'were'} moved ahead of you`);
+    }
+
+    return {
+      fastTracked: entry.fastTracked,
+      prioritized: entry.prioritized,
+      movedAhead,
+      explanation: explanations.join('. ')
+    };
+  }
+
+  /**
+   * Forecast of a doctor's whole day, cached briefly
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} doctorId - Doctor ID
+   * @param {Date} appointmentDate - Appointment date
+   * @param {boolean} skipCache - Whether to bypass cache
+   * @returns {Promise<Object>} Expected start and wait of every waiting appointment, keyed by appointment ID
+   */
+  async getDayForecast(hospitalId, doctorId, appointmentDate, skipCache = false) {
+    const dateStr = new Date(appointmentDate).toISOString().split('T')[0];
+    const cacheKey = `${QUEUE_FORECAST.CACHE_PREFIX}${hospitalId}:${doctorId}:${dateStr}`;
+
+    if (!skipCache) {
+      const cachedForecast = await redisService.get(cacheKey);
+      if (cachedForecast) {
+        return cachedForecast;
+      }
+    }
+
+    const date = new Date(`${dateStr}T00:00:00.000Z`);
+    const [appointments, delays, queueSettings, model] = await Promise.all([
+      prisma.appointment.findMany({
+        where: {
+          hospitalId,
+          doctorId,
+          appointmentDate: date,
+          status: { in: [APPOINTMENT_STATUS.BOOKED, APPOINTMENT_STATUS.IN_CONSULTATION] }
+        },
+        select: {
+          id: true,
+          status: true,
+          startTime: true,
+          paymentAt: true,
+          createdAt: true,
+          checkedInAt: true,
+          skippedAt: true,
+          requeuedAt: true,
+          consultationStartedAt: true,
+          priority: true,
+          fastTrackedAt: true
+        }
+      }),
+      prisma.doctorDelay.findMany({
+        where: { hospitalId, doctorId, date }
+      }),
+      this.getQueueSettings(hospitalId),
+      consultationDurationService.loadModel(doctorId)
+    ]);
+
+    let schedule = null;
+    try {
+      schedule = await this.getDoctorDaySchedule(doctorId, appointmentDate, hospitalId);
+    } catch (error) {
+      console.warn('Error fetching doctor schedule, using default consultation time:', error.message);
+    }
+
+    const forecast = this.buildDayForecast(appointments, { dateStr, schedule, queueSettings, model, delays });
+    await redisService.set(cacheKey, forecast, QUEUE_FORECAST.CACHE_TTL);
+
+    return forecast;
+  }
+
+  /**
+   * Walk through a doctor's day in queue order, one expected consultation after the other
+   *
+   * The line starts now, or when the patient in consultation is expected to
+   * finish. A patient is never seen before their slot starts, and a start that
+   * falls in a break between the schedule's time ranges waits for the next
+   * range, so an overrun early in the day carries over to every later slot
+   * while idle time and breaks absorb part of it. The range around each
+   * estimate adds up the spread of the consultations since the doctor was
+   * last known to be idle.
+   *
+   * A declared delay keeps the doctor away until the delay has passed,
+   * counted from the day's first time range or from the declaration when it
+   * was made later. Patients expected after a declared early finish are
+   * flagged instead of being dropped.
+   * @param {Array} appointments - Booked and in consultation appointments of the day
+   * @param {Object} context - dateStr, the day's schedule, queue settings, the consultation duration model and declared delays
+   * @param {Date} now - Current time
+   * @returns {Object} Forecast with an entry per waiting appointment
+   */
+  buildDayForecast(appointments, { dateStr, schedule, queueSettings, model, delays = [] }, now = new Date()) {
+    const fallbackMinutes = schedule?.avgConsultationTime || this.DEFAULT_CONSULTATION_TIME;
+    const minutesToMs = minutes => minutes * 60 * 1000;
+    const ranges = this.getScheduleRanges(schedule, dateStr);
+    const breaks = this.getScheduleBreaks(ranges);
+
+    let cursor = now;
+    let variance = 0;
+    let fewestSamples = Infinity;
+
+    const delay = delays.find(entry => entry.type === DOCTOR_DELAY_TYPE.DELAY);
+    const earlyFinish = delays.find(entry => entry.type === DOCTOR_DELAY_TYPE.EARLY_FINISH);
+    const finishesAt = earlyFinish ? this.getDayMoment(dateStr, earlyFinish.endsAt) : null;
+
+    let availableFrom = null;
+    if (delay) {
+      const dayStart = ranges[0]?.start || this.getDayMoment(dateStr, '00:00');
+      const declaredAt = new Date(delay.updatedAt || delay.createdAt);
+      availableFrom = new Date(Math.max(dayStart, declaredAt) + minutesToMs(delay.delayMinutes));
+    }
+
+    const current = appointments
+      .filter(appointment => appointment.status === APPOINTMENT_STATUS.IN_CONSULTATION && appointment.consultationStartedAt)
+      .sort((a, b) => new Date(b.consultationStartedAt) - new Date(a.consultationStartedAt))[0];
+
+    if (current) {
+      const startedAt = new Date(current.consultationStartedAt);
+      const stats = consultationDurationService.getStats(model, startedAt, fallbackMinutes);
+      const expectedEnd = new Date(startedAt.getTime() + minutesToMs(stats.mean));
+
+      // A consultation running longer than usual is assumed to end any moment
+      if (expectedEnd > cursor) {
+        cursor = expectedEnd;
+        variance = stats.stdDev ** 2;
+      }
+      fewestSamples = stats.samples;
+    }
+
+    if (availableFrom && availableFrom > cursor) {
+      cursor = availableFrom;
+    }
+
+    const booked = appointments.filter(appointment => appointment.status === APPOINTMENT_STATUS.BOOKED && !appointment.skippedAt);
+    const waiting = this.sortDayQueue(booked, queueSettings);
+
+    // Where everyone would be without priorities, to explain who was moved ahead
+    const plainOrder = new Map(
+      this.sortDayQueue(booked, queueSettings, { withPriority: false }).map((appointment, index) => [appointment.id, index])
+    );
+
+    const entries = {};
+    waiting.forEach((appointment, index) => {
+      const slotStart = this.getDayMoment(dateStr, appointment.startTime);
+      let start = cursor;
+
+      // The doctor is idle until the slot starts, earlier overrun no longer matters
+      if (slotStart > start) {
+        start = slotStart;
+        variance = 0;
+      }
+
+      const resumesAt = breaks.find(gap => start >= gap.start && start < gap.end)?.end;
+      if (resumesAt) {
+        start = resumesAt;
+        variance = 0;
+      }
+
+      const stats = consultationDurationService.getStats(model, start, fallbackMinutes);
+      fewestSamples = Math.min(fewestSamples, stats.samples);
+
+      const waitMinutes = Math.max(0, Math.ceil((start - now) / 60000));
+      const spread = CONSULTATION_MODEL.RANGE_Z * Math.sqrt(variance);
+
+      entries[appointment.id] = {
+        position: index + 1,
+        patientsAhead: index + (current ? 1 : 0),
+        expectedStart: start.toISOString(),
+        waitMinutes,
+        lowMinutes: Math.max(0, Math.floor(waitMinutes - spread)),
+        highMinutes: Math.ceil(waitMinutes + spread),
+        delayMinutes: Math.max(0, Math.round((start - slotStart) / 60000)),
+        averageConsultation: stats.mean,
+        confidence: consultationDurationService.getConfidence(fewestSamples),
+        beyondDoctorHours: !!finishesAt && start >= finishesAt,
+        priority: appointment.priority || APPOINTMENT_PRIORITY.NORMAL,
+        fastTracked: !!appointment.fastTrackedAt,
+        prioritized: !!appointment.fastTrackedAt || this.getPriorityRule(appointment, queueSettings) !== PRIORITY_RULE.NONE,
+        movedAhead: waiting.slice(0, index)
+          .filter(other => plainOrder.get(other.id) > plainOrder.get(appointment.id)).length
+      };
+
+      cursor = new Date(start.getTime() + minutesToMs(stats.mean));
+      variance += stats.stdDev ** 2;
+    });
+
+    return {
+      date: dateStr,
+      currentAppointmentId: current?.id || null,
+      waiting: waiting.length,
+      delay: delay ? { delayMinutes: delay.delayMinutes, availableFrom: availableFrom.toISOString(), reason: delay.reason } : null,
+      earlyFinish: earlyFinish ? { endsAt: earlyFinish.endsAt, reason: earlyFinish.reason } : null,
+      entries,
+      generatedAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Time ranges of a doctor's day in order
+   * @param {Object|null} schedule - Doctor's schedule for the day, overrides applied
+   * @param {string} dateStr - Day in YYYY-MM-DD
+   * @returns {Array<{start: Date, end: Date}>} Ranges in UTC
+   */
+  getScheduleRanges(schedule, dateStr) {
+    return (schedule?.timeRanges || [])
+      .map(range => ({ start: this.getDayMoment(dateStr, range.start), end: this.getDayMoment(dateStr, range.end) }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Gaps between the time ranges of a doctor's day
+   * @param {Array<{start: Date, end: Date}>} ranges - Ranges in order
+   * @returns {Array<{start: Date, end: Date}>} Breaks in UTC
+   */
+  getScheduleBreaks(ranges) {
+    return ranges.slice(1)
+      .map((range, index) => ({ start: ranges[index].end, end: range.start }))
+      .filter(gap => gap.end > gap.start);
+  }
+
+  /**
+   * Moment of an IST time of day on a date
+   * @param {string} dateStr - Day in YYYY-MM-DD
+   * @param {Date|string} time - Stored appointment time or HH:MM
+   * @returns {Date} Moment in UTC
+   */
+  getDayMoment(dateStr, time) {
+    const hhmm = typeof time === 'string' ? time.substring(0, 5) : new Date(time).toISOString().substring(11, 16);
+    return TimezoneUtil.istToUtc(`${dateStr}T${hhmm}:00.000Z`);
+  }
+
+  /**
+   * Queue settings of a hospital, falling back to the defaults
+   */
+  async getQueueSettings(hospitalId) {
+    const hospital = await prisma.hospital.findUnique({
+      where: { id: hospitalId },
+      select: { queueSettings: true }
+    });
+
+    if (!hospital) {
+      throw new Error('Hospital not found');
+    }
+
+    return this.resolveQueueSettings(hospital.queueSettings);
+  }
+
+  /**
+   * Replace the queue settings of a hospital
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} settings - Validated queue settings
+   */
+  async updateQueueSettings(hospitalId, settings) {
+    const hospital = await prisma.hospital.update({
+      where: { id: hospitalId },
+      data: { queueSettings: settings },
+      select: { queueSettings: true }
+    });
+
+    return this.resolveQueueSettings(hospital.queueSettings);
+  }
+
+  resolveQueueSettings(settings) {
+    return {
+      ...DEFAULT_QUEUE_SETTINGS,
+      ...(settings || {}),
+      priorityRules: { ...DEFAULT_QUEUE_SETTINGS.priorityRules, ...(settings?.priorityRules || {}) }
+    };
+  }
+
+  /**
+   * Where the hospital's rules place an appointment's priority level
+   * @returns {string} PRIORITY_RULE value
+   */
+  getPriorityRule(appointment, settings) {
+    if (!appointment.priority || appointment.priority === APPOINTMENT_PRIORITY.NORMAL) {
+      return PRIORITY_RULE.NONE;
+    }
+
+    return settings.priorityRules?.[appointment.priority] || PRIORITY_RULE.NONE;
+  }
+
+  /**
+   * Order two waiting appointments of the same slot
+   * @param {Object} a - Appointment with priority, paymentAt, createdAt and checkedInAt
+   * @param {Object} b - Appointment with priority, paymentAt, createdAt and checkedInAt
+   * @param {Object} settings - Resolved queue settings of the hospital
+   * @param {boolean} withPriority - Whether priority levels count
+   * @returns {number} Negative when a goes first
+   */
+  compareWithinSlot(a, b, settings, withPriority = true) {
+    const time = value => (value ? new Date(value).getTime() : Infinity);
+    const slotRank = appointment => (
+      withPriority && this.getPriorityRule(appointment, settings) === PRIORITY_RULE.WITHIN_SLOT
+        ? PRIORITY_RANK[appointment.priority]
+        : 0
+    );
+
+    if (slotRank(a) !== slotRank(b)) {
+      return slotRank(b) - slotRank(a);
+    }
+
+    if (settings.order === QUEUE_ORDER.CHECKED_IN_FIRST && !!a.checkedInAt !== !!b.checkedInAt) {
+      return a.checkedInAt ? -1 : 1;
+    }
+
+    return time(a.paymentAt) - time(b.paymentAt) || time(a.createdAt) - time(b.createdAt);
+  }
+
+  /**
+   * Order a doctor's waiting patients for the day by slot and the hospital's
+   * queue order, requeued patients go to the end of the line in the order
+   * they were sent back
+   *
+   * Fast-tracked patients go first in the order reception sent them ahead,
+   * then patients whose priority level the hospital puts at the front, by
+   * rank. Other priority levels only count within their slot.
+   * @param {Array} appointments - Waiting appointments
+   * @param {Object} settings - Resolved queue settings of the hospital
+   * @param {Object} options - withPriority false gives the order without priorities and fast-tracks
+   * @returns {Array} Sorted copy
+   */
+  sortDayQueue(appointments, settings, { withPriority = true } = {}) {
+    const time = value => (value ? new Date(value).getTime() : Infinity);
+    const isFastTracked = appointment => withPriority && !!appointment.fastTrackedAt;
+    const isAtFront = appointment => withPriority && this.getPriorityRule(appointment, settings) === PRIORITY_RULE.FRONT;
+
+    return [...appointments].sort((a, b) => {
+      if (isFastTracked(a) !== isFastTracked(b)) {
+        return isFastTracked(a) ? -1 : 1;
+      }
+
+      if (isFastTracked(a)) {
+        return time(a.fastTrackedAt) - time(b.fastTrackedAt);
+      }
+
+      if (!!a.requeuedAt !== !!b.requeuedAt) {
+        return a.requeuedAt ? 1 : -1;
+      }
+
+      if (a.requeuedAt) {
+        return time(a.requeuedAt) - time(b.requeuedAt);
+      }
+
+      if (isAtFront(a) !== isAtFront(b)) {
+        return isAtFront(a) ? -1 : 1;
+      }
+
+      if (isAtFront(a) && a.priority !== b.priority) {
+        return PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority];
+      }
+
+      return time(a.startTime) - time(b.startTime) || this.compareWithinSlot(a, b, settings, withPriority);
+    });
+  }
+
   /**
    * Get all appointments in a specific time slot
    * @param {string} hospitalId - Hospital ID
@@ -523,7 +949,7 @@ class AdvancedQueueService {
         appointmentDate,
         startTime,
         status: {
-          in: [APPOINTMENT_STATUS.BOOKED, APPOINTMENT_STATUS.COMPLETED]
+          in: [APPOINTMENT_STATUS.BOOKED, APPOINTMENT_STATUS.IN_CONSULTATION, APPOINTMENT_STATUS.COMPLETED]
         }
       },
       orderBy: [
@@ -593,7 +1019,10 @@ class AdvancedQueueService {
         `${this.CACHE_PREFIX.TIME_SLOT}${hospitalId}:${doctorId}:${dateString}:*`,
         
         // Doctor schedule cache
-        `${this.CACHE_PREFIX.DOCTOR_DAY_SCHEDULE}${doctorId}:${dateString}:*`
+        `${this.CACHE_PREFIX.DOCTOR_DAY_SCHEDULE}${doctorId}:${dateString}:*`,
+
+        // Whole-day forecast
+        `${QUEUE_FORECAST.CACHE_PREFIX}${hospitalId}:${doctorId}:${dateString}`
       ];
 
       // Delete all matching patterns
@@ -609,9 +1038,10 @@ class AdvancedQueueService {
    * @param {string} doctorId - Doctor ID
    * @param {Date} appointmentDate - Appointment date
    * @param {string} reason - Reason for update (optional)
+   * @param {Array<string>} appointmentIds - Only refresh the tracking rooms of these appointments (optional)
    * @returns {Promise<void>}
    */
-  async publishQueueUpdate(hospitalId, doctorId, appointmentDate, reason = 'queue_updated') {
+  async publishQueueUpdate(hospitalId, doctorId, appointmentDate, reason = 'queue_updated', appointmentIds = null) {
     try {
       // First invalidate cache
       await this.invalidateQueueCache(hospitalId, doctorId, appointmentDate);
@@ -621,15 +1051,68 @@ class AdvancedQueueService {
         doctorId,
         date: appointmentDate.toISOString().split('T')[0],
         timestamp: TimezoneUtil.getCurrentIst().toISOString(),
-        reason
+        reason,
+        ...(appointmentIds && { appointmentIds })
       };
 
+      // Number the update so reconnecting clients can ask for what they missed
+      updateData.eventId = await this.recordQueueEvent(updateData);
+
       // Publish update to Redis for WebSocket service to pick up
       await redisService.publish('queue:updates', updateData);
     } catch (error) {
       console.error('Error publishing queue update:', error);
     }
   }
+
+  /**
+   * Append a queue update to the doctor's event log of the day
+   * @param {Object} updateData - Queue update with hospitalId, doctorId and date
+   * @returns {Promise<number>} Sequence number of the update within the doctor's day
+   */
+  async recordQueueEvent(updateData) {
+    const suffix = `${updateData.hospitalId}:${updateData.doctorId}:${updateData.date}`;
+    const logKey = `${QUEUE_EVENTS.LOG_PREFIX}${suffix}`;
+    const seqKey = `${QUEUE_EVENTS.SEQ_PREFIX}${suffix}`;
+
+    const client = await redisService.getClient();
+    const eventId = await client.incr(seqKey);
+
+    await client.multi()
+      .rpush(logKey, JSON.stringify({ ...updateData, eventId }))
+      .ltrim(logKey, -QUEUE_EVENTS.MAX_EVENTS, -1)
+      .expire(logKey, QUEUE_EVENTS.TTL)
+      .expire(seqKey, QUEUE_EVENTS.TTL)
+      .exec();
+
+    return eventId;
+  }
+
+  /**
+   * Queue updates of a doctor's day after a given one
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} doctorId - Doctor ID
+   * @param {Date|string} appointmentDate - Appointment date
+   * @param {number} lastEventId - Last update the client received
+   * @returns {Promise<Object>} Missed updates, the latest event ID and whether nothing was trimmed from the log in between
+   */
+  async getQueueEventsSince(hospitalId, doctorId, appointmentDate, lastEventId) {
+    const suffix = `${hospitalId}:${doctorId}:${new Date(appointmentDate).toISOString().split('T')[0]}`;
+    const [events, latest] = await Promise.all([
+      redisService.listGet(`${QUEUE_EVENTS.LOG_PREFIX}${suffix}`),
+      redisService.get(`${QUEUE_EVENTS.SEQ_PREFIX}${suffix}`)
+    ]);
+
+    const latestEventId = parseInt(latest, 10) || 0;
+    const missed = events.filter(event => event.eventId > lastEventId);
+
+    return {
+      events: missed,
+      latestEventId,
+      // Older updates than the log keeps cannot be replayed
+      complete: lastEventId >= latestEventId || (missed.length > 0 && missed[0].eventId === lastEventId + 1)
+    };
+  }
 }
 
 module.exports = new AdvancedQueueService();
@@ -1,6 +1,7 @@
 // Appointment statuses matching the Prisma schema
 const APPOINTMENT_STATUS = {
   BOOKED: 'booked',
+  IN_CONSULTATION: 'in_consultation',
   CANCELLED: 'cancelled',
   COMPLETED: 'completed',
   MISSED: 'missed'
@@ -8,6 +9,7 @@ const APPOINTMENT_STATUS = {
 
 // Appointment payment statuses matching the Prisma schema
 const APPOINTMENT_PAYMENT_STATUS = {
+  PENDING: 'pending',
   PAID: 'paid',
   UNPAID: 'unpaid'
 };
@@ -18,6 +20,13 @@ const APPOINTMENT_PAYMENT_METHOD = {
   CARD: 'card'
 };
 
+// Appointment statuses that still accept visit notes
+const VISIT_NOTE_WRITABLE_STATUSES = [
+  APPOINTMENT_STATUS.BOOKED,
+  APPOINTMENT_STATUS.IN_CONSULTATION,
+  APPOINTMENT_STATUS.COMPLETED
+];
+
 // Notification statuses
 const NOTIFICATION_STATUS = {
   SENT: 'sent',
@@ -46,6 +55,15 @@ const TRACKING_LINK = {
   ALGORITHM: 'HS256' // JWT algorithm
 };
 
+// Bookable slot configuration
+const SLOT = {
+  DURATION: 60, // minutes per bookable slot
+  CACHE_PREFIX: 'slots:',
+  CACHE_TTL: 30, // seconds
+  // Statuses that occupy capacity in a slot
+  COUNTED_STATUSES: [APPOINTMENT_STATUS.BOOKED, APPOINTMENT_STATUS.IN_CONSULTATION, APPOINTMENT_STATUS.COMPLETED]
+};
+
 // Queue tracking configuration
 const QUEUE_TRACKING = {
   DEFAULT_CONSULTATION_TIME: 60, // minutes
@@ -55,13 +73,192 @@ const QUEUE_TRACKING = {
   MAX_EARLY_ARRIVAL: 120 // minutes - how early can a patient arrive
 };
 
+// Patient arrival check-in methods matching the Prisma schema
+const CHECK_IN_METHOD = {
+  RECEPTION: 'reception', // reception scanned the tracking QR code or checked the patient in
+  SELF: 'self' // the patient checked in from the tracking page
+};
+
+// How waiting patients within the same slot are ordered
+const QUEUE_ORDER = {
+  BOOKING: 'booking', // payment, then booking time
+  CHECKED_IN_FIRST: 'checked_in_first' // checked-in patients ahead of those not yet arrived, then booking order
+};
+
+// Priority levels reception can give a patient, higher ranks go first
+const APPOINTMENT_PRIORITY = {
+  NORMAL: 'normal',
+  SENIOR_CITIZEN: 'senior_citizen',
+  PREGNANT: 'pregnant',
+  EMERGENCY: 'emergency'
+};
+
+const PRIORITY_RANK = {
+  [APPOINTMENT_PRIORITY.NORMAL]: 0,
+  [APPOINTMENT_PRIORITY.SENIOR_CITIZEN]: 1,
+  [APPOINTMENT_PRIORITY.PREGNANT]: 2,
+  [APPOINTMENT_PRIORITY.EMERGENCY]: 3
+};
+
+// Where a priority level places a patient, configurable per hospital
+const PRIORITY_RULE = {
+  FRONT: 'front', // ahead of everyone waiting that day
+  WITHIN_SLOT: 'within_slot', // ahead of the other patients of their slot
+  NONE: 'none' // no effect on the order
+};
+
+const DEFAULT_QUEUE_SETTINGS = {
+  order: QUEUE_ORDER.BOOKING,
+  priorityRules: {
+    [APPOINTMENT_PRIORITY.SENIOR_CITIZEN]: PRIORITY_RULE.WITHIN_SLOT,
+    [APPOINTMENT_PRIORITY.PREGNANT]: PRIORITY_RULE.WITHIN_SLOT,
+    [APPOINTMENT_PRIORITY.EMERGENCY]: PRIORITY_RULE.FRONT
+  }
+};
+
+const QUEUE_OVERRIDE_ACTION = {
+  PRIORITY_CHANGED: 'priority_changed',
+  FAST_TRACKED: 'fast_tracked',
+  FAST_TRACK_REMOVED: 'fast_track_removed'
+};
+
+// Live queue console actions, also used as the reason of queue updates
+const QUEUE_ACTION = {
+  CHECK_IN: 'patient_checked_in',
+  CALL_NEXT: 'patient_called',
+  START: 'consultation_started',
+  SKIP: 'patient_skipped',
+  RECALL: 'patient_recalled',
+  REQUEUE: 'patient_requeued',
+  DELAY_DECLARED: 'doctor_delay_declared',
+  DELAY_CLEARED: 'doctor_delay_cleared',
+  PRIORITY_CHANGED: 'priority_changed',
+  FAST_TRACK: 'patient_fast_tracked',
+  FAST_TRACK_REMOVED: 'fast_track_removed'
+};
+
+// Doctor delay types matching the Prisma schema
+const DOCTOR_DELAY_TYPE = {
+  DELAY: 'delay', // the doctor starts seeing patients late
+  EARLY_FINISH: 'early_finish' // the doctor leaves before the schedule ends
+};
+
+const DOCTOR_DELAY = {
+  MAX_DELAY_MINUTES: 6 * 60
+};
+
+// Live queue console configuration
+const QUEUE_CONSOLE = {
+  LOCK_PREFIX: 'queue_console:', // advisory lock per doctor and day
+  NEXT_NOTIFIED_PREFIX: 'queue:next_notified:', // one "almost your turn" message per appointment
+  NEXT_NOTIFIED_TTL: 24 * 60 * 60 // seconds
+};
+
+// Consultation duration model behind wait time estimates
+const CONSULTATION_MODEL = {
+  WINDOW_DAYS: 8 * 7, // rolling window of completed consultations
+  MIN_SAMPLES: 5, // needed before a bucket is trusted over a wider one
+  HIGH_CONFIDENCE_SAMPLES: 30,
+  MIN_DURATION: 1, // minutes, shorter consultations are treated as mistakes
+  MAX_DURATION: 2 * 60, // minutes, longer ones were most likely not ended in time
+  FALLBACK_VARIATION: 0.5, // assumed spread relative to the schedule's average
+  RANGE_Z: 1.28, // estimate range covers about 80% of outcomes
+  CACHE_PREFIX: 'consultation_model:',
+  CACHE_TTL: 30 * 60 // seconds
+};
+
+// Whole-day queue forecast per doctor and the ETA shift broadcast
+const QUEUE_FORECAST = {
+  CACHE_PREFIX: 'queue:forecast:',
+  CACHE_TTL: 60, // seconds
+  SNAPSHOT_PREFIX: 'queue:eta_snapshot:', // expected starts last broadcast to tracking rooms
+  SNAPSHOT_TTL: 24 * 60 * 60, // seconds
+  SHIFT_THRESHOLD: 10, // minutes an expected start has to move before patients are told
+  SCAN_CRON: '*/2 * * * *', // every 2 minutes
+  SCAN_LOCK_KEY: 'queue:eta_scan_lock',
+  SCAN_LOCK_TTL: 90, // seconds, shorter than the scan interval
+  TIMEZONE: 'Asia/Kolkata'
+};
+
+// Log of queue updates kept for tracking pages that reconnect
+const QUEUE_EVENTS = {
+  LOG_PREFIX: 'queue:events:', // per hospital, doctor and day
+  SEQ_PREFIX: 'queue:event_seq:',
+  MAX_EVENTS: 200, // most recent updates replayed after a reconnect
+  TTL: 2 * 24 * 60 * 60 // seconds
+};
+
+// Appointment reminder statuses matching the Prisma schema
+const REMINDER_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  SKIPPED: 'skipped'
+};
+
+// Appointment reminder configuration
+const REMINDER = {
+  QUEUE: 'appointment_reminders',
+  SCAN_CRON: '*/5 * * * *', // every 5 minutes
+  SCAN_LOCK_KEY: 'appointment_reminders:scan_lock',
+  SCAN_LOCK_TTL: 4 * 60, // seconds, shorter than the scan interval
+  LOOKAHEAD_DAYS: 2, // appointment days looked at by a scan
+  MAX_LATENESS: 2 * 60, // minutes a missed reminder may still go out, e.g. after a restart
+  TYPES: {
+    DAY_BEFORE: 'day_before', // at a fixed time on the evening before
+    BEFORE_SLOT: 'before_slot' // a number of minutes before the slot starts
+  },
+  CHANNELS: ['whatsapp'], // SMS has no provider yet, its consumer only logs
+  MANUAL_KEY: 'manual',
+  DEFAULT_SETTINGS: {
+    enabled: true,
+    channel: 'whatsapp',
+    reminders: [
+      { type: 'day_before', at: '19:00' },
+      { type: 'before_slot', minutesBefore: 60 }
+    ]
+  }
+};
+
+// Automatic no-show marking and daily reconciliation
+const NO_SHOW = {
+  CRON: '*/15 * * * *', // every 15 minutes
+  GRACE_MINUTES: 60, // after the doctor's last time range ends
+  CATCH_UP_DAYS: 2, // earlier days still checked after a missed run
+  LOCK_KEY: 'appointments:no_show_lock',
+  LOCK_TTL: 10 * 60, // seconds
+  MARKED_COUNT_PREFIX: 'appointments:no_show_marked:',
+  RECONCILIATION_CRON: '30 23 * * *', // 23:30 IST
+  RECONCILIATION_LOCK_PREFIX: 'appointments:reconciliation_sent:',
+  COUNTER_TTL: 2 * 24 * 60 * 60, // seconds
+  TIMEZONE: 'Asia/Kolkata'
+};
+
 module.exports = {
   APPOINTMENT_STATUS,
   APPOINTMENT_PAYMENT_STATUS,
+  VISIT_NOTE_WRITABLE_STATUSES,
   NOTIFICATION_STATUS,
   CACHE,
   QUEUES,
   TRACKING_LINK,
   APPOINTMENT_PAYMENT_METHOD,
-  QUEUE_TRACKING
+  SLOT,
+  QUEUE_TRACKING,
+  CHECK_IN_METHOD,
+  QUEUE_ORDER,
+  APPOINTMENT_PRIORITY,
+  PRIORITY_RANK,
+  PRIORITY_RULE,
+  DEFAULT_QUEUE_SETTINGS,
+  QUEUE_OVERRIDE_ACTION,
+  QUEUE_ACTION,
+  DOCTOR_DELAY_TYPE,
+  DOCTOR_DELAY,
+  QUEUE_CONSOLE,
+  CONSULTATION_MODEL,
+  QUEUE_FORECAST,
+  QUEUE_EVENTS,
+  REMINDER_STATUS,
+  REMINDER,
+  NO_SHOW
 };
\ No newline at end of file
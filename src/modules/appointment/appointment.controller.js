@@ -1,7 +1,54 @@
 const appointmentService = require('./appointment.service');
+const visitNoteService = require('./visitNote.service');
+const queueConsoleService = require('./queueConsole.service');
+const doctorDelayService = require('./doctorDelay.service');
+const queueStreamService = require('../../services/queueStream.service');
+const slotService = require('./slot.service');
 const validator = require('./appointment.validator');
 const trackingUtil = require('../../utils/tracking.util');
-const { APPOINTMENT_STATUS } = require('./appointment.constants');
+const { APPOINTMENT_STATUS, CHECK_IN_METHOD } = require('./appointment.constants');
+
+/**
+ * Send the response for a failed live queue action
+ */
+const handleQueueError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'QUEUE_BUSY') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      data: { appointmentId: error.appointmentId }
+    });
+  }
+
+  if (['INVALID_QUEUE_ACTION', 'CHECK_IN_TOO_EARLY', 'INVALID_DELAY'].includes(error.code)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  if (['INVALID_TRACKING_TOKEN', 'TOKEN_EXPIRED', 'INVALID_TOKEN', 'INVALID_FORMAT'].includes(error.code) ||
+    error.message.includes('tracking token')) {
+    return res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
 
 /**
  * Controller for appointment-related API endpoints
@@ -33,6 +80,28 @@ class AppointmentController {
       });
     } catch (error) {
       console.error('Error in createAppointment controller:', error);
+
+      if (error.code === 'SLOT_FULL') {
+        return res.status(409).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+
+      if (error.code === 'SLOT_UNAVAILABLE') {
+        return res.status(400).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+
       return res.status(500).json({ 
         success: false, 
         message: 'Failed to create appointment', 
@@ -41,6 +110,68 @@ class AppointmentController {
     }
   }
 
+  /**
+   * Register a walk-in at the reception and issue a token
+   */
+  async createWalkIn(req, res) {
+    try {
+      const { error, value } = validator.validateWalkIn(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid walk-in data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      // Doctors register walk-ins for themselves only
+      if (req.user.doctor_id && value.doctorId !== req.user.doctor_id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+
+      const walkIn = await appointmentService.createWalkIn(req.user.hospital_id, value, req.user.id);
+
+      return res.status(201).json({
+        success: true,
+        message: walkIn.overbooked ? 'Walk-in registered over slot capacity' : 'Walk-in registered successfully',
+        data: walkIn
+      });
+    } catch (error) {
+      console.error('Error in createWalkIn controller:', error);
+
+      if (error.code === 'SLOT_FULL') {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 'SLOT_UNAVAILABLE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to register walk-in',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get a specific appointment by ID
    */
@@ -89,7 +220,7 @@ class AppointmentController {
   async getTodayAndTomorrowandPastWeekAppointments(req, res) {
     try {
       const  hospitalId  = req.user.hospital_id;
-      const appointments =await appointmentService.getTodayAndTomorrowandPastWeekAppointments(hospitalId);
+      const appointments =await appointmentService.getTodayAndTomorrowandPastWeekAppointments(hospitalId, req.user.doctor_id);
   
       
       return res.status(200).json({
@@ -114,7 +245,7 @@ class AppointmentController {
       const days = req.body?.days || 30;
       const hospitalId = req.user.hospital_id;
       
-      const appointments =await appointmentService.getAppointmentHistory(hospitalId, days);
+      const appointments =await appointmentService.getAppointmentHistory(hospitalId, days, req.user.doctor_id);
       
       return res.status(200).json({
         success: true,
@@ -156,6 +287,22 @@ class AppointmentController {
         });
       }
       
+      // Starting a consultation goes through the queue so the doctor is not already busy
+      if (value.status === APPOINTMENT_STATUS.IN_CONSULTATION) {
+        try {
+          const { appointment } = await queueConsoleService.startConsultation(req.user.hospital_id, req.params.id);
+
+          return res.status(200).json({
+            success: true,
+            message: 'Appointment status updated successfully',
+            data: appointment
+          });
+        } catch (error) {
+          console.error('Error in updateAppointmentStatus controller:', error);
+          return handleQueueError(res, error, 'Failed to update appointment status');
+        }
+      }
+
       // Update status
       const updatedAppointment = await appointmentService.updateAppointmentStatus(req.params.id, value.status);
       
@@ -330,6 +477,53 @@ class AppointmentController {
     }
    }
 
+  /**
+   * Get bookable slots with remaining capacity for a doctor on a date
+   */
+  async getDoctorSlots(req, res) {
+    try {
+      const { error, value } = validator.validateSlotQuery({
+        doctorId: req.params.doctorId,
+        date: req.query.date
+      });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid slot query',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const availability = await slotService.getAvailabilityBySubdomain(
+        req.params.subdomain,
+        value.doctorId,
+        value.date
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Slots retrieved successfully',
+        data: availability
+      });
+    } catch (error) {
+      console.error('Error in getDoctorSlots controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve slots',
+        error: error.message
+      });
+    }
+  }
+
    /**
    * Get appointments history by mobile number
    */
@@ -345,7 +539,7 @@ class AppointmentController {
         });
       }
       
-      const appointments = await appointmentService.getAppointmentHistoryByMobileNumber(hospitalId, mobileNumber);
+      const appointments = await appointmentService.getAppointmentHistoryByMobileNumber(hospitalId, mobileNumber, req.user.doctor_id);
       
       return res.status(200).json({
         success: true,
@@ -513,6 +707,603 @@ class AppointmentController {
     }
   }
 
+  /**
+   * Add a visit note to an appointment
+   */
+  async createVisitNote(req, res) {
+    try {
+      const { error: paramsError } = validator.validateVisitNoteParams(req.params);
+      if (paramsError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid appointment ID',
+          errors: paramsError.details.map(detail => detail.message)
+        });
+      }
+
+      const { error, value } = validator.validateVisitNote(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid visit note data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const note = await visitNoteService.createNote(req.user.hospital_id, req.params.id, value);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Visit note created successfully',
+        data: note
+      });
+    } catch (error) {
+      console.error('Error in createVisitNote controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ 
+          success: false, 
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('cannot be modified')) {
+        return res.status(400).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to create visit note', 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * List the visit notes of an appointment
+   */
+  async getVisitNotes(req, res) {
+    try {
+      const { error: paramsError } = validator.validateVisitNoteParams(req.params);
+      if (paramsError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid appointment ID',
+          errors: paramsError.details.map(detail => detail.message)
+        });
+      }
+
+      const notes = await visitNoteService.listNotes(req.user.hospital_id, req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Visit notes retrieved successfully',
+        data: notes
+      });
+    } catch (error) {
+      console.error('Error in getVisitNotes controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ 
+          success: false, 
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to retrieve visit notes', 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Edit a visit note
+   */
+  async updateVisitNote(req, res) {
+    try {
+      const { error: paramsError } = validator.validateVisitNoteParams(req.params);
+      if (paramsError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid appointment or note ID',
+          errors: paramsError.details.map(detail => detail.message)
+        });
+      }
+
+      const { error, value } = validator.validateVisitNote(req.body);
+      if (error) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid visit note data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const note = await visitNoteService.updateNote(
+        req.user.hospital_id,
+        req.params.id,
+        req.params.noteId,
+        value
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Visit note updated successfully',
+        data: note
+      });
+    } catch (error) {
+      console.error('Error in updateVisitNote controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ 
+          success: false, 
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('cannot be modified')) {
+        return res.status(400).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to update visit note', 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Soft delete a visit note
+   */
+  async deleteVisitNote(req, res) {
+    try {
+      const { error: paramsError } = validator.validateVisitNoteParams(req.params);
+      if (paramsError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Invalid appointment or note ID',
+          errors: paramsError.details.map(detail => detail.message)
+        });
+      }
+
+      await visitNoteService.deleteNote(req.user.hospital_id, req.params.id, req.params.noteId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Visit note deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error in deleteVisitNote controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ 
+          success: false, 
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('cannot be modified')) {
+        return res.status(400).json({ 
+          success: false, 
+          message: error.message 
+        });
+      }
+
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to delete visit note', 
+        error: error.message 
+      });
+    }
+  }
+
+  /**
+   * Get a doctor's live queue of today
+   */
+  async getDoctorQueue(req, res) {
+    try {
+      const doctorId = getQueueDoctorId(req, res);
+      if (!doctorId) return;
+
+      const queue = await queueConsoleService.getDoctorQueue(req.user.hospital_id, doctorId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Queue retrieved successfully',
+        data: queue
+      });
+    } catch (error) {
+      console.error('Error in getDoctorQueue controller:', error);
+      return handleQueueError(res, error, 'Failed to retrieve queue');
+    }
+  }
+
+  /**
+   * Complete the current consultation and call the next patient
+   */
+  async callNextPatient(req, res) {
+    try {
+      const doctorId = getQueueDoctorId(req, res);
+      if (!doctorId) return;
+
+      const result = await queueConsoleService.callNext(req.user.hospital_id, doctorId);
+
+      return res.status(200).json({
+        success: true,
+        message: result.called ? `${result.called.patientName} called in` : 'No patients waiting',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in callNextPatient controller:', error);
+      return handleQueueError(res, error, 'Failed to call next patient');
+    }
+  }
+
+  /**
+   * Take a patient into consultation
+   */
+  async startConsultation(req, res) {
+    return runQueueAction(req, res, 'startConsultation', 'Consultation started', 'Failed to start consultation');
+  }
+
+  /**
+   * Skip a patient who is not present
+   */
+  async skipPatient(req, res) {
+    return runQueueAction(req, res, 'skipPatient', 'Patient skipped', 'Failed to skip patient');
+  }
+
+  /**
+   * Put a skipped patient back in the queue
+   */
+  async recallPatient(req, res) {
+    return runQueueAction(req, res, 'recallPatient', 'Patient recalled', 'Failed to recall patient');
+  }
+
+  /**
+   * Send a patient to the end of the queue
+   */
+  async requeuePatient(req, res) {
+    return runQueueAction(req, res, 'requeuePatient', 'Patient sent back to the queue', 'Failed to send patient back to the queue');
+  }
+
+  /**
+   * Give a patient a priority level
+   */
+  async setAppointmentPriority(req, res) {
+    return runQueueAction(req, res, 'setPriority', 'Priority updated', 'Failed to update priority', validator.validatePriority);
+  }
+
+  /**
+   * Move a patient up the queue ahead of everyone not fast-tracked
+   */
+  async fastTrackPatient(req, res) {
+    return runQueueAction(req, res, 'fastTrackPatient', 'Patient fast-tracked', 'Failed to fast-track patient', validator.validateFastTrack);
+  }
+
+  /**
+   * Put a fast-tracked patient back in their regular place
+   */
+  async removeFastTrack(req, res) {
+    return runQueueAction(req, res, 'removeFastTrack', 'Fast-track removed', 'Failed to remove fast-track', validator.validateFastTrackRemoval);
+  }
+
+  /**
+   * Audit trail of priority changes and fast-tracks for a doctor's day
+   */
+  async listQueueOverrides(req, res) {
+    try {
+      const doctorId = getQueueDoctorId(req, res);
+      if (!doctorId) return;
+
+      const { error, value } = validator.validateQueueOverrideQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const overrides = await queueConsoleService.listOverrides(req.user.hospital_id, doctorId, value.date);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Queue overrides retrieved successfully',
+        data: overrides
+      });
+    } catch (error) {
+      console.error('Error in listQueueOverrides controller:', error);
+      return handleQueueError(res, error, 'Failed to retrieve queue overrides');
+    }
+  }
+
+  /**
+   * Check a patient in at the reception
+   */
+  async checkInPatient(req, res) {
+    try {
+      const { error } = validator.validateAppointmentId({ id: req.params.id });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid appointment ID',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const result = await queueConsoleService.checkIn(req.user.hospital_id, req.params.id, CHECK_IN_METHOD.RECEPTION);
+
+      return res.status(200).json({
+        success: true,
+        message: result.alreadyCheckedIn ? 'Patient was already checked in' : 'Patient checked in',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in checkInPatient controller:', error);
+      return handleQueueError(res, error, 'Failed to check in patient');
+    }
+  }
+
+  /**
+   * Check a patient in at the reception by scanning their tracking QR code
+   */
+  async checkInWithCode(req, res) {
+    try {
+      const { error, value } = validator.validateCheckInCode(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid check-in code',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      // The QR code holds the whole tracking link, the token is its last part
+      const token = value.code.split('?')[0].replace(/\/+$/, '').split('/').pop();
+      const result = await queueConsoleService.checkInWithTrackingToken(
+        token,
+        CHECK_IN_METHOD.RECEPTION,
+        req.user.hospital_id,
+        req.user.doctor_id
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: result.alreadyCheckedIn ? 'Patient was already checked in' : 'Patient checked in',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in checkInWithCode controller:', error);
+      return handleQueueError(res, error, 'Failed to check in patient');
+    }
+  }
+
+  /**
+   * Let patients check themselves in from the tracking page
+   */
+  async selfCheckIn(req, res) {
+    try {
+      const result = await queueConsoleService.checkInWithTrackingToken(req.params.token, CHECK_IN_METHOD.SELF);
+
+      return res.status(200).json({
+        success: true,
+        message: result.alreadyCheckedIn ? 'You have already checked in' : 'You are checked in, please wait to be called',
+        data: {
+          appointmentId: result.appointment.id,
+          checkedInAt: result.appointment.checkedInAt,
+          alreadyCheckedIn: result.alreadyCheckedIn
+        }
+      });
+    } catch (error) {
+      console.error('Error in selfCheckIn controller:', error);
+      return handleQueueError(res, error, 'Failed to check in');
+    }
+  }
+
+  /**
+   * List the delays declared for a doctor on a day
+   */
+  async listDoctorDelays(req, res) {
+    try {
+      const doctorId = getQueueDoctorId(req, res);
+      if (!doctorId) return;
+
+      const { error, value } = validator.validateDoctorDelayQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const delays = await doctorDelayService.listDelays(req.user.hospital_id, doctorId, value.date);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Delays retrieved successfully',
+        data: delays
+      });
+    } catch (error) {
+      console.error('Error in listDoctorDelays controller:', error);
+      return handleQueueError(res, error, 'Failed to retrieve delays');
+    }
+  }
+
+  /**
+   * Declare that a doctor is running late or finishes early
+   */
+  async declareDoctorDelay(req, res) {
+    try {
+      const doctorId = getQueueDoctorId(req, res);
+      if (!doctorId) return;
+
+      const { error, value } = validator.validateDoctorDelay(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delay data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const result = await doctorDelayService.declareDelay(req.user.hospital_id, doctorId, value, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: `Delay declared, ${result.notifiedPatients} patient${result.notifiedPatients === 1 ? '' : 's'} notified`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in declareDoctorDelay controller:', error);
+      return handleQueueError(res, error, 'Failed to declare delay');
+    }
+  }
+
+  /**
+   * Withdraw a declared delay
+   */
+  async clearDoctorDelay(req, res) {
+    try {
+      const doctorId = getQueueDoctorId(req, res);
+      if (!doctorId) return;
+
+      const delay = await doctorDelayService.clearDelay(req.user.hospital_id, doctorId, req.params.delayId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Delay cleared',
+        data: delay
+      });
+    } catch (error) {
+      console.error('Error in clearDoctorDelay controller:', error);
+      return handleQueueError(res, error, 'Failed to clear delay');
+    }
+  }
+
+  /**
+   * Stream queue updates of a tracking link as Server-Sent Events
+   */
+  async streamQueueUpdates(req, res) {
+    try {
+      await queueStreamService.openStream(req, res, req.params.token);
+    } catch (error) {
+      console.error('Error in streamQueueUpdates controller:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      return handleQueueError(res, error, 'Failed to open queue stream');
+    }
+  }
+
+  /**
+   * Queue status of a tracking link for polling clients, 304 while it is unchanged
+   */
+  async pollQueueStatus(req, res) {
+    try {
+      const { queueInfo, etag } = await queueStreamService.getSnapshot(req.params.token);
+
+      res.set({
+        'ETag': etag,
+        'Cache-Control': 'no-cache'
+      });
+
+      if (queueStreamService.matchesEtag(req.get('If-None-Match'), etag)) {
+        return res.status(304).end();
+      }
+
+      return res.status(200).json(queueInfo);
+    } catch (error) {
+      console.error('Error in pollQueueStatus controller:', error);
+      return handleQueueError(res, error, 'Failed to retrieve queue status');
+    }
+  }
+}
+
+/**
+ * Doctor of a queue console route, doctors may only open their own queue.
+ * Sends the error response and returns null when the doctor is not valid.
+ */
+function getQueueDoctorId(req, res) {
+  const { error } = validator.validateDoctorQueueParams(req.params);
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid doctor ID',
+      errors: error.details.map(detail => detail.message)
+    });
+    return null;
+  }
+
+  if (req.user.doctor_id && req.user.doctor_id !== req.params.doctorId) {
+    res.status(404).json({
+      success: false,
+      message: 'Doctor not found'
+    });
+    return null;
+  }
+
+  return req.params.doctorId;
+}
+
+/**
+ * Run a live queue action on the appointment in the route, actions with a
+ * body validator also get the validated body and the acting user
+ */
+async function runQueueAction(req, res, action, successMessage, fallbackMessage, validateBody = null) {
+  try {
+    const { error } = validator.validateAppointmentId({ id: req.params.id });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appointment ID',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (validateBody) {
+      const { error: bodyError, value } = validateBody(req.body);
+
+      if (bodyError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid request data',
+          errors: bodyError.details.map(detail => detail.message)
+        });
+      }
+
+      const result = await queueConsoleService[action](req.user.hospital_id, req.params.id, value, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: successMessage,
+        data: result
+      });
+    }
+
+    const result = await queueConsoleService[action](req.user.hospital_id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: result
+    });
+  } catch (error) {
+    console.error(`Error in ${action} controller:`, error);
+    return handleQueueError(res, error, fallbackMessage);
+  }
 }
 
 
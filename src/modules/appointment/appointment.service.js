@@ -1,10 +1,16 @@
 const { prisma } = require('../../services/database.service');
 const redisService = require('../../services/redis.service');
 const rabbitmqService = require('../../services/rabbitmq.service');
+const hospitalFeedService = require('../../services/hospitalFeed.service');
 const trackingUtil = require('../../utils/tracking.util');
 const TimezoneUtil = require('../../utils/timezone.util');
-const { APPOINTMENT_STATUS, APPOINTMENT_PAYMENT_STATUS, CACHE, QUEUES } = require('./appointment.constants');
+const { APPOINTMENT_STATUS, APPOINTMENT_PAYMENT_STATUS, CACHE, QUEUES, SLOT, CHECK_IN_METHOD } = require('./appointment.constants');
 const queueService = require('./advanced-queue.service');
+const slotService = require('./slot.service');
+const scheduleOverrideService = require('../doctor/scheduleOverride.service');
+const paymentService = require('../payment/payment.service');
+const patientService = require('../patient/patient.service');
+const { CACHE: PATIENT_CACHE } = require('../patient/patient.constants');
 /**
  * Service layer for appointment-related operations
  */
@@ -14,33 +20,55 @@ class AppointmentService {
    */
   async createAppointment(appointmentData) {
     try {
-      // Create the appointment in database
-      const appointment = await prisma.appointment.create({
-        data: {
+      // Check the slot against the doctor's schedule and create the appointment atomically
+      const appointment = await prisma.$transaction(async (tx) => {
+        const { startTime, endTime, tokenNumber } = await slotService.reserveSlot(tx, {
+          hospitalId: appointmentData.hospitalId,
+          doctorId: appointmentData.doctorId,
+          appointmentDate: appointmentData.appointmentDate,
+          startTime: appointmentData.startTime
+        });
+
+        const patient = await patientService.findOrCreateForAppointment(tx, {
+          hospitalId: appointmentData.hospitalId,
           patientName: appointmentData.patientName,
           mobile: appointmentData.mobile,
-          createdAt:TimezoneUtil.getCurrentIst(),
-          age: appointmentData.age,
-          appointmentDate: new Date(appointmentData.appointmentDate),
+          age: appointmentData.age
+        });
 
-          startTime: appointmentData.startTime ? new Date(`1970-01-01T${appointmentData.startTime}:00`) : null,
-          endTime: appointmentData.endTime ? new Date(`1970-01-01T${appointmentData.endTime}:00`) : null,
-          status: APPOINTMENT_STATUS.BOOKED,
-          paymentStatus: appointmentData.paymentStatus ? appointmentData.paymentStatus : APPOINTMENT_PAYMENT_STATUS.UNPAID,
-          paymentMethod: appointmentData.paymentMethod ? appointmentData.paymentMethod : null,
-          paymentAt: null,
-          hospital: {
-            connect: { id: appointmentData.hospitalId }
+        return tx.appointment.create({
+          data: {
+            patientName: appointmentData.patientName,
+            mobile: appointmentData.mobile,
+            createdAt:TimezoneUtil.getCurrentIst(),
+            age: appointmentData.age,
+            appointmentDate: new Date(appointmentData.appointmentDate),
+
+            startTime,
+            endTime,
+            tokenNumber,
+            status: APPOINTMENT_STATUS.BOOKED,
+            paymentStatus: appointmentData.paymentStatus ? appointmentData.paymentStatus : APPOINTMENT_PAYMENT_STATUS.UNPAID,
+            paymentMethod: appointmentData.paymentMethod ? appointmentData.paymentMethod : null,
+            paymentAt: null,
+            hospital: {
+              connect: { id: appointmentData.hospitalId }
+            },
+            doctor: {
+              connect: { id: appointmentData.doctorId }
+            },
+            patient: {
+              connect: { id: patient.id }
+            }
           },
-          doctor: {
-            connect: { id: appointmentData.doctorId }
+          include: {
+            hospital: true,
+            doctor: true
           }
-        },
-        include: {
-          hospital: true,
-          doctor: true
-        }
-      });      // Cache the appointment and invalidate related caches
+        });
+      });
+
+      // Cache the appointment and invalidate related caches
       await this.cacheAppointment(appointment, appointmentData.hospitalId);
       
       // Generate tracking link
@@ -55,6 +83,18 @@ class AppointmentService {
         uploadDocumentLink
       });
 
+      await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_CREATED, appointment);
+
+      // Online payment is optional, the booking stands even if the order cannot be created
+      let checkout = null;
+      if (appointmentData.payOnline) {
+        try {
+          checkout = await paymentService.createOrderForAppointment(appointment.id);
+        } catch (error) {
+          console.error('Error creating payment order for appointment:', error);
+        }
+      }
+
       // Purge all queues at once using the new utility method
       // const purgeResult = await rabbitmqService.purgeAllAppointmentQueues();
       
@@ -72,8 +112,9 @@ class AppointmentService {
         appointmentDate: appointment.appointmentDate,
         startTime: appointment.startTime,
         endTime: appointment.endTime,
+        tokenNumber: appointment.tokenNumber,
         status: appointment.status,
-        paymentStatus: appointment.paymentStatus,
+        paymentStatus: checkout ? APPOINTMENT_PAYMENT_STATUS.PENDING : appointment.paymentStatus,
         hospital: {
           name: appointment.hospital.name,
           logo: appointment.hospital.logo,
@@ -88,7 +129,8 @@ class AppointmentService {
           age: appointment.doctor.age,
           photo: appointment.doctor.photo
         },
-        trackingLink
+        trackingLink,
+        checkout
       };
     } catch (error) {
       console.error('Error creating appointment:', error);
@@ -96,6 +138,165 @@ class AppointmentService {
     }
   }
 
+  /**
+   * Register a walk-in at the reception for today
+   *
+   * The patient is at the hospital, so the walk-in is checked in at once.
+   * Counter payment is recorded in the same transaction as the appointment,
+   * so a failed payment never leaves a token behind, and the patient gets the same WhatsApp message with tracking and upload
+   * links as an online booking.
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} data - Validated walk-in details, allowOverbooking and optional payment
+   * @param {string|null} registeredBy - Supabase user ID of the reception user
+   * @returns {Promise<Object>} The appointment, a printable token and the links
+   */
+  async createWalkIn(hospitalId, data, registeredBy = null) {
+    const appointmentDate = TimezoneUtil.getIstDateString();
+    let overbooked = false;
+
+    const appointment = await prisma.$transaction(async (tx) => {
+      const reservation = await slotService.reserveSlot(tx, {
+        hospitalId,
+        doctorId: data.doctorId,
+        appointmentDate,
+        startTime: data.startTime,
+        allowOverbooking: data.allowOverbooking
+      });
+      overbooked = reservation.overbooked;
+
+      const patient = await patientService.findOrCreateForAppointment(tx, {
+        hospitalId,
+        patientName: data.patientName,
+        mobile: data.mobile,
+        age: data.age
+      });
+
+      return tx.appointment.create({
+        data: {
+          patientName: data.patientName,
+          mobile: data.mobile,
+          createdAt: TimezoneUtil.getCurrentIst(),
+          age: data.age,
+          appointmentDate: new Date(appointmentDate),
+          startTime: reservation.startTime,
+          endTime: reservation.endTime,
+          tokenNumber: reservation.tokenNumber,
+          status: APPOINTMENT_STATUS.BOOKED,
+          ...(data.payment
+            ? {
+              paymentStatus: APPOINTMENT_PAYMENT_STATUS.PAID,
+              paymentMethod: data.payment.paymentMethod,
+              amount: parseInt(data.payment.amount, 10),
+              paymentAt: TimezoneUtil.getCurrentIst()
+            }
+            : { paymentStatus: APPOINTMENT_PAYMENT_STATUS.UNPAID }),
+          checkedInAt: new Date(),
+          checkInMethod: CHECK_IN_METHOD.RECEPTION,
+          isWalkIn: true,
+          registeredBy,
+          hospital: {
+            connect: { id: hospitalId }
+          },
+          doctor: {
+            connect: { id: data.doctorId }
+          },
+          patient: {
+            connect: { id: patient.id }
+          }
+        },
+        include: {
+          hospital: true,
+          doctor: true
+        }
+      });
+    });
+
+    await this.cacheAppointment(appointment, hospitalId);
+    await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_CREATED, appointment, { walkIn: true, overbooked });
+    if (data.payment) {
+      await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_PAID, appointment);
+    }
+    await queueService.publishQueueUpdate(appointment.hospitalId, appointment.doctorId, appointment.appointmentDate);
+
+    const trackingLink = await trackingUtil.generateTrackingLink(appointment.id, appointment.hospitalId, appointment.doctorId);
+    const uploadDocumentLink = await trackingUtil.generateUploadLink(appointment.id, appointment.hospitalId, appointment.doctorId);
+
+    await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_CREATED, {
+      appointment,
+      trackingLink,
+      uploadDocumentLink
+    });
+
+    return {
+      appointment: {
+        id: appointment.id,
+        patientId: appointment.patientId,
+        patientName: appointment.patientName,
+        mobile: appointment.mobile,
+        age: appointment.age,
+        appointmentDate: appointment.appointmentDate,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        tokenNumber: appointment.tokenNumber,
+        status: appointment.status,
+        paymentStatus: appointment.paymentStatus,
+        paymentMethod: appointment.paymentMethod,
+        amount: appointment.amount,
+        checkedInAt: appointment.checkedInAt,
+        isWalkIn: appointment.isWalkIn
+      },
+      token: await this.buildPrintableToken(appointment, overbooked),
+      overbooked,
+      trackingLink,
+      uploadDocumentLink
+    };
+  }
+
+  /**
+   * Details printed on a walk-in's token slip
+   *
+   * The expected time comes from the doctor's day forecast, a slip is still
+   * printed without it when the forecast fails.
+   */
+  async buildPrintableToken(appointment, overbooked = false) {
+    const formatTime = date => TimezoneUtil.utcToIst(new Date(date)).toISOString().substring(11, 16);
+    const slotTime = date => slotService.formatMinutes(slotService.getMinutesOfDay(date));
+
+    let queue = null;
+    try {
+      const forecast = await queueService.getDayForecast(appointment.hospitalId, appointment.doctorId, appointment.appointmentDate, true);
+      const entry = forecast.entries[appointment.id];
+      if (entry) {
+        queue = {
+          position: entry.position,
+          patientsAhead: entry.patientsAhead,
+          expectedTime: formatTime(entry.expectedStart)
+        };
+      }
+    } catch (error) {
+      console.error('Error forecasting walk-in token:', error);
+    }
+
+    return {
+      tokenNumber: appointment.tokenNumber,
+      hospitalName: appointment.hospital.name,
+      hospitalAddress: appointment.hospital.address,
+      doctorName: appointment.doctor.name,
+      specialization: appointment.doctor.specialization,
+      patientName: appointment.patientName,
+      date: appointment.appointmentDate.toISOString().split('T')[0],
+      slot: `${slotTime(appointment.startTime)} - ${slotTime(appointment.endTime)}`,
+      overbooked,
+      position: queue?.position ?? null,
+      patientsAhead: queue?.patientsAhead ?? null,
+      expectedTime: queue?.expectedTime ?? null,
+      payment: appointment.paymentStatus === APPOINTMENT_PAYMENT_STATUS.PAID
+        ? { status: appointment.paymentStatus, method: appointment.paymentMethod, amount: appointment.amount }
+        : { status: appointment.paymentStatus },
+      issuedAt: TimezoneUtil.getIstISOString(TimezoneUtil.getCurrentIst())
+    };
+  }
+
   /**
    * Update an appointment's status
    */
@@ -112,7 +313,12 @@ class AppointmentService {
     // Update the appointment
     const appointment = await prisma.appointment.update({
       where: { id: appointmentId },
-      data: { status }
+      data: {
+        status,
+        // Record consultation times for the live queue and the consultation duration model
+        ...(currentAppointment.status === APPOINTMENT_STATUS.IN_CONSULTATION && status === APPOINTMENT_STATUS.BOOKED && { consultationStartedAt: null }),
+        ...(currentAppointment.status === APPOINTMENT_STATUS.IN_CONSULTATION && status === APPOINTMENT_STATUS.COMPLETED && { consultationEndedAt: new Date() })
+      }
     });
 
     // Generate document link only when appointment is completed
@@ -127,6 +333,14 @@ class AppointmentService {
 
     await queueService.publishQueueUpdate(appointment.hospitalId,appointment.doctorId, appointment.appointmentDate);
 
+    await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_UPDATED, appointment, {
+      previousStatus: currentAppointment.status
+    });
+
+    if (status === APPOINTMENT_STATUS.CANCELLED) {
+      await paymentService.refundAppointmentPayments(appointment.id, 'Appointment cancelled');
+    }
+
     
     // // Publish to the appointment updated queue
     // await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_UPDATED, { 
@@ -158,6 +372,13 @@ class AppointmentService {
     await this.cacheAppointment(appointment);
 
     await queueService.publishQueueUpdate(appointment.hospitalId, appointment.doctorId, appointment.appointmentDate);
+
+    await hospitalFeedService.publishAppointment(
+      appointment.paymentStatus === APPOINTMENT_PAYMENT_STATUS.PAID
+        ? hospitalFeedService.EVENTS.APPOINTMENT_PAID
+        : hospitalFeedService.EVENTS.APPOINTMENT_UPDATED,
+      appointment
+    );
     
     // // Publish to the appointment updated queue
     // await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_UPDATED, { 
@@ -188,6 +409,10 @@ class AppointmentService {
       
       // Update cache
       await this.cacheAppointment(appointment);
+
+      await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_UPDATED, appointment, {
+        updateType: 'documents'
+      });
       
       // // Publish to the appointment updated queue
       // await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_UPDATED, { 
@@ -327,6 +552,9 @@ class AppointmentService {
     if (appointment.status !== APPOINTMENT_STATUS.BOOKED ) {
       throw new Error('Cannot delete appointment that is not in booked status or is in the past');
     }
+
+    // Refund online payments while the payment records still point at the appointment
+    await paymentService.refundAppointmentPayments(appointmentId, 'Appointment cancelled');
     
     // Delete the appointment
     await prisma.appointment.delete({
@@ -335,6 +563,13 @@ class AppointmentService {
     
     // Clear from cache
     await redisService.deleteCache(`${CACHE.APPOINTMENT_PREFIX}${appointmentId}`);
+
+    await hospitalFeedService.publish(
+      appointment.hospitalId,
+      hospitalFeedService.EVENTS.APPOINTMENT_DELETED,
+      { appointmentId, appointmentDate: appointment.appointmentDate },
+      appointment.doctorId
+    );
     
     // // Publish to the appointment updated queue
     // await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_UPDATED, { 
@@ -378,7 +613,7 @@ class AppointmentService {
         `${CACHE.DOCTOR_APPOINTMENTS_PREFIX}${appointment.doctorId}*`,
         
         // Today and tomorrow appointments cache
-        `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}today_tomorrow:${appointment.hospitalId}`,
+        `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}today_tomorrow:${appointment.hospitalId}*`,
         
         // History appointments cache for this hospital
         `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}history:${appointment.hospitalId}:*`,
@@ -387,7 +622,13 @@ class AppointmentService {
         `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}history:${appointment.hospitalId}:${appointment.mobile}`,
         
         // Hospital details with doctor availability cache
-        `hospital:public:*`
+        `hospital:public:*`,
+
+        // Bookable slots of the doctor
+        `${SLOT.CACHE_PREFIX}${appointment.doctorId}:*`,
+
+        // Timeline of the patient
+        ...(appointment.patientId ? [`${PATIENT_CACHE.TIMELINE_PREFIX}${appointment.patientId}*`, `${PATIENT_CACHE.PATIENT_PREFIX}${appointment.patientId}*`] : [])
       ];
       
       // Delete all matching patterns
@@ -413,11 +654,17 @@ class AppointmentService {
   isValidStatusTransition(currentStatus, newStatus) {
     // Define allowed status transitions
     const allowedTransitions = {
+      // Consultations start through the queue console, which keeps one patient per doctor in consultation
       [APPOINTMENT_STATUS.BOOKED]: [
         APPOINTMENT_STATUS.COMPLETED,
         APPOINTMENT_STATUS.CANCELLED,
         APPOINTMENT_STATUS.MISSED
       ],
+      [APPOINTMENT_STATUS.IN_CONSULTATION]: [
+        APPOINTMENT_STATUS.BOOKED,
+        APPOINTMENT_STATUS.COMPLETED,
+        APPOINTMENT_STATUS.CANCELLED
+      ],
       [APPOINTMENT_STATUS.CANCELLED]: [],
       [APPOINTMENT_STATUS.COMPLETED]: [],
       [APPOINTMENT_STATUS.MISSED]: [
@@ -439,15 +686,16 @@ class AppointmentService {
   /**
    * Get today's and tomorrow's appointments for a hospital
    * @param {string} hospitalId - Hospital ID
+   * @param {string} [doctorId] - Only this doctor's appointments, for doctor logins
    * @returns {object} Object containing today's and tomorrow's appointments
    */
-  async getTodayAndTomorrowandPastWeekAppointments(hospitalId) {
+  async getTodayAndTomorrowandPastWeekAppointments(hospitalId, doctorId = null) {
   try {
     if (!hospitalId) {
       throw new Error('Hospital ID is required');
     }
 
-    const cacheKey = `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}today_tomorrow:${hospitalId}`;
+    const cacheKey = `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}today_tomorrow:${hospitalId}${doctorId ? `:${doctorId}` : ''}`;
 
     // Try to get from cache
     const cachedAppointments = await redisService.getCache(cacheKey);
@@ -472,6 +720,7 @@ class AppointmentService {
     const allAppointments = await prisma.appointment.findMany({
       where: {
         hospitalId,
+        ...(doctorId && { doctorId }),
         appointmentDate: {
           gte: today,
           lt: dayAfterTomorrow
@@ -517,7 +766,7 @@ class AppointmentService {
         apt.appointmentDate.toISOString().startsWith(tomorrowStr)
       )
     );
-    const appointmentHistory = await this.getAppointmentHistory(hospitalId, 7);
+    const appointmentHistory = await this.getAppointmentHistory(hospitalId, 7, doctorId);
 
     const result = {
       today: todayAppointments,
@@ -541,16 +790,17 @@ class AppointmentService {
    * Get appointment history for past days for a hospital (excluding today)
    * @param {string} hospitalId - Hospital ID
    * @param {number} days - Number of days to look back, excluding today (default: 7)
+   * @param {string} [doctorId] - Only this doctor's appointments, for doctor logins
    * @returns {object} Object containing appointments and summary from the specified past days
    */
-  async getAppointmentHistory(hospitalId, days = 7) {
+  async getAppointmentHistory(hospitalId, days = 7, doctorId = null) {
     try {
       if (!hospitalId) {
         throw new Error('Hospital ID is required');
       }
 
       // Cache key for appointment history
-      const cacheKey = `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}history:${hospitalId}:${days}days`;
+      const cacheKey = `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}history:${hospitalId}:${days}days${doctorId ? `:${doctorId}` : ''}`;
       
       // Try to get from cache first
       const cachedHistory = await redisService.getCache(cacheKey);
@@ -572,6 +822,7 @@ class AppointmentService {
       const appointmentHistory = await prisma.appointment.findMany({
         where: {
           hospitalId: hospitalId,
+          ...(doctorId && { doctorId }),
           appointmentDate: {
             gte: sevenDaysAgo,
             lte: yesterday,
@@ -628,9 +879,10 @@ class AppointmentService {
    * @param {string} hospitalId - Hospital ID
    * @param {string} mobileNumber - Patient's mobile number
    * @param {number} days - Number of days to look back (default: 30)
+   * @param {string} [doctorId] - Only this doctor's appointments, for doctor logins
    * @returns {object} Object containing appointments and summary for the patient
    */
-  async getAppointmentHistoryByMobileNumber(hospitalId, mobileNumber) {
+  async getAppointmentHistoryByMobileNumber(hospitalId, mobileNumber, doctorId = null) {
     try {
       if (!hospitalId) {
         throw new Error('Hospital ID is required');
@@ -641,7 +893,7 @@ class AppointmentService {
       }
 
       // Cache key for mobile number appointment history
-      const cacheKey = `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}history:${hospitalId}:${mobileNumber}`;
+      const cacheKey = `${CACHE.HOSPITAL_APPOINTMENTS_PREFIX}history:${hospitalId}:${mobileNumber}${doctorId ? `:${doctorId}` : ''}`;
       
       // Try to get from cache first
       const cachedHistory = await redisService.getCache(cacheKey);
@@ -654,6 +906,7 @@ class AppointmentService {
         where: {
           hospitalId: hospitalId,
           mobile: mobileNumber,
+          ...(doctorId && { doctorId }),
         },
         include: {
           doctor: {
@@ -684,7 +937,9 @@ class AppointmentService {
           patientInfo: {
             mobileNumber,
             // If there are appointments, get the patient name from the most recent one
-            patientName: appointmentHistory.length > 0 ? appointmentHistory[0].patientName : null
+            patientName: appointmentHistory.length > 0 ? appointmentHistory[0].patientName : null,
+            // Registered patients booking with this mobile number
+            patientIds: [...new Set(appointmentHistory.map(appointment => appointment.patientId).filter(Boolean))]
           },
           statusBreakdown: statusSummary
         },
@@ -734,6 +989,7 @@ class AppointmentService {
             specialization: true,
             qualification: true,
             photo: true,
+            consultationFee: true,
             schedules: {
               where: { status: 'active' },
               select: {
@@ -772,7 +1028,7 @@ class AppointmentService {
           gte: todayStart,
           lt: dayAfterTomorrow
         },
-        status: 'booked'
+        status: { in: SLOT.COUNTED_STATUSES }
       },
       select: {
         doctorId: true,
@@ -785,8 +1041,18 @@ class AppointmentService {
     // Process each doctor's availability
     const doctorsWithAvailability = await Promise.all(
       hospital.doctors.map(async (doctor) => {
-        const todaySchedule = doctor.schedules.find(s => s.dayOfWeek === todayStart.getDay());
-        const tomorrowSchedule = doctor.schedules.find(s => s.dayOfWeek === tomorrowStart.getDay());
+        const [todayOverrides, tomorrowOverrides] = await Promise.all([
+          scheduleOverrideService.getOverridesForDate(hospital.id, doctor.id, todayStart),
+          scheduleOverrideService.getOverridesForDate(hospital.id, doctor.id, tomorrowStart)
+        ]);
+        const todaySchedule = scheduleOverrideService.applyOverrides(
+          doctor.schedules.find(s => s.dayOfWeek === todayStart.getDay()),
+          todayOverrides
+        );
+        const tomorrowSchedule = scheduleOverrideService.applyOverrides(
+          doctor.schedules.find(s => s.dayOfWeek === tomorrowStart.getDay()),
+          tomorrowOverrides
+        );
 
         const doctorAppointments = appointments.filter(apt => apt.doctorId === doctor.id);
         const todayDateStr = todayStart.toISOString().split('T')[0];
@@ -844,87 +1110,7 @@ class AppointmentService {
 }
 
 // Generate availability slots for a doctor on a given date
-  generateSlots = (schedule, dayAppointments, date) => {
-    if (!schedule || !schedule.timeRanges || schedule.status !== 'active') {
-      return {
-        slots: [],
-        totalSlots: 0,
-        availableSlots: 0,
-        occupiedSlots: 0,
-        date: date.toISOString().split('T')[0],
-        dayName: new Intl.DateTimeFormat('en-US', { weekday: 'long' }).format(date),
-      };
-    }
-
-    const slots = [];
-    const HOUR_IN_MINUTES = 60;
-    
-    // Create a map of hour slots and their appointments
-    const appointmentsByHour = new Map();
-
-    // Group appointments by hour slot
-    dayAppointments.forEach((apt) => {
-      const dateStr = new Date(apt.appointmentDate).toISOString().split('T')[0];
-      const hour = new Date(apt.startTime).getHours();
-      const slotKey = `${dateStr}_${String(hour).padStart(2, '0')}:00`;
-      
-      if (!appointmentsByHour.has(slotKey)) {
-        appointmentsByHour.set(slotKey, []);
-      }
-      appointmentsByHour.get(slotKey).push(apt);
-    });
-
-    // Calculate max capacity for a one-hour slot based on avgConsultationTime
-    const slotMaxCapacity = Math.floor(HOUR_IN_MINUTES / schedule.avgConsultationTime);
-
-    for (const range of schedule.timeRanges) {
-      let currentTime = new Date(`1970-01-01T${range.start}:00`);
-      const endTime = new Date(`1970-01-01T${range.end}:00`);
-
-      while (currentTime < endTime) {
-        const slotStart = currentTime.toTimeString().slice(0, 5);
-        const nextHour = new Date(currentTime.getTime() + HOUR_IN_MINUTES * 60000);
-        const slotEnd = nextHour <= endTime ? 
-          nextHour.toTimeString().slice(0, 5) : 
-          range.end;
-
-        const dateStr = date.toISOString().split('T')[0];
-        const slotKey = `${dateStr}_${slotStart}`;
-        
-        // Get appointments in this slot
-        const appointmentsInSlot = appointmentsByHour.get(slotKey) || [];
-        const patientCount = appointmentsInSlot.length;
-        const isAvailable = patientCount < slotMaxCapacity;
-
-        slots.push({
-          start: slotStart,
-          end: slotEnd,
-          available: isAvailable,
-          date: dateStr,
-          timeDisplay: `${slotStart} - ${slotEnd}`,
-          reason: !isAvailable ? 'Slot is fully booked' : null,
-          blockedBy: !isAvailable ? 'capacity' : null,
-          patientCount,
-          maxCapacity: slotMaxCapacity
-        });
-
-        // Move to next hour or end of range
-        currentTime = nextHour <= endTime ? nextHour : endTime;
-      }
-    }
-
-    const totalSlots = slots.length;
-    const availableSlots = slots.filter((slot) => slot.available).length;
-
-    return {
-      slots,
-      totalSlots,
-      availableSlots,
-      occupiedSlots: totalSlots - availableSlots,
-      date: date.toISOString().split('T')[0],
-      dayName: new Intl.DateTimeFormat('en-US', { weekday: 'long' }).format(date),
-    };
-  };
+  generateSlots = (schedule, dayAppointments, date) => slotService.buildSlots(schedule, dayAppointments, date);
 
 }
 
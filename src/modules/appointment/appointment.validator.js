@@ -1,5 +1,5 @@
 const Joi = require('joi');
-const { APPOINTMENT_STATUS, APPOINTMENT_PAYMENT_STATUS ,APPOINTMENT_PAYMENT_METHOD} = require('./appointment.constants');
+const { APPOINTMENT_STATUS, APPOINTMENT_PAYMENT_STATUS ,APPOINTMENT_PAYMENT_METHOD, REMINDER, QUEUE_ORDER, DOCTOR_DELAY_TYPE, DOCTOR_DELAY, APPOINTMENT_PRIORITY, PRIORITY_RULE } = require('./appointment.constants');
 
 // Base appointment validation schema
 const appointmentSchema = Joi.object({
@@ -62,6 +62,39 @@ const appointmentSchema = Joi.object({
     'any.only': `Payment method must be one of: ${Object.values(APPOINTMENT_PAYMENT_METHOD).join(', ')}`
   }),
 
+  payOnline: Joi.boolean().default(false).messages({
+    'boolean.base': 'payOnline must be a boolean'
+  }),
+
+});
+
+// Schema for a walk-in registered at the reception, always for today
+const walkInSchema = Joi.object({
+  doctorId: appointmentSchema.extract('doctorId'),
+  patientName: appointmentSchema.extract('patientName'),
+  mobile: appointmentSchema.extract('mobile'),
+  age: appointmentSchema.extract('age'),
+  startTime: appointmentSchema.extract('startTime'),
+
+  allowOverbooking: Joi.boolean().default(false).messages({
+    'boolean.base': 'allowOverbooking must be a boolean'
+  }),
+
+  // Payment taken at the counter, the walk-in is marked paid at once
+  payment: Joi.object({
+    paymentMethod: Joi.string()
+      .valid(APPOINTMENT_PAYMENT_METHOD.CASH, APPOINTMENT_PAYMENT_METHOD.UPI)
+      .required()
+      .messages({
+        'any.only': `Payment method must be one of: ${APPOINTMENT_PAYMENT_METHOD.CASH}, ${APPOINTMENT_PAYMENT_METHOD.UPI}`,
+        'any.required': 'Payment method is required'
+      }),
+    amount: Joi.number().positive().required().messages({
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be a positive number',
+      'any.required': 'Amount is required'
+    })
+  }).optional()
 });
 
 // Schema for updating appointment status
@@ -136,11 +169,191 @@ const documentsUpdateSchema = Joi.object({
     })
 });
 
+// Schema for creating or editing a visit note
+const visitNoteSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(5000).required().messages({
+    'string.empty': 'Note is required',
+    'string.max': 'Note cannot exceed 5000 characters',
+    'any.required': 'Note is required'
+  })
+});
+
+// Schema for visit note route parameters
+// Schema for the live queue console of a doctor
+const doctorQueueParamsSchema = Joi.object({
+  doctorId: Joi.string().uuid().required().messages({
+    'string.uuid': 'Doctor ID must be a valid UUID',
+    'any.required': 'Doctor ID is required'
+  }),
+  delayId: Joi.string().uuid().messages({
+    'string.uuid': 'Delay ID must be a valid UUID'
+  })
+});
+
+// Schema for declaring a doctor's delay or early finish
+const doctorDelaySchema = Joi.object({
+  type: Joi.string().valid(...Object.values(DOCTOR_DELAY_TYPE)).required().messages({
+    'any.only': `Delay type must be one of: ${Object.values(DOCTOR_DELAY_TYPE).join(', ')}`,
+    'any.required': 'Delay type is required'
+  }),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+    'string.pattern.base': 'Date must be in YYYY-MM-DD format'
+  }),
+  delayMinutes: Joi.when('type', {
+    is: DOCTOR_DELAY_TYPE.DELAY,
+    then: Joi.number().integer().min(5).max(DOCTOR_DELAY.MAX_DELAY_MINUTES).required().messages({
+      'number.min': 'A delay must be at least 5 minutes',
+      'number.max': `A delay cannot be more than ${DOCTOR_DELAY.MAX_DELAY_MINUTES} minutes`,
+      'any.required': 'Delay minutes are required'
+    }),
+    otherwise: Joi.forbidden()
+  }),
+  endsAt: Joi.when('type', {
+    is: DOCTOR_DELAY_TYPE.EARLY_FINISH,
+    then: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required().messages({
+      'string.pattern.base': 'Finish time must be in HH:MM format',
+      'any.required': 'Finish time is required'
+    }),
+    otherwise: Joi.forbidden()
+  }),
+  reason: Joi.string().trim().max(200).allow('').optional(),
+  notifyPatients: Joi.boolean().default(true)
+});
+
+// Schema for the day of a doctor's delays or queue overrides
+const queueDayQuerySchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+    'string.pattern.base': 'Date must be in YYYY-MM-DD format'
+  })
+});
+
+// Schema for checking a patient in with the tracking link or its QR code
+const checkInCodeSchema = Joi.object({
+  code: Joi.string().trim().max(500).required().messages({
+    'string.empty': 'Check-in code is required',
+    'any.required': 'Check-in code is required'
+  })
+});
+
+const visitNoteParamsSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.uuid': 'Appointment ID must be a valid UUID',
+    'any.required': 'Appointment ID is required'
+  }),
+  noteId: Joi.string().uuid().messages({
+    'string.uuid': 'Note ID must be a valid UUID'
+  })
+});
+
+// Schema for slot availability queries
+const slotQuerySchema = Joi.object({
+  doctorId: Joi.string().uuid().required().messages({
+    'string.uuid': 'Doctor ID must be a valid UUID',
+    'any.required': 'Doctor ID is required'
+  }),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+    'string.pattern.base': 'Date must be in YYYY-MM-DD format'
+  })
+});
+
+// Hospital reminder settings validation schema
+const reminderSettingsSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+
+  channel: Joi.string().valid(...REMINDER.CHANNELS).required().messages({
+    'any.only': `Channel must be one of: ${REMINDER.CHANNELS.join(', ')}`
+  }),
+
+  reminders: Joi.array().items(
+    Joi.object({
+      type: Joi.string().valid(...Object.values(REMINDER.TYPES)).required(),
+      at: Joi.when('type', {
+        is: REMINDER.TYPES.DAY_BEFORE,
+        then: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required().messages({
+          'string.pattern.base': 'Reminder time must be in HH:MM format'
+        }),
+        otherwise: Joi.forbidden()
+      }),
+      minutesBefore: Joi.when('type', {
+        is: REMINDER.TYPES.BEFORE_SLOT,
+        then: Joi.number().integer().min(5).max(24 * 60).required().messages({
+          'number.min': 'A reminder must be at least 5 minutes before the slot',
+          'number.max': 'A reminder cannot be more than 24 hours before the slot'
+        }),
+        otherwise: Joi.forbidden()
+      })
+    })
+  ).max(5).unique((a, b) => a.type === b.type && a.at === b.at && a.minutesBefore === b.minutesBefore).required().messages({
+    'array.max': 'At most 5 reminders can be configured',
+    'array.unique': 'Reminders must not be repeated'
+  })
+});
+
+// Schema for a hospital's queue settings
+const queueSettingsSchema = Joi.object({
+  order: Joi.string().valid(...Object.values(QUEUE_ORDER)).required().messages({
+    'any.only': `Queue order must be one of: ${Object.values(QUEUE_ORDER).join(', ')}`,
+    'any.required': 'Queue order is required'
+  }),
+
+  priorityRules: Joi.object(
+    Object.fromEntries(
+      Object.values(APPOINTMENT_PRIORITY)
+        .filter(priority => priority !== APPOINTMENT_PRIORITY.NORMAL)
+        .map(priority => [priority, Joi.string().valid(...Object.values(PRIORITY_RULE)).messages({
+          'any.only': `Priority rules must be one of: ${Object.values(PRIORITY_RULE).join(', ')}`
+        })])
+    )
+  ).optional()
+});
+
+// Schema for changing the priority of an appointment
+const prioritySchema = Joi.object({
+  priority: Joi.string().valid(...Object.values(APPOINTMENT_PRIORITY)).required().messages({
+    'any.only': `Priority must be one of: ${Object.values(APPOINTMENT_PRIORITY).join(', ')}`,
+    'any.required': 'Priority is required'
+  }),
+  reason: Joi.string().trim().max(200).allow('', null).optional().messages({
+    'string.max': 'Reason cannot exceed 200 characters'
+  })
+});
+
+// Schema for fast-tracking a patient, the reason goes to the audit trail
+const fastTrackSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(200).required().messages({
+    'string.min': 'Reason must be at least 3 characters long',
+    'string.max': 'Reason cannot exceed 200 characters',
+    'string.empty': 'Reason is required',
+    'any.required': 'Reason is required'
+  })
+});
+
+// Schema for removing a fast-track
+const fastTrackRemovalSchema = Joi.object({
+  reason: Joi.string().trim().max(200).allow('', null).optional().messages({
+    'string.max': 'Reason cannot exceed 200 characters'
+  })
+});
+
 module.exports = {
   validateAppointment: (data) => appointmentSchema.validate(data, { abortEarly: false }),
+  validateWalkIn: (data) => walkInSchema.validate(data, { abortEarly: false }),
   validateAppointmentStatus: (data) => appointmentStatusSchema.validate(data, { abortEarly: false }),
   validatePaymentStatus: (data) => paymentStatusSchema.validate(data, { abortEarly: false }),
   validateAppointmentId: (data) => appointmentIdSchema.validate(data, { abortEarly: false }),
   validateTrackingToken: (data) => trackingTokenSchema.validate(data, { abortEarly: false }),
-  validateDocumentsUpdate: (data) => documentsUpdateSchema.validate(data, { abortEarly: false })
+  validateDocumentsUpdate: (data) => documentsUpdateSchema.validate(data, { abortEarly: false }),
+  validateVisitNote: (data) => visitNoteSchema.validate(data, { abortEarly: false }),
+  validateVisitNoteParams: (data) => visitNoteParamsSchema.validate(data, { abortEarly: false }),
+  validateDoctorQueueParams: (data) => doctorQueueParamsSchema.validate(data, { abortEarly: false }),
+  validateSlotQuery: (data) => slotQuerySchema.validate(data, { abortEarly: false }),
+  validateReminderSettings: (data) => reminderSettingsSchema.validate(data, { abortEarly: false }),
+  validateCheckInCode: (data) => checkInCodeSchema.validate(data, { abortEarly: false }),
+  validateQueueSettings: (data) => queueSettingsSchema.validate(data, { abortEarly: false }),
+  validateDoctorDelay: (data) => doctorDelaySchema.validate(data, { abortEarly: false }),
+  validateDoctorDelayQuery: (data) => queueDayQuerySchema.validate(data, { abortEarly: false }),
+  validatePriority: (data) => prioritySchema.validate(data, { abortEarly: false }),
+  validateFastTrack: (data) => fastTrackSchema.validate(data, { abortEarly: false }),
+  validateFastTrackRemoval: (data) => fastTrackRemovalSchema.validate(data || {}, { abortEarly: false }),
+  validateQueueOverrideQuery: (data) => queueDayQuerySchema.validate(data, { abortEarly: false })
 };
@@ -2,8 +2,10 @@ const rabbitmqService = require('../../services/rabbitmq.service');
 const redisService = require('../../services/redis.service');
 const messageService = require('../notification/message.service');
 const TimezoneUtil = require('../../utils/timezone.util');
-const { QUEUES, APPOINTMENT_STATUS,APPOINTMENT_PAYMENT_STATUS } = require('./appointment.constants');
+const { prisma } = require('../../services/database.service');
+const { QUEUES, QUEUE_CONSOLE, APPOINTMENT_STATUS,APPOINTMENT_PAYMENT_STATUS } = require('./appointment.constants');
 const appointmentService = require('./appointment.service');
+const queueConsoleService = require('./queueConsole.service');
 
 class AppointmentProcessor {
   constructor() {
@@ -152,64 +154,67 @@ class AppointmentProcessor {
       // Clear any tracking caches to ensure data is fresh
       await this.invalidateAppointmentCaches(appointment);
 
+      // A patient went in, the one after them should get ready
+      if (appointment.status === APPOINTMENT_STATUS.IN_CONSULTATION) {
+        await this.notifyNextPatientInQueue(appointment.hospitalId, appointment.doctorId);
+      }
+
     } catch (error) {
       console.error('Error handling status change:', error);
     }
   }
 
-  // /**
-  //  * Notify the next patient in the queue when their turn is approaching
-  //  */
-  // async notifyNextPatientInQueue(hospitalId, doctorId) {
-  //   try {
-  //     // Get today's date in IST
-  //     const today = TimezoneUtil.getCurrentIst();
-  //     today.setHours(0, 0, 0, 0);
-      
-  //     // Find next booked appointment
-  //     const nextAppointment = await prisma.appointment.findFirst({
-  //       where: {
-  //         hospitalId: hospitalId,
-  //         doctorId: doctorId,
-  //         appointmentDate: today,
-  //         status: APPOINTMENT_STATUS.BOOKED
-  //       },
-  //       include: {
-  //         hospital: {
-  //           select: {
-  //             name: true
-  //           }
-  //         },
-  //         doctor: {
-  //           select: {
-  //             name: true
-  //           }
-  //         }
-  //       },
-  //       orderBy: [
-  //         { paymentAt: 'asc' },
-  //         { createdAt: 'asc' }
-  //       ]
-  //     });
-      
-  //     if (nextAppointment) {
-  //       // Get their current queue position
-  //       const queueInfo = await appointmentService.getQueuePosition(nextAppointment.id);
-        
-  //       const notificationContent = `It's almost your turn! You are ${queueInfo.position === 1 ? 'next' : `${queueInfo.position}th`} in line to see Dr. ${nextAppointment.doctor.name}. Estimated waiting time: ${queueInfo.estimatedWaitingTime} minutes.`;
-        
-  //       await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_NOTIFICATION, {
-  //         appointmentId: nextAppointment.id,
-  //         name: nextAppointment.patientName,
-  //         mobile: nextAppointment.mobile,
-  //         hospitalId: nextAppointment.hospitalId,
-  //         content: notificationContent
-  //       });
-  //     }
-  //   } catch (error) {
-  //     console.error('Error notifying next patient:', error);
-  //   }
-  // }
+  /**
+   * Notify the next patient in the queue when their turn is approaching
+   */
+  async notifyNextPatientInQueue(hospitalId, doctorId) {
+    try {
+      const queue = await queueConsoleService.getDoctorQueue(hospitalId, doctorId);
+      const [nextAppointment] = queue.waiting;
+
+      if (!nextAppointment) {
+        return;
+      }
+
+      // The line moves many times a day, tell each patient only once
+      const isFirstNotice = await redisService.setCache(
+        `${QUEUE_CONSOLE.NEXT_NOTIFIED_PREFIX}${nextAppointment.id}`,
+        Date.now(),
+        QUEUE_CONSOLE.NEXT_NOTIFIED_TTL,
+        'NX'
+      );
+
+      if (!isFirstNotice) {
+        return;
+      }
+
+      const doctor = await prisma.doctor.findUnique({
+        where: { id: doctorId },
+        select: {
+          name: true,
+          hospital: { select: { name: true } }
+        }
+      });
+
+      const notificationContent = `🏥 ${doctor.hospital.name}
+
+Dear ${nextAppointment.patientName},
+
+It's almost your turn! You are next in line to see Dr. ${doctor.name}.
+
+Please be ready near the consultation room.`;
+
+      await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_NOTIFICATION, {
+        appointmentId: nextAppointment.id,
+        name: nextAppointment.patientName,
+        mobile: nextAppointment.mobile,
+        hospitalId,
+        content: notificationContent
+      });
+    } catch (error) {
+      console.error('Error notifying next patient:', error);
+    }
+  }
 
   async handlePaymentStatusChange(appointment) {
     try {
@@ -343,7 +348,7 @@ Dear ${appointment.patientName},
 Your appointment has been successfully booked!
 
 📋 APPOINTMENT DETAILS:
-• Date: ${appointmentDate.split('T')[0]}
+${appointment.tokenNumber ? `• Token Number: ${appointment.tokenNumber}\n` : ''}• Date: ${appointmentDate.split('T')[0]}
 • Time: ${startTime}${endTime ? ` - ${endTime}` : ''}
 • Patient Name: ${appointment.patientName}
 • Mobile: ${appointment.mobile}
@@ -0,0 +1,185 @@
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const { APPOINTMENT_STATUS, CONSULTATION_MODEL } = require('./appointment.constants');
+
+/**
+ * Learns how long a doctor's consultations really take
+ *
+ * Completed consultations of the last CONSULTATION_MODEL.WINDOW_DAYS with a
+ * recorded start and end are grouped by IST weekday and hour. Estimates use
+ * the most specific group with enough samples: the weekday and hour, then the
+ * weekday, then all of the doctor's consultations, and finally the schedule's
+ * avgConsultationTime when the doctor has no history yet.
+ */
+class ConsultationDurationService {
+  /**
+   * Duration model of a doctor, cached for a while
+   * @param {string} doctorId - Doctor ID
+   * @returns {Promise<Object>} Duration stats overall, per weekday and per weekday and hour
+   */
+  async getModel(doctorId) {
+    const cacheKey = `${CONSULTATION_MODEL.CACHE_PREFIX}${doctorId}`;
+
+    try {
+      const cached = await redisService.getCache(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      console.error('Error reading consultation model cache:', error);
+    }
+
+    const since = new Date(Date.now() - CONSULTATION_MODEL.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const consultations = await prisma.appointment.findMany({
+      where: {
+        doctorId,
+        status: APPOINTMENT_STATUS.COMPLETED,
+        consultationStartedAt: { gte: since },
+        consultationEndedAt: { not: null }
+      },
+      select: {
+        consultationStartedAt: true,
+        consultationEndedAt: true
+      }
+    });
+
+    const model = this.buildModel(consultations);
+
+    try {
+      await redisService.setCache(cacheKey, model, CONSULTATION_MODEL.CACHE_TTL);
+    } catch (error) {
+      console.error('Error caching consultation model:', error);
+    }
+
+    return model;
+  }
+
+  /**
+   * Group consultation durations by IST weekday and hour
+   * @param {Array} consultations - Appointments with consultationStartedAt and consultationEndedAt
+   */
+  buildModel(consultations) {
+    const overall = [];
+    const weekdays = {};
+    const hours = {};
+
+    for (const consultation of consultations) {
+      const minutes = this.getDurationMinutes(consultation);
+
+      if (minutes === null) {
+        continue;
+      }
+
+      const start = TimezoneUtil.utcToIst(consultation.consultationStartedAt);
+      const weekday = start.getUTCDay();
+      const hourKey = `${weekday}:${start.getUTCHours()}`;
+
+      overall.push(minutes);
+      (weekdays[weekday] = weekdays[weekday] || []).push(minutes);
+      (hours[hourKey] = hours[hourKey] || []).push(minutes);
+    }
+
+    const summarizeAll = groups => Object.fromEntries(
+      Object.entries(groups).map(([key, durations]) => [key, this.summarize(durations)])
+    );
+
+    return {
+      overall: overall.length > 0 ? this.summarize(overall) : null,
+      weekdays: summarizeAll(weekdays),
+      hours: summarizeAll(hours),
+      builtAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Length of a consultation in minutes, null when it was not recorded or is implausible
+   */
+  getDurationMinutes(consultation) {
+    if (!consultation.consultationStartedAt || !consultation.consultationEndedAt) {
+      return null;
+    }
+
+    const minutes = (new Date(consultation.consultationEndedAt) - new Date(consultation.consultationStartedAt)) / 60000;
+
+    if (minutes < CONSULTATION_MODEL.MIN_DURATION || minutes > CONSULTATION_MODEL.MAX_DURATION) {
+      return null;
+    }
+
+    return minutes;
+  }
+
+  summarize(durations) {
+    const samples = durations.length;
+    const mean = durations.reduce((sum, minutes) => sum + minutes, 0) / samples;
+    const variance = durations.reduce((sum, minutes) => sum + (minutes - mean) ** 2, 0) / samples;
+
+    return {
+      samples,
+      mean: Math.round(mean * 10) / 10,
+      stdDev: Math.round(Math.sqrt(variance) * 10) / 10
+    };
+  }
+
+  /**
+   * Duration stats that apply to a consultation at a given moment
+   * @param {Object} model - Duration model of the doctor
+   * @param {Date} at - Moment the consultation takes place
+   * @param {number} fallbackMinutes - Schedule's average consultation time
+   * @returns {Object} mean, stdDev, samples and the source of the stats
+   */
+  getStats(model, at, fallbackMinutes) {
+    const ist = TimezoneUtil.utcToIst(at);
+    const weekday = ist.getUTCDay();
+    const candidates = [
+      ['hour', model.hours[`${weekday}:${ist.getUTCHours()}`]],
+      ['weekday', model.weekdays[weekday]],
+      ['doctor', model.overall]
+    ];
+
+    for (const [source, stats] of candidates) {
+      if (stats && stats.samples >= CONSULTATION_MODEL.MIN_SAMPLES) {
+        return { ...stats, source };
+      }
+    }
+
+    return {
+      samples: 0,
+      mean: fallbackMinutes,
+      stdDev: fallbackMinutes * CONSULTATION_MODEL.FALLBACK_VARIATION,
+      source: 'schedule'
+    };
+  }
+
+  /**
+   * Duration model of a doctor, an empty one when it cannot be loaded so estimates fall back to the schedule
+   * @param {string} doctorId - Doctor ID
+   */
+  async loadModel(doctorId) {
+    try {
+      return await this.getModel(doctorId);
+    } catch (error) {
+      console.error('Error loading consultation model, using the schedule average:', error);
+      return { overall: null, weekdays: {}, hours: {} };
+    }
+  }
+
+  /**
+   * Confidence of an estimate based on the fewest samples behind any consultation it adds up
+   * @param {number} samples - Sample count
+   * @returns {string} high, medium or low
+   */
+  getConfidence(samples) {
+    if (samples >= CONSULTATION_MODEL.HIGH_CONFIDENCE_SAMPLES) {
+      return 'high';
+    }
+
+    return samples >= CONSULTATION_MODEL.MIN_SAMPLES ? 'medium' : 'low';
+  }
+
+  async invalidateModel(doctorId) {
+    await redisService.deleteCache(`${CONSULTATION_MODEL.CACHE_PREFIX}${doctorId}`);
+  }
+}
+
+module.exports = new ConsultationDurationService();
@@ -0,0 +1,178 @@
+const { prisma } = require('../../services/database.service');
+const messageService = require('../notification/message.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const queueService = require('./advanced-queue.service');
+const { DOCTOR_DELAY_TYPE, QUEUE_ACTION } = require('./appointment.constants');
+
+const delayError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Doctor "running late" and early finish declarations
+ *
+ * A declaration is kept per doctor, day and type, declaring again replaces
+ * it. The whole-day queue forecast picks it up, tracking rooms of the doctor
+ * get a queue update and affected patients a WhatsApp notice with their new
+ * expected time.
+ */
+class DoctorDelayService {
+  async listDelays(hospitalId, doctorId, dateStr = TimezoneUtil.getIstDateString()) {
+    await this.getDoctor(hospitalId, doctorId);
+
+    return prisma.doctorDelay.findMany({
+      where: { hospitalId, doctorId, date: new Date(dateStr) },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Declare a delay or early finish for a doctor and date
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} doctorId - Doctor ID
+   * @param {Object} data - Validated type, date, delayMinutes or endsAt, reason and notifyPatients
+   * @param {string|null} declaredBy - Supabase user ID of the declaring user
+   * @returns {Promise<Object>} Declared delay and the number of patients notified
+   */
+  async declareDelay(hospitalId, doctorId, data, declaredBy = null) {
+    const doctor = await this.getDoctor(hospitalId, doctorId);
+    const dateStr = data.date || TimezoneUtil.getIstDateString();
+
+    if (dateStr < TimezoneUtil.getIstDateString()) {
+      throw delayError('Delays can only be declared for today or a later date', 'INVALID_DELAY');
+    }
+
+    const date = new Date(dateStr);
+    const fields = {
+      delayMinutes: data.type === DOCTOR_DELAY_TYPE.DELAY ? data.delayMinutes : null,
+      endsAt: data.type === DOCTOR_DELAY_TYPE.EARLY_FINISH ? data.endsAt : null,
+      reason: data.reason || null,
+      declaredBy
+    };
+
+    let delay = await prisma.doctorDelay.upsert({
+      where: {
+        doctorId_date_type: { doctorId, date, type: data.type }
+      },
+      create: { hospitalId, doctorId, date, type: data.type, ...fields },
+      update: fields
+    });
+
+    await queueService.publishQueueUpdate(hospitalId, doctorId, date, QUEUE_ACTION.DELAY_DECLARED);
+
+    let notifiedPatients = 0;
+    if (data.notifyPatients !== false) {
+      try {
+        notifiedPatients = await this.notifyPatients(delay, doctor);
+        delay = await prisma.doctorDelay.update({
+          where: { id: delay.id },
+          data: { notifiedCount: { increment: notifiedPatients } }
+        });
+      } catch (error) {
+        console.error('Error notifying patients of doctor delay:', error);
+      }
+    }
+
+    return { delay, notifiedPatients };
+  }
+
+  async clearDelay(hospitalId, doctorId, delayId) {
+    const delay = await prisma.doctorDelay.findFirst({
+      where: { id: delayId, hospitalId, doctorId }
+    });
+
+    if (!delay) {
+      throw new Error('Delay not found');
+    }
+
+    await prisma.doctorDelay.delete({ where: { id: delayId } });
+    await queueService.publishQueueUpdate(hospitalId, doctorId, delay.date, QUEUE_ACTION.DELAY_CLEARED);
+
+    return delay;
+  }
+
+  /**
+   * Send affected patients a WhatsApp notice
+   *
+   * After a delay those expected later than their slot hear their new
+   * expected time, after an early finish those expected after the doctor
+   * leaves are asked to contact the reception.
+   * @returns {Promise<number>} Number of notices queued
+   */
+  async notifyPatients(delay, doctor) {
+    const forecast = await queueService.getDayForecast(delay.hospitalId, delay.doctorId, delay.date, true);
+    const affected = Object.entries(forecast.entries).filter(([, entry]) =>
+      delay.type === DOCTOR_DELAY_TYPE.EARLY_FINISH ? entry.beyondDoctorHours : entry.delayMinutes > 0
+    );
+
+    if (affected.length === 0) {
+      return 0;
+    }
+
+    const appointments = await prisma.appointment.findMany({
+      where: { id: { in: affected.map(([id]) => id) } },
+      select: { id: true, patientName: true, mobile: true }
+    });
+    const entries = Object.fromEntries(affected);
+
+    let notified = 0;
+    for (const appointment of appointments) {
+      try {
+        await messageService.sendMessage('whatsapp', {
+          to: appointment.mobile,
+          hospitalId: delay.hospitalId,
+          content: this.generateNotice(delay, doctor, appointment, entries[appointment.id])
+        });
+        notified++;
+      } catch (error) {
+        console.error(`Error sending delay notice for appointment ${appointment.id}:`, error);
+      }
+    }
+
+    return notified;
+  }
+
+  generateNotice(delay, doctor, appointment, entry) {
+    const dateStr = delay.date.toISOString().split('T')[0];
+    const day = dateStr === TimezoneUtil.getIstDateString() ? 'today' : `on ${dateStr}`;
+    const reason = delay.reason ? `\nReason: ${delay.reason}\n` : '';
+
+    if (delay.type === DOCTOR_DELAY_TYPE.EARLY_FINISH) {
+      return `🏥 ${doctor.hospital.name}
+
+Dear ${appointment.patientName},
+
+Dr. ${doctor.name} will finish early ${day} at ${delay.endsAt} and may not be able to see you.
+${reason}
+Please contact the reception to reschedule your appointment.`;
+    }
+
+    const expectedAt = TimezoneUtil.utcToIst(new Date(entry.expectedStart)).toISOString().substring(11, 16);
+
+    return `🏥 ${doctor.hospital.name}
+
+Dear ${appointment.patientName},
+
+Dr. ${doctor.name} is running about ${delay.delayMinutes} minutes late ${day}.
+Your consultation is now expected around ${expectedAt}.
+${reason}
+We are sorry for the wait.`;
+  }
+
+  async getDoctor(hospitalId, doctorId) {
+    const doctor = await prisma.doctor.findFirst({
+      where: { id: doctorId, hospitalId },
+      select: {
+        id: true,
+        name: true,
+        hospital: { select: { name: true } }
+      }
+    });
+
+    if (!doctor) {
+      throw new Error('Doctor not found');
+    }
+
+    return doctor;
+  }
+}
+
+module.exports = new DoctorDelayService();
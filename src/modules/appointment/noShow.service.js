@@ -0,0 +1,368 @@
+const cron = require('node-cron');
+const { prisma } = require('../../services/database.service');
+const rabbitmqService = require('../../services/rabbitmq.service');
+const hospitalFeedService = require('../../services/hospitalFeed.service');
+const redisService = require('../../services/redis.service');
+const messageService = require('../notification/message.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const appointmentService = require('./appointment.service');
+const queueService = require('./advanced-queue.service');
+const slotService = require('./slot.service');
+const {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_PAYMENT_STATUS,
+  QUEUES,
+  NO_SHOW
+} = require('./appointment.constants');
+
+/**
+ * Marks unattended appointments as missed and sends the daily reconciliation
+ *
+ * Once a doctor's last time range of the day has ended, plus a grace period,
+ * appointments of that day still in `booked` are moved to `missed`. Each one
+ * is published to the appointment updated queue like a manual status change.
+ * At the end of the day every hospital with appointments gets a summary email.
+ */
+class NoShowService {
+  constructor() {
+    this.initialized = false;
+    this.tasks = [];
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    this.tasks = [
+      cron.schedule(NO_SHOW.CRON, () => {
+        this.markNoShows().catch(error => console.error('Error marking no-show appointments:', error));
+      }, { timezone: NO_SHOW.TIMEZONE }),
+      cron.schedule(NO_SHOW.RECONCILIATION_CRON, () => {
+        this.sendDailyReconciliation().catch(error => console.error('Error sending daily reconciliation:', error));
+      }, { timezone: NO_SHOW.TIMEZONE })
+    ];
+
+    this.initialized = true;
+  }
+
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
+  /**
+   * Moment after which booked appointments of a doctor's day count as missed
+   * @param {Object|null} schedule - Doctor's schedule for the day, overrides applied
+   * @param {Array} appointments - Booked appointments of that doctor and day
+   * @param {string} dateStr - Day in YYYY-MM-DD
+   * @returns {Date} Cutoff moment in UTC
+   */
+  getCutoff(schedule, appointments, dateStr) {
+    const rangeEnds = (schedule?.timeRanges || []).map(range => slotService.toMinutes(range.end));
+    const slotEnds = appointments
+      .filter(appointment => appointment.endTime)
+      .map(appointment => slotService.getMinutesOfDay(appointment.endTime));
+
+    // Without any hours that day, wait for the day to end
+    const lastEnd = rangeEnds.length > 0 || slotEnds.length > 0
+      ? Math.max(...rangeEnds, ...slotEnds)
+      : 24 * 60;
+
+    const dayStart = TimezoneUtil.istToUtc(`${dateStr}T00:00:00.000Z`);
+    return new Date(dayStart.getTime() + (lastEnd + NO_SHOW.GRACE_MINUTES) * 60 * 1000);
+  }
+
+  /**
+   * Mark booked appointments whose doctor's day is over as missed
+   * @returns {Promise<number>} Number of appointments marked
+   */
+  async markNoShows(now = new Date()) {
+    const locked = await redisService.setCache(NO_SHOW.LOCK_KEY, Date.now(), NO_SHOW.LOCK_TTL, 'NX');
+    if (!locked) {
+      return 0;
+    }
+
+    try {
+      const today = new Date(TimezoneUtil.getIstDateString(now));
+
+      // A few earlier days are included so a missed run is caught up,
+      // older bookings are left for the hospital to resolve
+      const doctorDays = await prisma.appointment.groupBy({
+        by: ['hospitalId', 'doctorId', 'appointmentDate'],
+        where: {
+          status: APPOINTMENT_STATUS.BOOKED,
+          appointmentDate: {
+            gte: new Date(today.getTime() - NO_SHOW.CATCH_UP_DAYS * 24 * 60 * 60 * 1000),
+            lte: today
+          }
+        },
+        orderBy: [{ appointmentDate: 'asc' }, { doctorId: 'asc' }]
+      });
+
+      let marked = 0;
+
+      // One doctor's day at a time keeps each load bounded by a day's bookings
+      for (const { hospitalId, doctorId, appointmentDate } of doctorDays) {
+        const dateStr = appointmentDate.toISOString().split('T')[0];
+
+        try {
+          marked += await this.markDoctorDay({ hospitalId, doctorId, dateStr }, now);
+        } catch (error) {
+          console.error(`Error marking no-shows for doctor ${doctorId} on ${dateStr}:`, error);
+        }
+      }
+
+      if (marked > 0) {
+        console.log(`Marked ${marked} appointment(s) as missed`);
+      }
+
+      return marked;
+    } finally {
+      await redisService.deleteCache(NO_SHOW.LOCK_KEY);
+    }
+  }
+
+  async markDoctorDay({ hospitalId, doctorId, dateStr }, now) {
+    const date = new Date(dateStr);
+    const appointments = await prisma.appointment.findMany({
+      where: {
+        hospitalId,
+        doctorId,
+        appointmentDate: date,
+        status: APPOINTMENT_STATUS.BOOKED
+      },
+      select: { id: true, endTime: true }
+    });
+
+    if (appointments.length === 0) {
+      return 0;
+    }
+
+    const schedule = await queueService.getDoctorDaySchedule(doctorId, date, hospitalId);
+
+    if (now < this.getCutoff(schedule, appointments, dateStr)) {
+      return 0;
+    }
+
+    let marked = 0;
+
+    for (const { id } of appointments) {
+      // Only appointments nobody has touched in the meantime
+      const { count } = await prisma.appointment.updateMany({
+        where: { id, status: APPOINTMENT_STATUS.BOOKED },
+        data: { status: APPOINTMENT_STATUS.MISSED }
+      });
+
+      if (count === 0) {
+        continue;
+      }
+
+      const appointment = await prisma.appointment.findUnique({ where: { id } });
+      await appointmentService.cacheAppointment(appointment);
+
+      await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_UPDATED, {
+        appointment,
+        previousStatus: APPOINTMENT_STATUS.BOOKED,
+        autoMarked: true
+      });
+
+      await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_UPDATED, appointment, {
+        previousStatus: APPOINTMENT_STATUS.BOOKED,
+        autoMarked: true
+      });
+
+      marked++;
+    }
+
+    if (marked > 0) {
+      await queueService.publishQueueUpdate(hospitalId, doctorId, date, 'no_show_marked');
+      await this.addMarkedCount(hospitalId, dateStr, marked);
+    }
+
+    return marked;
+  }
+
+  async addMarkedCount(hospitalId, dateStr, count) {
+    try {
+      const key = `${NO_SHOW.MARKED_COUNT_PREFIX}${hospitalId}:${dateStr}`;
+      const current = parseInt(await redisService.getCache(key), 10) || 0;
+      await redisService.setCache(key, current + count, NO_SHOW.COUNTER_TTL);
+    } catch (error) {
+      console.error('Error recording no-show count:', error);
+    }
+  }
+
+  /**
+   * Email every hospital with appointments today a summary of the day
+   * @returns {Promise<number>} Number of summaries queued
+   */
+  async sendDailyReconciliation(now = new Date()) {
+    // Bring today's statuses up to date first
+    await this.markNoShows(now);
+
+    const dateStr = TimezoneUtil.getIstDateString(now);
+    const date = new Date(dateStr);
+
+    const appointments = await prisma.appointment.findMany({
+      where: { appointmentDate: date },
+      select: {
+        hospitalId: true,
+        status: true,
+        paymentStatus: true,
+        amount: true,
+        doctor: { select: { id: true, name: true } }
+      }
+    });
+
+    const byHospital = new Map();
+    for (const appointment of appointments) {
+      if (!byHospital.has(appointment.hospitalId)) {
+        byHospital.set(appointment.hospitalId, []);
+      }
+      byHospital.get(appointment.hospitalId).push(appointment);
+    }
+
+    let sent = 0;
+
+    for (const [hospitalId, hospitalAppointments] of byHospital) {
+      try {
+        // One summary per hospital and day, also across instances
+        const claimed = await redisService.setCache(
+          `${NO_SHOW.RECONCILIATION_LOCK_PREFIX}${hospitalId}:${dateStr}`,
+          Date.now(),
+          NO_SHOW.COUNTER_TTL,
+          'NX'
+        );
+
+        if (!claimed) {
+          continue;
+        }
+
+        const hospital = await prisma.hospital.findUnique({
+          where: { id: hospitalId },
+          select: { name: true, adminEmail: true }
+        });
+
+        if (!hospital?.adminEmail) {
+          continue;
+        }
+
+        const autoMarked = parseInt(await redisService.getCache(`${NO_SHOW.MARKED_COUNT_PREFIX}${hospitalId}:${dateStr}`), 10) || 0;
+        const summary = this.buildSummary(hospitalAppointments, autoMarked);
+
+        await messageService.sendMessage('email', {
+          to: hospital.adminEmail,
+          subject: `Daily Appointment Summary - ${dateStr}`,
+          content: this.getReconciliationEmailTemplate(hospital, dateStr, summary),
+          hospitalId
+        });
+
+        sent++;
+      } catch (error) {
+        console.error(`Error sending reconciliation for hospital ${hospitalId}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Count a hospital's appointments of the day by status, payment and doctor
+   */
+  buildSummary(appointments, autoMarked) {
+    const emptyCounts = () => Object.values(APPOINTMENT_STATUS).reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+    const totals = emptyCounts();
+    const doctors = new Map();
+    let collected = 0;
+    let unpaid = 0;
+
+    for (const appointment of appointments) {
+      totals[appointment.status]++;
+
+      if (!doctors.has(appointment.doctor.id)) {
+        doctors.set(appointment.doctor.id, { name: appointment.doctor.name, counts: emptyCounts() });
+      }
+      doctors.get(appointment.doctor.id).counts[appointment.status]++;
+
+      if (appointment.paymentStatus === APPOINTMENT_PAYMENT_STATUS.PAID) {
+        collected += appointment.amount || 0;
+      } else if (appointment.status === APPOINTMENT_STATUS.COMPLETED) {
+        unpaid++;
+      }
+    }
+
+    return {
+      total: appointments.length,
+      totals,
+      autoMarked,
+      collected,
+      unpaid,
+      doctors: [...doctors.values()].sort((a, b) => a.name.localeCompare(b.name))
+    };
+  }
+
+  getReconciliationEmailTemplate(hospital, dateStr, summary) {
+    const cell = 'padding: 10px; border: 1px solid #e5e7eb;';
+    const doctorRows = summary.doctors.map(doctor => `
+      <tr>
+        <td style="${cell}">Dr. ${doctor.name}</td>
+        <td style="${cell}">${doctor.counts[APPOINTMENT_STATUS.COMPLETED]}</td>
+        <td style="${cell}">${doctor.counts[APPOINTMENT_STATUS.MISSED]}</td>
+        <td style="${cell}">${doctor.counts[APPOINTMENT_STATUS.CANCELLED]}</td>
+        <td style="${cell}">${doctor.counts[APPOINTMENT_STATUS.BOOKED]}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e5e7eb; border-radius: 8px; overflow: hidden; background-color: #ffffff;">
+
+        <!-- Header -->
+        <div style="background-color: #2563EB; padding: 20px; text-align: center;">
+          <h2 style="color: white; margin: 0; font-weight: 600;">Daily Appointment Summary</h2>
+        </div>
+
+        <!-- Content -->
+        <div style="padding: 25px;">
+          <p style="font-size: 16px; color: #1F2937; margin-top: 0;">Dear ${hospital.name} Admin,</p>
+          <p style="font-size: 15px; color: #4B5563;">Here is the summary of the <strong>${summary.total}</strong> appointments on <strong>${dateStr}</strong>.</p>
+
+          <ul style="font-size: 15px; color: #1F2937; line-height: 1.8;">
+            <li>Completed: <strong>${summary.totals[APPOINTMENT_STATUS.COMPLETED]}</strong></li>
+            <li>Missed: <strong>${summary.totals[APPOINTMENT_STATUS.MISSED]}</strong> (${summary.autoMarked} marked automatically)</li>
+            <li>Cancelled: <strong>${summary.totals[APPOINTMENT_STATUS.CANCELLED]}</strong></li>
+            <li>Still booked: <strong>${summary.totals[APPOINTMENT_STATUS.BOOKED]}</strong></li>
+            <li>Payments collected: <strong>₹${summary.collected}</strong></li>
+            <li>Completed without payment: <strong>${summary.unpaid}</strong></li>
+          </ul>
+
+          <!-- Doctor Table -->
+          <table style="width: 100%; border-collapse: collapse; margin: 25px 0; font-size: 14px;">
+            <thead>
+              <tr style="background-color: #EBF5FF;">
+                <th style="${cell} text-align: left;">Doctor</th>
+                <th style="${cell} text-align: left;">Completed</th>
+                <th style="${cell} text-align: left;">Missed</th>
+                <th style="${cell} text-align: left;">Cancelled</th>
+                <th style="${cell} text-align: left;">Booked</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${doctorRows}
+            </tbody>
+          </table>
+
+          <p style="font-size: 15px; color: #4B5563;">Appointments marked as missed by mistake can still be corrected from the appointments page.</p>
+        </div>
+
+        <!-- Footer -->
+        <div style="background-color: #F9FAFB; padding: 20px; text-align: center; border-top: 1px solid #e2e8f0;">
+          <p style="color: #2563EB; font-size: 16px; font-weight: 600; margin: 0;">Tiqora</p>
+          <p style="color: #6B7280; font-size: 14px; margin: 5px 0 0 0;">
+            This is an automated email from Tiqora – Smart Hospital & Queue Management System.
+          </p>
+        </div>
+      </div>
+    `;
+  }
+}
+
+module.exports = new NoShowService();
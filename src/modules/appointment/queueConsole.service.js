@@ -0,0 +1,596 @@
+const { prisma } = require('../../services/database.service');
+const rabbitmqService = require('../../services/rabbitmq.service');
+const hospitalFeedService = require('../../services/hospitalFeed.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const trackingUtil = require('../../utils/tracking.util');
+const appointmentService = require('./appointment.service');
+const queueService = require('./advanced-queue.service');
+const slotService = require('./slot.service');
+const {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_PRIORITY,
+  CHECK_IN_METHOD,
+  QUEUES,
+  QUEUE_ACTION,
+  QUEUE_CONSOLE,
+  QUEUE_OVERRIDE_ACTION,
+  QUEUE_TRACKING
+} = require('./appointment.constants');
+
+const queueError = (message, code) => Object.assign(new Error(message), { code });
+
+const QUEUE_APPOINTMENT_SELECT = {
+  id: true,
+  hospitalId: true,
+  doctorId: true,
+  patientId: true,
+  patientName: true,
+  mobile: true,
+  age: true,
+  appointmentDate: true,
+  startTime: true,
+  endTime: true,
+  status: true,
+  paymentStatus: true,
+  paymentAt: true,
+  createdAt: true,
+  consultationStartedAt: true,
+  consultationEndedAt: true,
+  skippedAt: true,
+  requeuedAt: true,
+  checkedInAt: true,
+  checkInMethod: true,
+  tokenNumber: true,
+  priority: true,
+  priorityReason: true,
+  fastTrackedAt: true
+};
+
+/**
+ * Live queue console for reception and doctors
+ *
+ * Works on a doctor's appointments of today. Waiting patients are booked
+ * appointments that were not skipped, in slot order and within a slot in the
+ * hospital's queue order, the same order the tracking page uses. Patients
+ * sent back to the queue join the end of the line. At most one patient is in
+ * consultation with a doctor at a time. Patients check in on arrival, those
+ * still not checked in when their slot has ended are flagged. Priority levels
+ * and fast-tracks move patients ahead, each change is kept in an audit trail.
+ *
+ * Every action runs under an advisory lock per doctor and day so two people
+ * pressing "call next" at once call two different patients, and broadcasts a
+ * queue update so tracking pages refresh.
+ */
+class QueueConsoleService {
+  /**
+   * Today's queue of a doctor
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} doctorId - Doctor ID
+   * @returns {Promise<Object>} Patient in consultation, waiting and skipped patients and counts
+   */
+  async getDoctorQueue(hospitalId, doctorId) {
+    await this.getDoctor(hospitalId, doctorId);
+
+    const appointmentDate = this.getToday();
+    const [appointments, settings] = await Promise.all([
+      prisma.appointment.findMany({
+        where: { hospitalId, doctorId, appointmentDate },
+        select: QUEUE_APPOINTMENT_SELECT
+      }),
+      queueService.getQueueSettings(hospitalId)
+    ]);
+
+    return this.buildQueue(appointments, appointmentDate, settings);
+  }
+
+  buildQueue(appointments, appointmentDate, settings, now = new Date()) {
+    const inConsultation = appointments
+      .filter(appointment => appointment.status === APPOINTMENT_STATUS.IN_CONSULTATION)
+      .sort((a, b) => new Date(b.consultationStartedAt) - new Date(a.consultationStartedAt));
+    const booked = appointments.filter(appointment => appointment.status === APPOINTMENT_STATUS.BOOKED);
+    const withFlags = appointment => ({ ...appointment, checkInOverdue: this.isCheckInOverdue(appointment, now) });
+    const waiting = this.sortWaiting(booked.filter(appointment => !appointment.skippedAt), settings).map(withFlags);
+    const skipped = booked
+      .filter(appointment => appointment.skippedAt)
+      .sort((a, b) => new Date(a.skippedAt) - new Date(b.skippedAt))
+      .map(withFlags);
+
+    const countStatus = status => appointments.filter(appointment => appointment.status === status).length;
+
+    return {
+      date: appointmentDate.toISOString().split('T')[0],
+      current: inConsultation[0] || null,
+      waiting: waiting.map((appointment, index) => ({ ...appointment, position: index + 1 })),
+      skipped,
+      summary: {
+        total: appointments.length,
+        waiting: waiting.length,
+        checkedIn: waiting.filter(appointment => appointment.checkedInAt).length,
+        checkInOverdue: waiting.filter(appointment => appointment.checkInOverdue).length,
+        skipped: skipped.length,
+        inConsultation: inConsultation.length,
+        completed: countStatus(APPOINTMENT_STATUS.COMPLETED),
+        missed: countStatus(APPOINTMENT_STATUS.MISSED),
+        cancelled: countStatus(APPOINTMENT_STATUS.CANCELLED)
+      },
+      refreshedAt: TimezoneUtil.getIstISOString(TimezoneUtil.getCurrentIst())
+    };
+  }
+
+  /**
+   * A booked patient who has not checked in by the end of their slot
+   */
+  isCheckInOverdue(appointment, now = new Date()) {
+    if (appointment.status !== APPOINTMENT_STATUS.BOOKED || appointment.checkedInAt) {
+      return false;
+    }
+
+    const slotEnd = slotService.getAppointmentMoment(appointment, 'endTime');
+    return !!slotEnd && slotEnd <= now;
+  }
+
+  /**
+   * Order waiting patients the same way the whole-day forecast does
+   */
+  sortWaiting(appointments, settings) {
+    return queueService.sortDayQueue(appointments, settings);
+  }
+
+  /**
+   * Complete the patient in consultation, if any, and call the next waiting patient
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} doctorId - Doctor ID
+   * @returns {Promise<Object>} Completed appointment, called appointment and the updated queue
+   */
+  async callNext(hospitalId, doctorId) {
+    await this.getDoctor(hospitalId, doctorId);
+    const appointmentDate = this.getToday();
+    const settings = await queueService.getQueueSettings(hospitalId);
+
+    const changes = await this.withQueueLock(doctorId, appointmentDate, async (tx) => {
+      const appointments = await tx.appointment.findMany({
+        where: {
+          hospitalId,
+          doctorId,
+          appointmentDate,
+          status: { in: [APPOINTMENT_STATUS.BOOKED, APPOINTMENT_STATUS.IN_CONSULTATION] }
+        },
+        select: QUEUE_APPOINTMENT_SELECT
+      });
+
+      const updates = appointments
+        .filter(appointment => appointment.status === APPOINTMENT_STATUS.IN_CONSULTATION)
+        .map(appointment => ({
+          appointment,
+          data: { status: APPOINTMENT_STATUS.COMPLETED, consultationEndedAt: new Date() }
+        }));
+
+      const [next] = this.sortWaiting(appointments.filter(appointment =>
+        appointment.status === APPOINTMENT_STATUS.BOOKED && !appointment.skippedAt), settings);
+
+      if (next) {
+        updates.push({
+          appointment: next,
+          data: { status: APPOINTMENT_STATUS.IN_CONSULTATION, consultationStartedAt: new Date(), requeuedAt: null }
+        });
+      }
+
+      return this.applyUpdates(tx, updates);
+    });
+
+    await this.afterQueueChange(hospitalId, doctorId, appointmentDate, changes, QUEUE_ACTION.CALL_NEXT);
+
+    return {
+      completed: changes.filter(change => change.appointment.status === APPOINTMENT_STATUS.COMPLETED).map(change => change.appointment),
+      called: changes.find(change => change.appointment.status === APPOINTMENT_STATUS.IN_CONSULTATION)?.appointment || null,
+      queue: await this.getDoctorQueue(hospitalId, doctorId)
+    };
+  }
+
+  /**
+   * Take a particular waiting or skipped patient into consultation
+   */
+  async startConsultation(hospitalId, appointmentId) {
+    return this.runAppointmentAction(hospitalId, appointmentId, QUEUE_ACTION.START, async (tx, appointment) => {
+      if (appointment.status !== APPOINTMENT_STATUS.BOOKED) {
+        throw queueError(`Cannot start a consultation for a ${appointment.status} appointment`, 'INVALID_QUEUE_ACTION');
+      }
+
+      const busy = await tx.appointment.findFirst({
+        where: {
+          doctorId: appointment.doctorId,
+          appointmentDate: appointment.appointmentDate,
+          status: APPOINTMENT_STATUS.IN_CONSULTATION
+        },
+        select: { id: true, patientName: true }
+      });
+
+      if (busy) {
+        throw Object.assign(
+          queueError(`${busy.patientName} is still in consultation with the doctor`, 'QUEUE_BUSY'),
+          { appointmentId: busy.id }
+        );
+      }
+
+      return {
+        status: APPOINTMENT_STATUS.IN_CONSULTATION,
+        consultationStartedAt: new Date(),
+        skippedAt: null,
+        requeuedAt: null
+      };
+    });
+  }
+
+  /**
+   * Set aside a patient who did not turn up when called
+   */
+  async skipPatient(hospitalId, appointmentId) {
+    return this.runAppointmentAction(hospitalId, appointmentId, QUEUE_ACTION.SKIP, async (tx, appointment) => {
+      const isWaiting = appointment.status === APPOINTMENT_STATUS.BOOKED && !appointment.skippedAt;
+
+      if (!isWaiting && appointment.status !== APPOINTMENT_STATUS.IN_CONSULTATION) {
+        throw queueError('Only waiting patients or the patient in consultation can be skipped', 'INVALID_QUEUE_ACTION');
+      }
+
+      return {
+        status: APPOINTMENT_STATUS.BOOKED,
+        skippedAt: new Date(),
+        consultationStartedAt: null
+      };
+    });
+  }
+
+  /**
+   * Put a skipped patient back in their original place in the line
+   */
+  async recallPatient(hospitalId, appointmentId) {
+    return this.runAppointmentAction(hospitalId, appointmentId, QUEUE_ACTION.RECALL, async (tx, appointment) => {
+      if (appointment.status !== APPOINTMENT_STATUS.BOOKED || !appointment.skippedAt) {
+        throw queueError('Only skipped patients can be recalled', 'INVALID_QUEUE_ACTION');
+      }
+
+      return { skippedAt: null };
+    });
+  }
+
+  /**
+   * Send the patient in consultation, or a skipped patient, to the end of the line,
+   * e.g. while they get tests done
+   */
+  async requeuePatient(hospitalId, appointmentId) {
+    return this.runAppointmentAction(hospitalId, appointmentId, QUEUE_ACTION.REQUEUE, async (tx, appointment) => {
+      const isSkipped = appointment.status === APPOINTMENT_STATUS.BOOKED && appointment.skippedAt;
+
+      if (!isSkipped && appointment.status !== APPOINTMENT_STATUS.IN_CONSULTATION) {
+        throw queueError('Only the patient in consultation or skipped patients can be sent back to the queue', 'INVALID_QUEUE_ACTION');
+      }
+
+      return {
+        status: APPOINTMENT_STATUS.BOOKED,
+        requeuedAt: new Date(),
+        skippedAt: null,
+        consultationStartedAt: null
+      };
+    });
+  }
+
+  /**
+   * Give a booked appointment of today or a later day a priority level
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} data - Validated priority and reason
+   * @param {string|null} performedBy - Supabase user ID of the staff member
+   * @returns {Promise<Object>} The updated appointment
+   */
+  async setPriority(hospitalId, appointmentId, { priority, reason }, performedBy = null) {
+    const { appointment } = await this.applyAppointmentAction(hospitalId, appointmentId, QUEUE_ACTION.PRIORITY_CHANGED, async (tx, appointment) => {
+      if (appointment.status !== APPOINTMENT_STATUS.BOOKED) {
+        throw queueError(`Cannot change the priority of a ${appointment.status} appointment`, 'INVALID_QUEUE_ACTION');
+      }
+
+      const priorityReason = priority === APPOINTMENT_PRIORITY.NORMAL ? null : reason || null;
+      if (appointment.priority === priority && appointment.priorityReason === priorityReason) {
+        return null;
+      }
+
+      await this.recordOverride(tx, appointment, {
+        action: QUEUE_OVERRIDE_ACTION.PRIORITY_CHANGED,
+        previousPriority: appointment.priority,
+        priority,
+        reason: reason || null,
+        performedBy
+      });
+
+      return { priority, priorityReason };
+    }, { upcoming: true });
+
+    return { appointment };
+  }
+
+  /**
+   * Move a waiting patient ahead of everyone not fast-tracked before them,
+   * e.g. for an emergency that cannot wait for its priority level to apply
+   */
+  async fastTrackPatient(hospitalId, appointmentId, { reason }, performedBy = null) {
+    return this.runAppointmentAction(hospitalId, appointmentId, QUEUE_ACTION.FAST_TRACK, async (tx, appointment) => {
+      if (appointment.status !== APPOINTMENT_STATUS.BOOKED || appointment.skippedAt) {
+        throw queueError('Only waiting patients can be fast-tracked', 'INVALID_QUEUE_ACTION');
+      }
+
+      if (appointment.fastTrackedAt) {
+        return null;
+      }
+
+      await this.recordOverride(tx, appointment, {
+        action: QUEUE_OVERRIDE_ACTION.FAST_TRACKED,
+        priority: appointment.priority,
+        reason,
+        performedBy
+      });
+
+      return { fastTrackedAt: new Date(), requeuedAt: null };
+    });
+  }
+
+  /**
+   * Put a fast-tracked patient back in their regular place
+   */
+  async removeFastTrack(hospitalId, appointmentId, { reason } = {}, performedBy = null) {
+    return this.runAppointmentAction(hospitalId, appointmentId, QUEUE_ACTION.FAST_TRACK_REMOVED, async (tx, appointment) => {
+      if (!appointment.fastTrackedAt) {
+        throw queueError('The patient is not fast-tracked', 'INVALID_QUEUE_ACTION');
+      }
+
+      await this.recordOverride(tx, appointment, {
+        action: QUEUE_OVERRIDE_ACTION.FAST_TRACK_REMOVED,
+        priority: appointment.priority,
+        reason: reason || null,
+        performedBy
+      });
+
+      return { fastTrackedAt: null };
+    });
+  }
+
+  /**
+   * Priority changes and fast-tracks of a doctor's day, latest first
+   */
+  async listOverrides(hospitalId, doctorId, dateStr = TimezoneUtil.getIstDateString()) {
+    await this.getDoctor(hospitalId, doctorId);
+
+    return prisma.queueOverride.findMany({
+      where: {
+        hospitalId,
+        doctorId,
+        appointment: { appointmentDate: new Date(dateStr) }
+      },
+      include: {
+        appointment: {
+          select: { id: true, patientName: true, tokenNumber: true, priority: true, fastTrackedAt: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  async recordOverride(tx, appointment, data) {
+    return tx.queueOverride.create({
+      data: {
+        hospitalId: appointment.hospitalId,
+        doctorId: appointment.doctorId,
+        appointmentId: appointment.id,
+        ...data
+      }
+    });
+  }
+
+  /**
+   * Record a patient's arrival
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} method - CHECK_IN_METHOD value
+   * @returns {Promise<Object>} The appointment and whether the patient had already checked in
+   */
+  async checkIn(hospitalId, appointmentId, method) {
+    let alreadyCheckedIn = false;
+
+    const { appointment } = await this.applyAppointmentAction(hospitalId, appointmentId, QUEUE_ACTION.CHECK_IN, async (tx, appointment) => {
+      if (appointment.checkedInAt) {
+        alreadyCheckedIn = true;
+        return null;
+      }
+
+      if (appointment.status !== APPOINTMENT_STATUS.BOOKED) {
+        throw queueError(`Cannot check in for a ${appointment.status} appointment`, 'INVALID_QUEUE_ACTION');
+      }
+
+      // Patients checking in themselves must be close to their slot
+      const slotStart = slotService.getAppointmentMoment(appointment, 'startTime');
+      if (method === CHECK_IN_METHOD.SELF && slotStart &&
+          Date.now() < slotStart.getTime() - QUEUE_TRACKING.MAX_EARLY_ARRIVAL * 60 * 1000) {
+        throw queueError(
+          `Check-in opens ${QUEUE_TRACKING.MAX_EARLY_ARRIVAL} minutes before your slot, please check in at the reception`,
+          'CHECK_IN_TOO_EARLY'
+        );
+      }
+
+      return { checkedInAt: new Date(), checkInMethod: method };
+    });
+
+    return { appointment, alreadyCheckedIn };
+  }
+
+  /**
+   * Check in with the tracking token from the tracking link or its QR code
+   * @param {string} token - Short tracking token
+   * @param {string} method - CHECK_IN_METHOD value
+   * @param {string} [hospitalId] - Hospital of the receptionist scanning the code
+   * @param {string} [doctorId] - Doctor of a doctor login scanning the code
+   */
+  async checkInWithTrackingToken(token, method, hospitalId = null, doctorId = null) {
+    let tokenData;
+    try {
+      tokenData = await trackingUtil.verifyToken(token);
+    } catch (error) {
+      throw queueError('Invalid or expired tracking code', 'INVALID_TRACKING_TOKEN');
+    }
+
+    // A code from another hospital looks like an unknown appointment
+    if (hospitalId && tokenData.hospitalId !== hospitalId) {
+      throw new Error('Appointment not found');
+    }
+
+    // Doctors may only check in their own patients, checked before anything is written
+    if (doctorId) {
+      const appointment = await prisma.appointment.findFirst({
+        where: { id: tokenData.appointmentId, hospitalId: tokenData.hospitalId },
+        select: { doctorId: true }
+      });
+
+      if (!appointment || appointment.doctorId !== doctorId) {
+        throw new Error('Appointment not found');
+      }
+    }
+
+    return this.checkIn(tokenData.hospitalId, tokenData.appointmentId, method);
+  }
+
+  /**
+   * Apply a queue action to one appointment of today and return the doctor's queue
+   */
+  async runAppointmentAction(hospitalId, appointmentId, action, getUpdate) {
+    const { appointment, doctorId } = await this.applyAppointmentAction(hospitalId, appointmentId, action, getUpdate);
+
+    return {
+      appointment,
+      queue: await this.getDoctorQueue(hospitalId, doctorId)
+    };
+  }
+
+  /**
+   * Apply a queue action to one appointment of today
+   * @param {Function} getUpdate - Receives the transaction and the locked appointment,
+   * returns the update data or null to leave the appointment as it is
+   * @param {Object} options - upcoming also allows appointments of later days
+   * @returns {Promise<Object>} The appointment and its doctor ID
+   */
+  async applyAppointmentAction(hospitalId, appointmentId, action, getUpdate, { upcoming = false } = {}) {
+    const found = await prisma.appointment.findFirst({
+      where: { id: appointmentId, hospitalId },
+      select: { doctorId: true, appointmentDate: true }
+    });
+
+    if (!found) {
+      throw new Error('Appointment not found');
+    }
+
+    const { appointmentDate } = found;
+    const today = this.getToday().getTime();
+    if (upcoming ? appointmentDate.getTime() < today : appointmentDate.getTime() !== today) {
+      throw queueError(
+        upcoming ? 'Appointments of past days cannot be changed' : 'Only appointments of today can be managed from the queue',
+        'INVALID_QUEUE_ACTION'
+      );
+    }
+
+    const changes = await this.withQueueLock(found.doctorId, appointmentDate, async (tx) => {
+      // Read again under the lock
+      const appointment = await tx.appointment.findUnique({
+        where: { id: appointmentId },
+        select: QUEUE_APPOINTMENT_SELECT
+      });
+
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      const data = await getUpdate(tx, appointment);
+      if (!data) {
+        return [{ appointment, previousStatus: appointment.status, unchanged: true }];
+      }
+
+      return this.applyUpdates(tx, [{ appointment, data }]);
+    });
+
+    if (!changes[0].unchanged) {
+      await this.afterQueueChange(hospitalId, found.doctorId, appointmentDate, changes, action);
+    }
+
+    return {
+      appointment: changes[0].appointment,
+      doctorId: found.doctorId
+    };
+  }
+
+  async withQueueLock(doctorId, appointmentDate, fn) {
+    return prisma.$transaction(async (tx) => {
+      const lockKey = `${QUEUE_CONSOLE.LOCK_PREFIX}${doctorId}:${appointmentDate.toISOString().split('T')[0]}`;
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+
+      return fn(tx);
+    });
+  }
+
+  async applyUpdates(tx, updates) {
+    const changes = [];
+
+    for (const { appointment, data } of updates) {
+      const updated = await tx.appointment.update({
+        where: { id: appointment.id },
+        data
+      });
+
+      changes.push({ appointment: updated, previousStatus: appointment.status });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Refresh caches, hand status changes to the appointment processor and
+   * tell tracking pages the queue moved
+   */
+  async afterQueueChange(hospitalId, doctorId, appointmentDate, changes, action) {
+    for (const { appointment, previousStatus } of changes) {
+      await appointmentService.cacheAppointment(appointment);
+
+      if (appointment.status !== previousStatus) {
+        try {
+          await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_UPDATED, {
+            appointment,
+            previousStatus,
+            queueAction: action
+          });
+        } catch (error) {
+          console.error(`Error publishing queue change of appointment ${appointment.id}:`, error);
+        }
+      }
+
+      await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_UPDATED, appointment, {
+        previousStatus,
+        queueAction: action
+      });
+    }
+
+    await queueService.publishQueueUpdate(hospitalId, doctorId, appointmentDate, action);
+  }
+
+  async getDoctor(hospitalId, doctorId) {
+    const doctor = await prisma.doctor.findFirst({
+      where: { id: doctorId, hospitalId },
+      select: { id: true, name: true }
+    });
+
+    if (!doctor) {
+      throw new Error('Doctor not found');
+    }
+
+    return doctor;
+  }
+
+  getToday() {
+    return new Date(TimezoneUtil.getIstDateString());
+  }
+}
+
+module.exports = new QueueConsoleService();
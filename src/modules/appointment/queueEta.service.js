@@ -0,0 +1,122 @@
+const cron = require('node-cron');
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const queueService = require('./advanced-queue.service');
+const { APPOINTMENT_STATUS, QUEUE_FORECAST } = require('./appointment.constants');
+
+/**
+ * Tells tracking rooms when their expected start moves
+ *
+ * Expected starts drift without any queue action, e.g. while a consultation
+ * overruns. Every scan rebuilds today's forecast of each doctor with waiting
+ * patients and compares it with the expected starts last broadcast. Only the
+ * rooms of appointments that moved by QUEUE_FORECAST.SHIFT_THRESHOLD minutes
+ * or more get a queue update.
+ */
+class QueueEtaService {
+  constructor() {
+    this.initialized = false;
+    this.task = null;
+  }
+
+  initialize() {
+    if (this.initialized) return;
+
+    this.task = cron.schedule(QUEUE_FORECAST.SCAN_CRON, () => {
+      this.scanEtaShifts().catch(error => console.error('Error scanning queue ETA shifts:', error));
+    }, { timezone: QUEUE_FORECAST.TIMEZONE });
+
+    this.initialized = true;
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Broadcast significant ETA shifts of today's queues
+   * @returns {Promise<number>} Number of appointments whose rooms were updated
+   */
+  async scanEtaShifts(now = new Date()) {
+    const locked = await redisService.setCache(QUEUE_FORECAST.SCAN_LOCK_KEY, Date.now(), QUEUE_FORECAST.SCAN_LOCK_TTL, 'NX');
+    if (!locked) {
+      return 0;
+    }
+
+    try {
+      const appointmentDate = new Date(TimezoneUtil.getIstDateString(now));
+
+      const doctorDays = await prisma.appointment.groupBy({
+        by: ['hospitalId', 'doctorId'],
+        where: {
+          appointmentDate,
+          status: APPOINTMENT_STATUS.BOOKED
+        }
+      });
+
+      let shifted = 0;
+
+      for (const { hospitalId, doctorId } of doctorDays) {
+        try {
+          shifted += await this.checkDoctorDay(hospitalId, doctorId, appointmentDate);
+        } catch (error) {
+          console.error(`Error checking ETA shifts for doctor ${doctorId}:`, error);
+        }
+      }
+
+      return shifted;
+    } finally {
+      await redisService.deleteCache(QUEUE_FORECAST.SCAN_LOCK_KEY);
+    }
+  }
+
+  async checkDoctorDay(hospitalId, doctorId, appointmentDate) {
+    const dateStr = appointmentDate.toISOString().split('T')[0];
+    const snapshotKey = `${QUEUE_FORECAST.SNAPSHOT_PREFIX}${hospitalId}:${doctorId}:${dateStr}`;
+
+    const [forecast, previous] = await Promise.all([
+      queueService.getDayForecast(hospitalId, doctorId, appointmentDate, true),
+      redisService.getCache(snapshotKey)
+    ]);
+
+    const snapshot = Object.fromEntries(
+      Object.entries(forecast.entries).map(([id, entry]) => [id, entry.expectedStart])
+    );
+    const appointmentIds = previous ? this.findShifted(previous, snapshot) : [];
+
+    // Rooms keep the expected start they were last told about until it moves far enough
+    const nextSnapshot = { ...snapshot };
+    Object.keys(snapshot).forEach(id => {
+      if (previous?.[id] && !appointmentIds.includes(id)) {
+        nextSnapshot[id] = previous[id];
+      }
+    });
+    await redisService.setCache(snapshotKey, nextSnapshot, QUEUE_FORECAST.SNAPSHOT_TTL);
+
+    if (appointmentIds.length > 0) {
+      await queueService.publishQueueUpdate(hospitalId, doctorId, appointmentDate, 'eta_shifted', appointmentIds);
+    }
+
+    return appointmentIds.length;
+  }
+
+  /**
+   * Appointments whose expected start moved by at least the threshold
+   * @param {Object} previous - Expected starts last broadcast, keyed by appointment ID
+   * @param {Object} current - Expected starts now, keyed by appointment ID
+   * @returns {Array<string>} Appointment IDs
+   */
+  findShifted(previous, current) {
+    const thresholdMs = QUEUE_FORECAST.SHIFT_THRESHOLD * 60 * 1000;
+
+    return Object.keys(current).filter(id =>
+      previous[id] && Math.abs(new Date(current[id]) - new Date(previous[id])) >= thresholdMs
+    );
+  }
+}
+
+module.exports = new QueueEtaService();
@@ -0,0 +1,409 @@
+const cron = require('node-cron');
+const { prisma } = require('../../services/database.service');
+const rabbitmqService = require('../../services/rabbitmq.service');
+const redisService = require('../../services/redis.service');
+const messageService = require('../notification/message.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const slotService = require('./slot.service');
+const { APPOINTMENT_STATUS, REMINDER, REMINDER_STATUS } = require('./appointment.constants');
+
+/**
+ * Sends WhatsApp reminders ahead of booked appointments
+ *
+ * A cron scan looks at the booked appointments of the next days and works out
+ * which of the hospital's configured reminders are due. Each due reminder is
+ * claimed as an AppointmentReminder row, unique per appointment and reminder
+ * key, before it is queued, so a reminder goes out at most once however often
+ * the scan runs or the server restarts. The queue consumer checks the
+ * appointment again right before sending and skips reminders that no longer
+ * apply.
+ */
+class ReminderService {
+  constructor() {
+    this.initialized = false;
+    this.scanTask = null;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await rabbitmqService.createQueue(REMINDER.QUEUE, {
+        deadLetterExchange: true,
+        maxLength: 100000
+      });
+
+      await rabbitmqService.consumeQueue(REMINDER.QUEUE, async (message) => {
+        await this.processReminder(message);
+      }, { maxRetries: 3, prefetch: 10 });
+
+      this.scanTask = cron.schedule(REMINDER.SCAN_CRON, () => {
+        this.scanDueReminders().catch(error => console.error('Error scanning appointment reminders:', error));
+      });
+
+      this.initialized = true;
+
+      // Catch up on reminders that fell due while the server was down
+      this.scanDueReminders().catch(error => console.error('Error scanning appointment reminders:', error));
+    } catch (error) {
+      console.error('Failed to initialize reminder service:', error);
+    }
+  }
+
+  stop() {
+    if (this.scanTask) {
+      this.scanTask.stop();
+      this.scanTask = null;
+    }
+  }
+
+  /**
+   * Reminder settings of a hospital, falling back to the defaults
+   */
+  async getSettings(hospitalId) {
+    const hospital = await prisma.hospital.findUnique({
+      where: { id: hospitalId },
+      select: { reminderSettings: true }
+    });
+
+    if (!hospital) {
+      throw new Error('Hospital not found');
+    }
+
+    return this.resolveSettings(hospital.reminderSettings);
+  }
+
+  /**
+   * Replace the reminder settings of a hospital
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} settings - Validated reminder settings
+   */
+  async updateSettings(hospitalId, settings) {
+    const hospital = await prisma.hospital.update({
+      where: { id: hospitalId },
+      data: { reminderSettings: settings },
+      select: { reminderSettings: true }
+    });
+
+    return this.resolveSettings(hospital.reminderSettings);
+  }
+
+  resolveSettings(settings) {
+    const resolved = { ...REMINDER.DEFAULT_SETTINGS, ...(settings || {}) };
+
+    // Settings saved with a channel that is no longer offered fall back to the default
+    if (!REMINDER.CHANNELS.includes(resolved.channel)) {
+      resolved.channel = REMINDER.DEFAULT_SETTINGS.channel;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Moment the appointment's slot starts, null when it has no start time
+   */
+  getAppointmentStart(appointment) {
+    if (!appointment.startTime) {
+      return null;
+    }
+
+    const dateStr = new Date(appointment.appointmentDate).toISOString().split('T')[0];
+    const time = slotService.formatMinutes(slotService.getMinutesOfDay(appointment.startTime));
+
+    return TimezoneUtil.istToUtc(`${dateStr}T${time}:00.000Z`);
+  }
+
+  /**
+   * Work out when each configured reminder of an appointment is due
+   * @param {Object} appointment - Appointment with appointmentDate and startTime
+   * @param {Object} settings - Resolved reminder settings of the hospital
+   * @returns {Array} Reminders with their key and scheduled time
+   */
+  planReminders(appointment, settings) {
+    const dateStr = new Date(appointment.appointmentDate).toISOString().split('T')[0];
+    const start = this.getAppointmentStart(appointment);
+    const dayBefore = new Date(`${dateStr}T00:00:00.000Z`);
+    dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+
+    return settings.reminders
+      .map(reminder => {
+        if (reminder.type === REMINDER.TYPES.DAY_BEFORE) {
+          return {
+            key: `${dateStr}:${reminder.type}:${reminder.at}`,
+            scheduledFor: TimezoneUtil.istToUtc(`${dayBefore.toISOString().split('T')[0]}T${reminder.at}:00.000Z`)
+          };
+        }
+
+        if (reminder.type === REMINDER.TYPES.BEFORE_SLOT && start) {
+          return {
+            key: `${dateStr}:${reminder.type}:${reminder.minutesBefore}`,
+            scheduledFor: new Date(start.getTime() - reminder.minutesBefore * 60 * 1000)
+          };
+        }
+
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * A reminder is due once its time has come, unless it is too late to be
+   * useful, the slot has already started or the booking came after it
+   */
+  isDue(planned, appointment, now = new Date()) {
+    const dateStr = new Date(appointment.appointmentDate).toISOString().split('T')[0];
+    const deadline = this.getAppointmentStart(appointment) || TimezoneUtil.istToUtc(`${dateStr}T00:00:00.000Z`);
+
+    return planned.scheduledFor <= now &&
+      now - planned.scheduledFor < REMINDER.MAX_LATENESS * 60 * 1000 &&
+      now < deadline &&
+      planned.scheduledFor >= new Date(appointment.createdAt);
+  }
+
+  /**
+   * Find reminders that are due and queue them for sending
+   * @returns {Promise<number>} Number of reminders queued
+   */
+  async scanDueReminders() {
+    // Only one instance scans per interval
+    const locked = await redisService.setCache(REMINDER.SCAN_LOCK_KEY, Date.now(), REMINDER.SCAN_LOCK_TTL, 'NX');
+    if (!locked) {
+      return 0;
+    }
+
+    const now = new Date();
+    const today = new Date(TimezoneUtil.getIstDateString(now));
+    const lastDay = new Date(today);
+    lastDay.setUTCDate(lastDay.getUTCDate() + REMINDER.LOOKAHEAD_DAYS);
+
+    const appointments = await prisma.appointment.findMany({
+      where: {
+        status: APPOINTMENT_STATUS.BOOKED,
+        appointmentDate: { gte: today, lte: lastDay }
+      },
+      select: {
+        id: true,
+        hospitalId: true,
+        appointmentDate: true,
+        startTime: true,
+        createdAt: true,
+        hospital: { select: { reminderSettings: true } },
+        reminders: { select: { reminderKey: true } }
+      }
+    });
+
+    let queued = 0;
+
+    for (const appointment of appointments) {
+      const settings = this.resolveSettings(appointment.hospital.reminderSettings);
+
+      if (!settings.enabled) {
+        continue;
+      }
+
+      const claimedKeys = new Set(appointment.reminders.map(reminder => reminder.reminderKey));
+      const dueReminders = this.planReminders(appointment, settings)
+        .filter(planned => !claimedKeys.has(planned.key) && this.isDue(planned, appointment, now));
+
+      for (const planned of dueReminders) {
+        try {
+          const reminder = await this.claimReminder(appointment, planned.key, planned.scheduledFor, settings.channel);
+
+          if (reminder) {
+            await this.queueReminder(reminder);
+            queued++;
+          }
+        } catch (error) {
+          console.error(`Error queueing reminder ${planned.key} for appointment ${appointment.id}:`, error);
+        }
+      }
+    }
+
+    if (queued > 0) {
+      console.log(`Queued ${queued} appointment reminder(s)`);
+    }
+
+    return queued;
+  }
+
+  /**
+   * Record a reminder before it is sent
+   * @returns {Promise<Object|null>} The reminder, or null when it was already claimed
+   */
+  async claimReminder(appointment, reminderKey, scheduledFor, channel) {
+    try {
+      return await prisma.appointmentReminder.create({
+        data: {
+          hospitalId: appointment.hospitalId,
+          appointmentId: appointment.id,
+          reminderKey,
+          channel,
+          scheduledFor
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async queueReminder(reminder) {
+    try {
+      await rabbitmqService.publishToQueue(REMINDER.QUEUE, {
+        type: 'APPOINTMENT_REMINDER',
+        reminderId: reminder.id
+      }, {
+        messageId: `reminder_${reminder.id}`
+      });
+    } catch (error) {
+      // Give the reminder back so the next scan can queue it again
+      await prisma.appointmentReminder.delete({ where: { id: reminder.id } }).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Send a queued reminder
+   *
+   * Messages carry a reminderId from the scan, or only an appointmentId when
+   * the reminder was requested directly through the notification controller.
+   */
+  async processReminder(message) {
+    let reminder;
+
+    if (message.reminderId) {
+      reminder = await prisma.appointmentReminder.findUnique({
+        where: { id: message.reminderId }
+      });
+    } else if (message.appointmentId) {
+      const appointment = await prisma.appointment.findUnique({
+        where: { id: message.appointmentId },
+        select: {
+          id: true,
+          hospitalId: true,
+          appointmentDate: true,
+          hospital: { select: { reminderSettings: true } }
+        }
+      });
+
+      if (appointment) {
+        const dateStr = new Date(appointment.appointmentDate).toISOString().split('T')[0];
+        const settings = this.resolveSettings(appointment.hospital.reminderSettings);
+        reminder = await this.claimReminder(appointment, `${dateStr}:${REMINDER.MANUAL_KEY}`, new Date(), settings.channel);
+      }
+    }
+
+    // Already handled, e.g. a redelivered message
+    if (!reminder || reminder.status !== REMINDER_STATUS.PENDING) {
+      return;
+    }
+
+    const appointment = await prisma.appointment.findUnique({
+      where: { id: reminder.appointmentId },
+      include: {
+        hospital: { select: { name: true, contactInfo: true, reminderSettings: true } },
+        doctor: { select: { name: true } }
+      }
+    });
+
+    const skipReason = this.getSkipReason(reminder, appointment);
+    if (skipReason) {
+      await this.markReminder(reminder.id, REMINDER_STATUS.SKIPPED, { skipReason });
+      return;
+    }
+
+    const messageId = await messageService.sendMessage(reminder.channel, {
+      to: appointment.mobile,
+      hospitalId: appointment.hospitalId,
+      content: this.generateReminderMessage(appointment)
+    });
+
+    await this.markReminder(reminder.id, REMINDER_STATUS.SENT, { messageId, sentAt: new Date() });
+  }
+
+  /**
+   * Why a claimed reminder should not be sent anymore, null when it should
+   */
+  getSkipReason(reminder, appointment) {
+    if (!REMINDER.CHANNELS.includes(reminder.channel)) {
+      return `Reminders cannot be sent by ${reminder.channel}`;
+    }
+
+    if (!appointment || appointment.status !== APPOINTMENT_STATUS.BOOKED) {
+      return `Appointment is ${appointment ? appointment.status : 'deleted'}`;
+    }
+
+    const start = this.getAppointmentStart(appointment);
+    if (start && start <= new Date()) {
+      return 'Appointment has already started';
+    }
+
+    // Rescheduled appointments and changed settings produce different keys
+    if (!reminder.reminderKey.endsWith(`:${REMINDER.MANUAL_KEY}`)) {
+      const settings = this.resolveSettings(appointment.hospital.reminderSettings);
+      const plannedKeys = settings.enabled
+        ? this.planReminders(appointment, settings).map(planned => planned.key)
+        : [];
+
+      if (!plannedKeys.includes(reminder.reminderKey)) {
+        return 'Reminder no longer applies';
+      }
+    }
+
+    return null;
+  }
+
+  async markReminder(reminderId, status, data = {}) {
+    await prisma.appointmentReminder.updateMany({
+      where: { id: reminderId, status: REMINDER_STATUS.PENDING },
+      data: { status, ...data }
+    });
+  }
+
+  /**
+   * Generate appointment reminder message
+   */
+  generateReminderMessage(appointment) {
+    const dateStr = new Date(appointment.appointmentDate).toISOString().split('T')[0];
+    const time = appointment.startTime
+      ? slotService.formatMinutes(slotService.getMinutesOfDay(appointment.startTime))
+      : null;
+    const phone = appointment.hospital.contactInfo?.phone;
+
+    return `🏥 ${appointment.hospital.name}
+
+Dear ${appointment.patientName},
+
+This is a reminder of your appointment ${this.describeDay(dateStr)}.
+
+📋 APPOINTMENT DETAILS:
+• Date: ${dateStr}
+${time ? `• Time: ${time}\n` : ''}• Doctor: Dr. ${appointment.doctor.name}
+
+Please arrive 15 minutes before your appointment time.
+${phone ? `\nTo cancel or reschedule, please call ${phone}.` : '\nTo cancel or reschedule, please contact the hospital reception.'}`;
+  }
+
+  /**
+   * "today" or "tomorrow" when that is right, otherwise the date, e.g. "on Monday, 21 October"
+   */
+  describeDay(dateStr) {
+    const today = TimezoneUtil.getIstDateString();
+    const tomorrow = TimezoneUtil.getIstDateString(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+    if (dateStr === today) return 'today';
+    if (dateStr === tomorrow) return 'tomorrow';
+
+    const day = new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-IN', {
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      timeZone: 'UTC'
+    });
+    return `on ${day}`;
+  }
+}
+
+module.exports = new ReminderService();
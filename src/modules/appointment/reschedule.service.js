@@ -0,0 +1,292 @@
+const { prisma } = require('../../services/database.service');
+const rabbitmqService = require('../../services/rabbitmq.service');
+const hospitalFeedService = require('../../services/hospitalFeed.service');
+const trackingUtil = require('../../utils/tracking.util');
+const doctorValidator = require('../doctor/doctor.validator');
+const scheduleOverrideService = require('../doctor/scheduleOverride.service');
+const appointmentService = require('./appointment.service');
+const queueService = require('./advanced-queue.service');
+const slotService = require('./slot.service');
+const paymentService = require('../payment/payment.service');
+const { APPOINTMENT_STATUS, QUEUES } = require('./appointment.constants');
+
+/**
+ * Service for cancelling or moving booked appointments in bulk,
+ * used when a leave or closure is added over existing bookings
+ */
+class RescheduleService {
+  /**
+   * Cancel or move the bookings that fall inside a leave or closure
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} overrideId - Schedule override ID
+   * @param {Object} actionData - action, optional appointmentIds, target doctor/date and notifyPatients
+   * @returns {Promise<Object>} Processed and failed appointments
+   */
+  async handleOverrideAppointments(hospitalId, overrideId, actionData) {
+    try {
+      const validationResult = doctorValidator.validateOverrideAppointmentsAction(actionData);
+      if (!validationResult.isValid) {
+        throw Object.assign(new Error('Validation failed'), { validationErrors: validationResult.errors });
+      }
+
+      const { action, appointmentIds, notifyPatients, targetDoctorId, targetDate } = validationResult.data;
+      const override = await scheduleOverrideService.getOverride(hospitalId, overrideId);
+
+      let affectedAppointments = await scheduleOverrideService.getAffectedAppointments(hospitalId, overrideId);
+      if (appointmentIds) {
+        affectedAppointments = affectedAppointments.filter(appointment => appointmentIds.includes(appointment.id));
+      }
+
+      const ids = affectedAppointments.map(appointment => appointment.id);
+
+      if (action === 'cancel') {
+        return await this.cancelAppointments(hospitalId, ids, {
+          reason: override.reason,
+          notifyPatients
+        });
+      }
+
+      return await this.moveAppointments(hospitalId, ids, {
+        targetDoctorId,
+        targetDate,
+        reason: override.reason,
+        notifyPatients
+      });
+    } catch (error) {
+      console.error('Error in handleOverrideAppointments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel booked appointments and notify the patients
+   */
+  async cancelAppointments(hospitalId, appointmentIds, { reason, notifyPatients = true } = {}) {
+    const appointments = await this.getBookedAppointments(hospitalId, appointmentIds);
+    const processed = [];
+    const failed = [];
+
+    for (const appointment of appointments) {
+      try {
+        const updatedAppointment = await prisma.appointment.update({
+          where: { id: appointment.id },
+          data: { status: APPOINTMENT_STATUS.CANCELLED }
+        });
+
+        await appointmentService.cacheAppointment(updatedAppointment);
+        await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_UPDATED, updatedAppointment, {
+          previousStatus: appointment.status
+        });
+        await paymentService.refundAppointmentPayments(appointment.id, reason || 'Appointment cancelled');
+
+        if (notifyPatients) {
+          await this.notifyPatient(appointment, this.generateCancellationMessage(appointment, reason));
+        }
+
+        processed.push({ id: appointment.id, patientName: appointment.patientName, status: 'cancelled' });
+      } catch (error) {
+        console.error(`Error cancelling appointment ${appointment.id}:`, error);
+        failed.push({ id: appointment.id, patientName: appointment.patientName, reason: error.message });
+      }
+    }
+
+    await this.publishQueueUpdates(appointments, 'appointments_cancelled');
+
+    return { action: 'cancel', processed, failed };
+  }
+
+  /**
+   * Move booked appointments to another doctor and/or date, keeping the
+   * original slot time when it has capacity and the first free slot otherwise
+   */
+  async moveAppointments(hospitalId, appointmentIds, { targetDoctorId, targetDate, reason, notifyPatients = true } = {}) {
+    const appointments = await this.getBookedAppointments(hospitalId, appointmentIds);
+    const processed = [];
+    const failed = [];
+    const movedAppointments = [];
+
+    for (const appointment of appointments) {
+      try {
+        const doctorId = targetDoctorId || appointment.doctorId;
+        const appointmentDate = targetDate || appointment.appointmentDate.toISOString().split('T')[0];
+        const startTime = appointment.startTime
+          ? slotService.formatMinutes(slotService.getMinutesOfDay(appointment.startTime))
+          : null;
+
+        const movedAppointment = await prisma.$transaction(async (tx) => {
+          let reservation;
+          try {
+            reservation = await slotService.reserveSlot(tx, { hospitalId, doctorId, appointmentDate, startTime });
+          } catch (error) {
+            // Fall back to the first free slot of the day when the original time is not bookable
+            if (!error.code || !startTime) throw error;
+            reservation = await slotService.reserveSlot(tx, { hospitalId, doctorId, appointmentDate, startTime: null });
+          }
+
+          // A move within the same doctor's day keeps the token number
+          const sameDay = doctorId === appointment.doctorId &&
+            new Date(appointmentDate).getTime() === new Date(appointment.appointmentDate).getTime();
+
+          return tx.appointment.update({
+            where: { id: appointment.id },
+            data: {
+              doctorId,
+              appointmentDate: new Date(appointmentDate),
+              startTime: reservation.startTime,
+              endTime: reservation.endTime,
+              tokenNumber: sameDay && appointment.tokenNumber ? appointment.tokenNumber : reservation.tokenNumber
+            },
+            include: {
+              hospital: {
+                select: {
+                  id: true,
+                  name: true,
+                  contactInfo: true
+                }
+              },
+              doctor: {
+                select: {
+                  id: true,
+                  name: true
+                }
+              }
+            }
+          });
+        });
+
+        await appointmentService.invalidateRelatedCaches(appointment);
+        await appointmentService.cacheAppointment(movedAppointment);
+        await hospitalFeedService.publishAppointment(hospitalFeedService.EVENTS.APPOINTMENT_UPDATED, movedAppointment, {
+          previousAppointmentDate: appointment.appointmentDate,
+          previousDoctorId: appointment.doctorId
+        });
+        movedAppointments.push(movedAppointment);
+
+        if (notifyPatients) {
+          const trackingLink = await trackingUtil.generateTrackingLink(
+            movedAppointment.id,
+            movedAppointment.hospitalId,
+            movedAppointment.doctorId
+          );
+          await this.notifyPatient(
+            movedAppointment,
+            this.generateMoveMessage(appointment, movedAppointment, reason, trackingLink)
+          );
+        }
+
+        processed.push({
+          id: appointment.id,
+          patientName: appointment.patientName,
+          status: 'moved',
+          doctorId: movedAppointment.doctorId,
+          appointmentDate: movedAppointment.appointmentDate,
+          startTime: movedAppointment.startTime,
+          endTime: movedAppointment.endTime,
+          tokenNumber: movedAppointment.tokenNumber
+        });
+      } catch (error) {
+        console.error(`Error moving appointment ${appointment.id}:`, error);
+        failed.push({ id: appointment.id, patientName: appointment.patientName, reason: error.message });
+      }
+    }
+
+    await this.publishQueueUpdates([...appointments, ...movedAppointments], 'appointments_moved');
+
+    return { action: 'move', processed, failed };
+  }
+
+  async getBookedAppointments(hospitalId, appointmentIds) {
+    if (!appointmentIds || appointmentIds.length === 0) {
+      return [];
+    }
+
+    return prisma.appointment.findMany({
+      where: {
+        id: { in: appointmentIds },
+        hospitalId,
+        status: APPOINTMENT_STATUS.BOOKED
+      },
+      include: {
+        hospital: {
+          select: {
+            id: true,
+            name: true,
+            contactInfo: true
+          }
+        },
+        doctor: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Publish one queue update per doctor and day touched
+   */
+  async publishQueueUpdates(appointments, reason) {
+    const queues = new Map();
+    appointments.forEach(appointment => {
+      const key = `${appointment.doctorId}:${appointment.appointmentDate.toISOString().split('T')[0]}`;
+      queues.set(key, appointment);
+    });
+
+    await Promise.all([...queues.values()].map(appointment =>
+      queueService.publishQueueUpdate(appointment.hospitalId, appointment.doctorId, appointment.appointmentDate, reason)
+    ));
+  }
+
+  async notifyPatient(appointment, content) {
+    try {
+      await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_NOTIFICATION, {
+        mobile: appointment.mobile,
+        hospitalId: appointment.hospitalId,
+        content
+      });
+    } catch (error) {
+      console.error('Error queueing patient notification:', error);
+    }
+  }
+
+  // Message templates
+
+  formatSlot(appointment) {
+    const date = appointment.appointmentDate.toISOString().split('T')[0];
+    const time = appointment.startTime ? new Date(appointment.startTime).toTimeString().slice(0, 5) : 'TBD';
+    return `${date} at ${time}`;
+  }
+
+  generateCancellationMessage(appointment, reason) {
+    return `🏥 ${appointment.hospital.name}
+
+Dear ${appointment.patientName},
+
+We regret to inform you that your appointment with Dr. ${appointment.doctor.name} on ${this.formatSlot(appointment)} has been cancelled as the doctor is unavailable${reason ? ` (${reason})` : ''}.
+
+Please book a new appointment or contact the hospital reception for assistance.
+
+We apologize for the inconvenience.`;
+  }
+
+  generateMoveMessage(originalAppointment, movedAppointment, reason, trackingLink) {
+    return `🏥 ${movedAppointment.hospital.name}
+
+Dear ${movedAppointment.patientName},
+
+Your appointment with Dr. ${originalAppointment.doctor.name} on ${this.formatSlot(originalAppointment)} has been rescheduled${reason ? ` (${reason})` : ''}.
+
+📋 NEW APPOINTMENT DETAILS:
+• Doctor: Dr. ${movedAppointment.doctor.name}
+• Date & Time: ${this.formatSlot(movedAppointment)}
+${movedAppointment.tokenNumber ? `• Token Number: ${movedAppointment.tokenNumber}\n` : ''}
+🔗 TRACK YOUR APPOINTMENT:
+${trackingLink}
+
+If the new time does not suit you, please contact the hospital reception.`;
+  }
+}
+
+module.exports = new RescheduleService();
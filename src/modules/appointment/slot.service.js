@@ -0,0 +1,373 @@
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const queueService = require('./advanced-queue.service');
+const { SLOT } = require('./appointment.constants');
+
+/**
+ * Build an error carrying a slot error code for the controller
+ */
+const slotError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Service that turns a doctor's schedule into bookable slots
+ *
+ * Slots are SLOT.DURATION minutes long, cut from each schedule time range.
+ * Capacity of a slot is the number of consultations that fit into it based
+ * on the schedule's avgConsultationTime.
+ */
+class SlotService {
+  /**
+   * Convert an HH:MM string into minutes since midnight
+   */
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Convert minutes since midnight into an HH:MM string
+   */
+  formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  /**
+   * Convert an HH:MM string into the time-of-day Date stored on appointments
+   */
+  toTimeOfDay(time) {
+    return new Date(`1970-01-01T${time}:00`);
+  }
+
+  /**
+   * Get minutes since midnight of a stored appointment time
+   */
+  getMinutesOfDay(dateTime) {
+    const date = new Date(dateTime);
+    return date.getHours() * 60 + date.getMinutes();
+  }
+
+  /**
+   * Moment a stored appointment time falls on, on the appointment's day
+   * @param {Object} appointment - Appointment with appointmentDate and the time field
+   * @param {string} field - startTime or endTime
+   * @returns {Date|null} The moment, null when the appointment has no such time
+   */
+  getAppointmentMoment(appointment, field) {
+    if (!appointment[field]) {
+      return null;
+    }
+
+    const dateStr = new Date(appointment.appointmentDate).toISOString().split('T')[0];
+    const time = this.formatMinutes(this.getMinutesOfDay(appointment[field]));
+
+    return TimezoneUtil.istToUtc(`${dateStr}T${time}:00.000Z`);
+  }
+
+  /**
+   * Build the slots of a day from a schedule and the appointments already booked
+   * @param {Object|null} schedule - Doctor schedule for the day
+   * @param {Array} dayAppointments - Appointments occupying capacity on that day
+   * @param {Date} date - The day the slots are built for
+   * @returns {Object} Slots with capacity information
+   */
+  buildSlots(schedule, dayAppointments, date) {
+    const dateStr = date.toISOString().split('T')[0];
+    const dayName = new Intl.DateTimeFormat('en-US', { weekday: 'long' }).format(date);
+
+    if (!schedule || !Array.isArray(schedule.timeRanges) || schedule.status !== 'active') {
+      return {
+        slots: [],
+        totalSlots: 0,
+        availableSlots: 0,
+        occupiedSlots: 0,
+        date: dateStr,
+        dayName
+      };
+    }
+
+    const todayStr = TimezoneUtil.getIstDateString();
+    const nowMinutes = TimezoneUtil.getIstMinutesOfDay();
+    const bookedMinutes = dayAppointments
+      .filter(apt => apt.startTime)
+      .map(apt => this.getMinutesOfDay(apt.startTime));
+
+    const ranges = [...schedule.timeRanges].sort((a, b) => this.toMinutes(a.start) - this.toMinutes(b.start));
+    const slots = [];
+
+    for (const range of ranges) {
+      const rangeStart = this.toMinutes(range.start);
+      const rangeEnd = this.toMinutes(range.end);
+
+      for (let start = rangeStart; start < rangeEnd; start += SLOT.DURATION) {
+        const end = Math.min(start + SLOT.DURATION, rangeEnd);
+        const slotStart = this.formatMinutes(start);
+        const slotEnd = this.formatMinutes(end);
+
+        const maxCapacity = Math.max(1, Math.floor((end - start) / schedule.avgConsultationTime));
+        const patientCount = bookedMinutes.filter(minutes => minutes >= start && minutes < end).length;
+        const remainingCapacity = Math.max(0, maxCapacity - patientCount);
+        const hasEnded = dateStr < todayStr || (dateStr === todayStr && end <= nowMinutes);
+        const isAvailable = !hasEnded && remainingCapacity > 0;
+
+        let blockedBy = null;
+        if (hasEnded) {
+          blockedBy = 'time';
+        } else if (remainingCapacity === 0) {
+          blockedBy = 'capacity';
+        }
+
+        slots.push({
+          start: slotStart,
+          end: slotEnd,
+          available: isAvailable,
+          date: dateStr,
+          timeDisplay: `${slotStart} - ${slotEnd}`,
+          reason: blockedBy === 'time' ? 'Slot time has passed' : blockedBy === 'capacity' ? 'Slot is fully booked' : null,
+          blockedBy,
+          patientCount,
+          maxCapacity,
+          remainingCapacity: hasEnded ? 0 : remainingCapacity
+        });
+      }
+    }
+
+    const totalSlots = slots.length;
+    const availableSlots = slots.filter(slot => slot.available).length;
+
+    return {
+      slots,
+      totalSlots,
+      availableSlots,
+      occupiedSlots: totalSlots - availableSlots,
+      date: dateStr,
+      dayName
+    };
+  }
+
+  /**
+   * Get bookable slots for a doctor on a date
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} doctorId - Doctor ID
+   * @param {string|Date} date - Date to build slots for
+   * @returns {Promise<Object>} Slots with remaining capacity
+   */
+  async getDoctorSlots(hospitalId, doctorId, date) {
+    try {
+      const dateObj = new Date(date);
+      const dateStr = dateObj.toISOString().split('T')[0];
+      const cacheKey = `${SLOT.CACHE_PREFIX}${doctorId}:${dateStr}`;
+
+      const cachedSlots = await redisService.getCache(cacheKey);
+      if (cachedSlots) {
+        return cachedSlots;
+      }
+
+      const schedule = await queueService.getDoctorDaySchedule(doctorId, dateObj, hospitalId);
+      const appointments = await prisma.appointment.findMany({
+        where: {
+          hospitalId,
+          doctorId,
+          appointmentDate: new Date(dateStr),
+          status: { in: SLOT.COUNTED_STATUSES }
+        },
+        select: { startTime: true }
+      });
+
+      const result = {
+        doctorId,
+        avgConsultationTime: schedule?.avgConsultationTime || null,
+        ...this.buildSlots(schedule, appointments, new Date(dateStr))
+      };
+
+      await redisService.setCache(cacheKey, result, SLOT.CACHE_TTL);
+
+      return result;
+    } catch (error) {
+      console.error('Error in getDoctorSlots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get bookable slots for a doctor of the hospital behind a subdomain
+   * @param {string} subdomain - Hospital subdomain
+   * @param {string} doctorId - Doctor ID
+   * @param {string} date - Date (YYYY-MM-DD), defaults to today in IST
+   * @returns {Promise<Object>} Doctor details with slots
+   */
+  async getAvailabilityBySubdomain(subdomain, doctorId, date) {
+    try {
+      const hospital = await prisma.hospital.findUnique({
+        where: { subdomain },
+        select: { id: true }
+      });
+
+      if (!hospital) {
+        throw new Error('Hospital not found');
+      }
+
+      const doctor = await prisma.doctor.findFirst({
+        where: { id: doctorId, hospitalId: hospital.id, status: 'active' },
+        select: {
+          id: true,
+          name: true,
+          specialization: true,
+          qualification: true,
+          photo: true
+        }
+      });
+
+      if (!doctor) {
+        throw new Error('Doctor not found');
+      }
+
+      const availability = await this.getDoctorSlots(
+        hospital.id,
+        doctor.id,
+        date || TimezoneUtil.getIstDateString()
+      );
+
+      return {
+        doctor,
+        ...availability,
+        fetchedAt: TimezoneUtil.getIstISOString(TimezoneUtil.getCurrentIst())
+      };
+    } catch (error) {
+      console.error('Error in getAvailabilityBySubdomain:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve capacity for a booking inside a transaction
+   *
+   * Takes a transaction-scoped advisory lock per doctor and date so concurrent
+   * bookings for the same day are checked, and numbered, one after another.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} bookingData - hospitalId, doctorId, appointmentDate, optional startTime (HH:MM)
+   *   and allowOverbooking, which lets reception book a full slot
+   * @returns {Promise<Object>} The reserved slot with its start and end times, the next token number
+   *   and whether the slot was booked over capacity
+   */
+  async reserveSlot(tx, { hospitalId, doctorId, appointmentDate, startTime, allowOverbooking = false }) {
+    const dateStr = new Date(appointmentDate).toISOString().split('T')[0];
+    const dateObj = new Date(dateStr);
+
+    if (dateStr < TimezoneUtil.getIstDateString()) {
+      throw slotError('Cannot book an appointment in the past', 'SLOT_UNAVAILABLE');
+    }
+
+    const doctor = await tx.doctor.findFirst({
+      where: { id: doctorId, hospitalId, status: 'active' },
+      select: { id: true }
+    });
+
+    if (!doctor) {
+      throw new Error('Doctor not found');
+    }
+
+    const lockKey = `slot:${doctorId}:${dateStr}`;
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+
+    const schedule = await queueService.getDoctorDaySchedule(doctorId, dateObj, hospitalId);
+    const appointments = await tx.appointment.findMany({
+      where: {
+        hospitalId,
+        doctorId,
+        appointmentDate: dateObj,
+        status: { in: SLOT.COUNTED_STATUSES }
+      },
+      select: { startTime: true }
+    });
+
+    const { slots } = this.buildSlots(schedule, appointments, dateObj);
+
+    if (slots.length === 0) {
+      throw slotError('Doctor is not available on the selected date', 'SLOT_UNAVAILABLE');
+    }
+
+    let slot;
+    if (startTime) {
+      const requestedMinutes = this.toMinutes(startTime);
+      slot = slots.find(s => requestedMinutes >= this.toMinutes(s.start) && requestedMinutes < this.toMinutes(s.end));
+
+      if (!slot) {
+        throw slotError('Selected time is outside the doctor\'s schedule', 'SLOT_UNAVAILABLE');
+      }
+    } else {
+      // Over capacity the earliest slot that has not ended takes the booking
+      slot = slots.find(s => s.available) || (allowOverbooking ? slots.find(s => s.blockedBy !== 'time') : null);
+
+      if (!slot) {
+        throw slotError('No slots available on the selected date', 'SLOT_FULL');
+      }
+    }
+
+    if (slot.blockedBy === 'time') {
+      throw slotError('Selected slot has already ended', 'SLOT_UNAVAILABLE');
+    }
+
+    if (!slot.available && !allowOverbooking) {
+      throw slotError('Selected slot is fully booked', 'SLOT_FULL');
+    }
+
+    return {
+      slot,
+      startTime: this.toTimeOfDay(slot.start),
+      endTime: this.toTimeOfDay(slot.end),
+      tokenNumber: await this.getNextTokenNumber(tx, doctorId, dateObj),
+      overbooked: !slot.available
+    };
+  }
+
+  /**
+   * Next token number of a doctor's day
+   *
+   * Must run under the doctor's day lock taken by reserveSlot. Numbers come
+   * from a per day counter, so a number is never handed out twice in a day,
+   * also after its appointment was deleted or moved to another day.
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} doctorId - Doctor ID
+   * @param {Date} appointmentDate - Day of the appointment
+   * @returns {Promise<number>} Token number
+   */
+  async getNextTokenNumber(tx, doctorId, appointmentDate) {
+    const where = { doctorId_date: { doctorId, date: appointmentDate } };
+    const counter = await tx.doctorTokenCounter.findUnique({ where });
+
+    if (counter) {
+      const { lastToken } = await tx.doctorTokenCounter.update({
+        where,
+        data: { lastToken: { increment: 1 } }
+      });
+      return lastToken;
+    }
+
+    // Days booked before the counter existed continue after their highest token
+    const { _max } = await tx.appointment.aggregate({
+      where: { doctorId, appointmentDate },
+      _max: { tokenNumber: true }
+    });
+
+    const { lastToken } = await tx.doctorTokenCounter.create({
+      data: { doctorId, date: appointmentDate, lastToken: (_max.tokenNumber || 0) + 1 }
+    });
+    return lastToken;
+  }
+
+  /**
+   * Invalidate cached slots of a doctor
+   */
+  async invalidateSlotCache(doctorId) {
+    try {
+      await redisService.deleteByPattern(`${SLOT.CACHE_PREFIX}${doctorId}:*`);
+    } catch (error) {
+      console.error('Error invalidating slot cache:', error);
+    }
+  }
+}
+
+module.exports = new SlotService();
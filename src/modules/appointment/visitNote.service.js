@@ -0,0 +1,195 @@
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const { VISIT_NOTE_WRITABLE_STATUSES, CACHE } = require('./appointment.constants');
+const { CACHE: PATIENT_CACHE } = require('../patient/patient.constants');
+
+/**
+ * Service layer for doctor visit notes attached to appointments
+ */
+class VisitNoteService {
+  /**
+   * Get an appointment that belongs to the hospital
+   */
+  async getHospitalAppointment(hospitalId, appointmentId) {
+    const appointment = await prisma.appointment.findFirst({
+      where: { id: appointmentId, hospitalId },
+      select: {
+        id: true,
+        hospitalId: true,
+        doctorId: true,
+        patientId: true,
+        patientName: true,
+        status: true
+      }
+    });
+
+    if (!appointment) {
+      throw new Error('Appointment not found');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Ensure notes can still be written for the appointment
+   */
+  assertWritable(appointment) {
+    if (!VISIT_NOTE_WRITABLE_STATUSES.includes(appointment.status)) {
+      throw new Error(`Visit notes cannot be modified for ${appointment.status} appointments`);
+    }
+  }
+
+  /**
+   * Get a non-deleted note for an appointment
+   */
+  async getActiveNote(appointmentId, noteId, tx = prisma) {
+    const note = await tx.visitNote.findFirst({
+      where: { id: noteId, appointmentId, deletedAt: null }
+    });
+
+    if (!note) {
+      throw new Error('Visit note not found');
+    }
+
+    return note;
+  }
+
+  /**
+   * Create a visit note for an appointment
+   */
+  async createNote(hospitalId, appointmentId, noteData) {
+    try {
+      const appointment = await this.getHospitalAppointment(hospitalId, appointmentId);
+      this.assertWritable(appointment);
+
+      const note = await prisma.visitNote.create({
+        data: {
+          appointmentId: appointment.id,
+          doctorId: appointment.doctorId,
+          patientName: appointment.patientName,
+          note: noteData.note,
+          createdAt: TimezoneUtil.getCurrentIst()
+        }
+      });
+
+      await this.invalidateCaches(appointment);
+
+      return note;
+    } catch (error) {
+      console.error('Error in createNote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a visit note, keeping the previous text in its history
+   *
+   * The note row is locked while its history is appended, so concurrent
+   * edits each keep the text they replaced.
+   */
+  async updateNote(hospitalId, appointmentId, noteId, noteData) {
+    try {
+      const appointment = await this.getHospitalAppointment(hospitalId, appointmentId);
+      this.assertWritable(appointment);
+
+      const note = await prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM visit_notes WHERE id = ${noteId}::uuid FOR UPDATE`;
+
+        const existingNote = await this.getActiveNote(appointmentId, noteId, tx);
+        const history = Array.isArray(existingNote.history) ? existingNote.history : [];
+
+        return tx.visitNote.update({
+          where: { id: existingNote.id },
+          data: {
+            note: noteData.note,
+            history: [
+              ...history,
+              {
+                note: existingNote.note,
+                editedAt: existingNote.updatedAt || existingNote.createdAt
+              }
+            ],
+            updatedAt: TimezoneUtil.getCurrentIst()
+          }
+        });
+      });
+
+      await this.invalidateCaches(appointment);
+
+      return note;
+    } catch (error) {
+      console.error('Error in updateNote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the notes of an appointment, oldest first
+   */
+  async listNotes(hospitalId, appointmentId) {
+    try {
+      await this.getHospitalAppointment(hospitalId, appointmentId);
+
+      return await prisma.visitNote.findMany({
+        where: { appointmentId, deletedAt: null },
+        include: {
+          doctor: {
+            select: {
+              id: true,
+              name: true,
+              specialization: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      console.error('Error in listNotes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a visit note
+   */
+  async deleteNote(hospitalId, appointmentId, noteId) {
+    try {
+      const appointment = await this.getHospitalAppointment(hospitalId, appointmentId);
+      this.assertWritable(appointment);
+
+      const existingNote = await this.getActiveNote(appointmentId, noteId);
+
+      await prisma.visitNote.update({
+        where: { id: existingNote.id },
+        data: { deletedAt: TimezoneUtil.getCurrentIst() }
+      });
+
+      await this.invalidateCaches(appointment);
+
+      return { success: true, message: 'Visit note deleted successfully' };
+    } catch (error) {
+      console.error('Error in deleteNote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notes show up in the dashboard statistics, the cached appointment and the patient timeline
+   */
+  async invalidateCaches(appointment) {
+    try {
+      await Promise.all([
+        redisService.deleteCache(`hospital:dashboard:${appointment.hospitalId}`),
+        redisService.deleteCache(`${CACHE.APPOINTMENT_PREFIX}${appointment.id}`),
+        ...(appointment.patientId
+          ? [redisService.deleteByPattern(`${PATIENT_CACHE.TIMELINE_PREFIX}${appointment.patientId}*`)]
+          : [])
+      ]);
+    } catch (error) {
+      console.error('Error invalidating visit note caches:', error);
+    }
+  }
+}
+
+module.exports = new VisitNoteService();
@@ -8,16 +8,29 @@ const DOCTOR_STATUS = {
   INACTIVE: 'inactive'
 };
 
+// Date specific schedule overrides
+// leave and closure remove working hours (the whole day when no timeRanges are given),
+// extra_hours adds working hours on top of the weekly schedule
+const SCHEDULE_OVERRIDE_TYPE = {
+  LEAVE: 'leave',
+  CLOSURE: 'closure',
+  EXTRA_HOURS: 'extra_hours'
+};
+
+const MAX_OVERRIDE_DAYS = 90;
+
 const CACHE_KEYS = {
   DOCTOR_DETAILS: 'doctor:details:', // Append doctorId
   DOCTOR_LIST: 'doctor:list:', // Append hospitalId
   DOCTOR_SCHEDULE: 'doctor:schedule:', // Append doctorId
+  SCHEDULE_OVERRIDES: 'schedule:overrides:', // Append hospitalId:date
 };
 
 const CACHE_EXPIRY = {
   DOCTOR_DETAILS: 30 * 60, // 30 minutes
   DOCTOR_LIST: 5 * 60, // 5 minutes
-  DOCTOR_SCHEDULE: 15 * 60 // 15 minutes
+  DOCTOR_SCHEDULE: 15 * 60, // 15 minutes
+  SCHEDULE_OVERRIDES: 10 * 60 // 10 minutes
 };
 
 const generateDefaultTimeRanges = () => {
@@ -36,6 +49,8 @@ const DEFAULT_SCHEDULE = {
 module.exports = {
   SCHEDULE_STATUS,
   DOCTOR_STATUS,
+  SCHEDULE_OVERRIDE_TYPE,
+  MAX_OVERRIDE_DAYS,
   CACHE_KEYS,
   CACHE_EXPIRY,
   DEFAULT_SCHEDULE,
@@ -1,4 +1,6 @@
 const doctorService = require('./doctor.service');
+const scheduleOverrideService = require('./scheduleOverride.service');
+const rescheduleService = require('../appointment/reschedule.service');
 
 class DoctorController {
   constructor() {
@@ -8,6 +10,11 @@ class DoctorController {
     this.updateDoctorSchedule = this.updateDoctorSchedule.bind(this);
     this.getDoctorDetails = this.getDoctorDetails.bind(this);
     this.listDoctors = this.listDoctors.bind(this);
+    this.listScheduleOverrides = this.listScheduleOverrides.bind(this);
+    this.createScheduleOverride = this.createScheduleOverride.bind(this);
+    this.deleteScheduleOverride = this.deleteScheduleOverride.bind(this);
+    this.getOverrideAffectedAppointments = this.getOverrideAffectedAppointments.bind(this);
+    this.resolveOverrideAppointments = this.resolveOverrideAppointments.bind(this);
   }
 
   async createDoctor(req, res) {
@@ -84,6 +91,10 @@ class DoctorController {
         return res.status(409).json({ error: error.message });
       }
 
+      if (error.code === 'PLAN_LIMIT_REACHED' || error.code === 'SUBSCRIPTION_EXPIRED') {
+        return res.status(402).json({ error: error.message, code: error.code });
+      }
+
       if (error.validationErrors) {
         return res.status(400).json({
           error: error.validationErrors
@@ -158,6 +169,114 @@ class DoctorController {
       return res.status(500).json({ error: 'Failed to fetch doctors' });
     }
   }
+
+  async listScheduleOverrides(req, res) {
+    try {
+      const overrides = await scheduleOverrideService.listOverrides(req.user.hospital_id, {
+        doctorId: req.query.doctorId,
+        from: req.query.from,
+        to: req.query.to
+      });
+
+      return res.json(overrides);
+    } catch (error) {
+      console.error('Error listing schedule overrides:', error);
+      return res.status(500).json({ error: 'Failed to fetch schedule overrides' });
+    }
+  }
+
+  async createScheduleOverride(req, res) {
+    try {
+      const { override, affectedAppointments } = await scheduleOverrideService.createOverride(
+        req.user.hospital_id,
+        req.body
+      );
+
+      return res.status(201).json({
+        message: 'Schedule override created successfully',
+        override,
+        affectedAppointments
+      });
+    } catch (error) {
+      console.error('Error creating schedule override:', error);
+
+      if (error.message === 'Doctor not found') {
+        return res.status(404).json({ error: error.message });
+      }
+
+      if (error.validationErrors) {
+        return res.status(400).json({
+          error: error.validationErrors
+        });
+      }
+
+      return res.status(500).json({ error: 'Failed to create schedule override' });
+    }
+  }
+
+  async deleteScheduleOverride(req, res) {
+    try {
+      await scheduleOverrideService.deleteOverride(req.user.hospital_id, req.params.overrideId);
+
+      return res.json({ message: 'Schedule override deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting schedule override:', error);
+
+      if (error.message === 'Schedule override not found') {
+        return res.status(404).json({ error: error.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to delete schedule override' });
+    }
+  }
+
+  async getOverrideAffectedAppointments(req, res) {
+    try {
+      const appointments = await scheduleOverrideService.getAffectedAppointments(
+        req.user.hospital_id,
+        req.params.overrideId
+      );
+
+      return res.json(appointments);
+    } catch (error) {
+      console.error('Error fetching appointments affected by override:', error);
+
+      if (error.message === 'Schedule override not found') {
+        return res.status(404).json({ error: error.message });
+      }
+
+      return res.status(500).json({ error: 'Failed to fetch affected appointments' });
+    }
+  }
+
+  async resolveOverrideAppointments(req, res) {
+    try {
+      const result = await rescheduleService.handleOverrideAppointments(
+        req.user.hospital_id,
+        req.params.overrideId,
+        req.body
+      );
+
+      return res.json({
+        message: result.action === 'cancel' ? 'Appointments cancelled' : 'Appointments moved',
+        ...result
+      });
+    } catch (error) {
+      console.error('Error resolving appointments affected by override:', error);
+
+      if (error.message === 'Schedule override not found') {
+        return res.status(404).json({ error: error.message });
+      }
+
+      if (error.validationErrors) {
+        return res.status(400).json({
+          error: error.validationErrors
+        });
+      }
+
+      return res.status(500).json({ error: 'Failed to update affected appointments' });
+    }
+  }
 }
 
 module.exports = new DoctorController();
\ No newline at end of file
@@ -2,6 +2,8 @@ const { prisma } = require('../../services/database.service');
 const redisService = require('../../services/redis.service');
 const messageService = require('../notification/message.service');
 const doctorValidator = require('./doctor.validator');
+const subscriptionService = require('../subscription/subscription.service');
+const { PLAN_RESOURCES } = require('../subscription/subscription.constants');
 const { CACHE_KEYS, CACHE_EXPIRY, DEFAULT_SCHEDULE, SCHEDULE_STATUS, DOCTOR_STATUS } = require('./doctor.constants');
 
 class DoctorService {
@@ -109,6 +111,11 @@ class DoctorService {
         throw new Error('Doctor Status is INACTIVE');
       }
 
+      // Reactivating a doctor takes a seat on the hospital's plan
+      if (validationResult.data.status === DOCTOR_STATUS.ACTIVE) {
+        await subscriptionService.assertWithinLimit(hospitalId, PLAN_RESOURCES.DOCTORS);
+      }
+
       // If this is a contact info update, check for duplicates
       if (validationResult.isContactUpdate) {
         const duplicateDoctor = await prisma.doctor.findFirst({
@@ -1,5 +1,5 @@
 const { z } = require('zod');
-const { SCHEDULE_STATUS, DOCTOR_STATUS } = require('./doctor.constants');
+const { SCHEDULE_STATUS, DOCTOR_STATUS, SCHEDULE_OVERRIDE_TYPE, MAX_OVERRIDE_DAYS } = require('./doctor.constants');
 
 class DoctorValidator {
   
@@ -14,6 +14,7 @@ class DoctorValidator {
       email: z.string().email(),
       photo: z.string().url().optional(),
       aadhar: z.string(),
+      consultationFee: z.number().int().min(0).optional(),
       status: z.enum([DOCTOR_STATUS.ACTIVE, DOCTOR_STATUS.INACTIVE]).default(DOCTOR_STATUS.ACTIVE)
     });
 
@@ -42,6 +43,7 @@ class DoctorValidator {
       qualification: z.string().min(2).max(1000).optional(),
       experience: z.union([z.number().int().min(0), z.string().regex(/^\d+$/).transform(Number)]).optional(),
       age: z.union([z.number().int().min(20).max(100), z.string().regex(/^\d+$/).transform(Number)]).optional(),
+      consultationFee: z.union([z.number().int().min(0), z.string().regex(/^\d+$/).transform(Number)]).nullable().optional(),
     });
 
     const contactInfoSchema = z.object({
@@ -225,6 +227,92 @@ class DoctorValidator {
     };
   }
 
+  validateScheduleOverrideData(data) {
+    const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format');
+
+    const timeRangeSchema = z.object({
+      start: z.string().regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format'),
+      end: z.string().regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format')
+    }).refine(data => data.start < data.end, {
+      message: 'End time must be after start time'
+    });
+
+    const overrideSchema = z.object({
+      type: z.enum(Object.values(SCHEDULE_OVERRIDE_TYPE)),
+      doctorId: z.string().uuid().optional(),
+      startDate: dateSchema,
+      endDate: dateSchema,
+      timeRanges: z.array(timeRangeSchema).default([]),
+      avgConsultationTime: z.number().int().positive().optional(),
+      reason: z.string().max(500).optional()
+    })
+      .refine(data => data.startDate <= data.endDate, {
+        message: 'End date must not be before start date',
+        path: ['endDate']
+      })
+      .refine(data => (new Date(data.endDate) - new Date(data.startDate)) / 86400000 < MAX_OVERRIDE_DAYS, {
+        message: `An override cannot span more than ${MAX_OVERRIDE_DAYS} days`,
+        path: ['endDate']
+      })
+      .refine(data => data.type === SCHEDULE_OVERRIDE_TYPE.CLOSURE || !!data.doctorId, {
+        message: 'Doctor ID is required for leave and extra hours',
+        path: ['doctorId']
+      })
+      .refine(data => data.type !== SCHEDULE_OVERRIDE_TYPE.CLOSURE || !data.doctorId, {
+        message: 'Closures apply to the whole hospital, use leave for a single doctor',
+        path: ['doctorId']
+      })
+      .refine(data => data.type !== SCHEDULE_OVERRIDE_TYPE.EXTRA_HOURS || data.timeRanges.length > 0, {
+        message: 'Extra hours require at least one time range',
+        path: ['timeRanges']
+      });
+
+    try {
+      const validatedData = overrideSchema.parse(data);
+      return {
+        isValid: true,
+        data: validatedData
+      };
+    } catch (error) {
+      return {
+        isValid: false,
+        errors: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      };
+    }
+  }
+
+  validateOverrideAppointmentsAction(data) {
+    const actionSchema = z.object({
+      action: z.enum(['cancel', 'move']),
+      appointmentIds: z.array(z.string().uuid()).min(1).optional(),
+      targetDoctorId: z.string().uuid().optional(),
+      targetDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+      notifyPatients: z.boolean().default(true)
+    }).refine(data => data.action !== 'move' || !!data.targetDoctorId || !!data.targetDate, {
+      message: 'Moving appointments requires a target doctor or a target date',
+      path: ['action']
+    });
+
+    try {
+      const validatedData = actionSchema.parse(data);
+      return {
+        isValid: true,
+        data: validatedData
+      };
+    } catch (error) {
+      return {
+        isValid: false,
+        errors: error.errors.map(err => ({
+          field: err.path.join('.'),
+          message: err.message
+        }))
+      };
+    }
+  }
+
   // Helper method to add minutes to time string
   addMinutesToTime(timeStr, minutes) {
     const [hours, mins] = timeStr.split(':').map(Number);
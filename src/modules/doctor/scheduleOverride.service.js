@@ -0,0 +1,305 @@
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const doctorValidator = require('./doctor.validator');
+const { CACHE_KEYS, CACHE_EXPIRY, DEFAULT_SCHEDULE, SCHEDULE_STATUS, SCHEDULE_OVERRIDE_TYPE } = require('./doctor.constants');
+
+class ScheduleOverrideService {
+
+  async createOverride(hospitalId, overrideData) {
+    try {
+      const validationResult = doctorValidator.validateScheduleOverrideData(overrideData);
+      if (!validationResult.isValid) {
+        throw Object.assign(new Error('Validation failed'), { validationErrors: validationResult.errors });
+      }
+
+      const data = validationResult.data;
+
+      if (data.doctorId) {
+        const doctor = await prisma.doctor.findFirst({
+          where: { id: data.doctorId, hospitalId },
+          select: { id: true }
+        });
+
+        if (!doctor) {
+          throw new Error('Doctor not found');
+        }
+      }
+
+      const override = await prisma.scheduleOverride.create({
+        data: {
+          hospitalId,
+          doctorId: data.doctorId || null,
+          type: data.type,
+          startDate: new Date(data.startDate),
+          endDate: new Date(data.endDate),
+          timeRanges: data.timeRanges,
+          avgConsultationTime: data.avgConsultationTime || null,
+          reason: data.reason || null
+        }
+      });
+
+      await this.invalidateOverrideCaches(hospitalId, override.doctorId);
+
+      // Bookings inside a new leave or closure are returned so the hospital can cancel or move them
+      const affectedAppointments = override.type === SCHEDULE_OVERRIDE_TYPE.EXTRA_HOURS
+        ? []
+        : await this.findAffectedAppointments(override);
+
+      return { override, affectedAppointments };
+    } catch (error) {
+      console.error('Error in createOverride:', error);
+      throw error;
+    }
+  }
+
+  async listOverrides(hospitalId, filters = {}) {
+    try {
+      const where = { hospitalId };
+
+      if (filters.doctorId) {
+        // Hospital closures apply to every doctor
+        where.OR = [{ doctorId: filters.doctorId }, { doctorId: null }];
+      }
+      if (filters.from) {
+        where.endDate = { gte: new Date(filters.from) };
+      }
+      if (filters.to) {
+        where.startDate = { lte: new Date(filters.to) };
+      }
+
+      return await prisma.scheduleOverride.findMany({
+        where,
+        include: {
+          doctor: {
+            select: {
+              id: true,
+              name: true,
+              specialization: true
+            }
+          }
+        },
+        orderBy: { startDate: 'asc' }
+      });
+    } catch (error) {
+      console.error('Error in listOverrides:', error);
+      throw error;
+    }
+  }
+
+  async getOverride(hospitalId, overrideId) {
+    const override = await prisma.scheduleOverride.findFirst({
+      where: { id: overrideId, hospitalId }
+    });
+
+    if (!override) {
+      throw new Error('Schedule override not found');
+    }
+
+    return override;
+  }
+
+  async deleteOverride(hospitalId, overrideId) {
+    try {
+      const override = await this.getOverride(hospitalId, overrideId);
+
+      await prisma.scheduleOverride.delete({
+        where: { id: override.id }
+      });
+
+      await this.invalidateOverrideCaches(hospitalId, override.doctorId);
+
+      return override;
+    } catch (error) {
+      console.error('Error in deleteOverride:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the overrides that apply to a doctor on a date, including hospital closures
+   */
+  async getOverridesForDate(hospitalId, doctorId, date) {
+    const dateStr = new Date(date).toISOString().split('T')[0];
+    const cacheKey = `${CACHE_KEYS.SCHEDULE_OVERRIDES}${hospitalId}:${dateStr}`;
+
+    let overrides = await redisService.getCache(cacheKey);
+
+    if (!overrides) {
+      const dateObj = new Date(dateStr);
+      overrides = await prisma.scheduleOverride.findMany({
+        where: {
+          hospitalId,
+          startDate: { lte: dateObj },
+          endDate: { gte: dateObj }
+        },
+        select: {
+          id: true,
+          doctorId: true,
+          type: true,
+          timeRanges: true,
+          avgConsultationTime: true,
+          reason: true
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      await redisService.setCache(cacheKey, overrides, CACHE_EXPIRY.SCHEDULE_OVERRIDES);
+    }
+
+    return overrides.filter(override => !override.doctorId || override.doctorId === doctorId);
+  }
+
+  /**
+   * Apply date specific overrides on top of a weekly schedule
+   * @param {Object|null} schedule - Weekly schedule for the day
+   * @param {Array} overrides - Overrides that apply to the day
+   * @returns {Object|null} Effective schedule for the day
+   */
+  applyOverrides(schedule, overrides) {
+    if (!overrides || overrides.length === 0) {
+      return schedule;
+    }
+
+    const isActive = schedule && schedule.status === SCHEDULE_STATUS.ACTIVE;
+    let timeRanges = isActive && Array.isArray(schedule.timeRanges) ? [...schedule.timeRanges] : [];
+    let avgConsultationTime = isActive ? schedule.avgConsultationTime : null;
+
+    overrides
+      .filter(override => override.type === SCHEDULE_OVERRIDE_TYPE.EXTRA_HOURS)
+      .forEach(override => {
+        timeRanges = this.mergeTimeRanges([...timeRanges, ...override.timeRanges]);
+        avgConsultationTime = avgConsultationTime || override.avgConsultationTime || DEFAULT_SCHEDULE.avgConsultationTime;
+      });
+
+    overrides
+      .filter(override => override.type !== SCHEDULE_OVERRIDE_TYPE.EXTRA_HOURS)
+      .forEach(override => {
+        timeRanges = override.timeRanges.length === 0
+          ? []
+          : this.subtractTimeRanges(timeRanges, override.timeRanges);
+      });
+
+    return {
+      ...(schedule || {}),
+      avgConsultationTime: avgConsultationTime || schedule?.avgConsultationTime || DEFAULT_SCHEDULE.avgConsultationTime,
+      timeRanges,
+      status: timeRanges.length > 0 ? SCHEDULE_STATUS.ACTIVE : SCHEDULE_STATUS.INACTIVE,
+      overrides: overrides.map(({ id, type, reason }) => ({ id, type, reason }))
+    };
+  }
+
+  /**
+   * Booked appointments that fall inside a leave or closure
+   */
+  async findAffectedAppointments(override) {
+    const appointments = await prisma.appointment.findMany({
+      where: {
+        hospitalId: override.hospitalId,
+        ...(override.doctorId && { doctorId: override.doctorId }),
+        appointmentDate: {
+          gte: override.startDate,
+          lte: override.endDate
+        },
+        status: 'booked'
+      },
+      include: {
+        doctor: {
+          select: {
+            id: true,
+            name: true
+          }
+        }
+      },
+      orderBy: [
+        { appointmentDate: 'asc' },
+        { startTime: 'asc' }
+      ]
+    });
+
+    const blockedRanges = Array.isArray(override.timeRanges) ? override.timeRanges : [];
+    if (blockedRanges.length === 0) {
+      return appointments;
+    }
+
+    return appointments.filter(appointment => {
+      if (!appointment.startTime) return true;
+      const time = new Date(appointment.startTime).toTimeString().slice(0, 5);
+      return blockedRanges.some(range => time >= range.start && time < range.end);
+    });
+  }
+
+  async getAffectedAppointments(hospitalId, overrideId) {
+    try {
+      const override = await this.getOverride(hospitalId, overrideId);
+
+      if (override.type === SCHEDULE_OVERRIDE_TYPE.EXTRA_HOURS) {
+        return [];
+      }
+
+      return await this.findAffectedAppointments(override);
+    } catch (error) {
+      console.error('Error in getAffectedAppointments:', error);
+      throw error;
+    }
+  }
+
+  async invalidateOverrideCaches(hospitalId, doctorId) {
+    try {
+      let doctorIds = [doctorId];
+
+      if (!doctorId) {
+        const doctors = await prisma.doctor.findMany({
+          where: { hospitalId },
+          select: { id: true }
+        });
+        doctorIds = doctors.map(doctor => doctor.id);
+      }
+
+      await Promise.all([
+        redisService.deleteByPattern(`${CACHE_KEYS.SCHEDULE_OVERRIDES}${hospitalId}:*`),
+        redisService.deleteByPattern('hospital:public:*'),
+        ...doctorIds.flatMap(id => [
+          redisService.deleteByPattern(`queue:day_schedule:${id}:*`),
+          redisService.deleteByPattern(`slots:${id}:*`)
+        ])
+      ]);
+    } catch (error) {
+      console.error('Error invalidating schedule override caches:', error);
+    }
+  }
+
+  // Helper methods
+
+  mergeTimeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.start.localeCompare(b.start));
+
+    return sorted.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = range.end > last.end ? range.end : last.end;
+      } else {
+        merged.push({ start: range.start, end: range.end });
+      }
+      return merged;
+    }, []);
+  }
+
+  subtractTimeRanges(ranges, blockedRanges) {
+    return blockedRanges.reduce((remaining, blocked) => remaining.flatMap(range => {
+      if (blocked.end <= range.start || blocked.start >= range.end) {
+        return [range];
+      }
+
+      const pieces = [];
+      if (blocked.start > range.start) {
+        pieces.push({ start: range.start, end: blocked.start });
+      }
+      if (blocked.end < range.end) {
+        pieces.push({ start: blocked.end, end: range.end });
+      }
+      return pieces;
+    }), ranges);
+  }
+}
+
+module.exports = new ScheduleOverrideService();
@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const queueService = require('../appointment/advanced-queue.service');
+const { APPOINTMENT_STATUS } = require('../appointment/appointment.constants');
+const { DISPLAY_BOARD } = require('./hospital.constants');
+
+const displayError = (message, code) => Object.assign(new Error(message), { code });
+
+const DISPLAY_KEY_SELECT = {
+  id: true,
+  name: true,
+  keyPrefix: true,
+  createdBy: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * Waiting-room display boards
+ *
+ * A board shows, per doctor with patients today, who is in consultation,
+ * the next few patients and the expected delay. Patient names are masked.
+ * Screens authenticate with a display key created by an admin instead of a
+ * user login, and revoking the key shuts the screen out. Open board streams
+ * are refreshed from the `queue:updates` channel.
+ */
+class DisplayBoardService {
+  constructor() {
+    this.streams = new Map(); // hospitalId -> Set of open streams
+    this.subscribed = false;
+  }
+
+  async listKeys(hospitalId) {
+    return prisma.displayKey.findMany({
+      where: { hospitalId },
+      select: DISPLAY_KEY_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Create a display key, the key itself is only returned here
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} name - Name of the screen
+   * @param {string|null} createdBy - Supabase user ID of the admin
+   * @returns {Promise<Object>} Stored key details and the key
+   */
+  async createKey(hospitalId, name, createdBy = null) {
+    const activeKeys = await prisma.displayKey.count({
+      where: { hospitalId, revokedAt: null }
+    });
+
+    if (activeKeys >= DISPLAY_BOARD.MAX_KEYS) {
+      throw displayError(`A hospital can have at most ${DISPLAY_BOARD.MAX_KEYS} active display keys`, 'DISPLAY_KEY_LIMIT');
+    }
+
+    const key = crypto.randomBytes(DISPLAY_BOARD.KEY_BYTES).toString('base64url');
+    const displayKey = await prisma.displayKey.create({
+      data: {
+        hospitalId,
+        name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : 'Waiting room display',
+        keyHash: this.hashKey(key),
+        keyPrefix: key.slice(0, DISPLAY_BOARD.KEY_PREFIX_LENGTH),
+        createdBy
+      },
+      select: DISPLAY_KEY_SELECT
+    });
+
+    return { ...displayKey, key };
+  }
+
+  async revokeKey(hospitalId, keyId) {
+    const displayKey = await prisma.displayKey.findFirst({
+      where: { id: keyId, hospitalId }
+    });
+
+    if (!displayKey) {
+      throw new Error('Display key not found');
+    }
+
+    const revoked = await prisma.displayKey.update({
+      where: { id: keyId },
+      data: { revokedAt: displayKey.revokedAt || new Date() },
+      select: DISPLAY_KEY_SELECT
+    });
+
+    await redisService.deleteCache(`${DISPLAY_BOARD.KEY_CACHE_PREFIX}${displayKey.keyHash}`);
+
+    return revoked;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Hospital of a display key, the key must be active and belong to the subdomain
+   * @param {string} subdomain - Hospital subdomain
+   * @param {string} key - Display key
+   * @returns {Promise<Object>} Hospital id, name, logo, theme color and subdomain
+   */
+  async authenticate(subdomain, key) {
+    if (!key || typeof key !== 'string') {
+      throw displayError('Display key is required', 'INVALID_DISPLAY_KEY');
+    }
+
+    const keyHash = this.hashKey(key);
+    const cacheKey = `${DISPLAY_BOARD.KEY_CACHE_PREFIX}${keyHash}`;
+
+    let hospital = await redisService.getCache(cacheKey);
+
+    if (!hospital) {
+      const displayKey = await prisma.displayKey.findUnique({
+        where: { keyHash },
+        include: {
+          hospital: {
+            select: { id: true, name: true, logo: true, themeColor: true, subdomain: true }
+          }
+        }
+      });
+
+      if (!displayKey || displayKey.revokedAt) {
+        throw displayError('Invalid or revoked display key', 'INVALID_DISPLAY_KEY');
+      }
+
+      hospital = displayKey.hospital;
+      await Promise.all([
+        redisService.setCache(cacheKey, hospital, DISPLAY_BOARD.KEY_CACHE_TTL),
+        prisma.displayKey.update({
+          where: { id: displayKey.id },
+          data: { lastUsedAt: new Date() }
+        })
+      ]);
+    }
+
+    if (hospital.subdomain !== subdomain) {
+      throw displayError('Invalid or revoked display key', 'INVALID_DISPLAY_KEY');
+    }
+
+    return hospital;
+  }
+
+  /**
+   * Today's board of a hospital, cached briefly
+   * @param {Object} hospital - Hospital id, name, logo and theme color
+   * @param {boolean} skipCache - Whether to bypass cache
+   * @returns {Promise<Object>} A card per doctor with patients waiting or in consultation
+   */
+  async getBoard(hospital, skipCache = false) {
+    const cacheKey = `${DISPLAY_BOARD.BOARD_CACHE_PREFIX}${hospital.id}`;
+
+    if (!skipCache) {
+      const cachedBoard = await redisService.getCache(cacheKey);
+      if (cachedBoard) {
+        return cachedBoard;
+      }
+    }
+
+    const appointmentDate = new Date(TimezoneUtil.getIstDateString());
+    const appointments = await prisma.appointment.findMany({
+      where: {
+        hospitalId: hospital.id,
+        appointmentDate,
+        status: { in: [APPOINTMENT_STATUS.BOOKED, APPOINTMENT_STATUS.IN_CONSULTATION] }
+      },
+      select: { id: true, doctorId: true, patientName: true, tokenNumber: true }
+    });
+
+    const patients = new Map(appointments.map(appointment => [appointment.id, appointment]));
+    const doctors = await prisma.doctor.findMany({
+      where: {
+        hospitalId: hospital.id,
+        id: { in: [...new Set(appointments.map(appointment => appointment.doctorId))] }
+      },
+      select: { id: true, name: true, specialization: true, photo: true },
+      orderBy: { name: 'asc' }
+    });
+
+    const cards = [];
+    for (const doctor of doctors) {
+      try {
+        const forecast = await queueService.getDayForecast(hospital.id, doctor.id, appointmentDate);
+        cards.push(this.buildDoctorCard(doctor, forecast, patients));
+      } catch (error) {
+        console.error(`Error building display board card for doctor ${doctor.id}:`, error);
+      }
+    }
+
+    const board = {
+      hospital: {
+        name: hospital.name,
+        logo: hospital.logo,
+        themeColor: hospital.themeColor
+      },
+      date: appointmentDate.toISOString().split('T')[0],
+      doctors: cards,
+      refreshedAt: TimezoneUtil.getIstISOString(TimezoneUtil.getCurrentIst())
+    };
+
+    await redisService.setCache(cacheKey, board, DISPLAY_BOARD.BOARD_CACHE_TTL);
+
+    return board;
+  }
+
+  /**
+   * Board card of a doctor from the whole-day forecast, only masked names leave this method
+   */
+  buildDoctorCard(doctor, forecast, patients) {
+    const showPatient = appointmentId => ({
+      tokenNumber: patients.get(appointmentId)?.tokenNumber ?? null,
+      patientName: this.maskName(patients.get(appointmentId)?.patientName)
+    });
+
+    const next = Object.entries(forecast.entries)
+      .sort(([, a], [, b]) => a.position - b.position)
+      .slice(0, DISPLAY_BOARD.NEXT_PATIENTS)
+      .map(([appointmentId, entry]) => ({
+        position: entry.position,
+        ...showPatient(appointmentId),
+        expectedTime: this.formatTime(entry.expectedStart),
+        delayMinutes: entry.delayMinutes
+      }));
+
+    return {
+      doctor,
+      current: forecast.currentAppointmentId ? showPatient(forecast.currentAppointmentId) : null,
+      next,
+      waiting: forecast.waiting,
+      delayMinutes: next[0]?.delayMinutes || 0,
+      delay: forecast.delay
+        ? { delayMinutes: forecast.delay.delayMinutes, availableFrom: this.formatTime(forecast.delay.availableFrom), reason: forecast.delay.reason }
+        : null,
+      earlyFinish: forecast.earlyFinish
+    };
+  }
+
+  /**
+   * First letter of every word of a name, e.g. "Ravi Kumar" becomes "R*** K***"
+   */
+  maskName(name) {
+    if (!name) return null;
+
+    return name.trim().split(/\s+/).map(word => `${word.charAt(0).toUpperCase()}***`).join(' ');
+  }
+
+  formatTime(isoString) {
+    return TimezoneUtil.utcToIst(new Date(isoString)).toISOString().substring(11, 16);
+  }
+
+  /**
+   * Open a board event stream for a display screen
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} subdomain - Hospital subdomain
+   * @param {string} key - Display key
+   * @returns {Promise<void>}
+   */
+  async openStream(req, res, subdomain, key) {
+    const hospital = await this.authenticate(subdomain, key);
+    const board = await this.getBoard(hospital);
+
+    await this.subscribe();
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const stream = { res, hospital, subdomain, key, heartbeat: null };
+
+    // A revoked key is noticed at the next heartbeat
+    stream.heartbeat = setInterval(() => {
+      this.authenticate(subdomain, key)
+        .then(() => res.write(': ping\n\n'))
+        .catch(error => {
+          if (error.code !== 'INVALID_DISPLAY_KEY') return;
+          this.send(stream, 'error', { message: error.message, code: 'DISPLAY_KEY_REVOKED' });
+          this.closeStream(stream);
+        });
+    }, DISPLAY_BOARD.HEARTBEAT_INTERVAL);
+
+    if (!this.streams.has(hospital.id)) {
+      this.streams.set(hospital.id, new Set());
+    }
+    this.streams.get(hospital.id).add(stream);
+
+    req.on('close', () => this.closeStream(stream));
+
+    this.send(stream, 'board-update', board);
+  }
+
+  closeStream(stream) {
+    clearInterval(stream.heartbeat);
+
+    const streams = this.streams.get(stream.hospital.id);
+    if (streams) {
+      streams.delete(stream);
+      if (streams.size === 0) {
+        this.streams.delete(stream.hospital.id);
+      }
+    }
+
+    if (!stream.res.writableEnded) {
+      stream.res.end();
+    }
+  }
+
+  send(stream, event, data) {
+    stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  async subscribe() {
+    if (this.subscribed) return;
+    this.subscribed = true;
+
+    try {
+      await redisService.subscribe('queue:updates', (updateData) => {
+        this.handleQueueUpdate(updateData).catch(error => console.error('Error refreshing display boards:', error));
+      });
+    } catch (error) {
+      this.subscribed = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Send the open boards of a hospital the refreshed board
+   */
+  async handleQueueUpdate(updateData) {
+    const streams = this.streams.get(updateData?.hospitalId);
+    if (!streams || streams.size === 0) return;
+
+    const [first] = streams;
+    const board = await this.getBoard(first.hospital, true);
+
+    for (const stream of streams) {
+      this.send(stream, 'board-update', board);
+    }
+  }
+
+  /**
+   * End all open streams so the HTTP server can close
+   */
+  closeAll() {
+    for (const streams of this.streams.values()) {
+      for (const stream of streams) {
+        this.closeStream(stream);
+      }
+    }
+  }
+}
+
+module.exports = new DisplayBoardService();
@@ -29,11 +29,25 @@ const LICENSE_WARNING_TYPES = {
   LOW_CREDITS: 'LOW_CREDITS'
 };
 
+// Waiting-room display boards
+const DISPLAY_BOARD = {
+  KEY_BYTES: 24,
+  KEY_PREFIX_LENGTH: 8, // shown in the key list so admins can tell screens apart
+  MAX_KEYS: 20,
+  NEXT_PATIENTS: 3,
+  BOARD_CACHE_PREFIX: 'display:board:',
+  BOARD_CACHE_TTL: 15, // seconds
+  KEY_CACHE_PREFIX: 'display:key:',
+  KEY_CACHE_TTL: 5 * 60, // seconds, revoking a key clears it at once
+  HEARTBEAT_INTERVAL: 25 * 1000 // milliseconds, also when the key of an open stream is checked again
+};
+
 
 module.exports = {
   ALLOWED_UPDATE_FIELDS,
   DEFAULT_THEME_COLOR,
   LICENSE_WARNING_TYPES,
+  DISPLAY_BOARD,
   ALLOWED_ADDRESS_UPDATE_FIELDS,
   ALLOWED_CONTACT_INFO
 };
\ No newline at end of file
@@ -1,5 +1,11 @@
 const hospitalService = require('./hospital.service');
 const formService = require('../../services/form.service');
+const messageUsageService = require('../notification/messageUsage.service');
+const reminderService = require('../appointment/reminder.service');
+const queueService = require('../appointment/advanced-queue.service');
+const displayBoardService = require('./displayBoard.service');
+const appointmentValidator = require('../appointment/appointment.validator');
+const { MESSAGE_QUOTA } = require('../notification/notification.constants');
 
 class HospitalController {
   constructor() {
@@ -10,8 +16,18 @@ class HospitalController {
     this.verifyEditOTP = this.verifyEditOTP.bind(this);
     this.updateHospitalDetails = this.updateHospitalDetails.bind(this);
     this.getDashboardStats = this.getDashboardStats.bind(this);
+    this.getUsage = this.getUsage.bind(this);
+    this.getReminderSettings = this.getReminderSettings.bind(this);
+    this.updateReminderSettings = this.updateReminderSettings.bind(this);
+    this.getQueueSettings = this.getQueueSettings.bind(this);
+    this.updateQueueSettings = this.updateQueueSettings.bind(this);
     this.getFormConfig = this.getFormConfig.bind(this);
     this.resetFormConfig = this.resetFormConfig.bind(this);
+    this.listDisplayKeys = this.listDisplayKeys.bind(this);
+    this.createDisplayKey = this.createDisplayKey.bind(this);
+    this.revokeDisplayKey = this.revokeDisplayKey.bind(this);
+    this.getDisplayBoard = this.getDisplayBoard.bind(this);
+    this.streamDisplayBoard = this.streamDisplayBoard.bind(this);
   }
 
   async createHospital(req, res) {
@@ -134,6 +150,79 @@ class HospitalController {
     }
   }
 
+  async getUsage(req, res) {
+    try {
+      const months = parseInt(req.query.months, 10) || MESSAGE_QUOTA.HISTORY_MONTHS;
+      const usage = await messageUsageService.getUsage(req.user.hospital_id, Math.min(Math.max(months, 1), 24));
+      return res.json(usage);
+    } catch (error) {
+      console.error('Error fetching message usage:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async getReminderSettings(req, res) {
+    try {
+      const settings = await reminderService.getSettings(req.user.hospital_id);
+      return res.json(settings);
+    } catch (error) {
+      console.error('Error fetching reminder settings:', error);
+      if (error.message === 'Hospital not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateReminderSettings(req, res) {
+    try {
+      const { error, value } = appointmentValidator.validateReminderSettings(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          validationErrors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const settings = await reminderService.updateSettings(req.user.hospital_id, value);
+      return res.json(settings);
+    } catch (error) {
+      console.error('Error updating reminder settings:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async getQueueSettings(req, res) {
+    try {
+      const settings = await queueService.getQueueSettings(req.user.hospital_id);
+      return res.json(settings);
+    } catch (error) {
+      console.error('Error fetching queue settings:', error);
+      if (error.message === 'Hospital not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateQueueSettings(req, res) {
+    try {
+      const { error, value } = appointmentValidator.validateQueueSettings(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          validationErrors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const settings = await queueService.updateQueueSettings(req.user.hospital_id, value);
+      return res.json(settings);
+    } catch (error) {
+      console.error('Error updating queue settings:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
   async getFormConfig(req, res) {
     try {
       const config = await formService.getConfig();
@@ -169,6 +258,90 @@ class HospitalController {
       });
     }
   }
+
+  async listDisplayKeys(req, res) {
+    try {
+      const keys = await displayBoardService.listKeys(req.user.hospital_id);
+      return res.json(keys);
+    } catch (error) {
+      console.error('Error listing display keys:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async createDisplayKey(req, res) {
+    try {
+      const displayKey = await displayBoardService.createKey(req.user.hospital_id, req.body?.name, req.user.id);
+      return res.status(201).json({
+        message: 'Display key created, it will not be shown again',
+        displayKey
+      });
+    } catch (error) {
+      console.error('Error creating display key:', error);
+      if (error.code === 'DISPLAY_KEY_LIMIT') {
+        return res.status(400).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async revokeDisplayKey(req, res) {
+    try {
+      const displayKey = await displayBoardService.revokeKey(req.user.hospital_id, req.params.keyId);
+      return res.json({
+        message: 'Display key revoked',
+        displayKey
+      });
+    } catch (error) {
+      console.error('Error revoking display key:', error);
+      if (error.message === 'Display key not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Public board of a waiting-room screen, authenticated with its display key
+   */
+  async getDisplayBoard(req, res) {
+    try {
+      const hospital = await displayBoardService.authenticate(req.params.subdomain, getDisplayKey(req));
+      const board = await displayBoardService.getBoard(hospital);
+      return res.json(board);
+    } catch (error) {
+      console.error('Error fetching display board:', error);
+      if (error.code === 'INVALID_DISPLAY_KEY') {
+        return res.status(401).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Live board of a waiting-room screen as Server-Sent Events
+   */
+  async streamDisplayBoard(req, res) {
+    try {
+      await displayBoardService.openStream(req, res, req.params.subdomain, getDisplayKey(req));
+    } catch (error) {
+      console.error('Error opening display board stream:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      if (error.code === 'INVALID_DISPLAY_KEY') {
+        return res.status(401).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+/**
+ * Display key of a screen, from a header or, for EventSource which cannot send headers, the query string
+ */
+function getDisplayKey(req) {
+  return req.get('X-Display-Key') || req.query.key;
 }
 
 module.exports = new HospitalController();
\ No newline at end of file
@@ -4,6 +4,7 @@ const hospitalValidator = require('./hospital.validator');
 const messageService = require('../notification/message.service');
 const redisService = require('../../services/redis.service');
 const { utcToIst, istToUtc } = require('../../utils/timezone.util');
+const { APPOINTMENT_STATUS } = require('../appointment/appointment.constants');
 const { 
   ALLOWED_UPDATE_FIELDS, 
   DEFAULT_THEME_COLOR,
@@ -30,6 +31,15 @@ class HospitalService {
         throw new Error('Hospital already exists for this user');
       }
 
+      // Staff and doctor logins belong to the hospital that invited them
+      const hospitalUser = await prisma.hospitalUser.findUnique({
+        where: { supabaseUserId },
+        select: { id: true }
+      });
+      if (hospitalUser) {
+        throw new Error('Hospital already exists for this user');
+      }
+
       // Use transaction to ensure data consistency with increased timeout (15s)
       const newHospital = await prisma.$transaction(
         async (tx) => {
@@ -482,6 +492,10 @@ class HospitalService {
                   name: true,
                   specialization: true
                 }
+              },
+              visitNotes: {
+                where: { deletedAt: null },
+                select: { id: true }
               }
             }
           },
@@ -522,7 +536,7 @@ class HospitalService {
           doctorPerformance: this.calculateDoctorPerformance(appointments),
           peakHours: this.analyzePeakHours(appointments),
           patientFlow: this.analyzePatientFlow(appointments),
-          durationAnalysis: this.analyzeAppointmentDurations(appointments)
+          durationAnalysis: this.analyzeAppointmentDurations(appointments, doctors)
         };
       } catch (analyticsError) {
         console.error('Error calculating appointment analytics:', analyticsError);
@@ -675,8 +689,8 @@ class HospitalService {
   analyzePatientFlow(appointments) {
     const patientVisits = {};
     appointments.forEach(apt => {
-      const mobile = apt.mobile;
-      patientVisits[mobile] = (patientVisits[mobile] || 0) + 1;
+      const patientKey = apt.patientId || apt.mobile;
+      patientVisits[patientKey] = (patientVisits[patientKey] || 0) + 1;
     });
 
     const newPatients = Object.values(patientVisits).filter(visits => visits === 1).length;
@@ -689,24 +703,34 @@ class HospitalService {
     };
   }
 
-  analyzeAppointmentDurations(appointments) {
+  /**
+   * Measured consultation durations against the avg consultation time of the doctor's schedule for that weekday
+   */
+  analyzeAppointmentDurations(appointments, doctors = []) {
+    const scheduledByDoctorDay = {};
+    doctors.forEach(doctor => {
+      (doctor.schedules || []).forEach(schedule => {
+        scheduledByDoctorDay[`${doctor.id}:${schedule.dayOfWeek}`] = schedule.avgConsultationTime;
+      });
+    });
+
     const durations = appointments
-      .filter(apt => apt.status === 'COMPLETED' && apt.actualStartTime && apt.actualEndTime)
+      .filter(apt => apt.status === APPOINTMENT_STATUS.COMPLETED && apt.consultationStartedAt && apt.consultationEndedAt)
       .map(apt => {
-        const scheduled = apt.scheduledDuration || 15; // default 15 minutes
-        const actualStart = utcToIst(apt.actualStartTime);
-        const actualEnd = utcToIst(apt.actualEndTime);
-        const actual = (actualEnd - actualStart) / 60000; // in minutes
+        const dayOfWeek = new Date(apt.appointmentDate).getUTCDay();
+        const scheduled = scheduledByDoctorDay[`${apt.doctorId}:${dayOfWeek}`] || 15; // default 15 minutes
+        const actual = (new Date(apt.consultationEndedAt) - new Date(apt.consultationStartedAt)) / 60000; // in minutes
         return { scheduled, actual };
-      });
+      })
+      .filter(d => d.actual > 0);
 
-    if (durations.length === 0) return { averageScheduled: 15, averageActual: null, variance: null };
+    if (durations.length === 0) return { averageScheduled: 15, averageActual: null, variance: null, totalSamples: 0 };
 
     const averageScheduled = durations.reduce((sum, d) => sum + d.scheduled, 0) / durations.length;
     const averageActual = durations.reduce((sum, d) => sum + d.actual, 0) / durations.length;
     const variance = durations.reduce((sum, d) => sum + Math.abs(d.actual - d.scheduled), 0) / durations.length;
 
-    return { averageScheduled, averageActual, variance };
+    return { averageScheduled, averageActual, variance, totalSamples: durations.length };
   }
 
   calculatePaymentStatusOverview(appointments) {
@@ -943,7 +967,7 @@ class HospitalService {
   }
 
   analyzeVisitNotesCompletion(appointments) {
-    const completedAppointments = appointments.filter(apt => apt.status === 'COMPLETED');
+    const completedAppointments = appointments.filter(apt => apt.status === 'completed');
     const withNotes = completedAppointments.filter(apt => apt.visitNotes && apt.visitNotes.length > 0);
 
     return {
@@ -1011,16 +1035,17 @@ class HospitalService {
   calculatePatientRetention(appointments) {
     const patientVisits = {};
     appointments.forEach(apt => {
-      const mobile = apt.mobile;
-      if (!patientVisits[mobile]) {
-        patientVisits[mobile] = {
+      // Appointments booked before the patient registry only have a mobile number
+      const patientKey = apt.patientId || apt.mobile;
+      if (!patientVisits[patientKey]) {
+        patientVisits[patientKey] = {
           visits: 1,
           firstVisit: apt.appointmentDate,
           lastVisit: apt.appointmentDate
         };
       } else {
-        patientVisits[mobile].visits++;
-        patientVisits[mobile].lastVisit = apt.appointmentDate;
+        patientVisits[patientKey].visits++;
+        patientVisits[patientKey].lastVisit = apt.appointmentDate;
       }
     });
 
@@ -1060,13 +1085,18 @@ class HospitalService {
     };
   }
 
+  /**
+   * Minutes between the later of slot start and check-in, and the start of the consultation
+   */
   analyzeWaitTimes(appointments) {
     const waitTimes = appointments
-      .filter(apt => apt.status === 'COMPLETED' && apt.scheduledStartTime && apt.actualStartTime)
+      .filter(apt => apt.consultationStartedAt && apt.startTime)
       .map(apt => {
-        const scheduledStart = utcToIst(apt.scheduledStartTime);
-        const actualStart = utcToIst(apt.actualStartTime);
-        return (actualStart - scheduledStart) / (1000 * 60); // Convert to minutes
+        const dateStr = new Date(apt.appointmentDate).toISOString().split('T')[0];
+        const slotStart = istToUtc(`${dateStr}T${new Date(apt.startTime).toISOString().substring(11, 16)}:00.000Z`);
+        const checkedIn = apt.checkedInAt ? new Date(apt.checkedInAt) : null;
+        const waitingSince = checkedIn && checkedIn > slotStart ? checkedIn : slotStart;
+        return (new Date(apt.consultationStartedAt) - waitingSince) / (1000 * 60); // Convert to minutes
       });
 
     if (waitTimes.length === 0) {
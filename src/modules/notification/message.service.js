@@ -2,25 +2,21 @@ const redisService = require('../../services/redis.service');
 const rabbitmqService = require('../../services/rabbitmq.service');
 const mailService = require('../../services/mail.service');
 const watsappService = require('../../services/whatsapp.service');
-
-const MESSAGE_TYPE = {
-  EMAIL: 'email',
-  SMS: 'sms',
-  WHATSAPP: 'whatsapp',
-  OTP: 'otp'
-};
+const messageUsageService = require('./messageUsage.service');
+const {
+  MESSAGE_TYPE,
+  MESSAGE_QUEUES,
+  USAGE_CHANNEL,
+  QUOTA_EXCEEDED_ACTION,
+  MESSAGE_QUOTA
+} = require('./notification.constants');
 
 
 class MessageService {
 
   constructor() {
     this.initialized = false;
-    this.queues = {
-      email: 'notifications.email',
-      sms: 'notifications.sms',
-      whatsapp: 'notifications.whatsapp',
-      otp: 'notifications.otp'
-    };
+    this.queues = { ...MESSAGE_QUEUES };
   }
 
   async initialize() {
@@ -39,6 +35,17 @@ class MessageService {
           // Continue with other queues instead of failing completely
         }
       }
+
+      // Messages deferred by the quota wait here and come back through <hold queue>_processed
+      try {
+        await rabbitmqService.createDelayedQueue(MESSAGE_QUOTA.HOLD_QUEUE, MESSAGE_QUOTA.DEFER_DELAY);
+        await rabbitmqService.createQueue(`${MESSAGE_QUOTA.HOLD_QUEUE}_processed`, {
+          deadLetterExchange: true,
+          maxLength: 500000
+        });
+      } catch (queueError) {
+        console.error(`Failed to initialize queue ${MESSAGE_QUOTA.HOLD_QUEUE}:`, queueError);
+      }
       
       // Setup consumers for each queue
       await this.setupQueueConsumers();
@@ -62,36 +69,121 @@ class MessageService {
   
     // Email queue consumer
     await setupConsumer(this.queues.email, async (message) => {
-      const { to, subject, content, hospitalId } = message;
+      const { to, subject, content, hospitalId, attachments } = message;
       // console.log('Processing email:', message);
-      await mailService.sendMail(to, subject, content, hospitalId);
+      await this.deliverMetered(USAGE_CHANNEL.EMAIL, message, () => mailService.sendMail(to, subject, content, hospitalId, attachments));
     }, { maxRetries: 3, prefetch: 10 });
   
     // OTP queue consumer with higher priority
     await setupConsumer(this.queues.otp, async (message) => {
       const { to, subject, content, hospitalId } = message;
-      await mailService.sendMail(to, subject, content, hospitalId);
+      await this.deliverMetered(USAGE_CHANNEL.EMAIL, message, () => mailService.sendMail(to, subject, content, hospitalId));
     }, { maxRetries: 3, prefetch: 5, priority: 10 });
   
     // SMS queue consumer
     await setupConsumer(this.queues.sms, async (message) => {
-      // SMS implementation
-      // For example, using a third-party SMS service   
-      
-      
-      console.log('Processing SMS:', message);
+      // No SMS provider yet, so nothing is sent or metered
+      await this.updateMessageStatus(message.id, 'failed', { reason: 'SMS delivery is not available' });
     }, { maxRetries: 3, prefetch: 10 });
   
     // WhatsApp queue consumer
     await setupConsumer(this.queues.whatsapp, async (message) => {
       // WhatsApp implementation
       // console.log('Processing WhatsApp:', message);
-      watsappService.sendMessage(message.to, message.content);
+      const options = message.mediaUrl ? { mediaUrl: [message.mediaUrl] } : {};
+      await this.deliverMetered(USAGE_CHANNEL.WHATSAPP, message, () => watsappService.sendMessage(message.to, message.content, options));
+    }, { maxRetries: 3, prefetch: 10 });
 
-      
+    // Deferred messages go back to their delivery queue once the hold delay is over
+    await setupConsumer(`${MESSAGE_QUOTA.HOLD_QUEUE}_processed`, async ({ type, message }) => {
+      await rabbitmqService.publishToQueue(this.queues[type], message, {
+        messageId: message.id,
+        persistent: true
+      });
     }, { maxRetries: 3, prefetch: 10 });
   }
 
+  /**
+   * Deliver a message, metering it against the hospital's monthly usage.
+   * Messages without a hospital are system messages and are not metered.
+   * @param {string} channel - One of USAGE_CHANNEL
+   * @param {Object} message - Queued message
+   * @param {Function} send - Performs the delivery
+   */
+  async deliverMetered(channel, message, send) {
+    if (!message.hospitalId) {
+      return send();
+    }
+
+    const reservation = await messageUsageService.reserve(message.hospitalId, channel);
+
+    if (!reservation.allowed) {
+      return this.handleQuotaExceeded(channel, message, reservation.reason);
+    }
+
+    try {
+      const result = await send();
+
+      // The WhatsApp service reports failures instead of throwing
+      if (result && result.success === false) {
+        await messageUsageService.release(message.hospitalId, channel, reservation.month);
+        await this.updateMessageStatus(message.id, 'failed', { reason: result.error });
+        return result;
+      }
+
+      await this.updateMessageStatus(message.id, 'delivered');
+      return result;
+    } catch (error) {
+      await messageUsageService.release(message.hospitalId, channel, reservation.month);
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse a message over the monthly quota, or hold it back for a later
+   * attempt when MESSAGE_QUOTA_EXCEEDED_ACTION is "defer"
+   */
+  async handleQuotaExceeded(channel, message, reason) {
+    const action = process.env.MESSAGE_QUOTA_EXCEEDED_ACTION === QUOTA_EXCEEDED_ACTION.DEFER
+      ? QUOTA_EXCEEDED_ACTION.DEFER
+      : QUOTA_EXCEEDED_ACTION.REFUSE;
+    const firstQueuedAt = message.firstQueuedAt || message.timestamp || new Date().toISOString();
+    const age = Date.now() - new Date(firstQueuedAt).getTime();
+
+    if (action === QUOTA_EXCEEDED_ACTION.DEFER && age < MESSAGE_QUOTA.MAX_DEFER_AGE) {
+      await rabbitmqService.publishToQueue(MESSAGE_QUOTA.HOLD_QUEUE, {
+        type: channel,
+        message: { ...message, firstQueuedAt }
+      });
+      await this.updateMessageStatus(message.id, 'deferred', { reason });
+      return null;
+    }
+
+    console.warn(`${channel} message for hospital ${message.hospitalId} refused: ${reason}`);
+    await this.updateMessageStatus(message.id, 'refused', { reason });
+    return null;
+  }
+
+  async updateMessageStatus(messageId, status, details = {}) {
+    if (!messageId) {
+      return;
+    }
+
+    try {
+      const messageStatus = await redisService.getCache(`message:${messageId}`);
+      if (messageStatus) {
+        await redisService.setCache(`message:${messageId}`, {
+          ...messageStatus,
+          ...details,
+          status,
+          updatedAt: new Date().toISOString()
+        }, 24 * 60 * 60);
+      }
+    } catch (error) {
+      console.error('Error updating message status:', error);
+    }
+  }
+
   async sendMessage(type, data) {
     if (!this.initialized) {
       await this.initialize();
@@ -131,12 +223,13 @@ class MessageService {
       priority: type === 'otp' ? 10 : 0
     });
 
-    // Track message status in Redis for 24 hours
+    // Track message status in Redis for 24 hours, without attachment contents
+    const { attachments, ...details } = data;
     await redisService.setCache(`message:${messageId}`, {
       status: 'queued',
       type,
       timestamp: new Date().toISOString(),
-      data
+      data: attachments ? { ...details, attachments: attachments.map(({ filename }) => filename) } : details
     }, 24 * 60 * 60);
 
     return messageId;
@@ -0,0 +1,169 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../services/database.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const subscriptionService = require('../subscription/subscription.service');
+const { PLAN_RESOURCES } = require('../subscription/subscription.constants');
+const {
+  USAGE_CHANNEL,
+  USAGE_CHANNEL_FIELDS,
+  USAGE_CHANNEL_COLUMNS,
+  QUOTA_CHANNELS,
+  MESSAGE_QUOTA
+} = require('./notification.constants');
+
+/**
+ * Meters delivered messages per hospital, month and channel in UsageStats
+ *
+ * SMS and WhatsApp messages share the plan's monthly message limit. A message
+ * reserves its unit before it is sent, with the quota check and the increment
+ * done in a single statement so concurrent consumers cannot overshoot the
+ * limit. A failed delivery releases the unit again.
+ */
+class MessageUsageService {
+  /**
+   * First day of the month (IST) a usage row belongs to
+   */
+  getMonthStart(date = new Date()) {
+    return new Date(`${TimezoneUtil.getIstDateString(date).slice(0, 7)}-01`);
+  }
+
+  /**
+   * Reserve one message of a channel for a hospital
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} channel - One of USAGE_CHANNEL
+   * @returns {Promise<Object>} allowed flag with the reserved month, or the reason it was refused
+   */
+  async reserve(hospitalId, channel) {
+    const month = this.getMonthStart();
+
+    if (!QUOTA_CHANNELS.includes(channel)) {
+      await this.increment(hospitalId, channel, month);
+      return { allowed: true, month };
+    }
+
+    const { isUsable, status, limit } = await subscriptionService.getLimit(hospitalId, PLAN_RESOURCES.MESSAGES);
+
+    if (!isUsable) {
+      return { allowed: false, reason: `Subscription is ${status}` };
+    }
+
+    const reserved = await this.increment(hospitalId, channel, month, limit);
+
+    if (!reserved) {
+      return { allowed: false, reason: `Monthly message quota of ${limit} reached` };
+    }
+
+    return { allowed: true, month };
+  }
+
+  /**
+   * Give back a reserved message after a failed delivery
+   */
+  async release(hospitalId, channel, month) {
+    try {
+      const field = USAGE_CHANNEL_FIELDS[channel];
+
+      await prisma.usageStats.updateMany({
+        where: { hospitalId, month, [field]: { gt: 0 } },
+        data: { [field]: { decrement: 1 } }
+      });
+    } catch (error) {
+      console.error('Error releasing message usage:', error);
+    }
+  }
+
+  /**
+   * Atomically add one message to a hospital's monthly counter
+   * @param {number|null} limit - Combined quota of QUOTA_CHANNELS, null for no limit
+   * @returns {Promise<boolean>} false when the quota is already used up
+   */
+  async increment(hospitalId, channel, month, limit = null) {
+    if (limit !== null && limit <= 0) {
+      return false;
+    }
+
+    const column = Prisma.raw(USAGE_CHANNEL_COLUMNS[channel]);
+    const quotaUsed = Prisma.raw(QUOTA_CHANNELS.map(quotaChannel => `message_quotas.${USAGE_CHANNEL_COLUMNS[quotaChannel]}`).join(' + '));
+    const quotaCondition = limit === null
+      ? Prisma.empty
+      : Prisma.sql`WHERE ${quotaUsed} < ${limit}`;
+
+    const rows = await prisma.$queryRaw`
+      INSERT INTO message_quotas (hospital_id, month, ${column}, updated_at)
+      VALUES (${hospitalId}::uuid, ${month}::date, 1, NOW())
+      ON CONFLICT (hospital_id, month) DO UPDATE
+        SET ${column} = message_quotas.${column} + 1, updated_at = NOW()
+        ${quotaCondition}
+      RETURNING id
+    `;
+
+    return rows.length > 0;
+  }
+
+  /**
+   * Current and past monthly consumption of a hospital
+   * @param {string} hospitalId - Hospital ID
+   * @param {number} months - Number of months to return, current month included
+   * @returns {Promise<Object>} Current month usage against the quota and monthly history
+   */
+  async getUsage(hospitalId, months = MESSAGE_QUOTA.HISTORY_MONTHS) {
+    try {
+      const currentMonth = this.getMonthStart();
+      const firstMonth = new Date(currentMonth);
+      firstMonth.setUTCMonth(firstMonth.getUTCMonth() - (months - 1));
+
+      const [rows, { status, limit }] = await Promise.all([
+        prisma.usageStats.findMany({
+          where: {
+            hospitalId,
+            month: { gte: firstMonth }
+          },
+          orderBy: { month: 'desc' }
+        }),
+        subscriptionService.getLimit(hospitalId, PLAN_RESOURCES.MESSAGES)
+      ]);
+
+      const history = [];
+      for (let i = 0; i < months; i++) {
+        const month = new Date(currentMonth);
+        month.setUTCMonth(month.getUTCMonth() - i);
+        const monthKey = month.toISOString().slice(0, 7);
+        const row = rows.find(usage => usage.month.toISOString().slice(0, 7) === monthKey);
+
+        history.push(this.formatUsage(monthKey, row));
+      }
+
+      const current = history[0];
+
+      return {
+        current: {
+          ...current,
+          subscriptionStatus: status,
+          messageLimit: limit,
+          messagesRemaining: limit === null ? null : Math.max(0, limit - current.messagesUsed)
+        },
+        history
+      };
+    } catch (error) {
+      console.error('Error in getUsage:', error);
+      throw error;
+    }
+  }
+
+  formatUsage(month, row) {
+    const usage = {
+      month,
+      [USAGE_CHANNEL.SMS]: row ? row.smsUsed : 0,
+      [USAGE_CHANNEL.WHATSAPP]: row ? row.whatsappUsed : 0,
+      [USAGE_CHANNEL.EMAIL]: row ? row.emailUsed : 0
+    };
+
+    return {
+      ...usage,
+      messagesUsed: QUOTA_CHANNELS.reduce((total, channel) => total + usage[channel], 0),
+      updatedAt: row ? row.updatedAt : null
+    };
+  }
+}
+
+module.exports = new MessageUsageService();
@@ -0,0 +1,61 @@
+// Message types accepted by messageService.sendMessage
+const MESSAGE_TYPE = {
+  EMAIL: 'email',
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp',
+  OTP: 'otp'
+};
+
+// Delivery queues per message type
+const MESSAGE_QUEUES = {
+  email: 'notifications.email',
+  sms: 'notifications.sms',
+  whatsapp: 'notifications.whatsapp',
+  otp: 'notifications.otp'
+};
+
+// Metered delivery channels and their UsageStats counters
+const USAGE_CHANNEL = {
+  EMAIL: 'email',
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp'
+};
+
+const USAGE_CHANNEL_FIELDS = {
+  [USAGE_CHANNEL.EMAIL]: 'emailUsed',
+  [USAGE_CHANNEL.SMS]: 'smsUsed',
+  [USAGE_CHANNEL.WHATSAPP]: 'whatsappUsed'
+};
+
+const USAGE_CHANNEL_COLUMNS = {
+  [USAGE_CHANNEL.EMAIL]: 'email_used',
+  [USAGE_CHANNEL.SMS]: 'sms_used',
+  [USAGE_CHANNEL.WHATSAPP]: 'whatsapp_used'
+};
+
+// Channels that count against the plan's monthly message limit
+const QUOTA_CHANNELS = [USAGE_CHANNEL.SMS, USAGE_CHANNEL.WHATSAPP];
+
+// What happens to a patient message once the monthly quota is used up
+const QUOTA_EXCEEDED_ACTION = {
+  REFUSE: 'refuse',
+  DEFER: 'defer'
+};
+
+const MESSAGE_QUOTA = {
+  HOLD_QUEUE: 'notifications.quota_hold',
+  DEFER_DELAY: 60 * 60 * 1000, // retry deferred messages every hour
+  MAX_DEFER_AGE: 24 * 60 * 60 * 1000, // refuse messages deferred for more than a day
+  HISTORY_MONTHS: 6
+};
+
+module.exports = {
+  MESSAGE_TYPE,
+  MESSAGE_QUEUES,
+  USAGE_CHANNEL,
+  USAGE_CHANNEL_FIELDS,
+  USAGE_CHANNEL_COLUMNS,
+  QUOTA_CHANNELS,
+  QUOTA_EXCEEDED_ACTION,
+  MESSAGE_QUOTA
+};
@@ -1,6 +1,7 @@
 const redisService = require('../../services/redis.service');
 const rabbitmqService = require('../../services/rabbitmq.service');
 const messageService = require('./message.service');
+const { REMINDER } = require('../appointment/appointment.constants');
 const {
   ValidationError,
   NotificationQueueError,
@@ -54,9 +55,9 @@ class NotificationController {
         );
       }
 
-      // Schedule reminder notification
+      // Schedule reminder notification, sent by the reminder service
       try {
-        await rabbitmqService.publishToQueue('appointment_reminders', {
+        await rabbitmqService.publishToQueue(REMINDER.QUEUE, {
           type: 'APPOINTMENT_REMINDER',
           appointmentId: appointmentData.id,
           patientName: appointmentData.patientName,
@@ -68,7 +69,7 @@ class NotificationController {
       } catch (error) {
         throw new NotificationQueueError(
           'Failed to schedule reminder notification',
-          'appointment_reminders',
+          REMINDER.QUEUE,
           error
         );
       }
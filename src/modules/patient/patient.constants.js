@@ -0,0 +1,38 @@
+// Patient genders matching the Prisma schema
+const PATIENT_GENDER = {
+  MALE: 'male',
+  FEMALE: 'female',
+  OTHER: 'other'
+};
+
+// Kinds of identifiers a patient record can carry
+const PATIENT_IDENTIFIER_TYPES = ['mrn', 'abha', 'aadhaar', 'passport', 'insurance', 'other'];
+
+// Timeline entry types
+const TIMELINE_ENTRY = {
+  VISIT: 'visit',
+  NOTE: 'note',
+  PAYMENT: 'payment',
+  DOCUMENT: 'document'
+};
+
+// Search pagination
+const PAGINATION = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100
+};
+
+// Cache keys and TTL
+const CACHE = {
+  PATIENT_PREFIX: 'patient:',
+  TIMELINE_PREFIX: 'patient_timeline:',
+  TTL: 5 * 60 // 5 minutes
+};
+
+module.exports = {
+  PATIENT_GENDER,
+  PATIENT_IDENTIFIER_TYPES,
+  TIMELINE_ENTRY,
+  PAGINATION,
+  CACHE
+};
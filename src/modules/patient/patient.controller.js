@@ -0,0 +1,221 @@
+const patientService = require('./patient.service');
+const validator = require('./patient.validator');
+
+/**
+ * Send the response for a failed patient request
+ */
+const handlePatientError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'PATIENT_EXISTS') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      data: { patientId: error.patientId }
+    });
+  }
+
+  if (error.code === 'INVALID_MERGE') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+/**
+ * Send a 400 response for a failed validation
+ */
+const sendValidationError = (res, message, error) => res.status(400).json({
+  success: false,
+  message,
+  errors: error.details.map(detail => detail.message)
+});
+
+/**
+ * Controller for patient registry API endpoints
+ */
+class PatientController {
+  /**
+   * Search the hospital's patients by name or mobile
+   */
+  async searchPatients(req, res) {
+    try {
+      const { error, value } = validator.validateSearch(req.query);
+
+      if (error) {
+        return sendValidationError(res, 'Invalid search parameters', error);
+      }
+
+      const result = await patientService.searchPatients(req.user.hospital_id, value, req.user.doctor_id);
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in searchPatients controller:', error);
+      return handlePatientError(res, error, 'Failed to search patients');
+    }
+  }
+
+  /**
+   * Register a patient
+   */
+  async createPatient(req, res) {
+    try {
+      const { error, value } = validator.validateCreatePatient(req.body);
+
+      if (error) {
+        return sendValidationError(res, 'Invalid patient data', error);
+      }
+
+      const patient = await patientService.createPatient(req.user.hospital_id, value);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Patient registered successfully',
+        data: patient
+      });
+    } catch (error) {
+      console.error('Error in createPatient controller:', error);
+      return handlePatientError(res, error, 'Failed to register patient');
+    }
+  }
+
+  /**
+   * List groups of records that are probably the same patient
+   */
+  async getDuplicates(req, res) {
+    try {
+      const duplicates = await patientService.findDuplicates(req.user.hospital_id);
+
+      return res.status(200).json({
+        success: true,
+        data: duplicates
+      });
+    } catch (error) {
+      console.error('Error in getDuplicates controller:', error);
+      return handlePatientError(res, error, 'Failed to find duplicate patients');
+    }
+  }
+
+  /**
+   * Get a patient
+   */
+  async getPatient(req, res) {
+    try {
+      const { error } = validator.validatePatientId({ id: req.params.id });
+
+      if (error) {
+        return sendValidationError(res, 'Invalid patient ID', error);
+      }
+
+      const patient = await patientService.getPatient(req.user.hospital_id, req.params.id, req.user.doctor_id);
+
+      return res.status(200).json({
+        success: true,
+        data: patient
+      });
+    } catch (error) {
+      console.error('Error in getPatient controller:', error);
+      return handlePatientError(res, error, 'Failed to get patient');
+    }
+  }
+
+  /**
+   * Update a patient's details
+   */
+  async updatePatient(req, res) {
+    try {
+      const { error: idError } = validator.validatePatientId({ id: req.params.id });
+
+      if (idError) {
+        return sendValidationError(res, 'Invalid patient ID', idError);
+      }
+
+      const { error, value } = validator.validateUpdatePatient(req.body);
+
+      if (error) {
+        return sendValidationError(res, 'Invalid patient data', error);
+      }
+
+      const patient = await patientService.updatePatient(req.user.hospital_id, req.params.id, value);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Patient updated successfully',
+        data: patient
+      });
+    } catch (error) {
+      console.error('Error in updatePatient controller:', error);
+      return handlePatientError(res, error, 'Failed to update patient');
+    }
+  }
+
+  /**
+   * Merge duplicate records into a patient
+   */
+  async mergePatients(req, res) {
+    try {
+      const { error: idError } = validator.validatePatientId({ id: req.params.id });
+
+      if (idError) {
+        return sendValidationError(res, 'Invalid patient ID', idError);
+      }
+
+      const { error, value } = validator.validateMerge(req.body);
+
+      if (error) {
+        return sendValidationError(res, 'Invalid merge request', error);
+      }
+
+      const patient = await patientService.mergePatients(req.user.hospital_id, req.params.id, value.duplicateIds);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Patients merged successfully',
+        data: patient
+      });
+    } catch (error) {
+      console.error('Error in mergePatients controller:', error);
+      return handlePatientError(res, error, 'Failed to merge patients');
+    }
+  }
+
+  /**
+   * Get all visits of a patient with notes, payments and documents
+   */
+  async getTimeline(req, res) {
+    try {
+      const { error } = validator.validatePatientId({ id: req.params.id });
+
+      if (error) {
+        return sendValidationError(res, 'Invalid patient ID', error);
+      }
+
+      const timeline = await patientService.getTimeline(req.user.hospital_id, req.params.id, req.user.doctor_id);
+
+      return res.status(200).json({
+        success: true,
+        data: timeline
+      });
+    } catch (error) {
+      console.error('Error in getTimeline controller:', error);
+      return handlePatientError(res, error, 'Failed to get patient timeline');
+    }
+  }
+}
+
+module.exports = new PatientController();
@@ -0,0 +1,501 @@
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const { TIMELINE_ENTRY, CACHE } = require('./patient.constants');
+
+/**
+ * Build an error carrying a patient error code for the controller
+ */
+const patientError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Service layer for the hospital patient registry
+ *
+ * A patient is identified within a hospital by mobile number and name, since
+ * family members often book with the same mobile. Duplicate records are never
+ * deleted when merged: they point at the surviving record through
+ * mergedIntoId and their appointments move over to it.
+ */
+class PatientService {
+  /**
+   * Normalise a name for matching, case and spacing are ignored
+   */
+  normalizeName(name) {
+    return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Find the patient of an appointment being booked, or register a new one
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} data - hospitalId, patientName, mobile and optional age
+   * @returns {Promise<Object>} The patient the appointment belongs to
+   */
+  async findOrCreateForAppointment(tx, { hospitalId, patientName, mobile, age }) {
+    // Serialise bookings for the same mobile so a new patient is only created once
+    const lockKey = `patient:${hospitalId}:${mobile}`;
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${lockKey}))`;
+
+    const candidates = await tx.patient.findMany({
+      where: { hospitalId, mobile, mergedIntoId: null },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const name = this.normalizeName(patientName);
+    const patient = candidates.find(candidate => this.normalizeName(candidate.name) === name);
+
+    if (patient) {
+      if (age !== undefined && age !== null && !patient.dateOfBirth && patient.age !== age) {
+        return tx.patient.update({
+          where: { id: patient.id },
+          data: { age }
+        });
+      }
+      return patient;
+    }
+
+    return tx.patient.create({
+      data: {
+        hospitalId,
+        name: patientName.trim(),
+        mobile,
+        age: age ?? null
+      }
+    });
+  }
+
+  /**
+   * Register a patient
+   */
+  async createPatient(hospitalId, patientData) {
+    try {
+      const existing = await prisma.patient.findMany({
+        where: { hospitalId, mobile: patientData.mobile, mergedIntoId: null },
+        select: { id: true, name: true }
+      });
+
+      const duplicate = existing.find(patient => this.normalizeName(patient.name) === this.normalizeName(patientData.name));
+      if (duplicate) {
+        throw Object.assign(
+          patientError('A patient with this name and mobile number already exists', 'PATIENT_EXISTS'),
+          { patientId: duplicate.id }
+        );
+      }
+
+      return await prisma.patient.create({
+        data: {
+          hospitalId,
+          ...patientData,
+          identifiers: patientData.identifiers || []
+        }
+      });
+    } catch (error) {
+      console.error('Error in createPatient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a patient of the hospital, following merges to the surviving record
+   * @param {string} [doctorId] - Only a patient of this doctor, for doctor logins
+   */
+  async getPatient(hospitalId, patientId, doctorId = null) {
+    try {
+      const cacheKey = `${CACHE.PATIENT_PREFIX}${patientId}${doctorId ? `:doctor:${doctorId}` : ''}`;
+      const cached = await redisService.getCache(cacheKey);
+      if (cached && cached.hospitalId === hospitalId) {
+        return cached;
+      }
+
+      const patient = await this.resolvePatient(hospitalId, patientId);
+      const visitWhere = { patientId: patient.id, ...(doctorId ? { doctorId } : {}) };
+      const [visitCount, lastVisit] = await Promise.all([
+        prisma.appointment.count({ where: visitWhere }),
+        prisma.appointment.findFirst({
+          where: visitWhere,
+          orderBy: [{ appointmentDate: 'desc' }, { startTime: 'desc' }],
+          select: { id: true, appointmentDate: true, status: true }
+        })
+      ]);
+
+      // Doctor logins only see patients they have seen or will see
+      if (doctorId && visitCount === 0) {
+        throw new Error('Patient not found');
+      }
+
+      const result = { ...patient, visitCount, lastVisit };
+      await redisService.setCache(cacheKey, result, CACHE.TTL);
+
+      return result;
+    } catch (error) {
+      console.error('Error in getPatient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a patient record, following mergedIntoId to the surviving record
+   */
+  async resolvePatient(hospitalId, patientId) {
+    let patient = await prisma.patient.findFirst({
+      where: { id: patientId, hospitalId }
+    });
+
+    // Merged chains are flattened on merge, the bound only guards bad data
+    for (let hops = 0; patient && patient.mergedIntoId && hops < 5; hops++) {
+      patient = await prisma.patient.findFirst({
+        where: { id: patient.mergedIntoId, hospitalId }
+      });
+    }
+
+    if (!patient) {
+      throw new Error('Patient not found');
+    }
+
+    return patient;
+  }
+
+  /**
+   * Update a patient's details
+   */
+  async updatePatient(hospitalId, patientId, updateData) {
+    try {
+      const patient = await this.resolvePatient(hospitalId, patientId);
+
+      const updated = await prisma.patient.update({
+        where: { id: patient.id },
+        data: updateData
+      });
+
+      await this.invalidateCache(patient.id, patientId);
+
+      return updated;
+    } catch (error) {
+      console.error('Error in updatePatient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search patients of a hospital by name or mobile
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} query - search, page and limit
+   * @param {string|null} doctorId - Only patients with an appointment with this doctor, for doctor logins
+   * @returns {Promise<Object>} Matching patients with pagination
+   */
+  async searchPatients(hospitalId, { search, page, limit }, doctorId = null) {
+    try {
+      const where = {
+        hospitalId,
+        mergedIntoId: null,
+        ...(doctorId ? { appointments: { some: { doctorId } } } : {})
+      };
+      const term = (search || '').trim();
+
+      if (term) {
+        const digits = term.replace(/\D/g, '');
+        where.OR = [
+          { name: { contains: term, mode: 'insensitive' } },
+          ...(digits.length >= 3 ? [{ mobile: { contains: digits } }] : [])
+        ];
+      }
+
+      const [total, patients] = await Promise.all([
+        prisma.patient.count({ where }),
+        prisma.patient.findMany({
+          where,
+          orderBy: { updatedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit,
+          include: {
+            _count: { select: { appointments: doctorId ? { where: { doctorId } } : true } }
+          }
+        })
+      ]);
+
+      return {
+        patients: patients.map(({ _count, ...patient }) => ({
+          ...patient,
+          visitCount: _count.appointments
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error in searchPatients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find groups of records that probably belong to the same patient
+   *
+   * Records sharing a mobile number whose first names match, and records with
+   * the same name and date of birth on different mobiles, are reported.
+   * @returns {Promise<Array>} Groups with the reason they were matched
+   */
+  async findDuplicates(hospitalId) {
+    try {
+      const patients = await prisma.patient.findMany({
+        where: { hospitalId, mergedIntoId: null },
+        select: {
+          id: true,
+          name: true,
+          mobile: true,
+          dateOfBirth: true,
+          age: true,
+          gender: true,
+          createdAt: true,
+          _count: { select: { appointments: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const groupBy = (keyOf) => {
+        const groups = new Map();
+        for (const patient of patients) {
+          const key = keyOf(patient);
+          if (!key) continue;
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(patient);
+        }
+        return [...groups.values()].filter(group => group.length > 1);
+      };
+
+      const sameMobile = groupBy(patient => `${patient.mobile}:${this.normalizeName(patient.name).split(' ')[0]}`)
+        .map(group => ({ reason: 'same_mobile_and_first_name', patients: group }));
+
+      const sameNameAndBirth = groupBy(patient => patient.dateOfBirth
+        ? `${this.normalizeName(patient.name)}:${patient.dateOfBirth.toISOString().split('T')[0]}`
+        : null)
+        .filter(group => new Set(group.map(patient => patient.mobile)).size > 1)
+        .map(group => ({ reason: 'same_name_and_date_of_birth', patients: group }));
+
+      return [...sameMobile, ...sameNameAndBirth].map(({ reason, patients: group }) => ({
+        reason,
+        patients: group.map(({ _count, ...patient }) => ({ ...patient, visitCount: _count.appointments }))
+      }));
+    } catch (error) {
+      console.error('Error in findDuplicates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge duplicate records into a patient
+   *
+   * Appointments move to the surviving record, details it is missing are
+   * taken from the duplicates and identifiers are combined.
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} patientId - Surviving patient
+   * @param {Array<string>} duplicateIds - Records merged into it
+   * @returns {Promise<Object>} The surviving patient
+   */
+  async mergePatients(hospitalId, patientId, duplicateIds) {
+    try {
+      if (duplicateIds.includes(patientId)) {
+        throw patientError('A patient cannot be merged into itself', 'INVALID_MERGE');
+      }
+
+      const records = await prisma.patient.findMany({
+        where: { hospitalId, id: { in: [patientId, ...duplicateIds] } }
+      });
+
+      const target = records.find(record => record.id === patientId);
+      const duplicates = records.filter(record => record.id !== patientId);
+
+      if (!target || duplicates.length !== duplicateIds.length) {
+        throw new Error('Patient not found');
+      }
+
+      if ([target, ...duplicates].some(record => record.mergedIntoId)) {
+        throw patientError('Patients that were already merged cannot be merged again', 'INVALID_MERGE');
+      }
+
+      const identifiers = new Map();
+      for (const record of [target, ...duplicates]) {
+        for (const identifier of record.identifiers || []) {
+          identifiers.set(`${identifier.type}:${identifier.value}`, identifier);
+        }
+      }
+
+      const fill = (field) => target[field] ?? duplicates.find(record => record[field] !== null && record[field] !== undefined)?.[field] ?? null;
+
+      const merged = await prisma.$transaction(async (tx) => {
+        const { count: movedAppointments } = await tx.appointment.updateMany({
+          where: { patientId: { in: duplicateIds } },
+          data: { patientId }
+        });
+
+        // Keep merge chains one level deep
+        await tx.patient.updateMany({
+          where: { mergedIntoId: { in: duplicateIds } },
+          data: { mergedIntoId: patientId }
+        });
+
+        await tx.patient.updateMany({
+          where: { id: { in: duplicateIds } },
+          data: { mergedIntoId: patientId, mergedAt: new Date() }
+        });
+
+        const patient = await tx.patient.update({
+          where: { id: patientId },
+          data: {
+            email: fill('email'),
+            dateOfBirth: fill('dateOfBirth'),
+            age: fill('age'),
+            gender: fill('gender'),
+            identifiers: [...identifiers.values()]
+          }
+        });
+
+        return { patient, movedAppointments };
+      });
+
+      await this.invalidateCache(patientId, ...duplicateIds);
+
+      return {
+        ...merged.patient,
+        mergedPatientIds: duplicateIds,
+        movedAppointments: merged.movedAppointments
+      };
+    } catch (error) {
+      console.error('Error in mergePatients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All visits of a patient with their notes, payments and documents
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} patientId - Patient ID
+   * @param {string|null} doctorId - Only visits with this doctor, for doctor logins
+   * @returns {Promise<Object>} Patient, visit summary and timeline entries, newest first
+   */
+  async getTimeline(hospitalId, patientId, doctorId = null) {
+    try {
+      const patient = await this.resolvePatient(hospitalId, patientId);
+
+      const cacheKey = `${CACHE.TIMELINE_PREFIX}${patient.id}${doctorId ? `:doctor:${doctorId}` : ''}`;
+      const cached = await redisService.getCache(cacheKey);
+      if (cached) {
+        return cached;
+      }
+
+      const appointments = await prisma.appointment.findMany({
+        where: { patientId: patient.id, hospitalId, ...(doctorId ? { doctorId } : {}) },
+        include: {
+          doctor: {
+            select: { id: true, name: true, specialization: true }
+          },
+          visitNotes: {
+            where: { deletedAt: null, ...(doctorId ? { doctorId } : {}) },
+            select: { id: true, doctorId: true, note: true, createdAt: true, updatedAt: true }
+          },
+          onlinePayments: {
+            select: {
+              id: true,
+              orderId: true,
+              paymentId: true,
+              amount: true,
+              currency: true,
+              method: true,
+              status: true,
+              paidAt: true,
+              refundedAt: true,
+              createdAt: true
+            }
+          }
+        },
+        orderBy: [{ appointmentDate: 'desc' }, { startTime: 'desc' }]
+      });
+
+      const entries = [];
+
+      for (const appointment of appointments) {
+        entries.push({
+          type: TIMELINE_ENTRY.VISIT,
+          date: appointment.appointmentDate,
+          appointmentId: appointment.id,
+          tokenNumber: appointment.tokenNumber,
+          doctor: appointment.doctor,
+          status: appointment.status,
+          startTime: appointment.startTime,
+          endTime: appointment.endTime,
+          paymentStatus: appointment.paymentStatus,
+          paymentMethod: appointment.paymentMethod,
+          amount: appointment.amount
+        });
+
+        appointment.visitNotes.forEach(note => entries.push({
+          type: TIMELINE_ENTRY.NOTE,
+          date: note.createdAt,
+          appointmentId: appointment.id,
+          doctor: appointment.doctor,
+          noteId: note.id,
+          note: note.note,
+          updatedAt: note.updatedAt
+        }));
+
+        appointment.onlinePayments.forEach(({ id, ...payment }) => entries.push({
+          type: TIMELINE_ENTRY.PAYMENT,
+          date: payment.paidAt || payment.createdAt,
+          appointmentId: appointment.id,
+          onlinePaymentId: id,
+          ...payment
+        }));
+
+        (Array.isArray(appointment.documents) ? appointment.documents : []).forEach(url => entries.push({
+          type: TIMELINE_ENTRY.DOCUMENT,
+          date: appointment.appointmentDate,
+          appointmentId: appointment.id,
+          url
+        }));
+      }
+
+      entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+      const statusBreakdown = appointments.reduce((acc, appointment) => {
+        acc[appointment.status] = (acc[appointment.status] || 0) + 1;
+        return acc;
+      }, {});
+
+      const result = {
+        patient,
+        summary: {
+          totalVisits: appointments.length,
+          firstVisit: appointments.length > 0 ? appointments[appointments.length - 1].appointmentDate : null,
+          lastVisit: appointments.length > 0 ? appointments[0].appointmentDate : null,
+          statusBreakdown
+        },
+        timeline: entries
+      };
+
+      await redisService.setCache(cacheKey, result, CACHE.TTL);
+
+      return result;
+    } catch (error) {
+      console.error('Error in getTimeline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop cached records and timelines of patients
+   */
+  async invalidateCache(...patientIds) {
+    try {
+      await Promise.all(patientIds.flatMap(id => [
+        // Doctor logins have their own record and timeline keys below the patient's
+        redisService.deleteByPattern(`${CACHE.PATIENT_PREFIX}${id}*`),
+        redisService.deleteByPattern(`${CACHE.TIMELINE_PREFIX}${id}*`)
+      ]));
+    } catch (error) {
+      console.error('Error invalidating patient cache:', error);
+    }
+  }
+}
+
+module.exports = new PatientService();
@@ -0,0 +1,79 @@
+const Joi = require('joi');
+const { PATIENT_GENDER, PATIENT_IDENTIFIER_TYPES, PAGINATION } = require('./patient.constants');
+
+const identifierSchema = Joi.object({
+  type: Joi.string().valid(...PATIENT_IDENTIFIER_TYPES).required().messages({
+    'any.only': `Identifier type must be one of: ${PATIENT_IDENTIFIER_TYPES.join(', ')}`,
+    'any.required': 'Identifier type is required'
+  }),
+  value: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Identifier value is required',
+    'any.required': 'Identifier value is required'
+  })
+});
+
+const patientFields = {
+  name: Joi.string().trim().min(2).max(100).messages({
+    'string.min': 'Patient name must be at least 2 characters long',
+    'string.max': 'Patient name cannot exceed 100 characters'
+  }),
+  mobile: Joi.string().pattern(/^[0-9]{10,12}$/).messages({
+    'string.pattern.base': 'Mobile number must be between 10-12 digits'
+  }),
+  email: Joi.string().trim().email().allow(null, ''),
+  dateOfBirth: Joi.date().iso().max('now').allow(null).messages({
+    'date.format': 'Date of birth must be a valid ISO date',
+    'date.max': 'Date of birth cannot be in the future'
+  }),
+  age: Joi.number().integer().min(0).max(150).allow(null).messages({
+    'number.min': 'Age cannot be negative',
+    'number.max': 'Age cannot exceed 150 years'
+  }),
+  gender: Joi.string().valid(...Object.values(PATIENT_GENDER)).allow(null).messages({
+    'any.only': `Gender must be one of: ${Object.values(PATIENT_GENDER).join(', ')}`
+  }),
+  identifiers: Joi.array().items(identifierSchema).max(10)
+};
+
+// Schema for registering a patient
+const createPatientSchema = Joi.object({
+  ...patientFields,
+  name: patientFields.name.required().messages({ 'any.required': 'Patient name is required' }),
+  mobile: patientFields.mobile.required().messages({ 'any.required': 'Mobile number is required' })
+});
+
+// Schema for editing a patient, at least one field
+const updatePatientSchema = Joi.object(patientFields).min(1).messages({
+  'object.min': 'At least one field is required'
+});
+
+// Schema for searching patients
+const searchSchema = Joi.object({
+  search: Joi.string().trim().max(100).allow(''),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(PAGINATION.MAX_LIMIT).default(PAGINATION.DEFAULT_LIMIT)
+});
+
+// Schema for merging duplicate records into a patient
+const mergeSchema = Joi.object({
+  duplicateIds: Joi.array().items(Joi.string().uuid()).min(1).max(20).unique().required().messages({
+    'array.min': 'At least one duplicate patient is required',
+    'array.unique': 'Duplicate patients must not be repeated',
+    'any.required': 'Duplicate patient IDs are required'
+  })
+});
+
+const patientIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.uuid': 'Patient ID must be a valid UUID',
+    'any.required': 'Patient ID is required'
+  })
+});
+
+module.exports = {
+  validateCreatePatient: (data) => createPatientSchema.validate(data, { abortEarly: false }),
+  validateUpdatePatient: (data) => updatePatientSchema.validate(data, { abortEarly: false }),
+  validateSearch: (data) => searchSchema.validate(data, { abortEarly: false }),
+  validateMerge: (data) => mergeSchema.validate(data, { abortEarly: false }),
+  validatePatientId: (data) => patientIdSchema.validate(data, { abortEarly: false })
+};
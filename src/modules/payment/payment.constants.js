@@ -0,0 +1,44 @@
+// Online payment statuses matching the Prisma schema
+const ONLINE_PAYMENT_STATUS = {
+  CREATED: 'created',
+  PAID: 'paid',
+  FAILED: 'failed',
+  REFUND_PENDING: 'refund_pending',
+  REFUNDED: 'refunded'
+};
+
+const PAYMENT_PROVIDER = {
+  RAZORPAY: 'razorpay'
+};
+
+const DEFAULT_CURRENCY = 'INR';
+
+// Razorpay webhook events handled by the payment module
+const RAZORPAY_EVENTS = {
+  PAYMENT_CAPTURED: 'payment.captured',
+  PAYMENT_FAILED: 'payment.failed',
+  ORDER_PAID: 'order.paid',
+  REFUND_PROCESSED: 'refund.processed',
+  REFUND_FAILED: 'refund.failed'
+};
+
+// Razorpay payment methods that map onto appointment payment methods
+const RAZORPAY_METHOD_MAP = {
+  upi: 'upi',
+  card: 'card'
+};
+
+// Cache keys and TTL
+const CACHE = {
+  WEBHOOK_EVENT_PREFIX: 'razorpay:webhook_event:',
+  WEBHOOK_EVENT_TTL: 24 * 60 * 60 // 1 day, Razorpay retries failed deliveries for up to 24 hours
+};
+
+module.exports = {
+  ONLINE_PAYMENT_STATUS,
+  PAYMENT_PROVIDER,
+  DEFAULT_CURRENCY,
+  RAZORPAY_EVENTS,
+  RAZORPAY_METHOD_MAP,
+  CACHE
+};
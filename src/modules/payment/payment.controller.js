@@ -0,0 +1,228 @@
+const paymentService = require('./payment.service');
+const validator = require('./payment.validator');
+
+/**
+ * Controller for online payment API endpoints
+ */
+class PaymentController {
+  /**
+   * Create (or reuse) a Razorpay order for a booked appointment
+   */
+  async createOrder(req, res) {
+    try {
+      const { error, value } = validator.validateCreateOrder(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid order data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const checkout = await paymentService.createOrderForAppointment(value.appointmentId);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Payment order created successfully',
+        data: checkout
+      });
+    } catch (error) {
+      console.error('Error in createOrder controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not available') || error.message.includes('already paid')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create payment order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Verify the payment details returned by Razorpay Checkout
+   */
+  async verifyPayment(req, res) {
+    try {
+      const { error, value } = validator.validateVerifyPayment(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const payment = await paymentService.verifyCheckoutPayment(value);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Payment verified successfully',
+        data: {
+          appointmentId: payment.appointmentId,
+          orderId: payment.orderId,
+          paymentId: payment.paymentId,
+          status: payment.status,
+          paidAt: payment.paidAt
+        }
+      });
+    } catch (error) {
+      console.error('Error in verifyPayment controller:', error);
+
+      if (error.code === 'INVALID_SIGNATURE' || error.code === 'PAYMENT_NOT_CAPTURED') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify payment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Receive Razorpay webhooks, the route is mounted with a raw body parser
+   * so the signature can be checked against the exact payload
+   */
+  async handleRazorpayWebhook(req, res) {
+    try {
+      const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body);
+
+      if (!paymentService.isValidWebhookSignature(rawBody, req.headers['x-razorpay-signature'])) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook signature'
+        });
+      }
+
+      const result = await paymentService.handleWebhookEvent(JSON.parse(rawBody), req.headers['x-razorpay-event-id']);
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in handleRazorpayWebhook controller:', error);
+
+      // A non 2xx response makes Razorpay redeliver the event
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to process webhook',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the payment status and online payments of an appointment
+   */
+  async getAppointmentPayments(req, res) {
+    try {
+      const { error } = validator.validateAppointmentId({ id: req.params.id });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid appointment ID',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const payments = await paymentService.getAppointmentPayments(req.user.hospital_id, req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        data: payments
+      });
+    } catch (error) {
+      console.error('Error in getAppointmentPayments controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get appointment payments',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Retry the refund of a cancelled appointment
+   */
+  async refundAppointmentPayment(req, res) {
+    try {
+      const { error } = validator.validateAppointmentId({ id: req.params.id });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid appointment ID',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const payments = await paymentService.retryAppointmentRefund(req.user.hospital_id, req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Refund requested successfully',
+        data: payments
+      });
+    } catch (error) {
+      console.error('Error in refundAppointmentPayment controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('Only cancelled')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to refund appointment payment',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PaymentController();
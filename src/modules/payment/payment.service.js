@@ -0,0 +1,562 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const rabbitmqService = require('../../services/rabbitmq.service');
+const hospitalFeedService = require('../../services/hospitalFeed.service');
+const getRazorpayInstance = require('../../config/razorpay.config');
+const TimezoneUtil = require('../../utils/timezone.util');
+const queueService = require('../appointment/advanced-queue.service');
+const {
+  APPOINTMENT_STATUS,
+  APPOINTMENT_PAYMENT_STATUS,
+  CACHE: APPOINTMENT_CACHE,
+  QUEUES
+} = require('../appointment/appointment.constants');
+const {
+  ONLINE_PAYMENT_STATUS,
+  PAYMENT_PROVIDER,
+  DEFAULT_CURRENCY,
+  RAZORPAY_EVENTS,
+  RAZORPAY_METHOD_MAP,
+  CACHE
+} = require('./payment.constants');
+
+/**
+ * Razorpay SDK errors are plain objects carrying the API error description
+ */
+const getGatewayErrorMessage = (error) => error?.error?.description || error?.message || 'Payment gateway error';
+
+/**
+ * Service layer for online appointment fee collection through Razorpay
+ *
+ * The flow is: booking creates an order, the patient pays through Razorpay
+ * Checkout, and the payment.captured webhook (or the checkout verification
+ * call, whichever arrives first) marks the appointment as paid.
+ */
+class PaymentService {
+  // Razorpay API calls
+
+  async createRazorpayOrder({ amount, currency = DEFAULT_CURRENCY, receipt, notes }) {
+    return getRazorpayInstance().orders.create({ amount, currency, receipt, notes });
+  }
+
+  async fetchRazorpayPayment(paymentId) {
+    return getRazorpayInstance().payments.fetch(paymentId);
+  }
+
+  async createRazorpayRefund(paymentId, { amount, notes }) {
+    return getRazorpayInstance().payments.refund(paymentId, { amount, notes });
+  }
+
+  // Signature checks
+
+  /**
+   * Check the signature Razorpay Checkout returns to the browser after a payment
+   */
+  isValidCheckoutSignature(orderId, paymentId, signature) {
+    if (!process.env.RAZORPAY_KEY_SECRET) {
+      throw new Error('Razorpay credentials are not properly configured in environment variables');
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    const expected = Buffer.from(expectedSignature);
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Check the X-Razorpay-Signature header of a webhook against its raw body
+   */
+  isValidWebhookSignature(rawBody, signature) {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+      throw new Error('Razorpay webhook secret is not configured in environment variables');
+    }
+
+    if (!signature) {
+      return false;
+    }
+
+    return Razorpay.validateWebhookSignature(rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET);
+  }
+
+  // Orders
+
+  /**
+   * Create (or reuse) a Razorpay order for an appointment's consultation fee
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<Object>} Checkout details for Razorpay Checkout
+   */
+  async createOrderForAppointment(appointmentId) {
+    try {
+      const appointment = await prisma.appointment.findUnique({
+        where: { id: appointmentId },
+        include: {
+          hospital: { select: { id: true, name: true } },
+          doctor: { select: { id: true, name: true, consultationFee: true } }
+        }
+      });
+
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      if (appointment.status !== APPOINTMENT_STATUS.BOOKED) {
+        throw new Error(`Online payment is not available for ${appointment.status} appointments`);
+      }
+
+      if (appointment.paymentStatus === APPOINTMENT_PAYMENT_STATUS.PAID) {
+        throw new Error('Appointment is already paid');
+      }
+
+      const fee = appointment.doctor.consultationFee;
+      if (!fee) {
+        throw new Error('Online payment is not available for this doctor');
+      }
+
+      const amount = fee * 100; // Razorpay amounts are in paise
+
+      // Razorpay lets a patient retry an order after a failed attempt, so reuse the open one
+      const openPayment = await prisma.onlinePayment.findFirst({
+        where: {
+          appointmentId: appointment.id,
+          status: ONLINE_PAYMENT_STATUS.CREATED,
+          amount
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      if (openPayment) {
+        return this.buildCheckout(openPayment, appointment);
+      }
+
+      const order = await this.createRazorpayOrder({
+        amount,
+        receipt: appointment.id,
+        notes: {
+          appointmentId: appointment.id,
+          hospitalId: appointment.hospitalId
+        }
+      });
+
+      const payment = await prisma.onlinePayment.create({
+        data: {
+          hospitalId: appointment.hospitalId,
+          appointmentId: appointment.id,
+          provider: PAYMENT_PROVIDER.RAZORPAY,
+          orderId: order.id,
+          amount: order.amount,
+          currency: order.currency
+        }
+      });
+
+      const updatedAppointment = await prisma.appointment.update({
+        where: { id: appointment.id },
+        data: {
+          paymentStatus: APPOINTMENT_PAYMENT_STATUS.PENDING,
+          amount: fee
+        }
+      });
+
+      await this.syncAppointment(updatedAppointment);
+
+      return this.buildCheckout(payment, appointment);
+    } catch (error) {
+      console.error('Error in createOrderForAppointment:', error);
+      throw error.error ? new Error(getGatewayErrorMessage(error)) : error;
+    }
+  }
+
+  /**
+   * Options the client passes to Razorpay Checkout
+   */
+  buildCheckout(payment, appointment) {
+    return {
+      provider: payment.provider,
+      keyId: process.env.RAZORPAY_KEY_ID,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      name: appointment.hospital.name,
+      description: `Consultation with Dr. ${appointment.doctor.name}`,
+      prefill: {
+        name: appointment.patientName,
+        contact: appointment.mobile
+      },
+      notes: {
+        appointmentId: appointment.id
+      }
+    };
+  }
+
+  /**
+   * Confirm a payment reported by Razorpay Checkout without waiting for the webhook
+   * @param {Object} data - razorpay_order_id, razorpay_payment_id and razorpay_signature
+   * @returns {Promise<Object>} The online payment record
+   */
+  async verifyCheckoutPayment({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) {
+    try {
+      if (!this.isValidCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+        throw Object.assign(new Error('Invalid payment signature'), { code: 'INVALID_SIGNATURE' });
+      }
+
+      const paymentEntity = await this.fetchRazorpayPayment(razorpay_payment_id);
+
+      if (paymentEntity.order_id !== razorpay_order_id || paymentEntity.status !== 'captured') {
+        throw Object.assign(new Error('Payment has not been captured'), { code: 'PAYMENT_NOT_CAPTURED' });
+      }
+
+      const payment = await this.markOrderPaid(razorpay_order_id, paymentEntity);
+
+      if (!payment) {
+        throw new Error('Payment order not found');
+      }
+
+      return payment;
+    } catch (error) {
+      console.error('Error in verifyCheckoutPayment:', error);
+      throw error.error ? new Error(getGatewayErrorMessage(error)) : error;
+    }
+  }
+
+  // Webhooks
+
+  /**
+   * Process a verified Razorpay webhook event
+   * @param {Object} event - Parsed webhook body
+   * @param {string} eventId - X-Razorpay-Event-Id header, used to skip redeliveries
+   * @returns {Promise<Object>} Whether the event was handled
+   */
+  async handleWebhookEvent(event, eventId) {
+    const eventKey = eventId ? `${CACHE.WEBHOOK_EVENT_PREFIX}${eventId}` : null;
+
+    if (eventKey && await redisService.getCache(eventKey)) {
+      return { handled: false, duplicate: true };
+    }
+
+    const paymentEntity = event.payload?.payment?.entity;
+    const refundEntity = event.payload?.refund?.entity;
+
+    switch (event.event) {
+      case RAZORPAY_EVENTS.PAYMENT_CAPTURED:
+      case RAZORPAY_EVENTS.ORDER_PAID:
+        await this.markOrderPaid(paymentEntity.order_id, paymentEntity);
+        break;
+      case RAZORPAY_EVENTS.PAYMENT_FAILED:
+        await this.recordFailedAttempt(paymentEntity.order_id, paymentEntity);
+        break;
+      case RAZORPAY_EVENTS.REFUND_PROCESSED:
+        await this.markRefundProcessed(refundEntity);
+        break;
+      case RAZORPAY_EVENTS.REFUND_FAILED:
+        await this.markRefundFailed(refundEntity);
+        break;
+      default:
+        return { handled: false, event: event.event };
+    }
+
+    // Only remember the event once it was processed so failed deliveries are retried
+    if (eventKey) {
+      await redisService.setCache(eventKey, true, CACHE.WEBHOOK_EVENT_TTL);
+    }
+
+    return { handled: true, event: event.event };
+  }
+
+  /**
+   * Mark an order as paid and flip the appointment to paid
+   * @returns {Promise<Object|null>} The online payment, null for unknown orders
+   */
+  async markOrderPaid(orderId, paymentEntity) {
+    const payment = await prisma.onlinePayment.findUnique({
+      where: { orderId }
+    });
+
+    if (!payment) {
+      console.warn(`Received payment for unknown Razorpay order ${orderId}`);
+      return null;
+    }
+
+    const paidAt = TimezoneUtil.getCurrentIst();
+
+    // payment.captured, order.paid and the checkout verification all arrive for
+    // the same payment, only the one that flips the status goes on
+    const { count } = await prisma.onlinePayment.updateMany({
+      where: {
+        id: payment.id,
+        status: { in: [ONLINE_PAYMENT_STATUS.CREATED, ONLINE_PAYMENT_STATUS.FAILED] }
+      },
+      data: {
+        status: ONLINE_PAYMENT_STATUS.PAID,
+        paymentId: paymentEntity.id,
+        method: paymentEntity.method || null,
+        failureReason: null,
+        paidAt
+      }
+    });
+
+    const paidPayment = await prisma.onlinePayment.findUnique({
+      where: { id: payment.id }
+    });
+
+    if (count === 0) {
+      return paidPayment;
+    }
+
+    if (!payment.appointmentId) {
+      // The appointment was deleted before the payment went through
+      return await this.refundPayment(paidPayment, 'Appointment no longer exists') || paidPayment;
+    }
+
+    const appointment = await prisma.appointment.update({
+      where: { id: payment.appointmentId },
+      data: {
+        paymentStatus: APPOINTMENT_PAYMENT_STATUS.PAID,
+        paymentMethod: RAZORPAY_METHOD_MAP[paymentEntity.method] || null,
+        paymentAt: paidAt,
+        amount: Math.round(payment.amount / 100)
+      }
+    });
+
+    await this.syncAppointment(appointment, 'payment_received');
+
+    if (appointment.status === APPOINTMENT_STATUS.CANCELLED) {
+      // The appointment was cancelled while the patient was still paying
+      return await this.refundPayment(paidPayment, 'Appointment cancelled') || paidPayment;
+    }
+
+    return paidPayment;
+  }
+
+  /**
+   * Keep the reason of a failed attempt, the order stays open for a retry
+   */
+  async recordFailedAttempt(orderId, paymentEntity) {
+    const payment = await prisma.onlinePayment.findUnique({
+      where: { orderId }
+    });
+
+    if (!payment || payment.status !== ONLINE_PAYMENT_STATUS.CREATED) {
+      return payment;
+    }
+
+    return prisma.onlinePayment.update({
+      where: { id: payment.id },
+      data: {
+        failureReason: paymentEntity.error_description || 'Payment failed'
+      }
+    });
+  }
+
+  async markRefundProcessed(refundEntity) {
+    const payment = await prisma.onlinePayment.findUnique({
+      where: { paymentId: refundEntity.payment_id }
+    });
+
+    if (!payment) {
+      console.warn(`Received refund for unknown Razorpay payment ${refundEntity.payment_id}`);
+      return null;
+    }
+
+    if (payment.status === ONLINE_PAYMENT_STATUS.REFUNDED) {
+      return payment;
+    }
+
+    return prisma.onlinePayment.update({
+      where: { id: payment.id },
+      data: {
+        status: ONLINE_PAYMENT_STATUS.REFUNDED,
+        refundId: refundEntity.id,
+        refundedAt: TimezoneUtil.getCurrentIst(),
+        failureReason: null
+      }
+    });
+  }
+
+  /**
+   * A failed refund puts the payment back to paid so it can be retried
+   */
+  async markRefundFailed(refundEntity) {
+    const payment = await prisma.onlinePayment.findUnique({
+      where: { paymentId: refundEntity.payment_id }
+    });
+
+    if (!payment) {
+      console.warn(`Received refund for unknown Razorpay payment ${refundEntity.payment_id}`);
+      return null;
+    }
+
+    return prisma.onlinePayment.update({
+      where: { id: payment.id },
+      data: {
+        status: ONLINE_PAYMENT_STATUS.PAID,
+        refundId: refundEntity.id,
+        failureReason: 'Refund failed'
+      }
+    });
+  }
+
+  // Refunds
+
+  /**
+   * Refund every captured online payment of an appointment
+   *
+   * Failures are logged and kept on the payment record so cancelling an
+   * appointment never fails because of the payment gateway.
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} reason - Reason stored on the Razorpay refund
+   * @returns {Promise<Array>} The refunded payments
+   */
+  async refundAppointmentPayments(appointmentId, reason) {
+    try {
+      const payments = await prisma.onlinePayment.findMany({
+        where: {
+          appointmentId,
+          status: ONLINE_PAYMENT_STATUS.PAID
+        }
+      });
+
+      const refunds = [];
+      for (const payment of payments) {
+        const refundedPayment = await this.refundPayment(payment, reason);
+        if (refundedPayment) {
+          refunds.push(refundedPayment);
+        }
+      }
+
+      return refunds;
+    } catch (error) {
+      console.error('Error in refundAppointmentPayments:', error);
+      return [];
+    }
+  }
+
+  async refundPayment(payment, reason) {
+    try {
+      const refund = await this.createRazorpayRefund(payment.paymentId, {
+        amount: payment.amount,
+        notes: {
+          appointmentId: payment.appointmentId || '',
+          reason: reason || ''
+        }
+      });
+
+      const isProcessed = refund.status === 'processed';
+
+      return await prisma.onlinePayment.update({
+        where: { id: payment.id },
+        data: {
+          status: isProcessed ? ONLINE_PAYMENT_STATUS.REFUNDED : ONLINE_PAYMENT_STATUS.REFUND_PENDING,
+          refundId: refund.id,
+          refundedAt: isProcessed ? TimezoneUtil.getCurrentIst() : null,
+          failureReason: null
+        }
+      });
+    } catch (error) {
+      const message = getGatewayErrorMessage(error);
+      console.error(`Error refunding Razorpay payment ${payment.paymentId}:`, message);
+
+      await prisma.onlinePayment.update({
+        where: { id: payment.id },
+        data: { failureReason: `Refund failed: ${message}` }
+      }).catch(updateError => console.error('Error recording refund failure:', updateError));
+
+      return null;
+    }
+  }
+
+  // Hospital endpoints
+
+  async getHospitalAppointment(hospitalId, appointmentId) {
+    const appointment = await prisma.appointment.findFirst({
+      where: { id: appointmentId, hospitalId },
+      select: {
+        id: true,
+        status: true,
+        paymentStatus: true,
+        paymentMethod: true,
+        paymentAt: true,
+        amount: true
+      }
+    });
+
+    if (!appointment) {
+      throw new Error('Appointment not found');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Get an appointment's payment status with its online payments
+   */
+  async getAppointmentPayments(hospitalId, appointmentId) {
+    try {
+      const appointment = await this.getHospitalAppointment(hospitalId, appointmentId);
+
+      const payments = await prisma.onlinePayment.findMany({
+        where: { appointmentId: appointment.id },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return { ...appointment, payments };
+    } catch (error) {
+      console.error('Error in getAppointmentPayments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retry refunds of a cancelled appointment, e.g. after a failed refund
+   */
+  async retryAppointmentRefund(hospitalId, appointmentId) {
+    try {
+      const appointment = await this.getHospitalAppointment(hospitalId, appointmentId);
+
+      if (appointment.status !== APPOINTMENT_STATUS.CANCELLED) {
+        throw new Error('Only cancelled appointments can be refunded');
+      }
+
+      await this.refundAppointmentPayments(appointment.id, 'Appointment cancelled');
+
+      return await this.getAppointmentPayments(hospitalId, appointmentId);
+    } catch (error) {
+      console.error('Error in retryAppointmentRefund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh caches and listeners after a payment changed an appointment
+   */
+  async syncAppointment(appointment, reason = 'payment_updated') {
+    try {
+      await redisService.deleteCache(`${APPOINTMENT_CACHE.APPOINTMENT_PREFIX}${appointment.id}`);
+      await redisService.deleteCache(`hospital:dashboard:${appointment.hospitalId}`);
+
+      await rabbitmqService.publishToQueue(QUEUES.APPOINTMENT_UPDATED, {
+        appointment,
+        paymentStatusUpdated: true
+      });
+
+      await queueService.publishQueueUpdate(appointment.hospitalId, appointment.doctorId, appointment.appointmentDate, reason);
+
+      await hospitalFeedService.publishAppointment(
+        appointment.paymentStatus === APPOINTMENT_PAYMENT_STATUS.PAID
+          ? hospitalFeedService.EVENTS.APPOINTMENT_PAID
+          : hospitalFeedService.EVENTS.APPOINTMENT_UPDATED,
+        appointment,
+        { reason }
+      );
+    } catch (error) {
+      console.error('Error syncing appointment after payment update:', error);
+    }
+  }
+}
+
+module.exports = new PaymentService();
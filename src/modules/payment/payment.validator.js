@@ -0,0 +1,40 @@
+const Joi = require('joi');
+
+// Schema for creating a checkout order for an appointment
+const createOrderSchema = Joi.object({
+  appointmentId: Joi.string().uuid().required().messages({
+    'string.uuid': 'Appointment ID must be a valid UUID',
+    'string.empty': 'Appointment ID is required',
+    'any.required': 'Appointment ID is required'
+  })
+});
+
+// Schema for the fields Razorpay Checkout returns after a successful payment
+const verifyPaymentSchema = Joi.object({
+  razorpay_order_id: Joi.string().required().messages({
+    'string.empty': 'Order ID is required',
+    'any.required': 'Order ID is required'
+  }),
+  razorpay_payment_id: Joi.string().required().messages({
+    'string.empty': 'Payment ID is required',
+    'any.required': 'Payment ID is required'
+  }),
+  razorpay_signature: Joi.string().required().messages({
+    'string.empty': 'Payment signature is required',
+    'any.required': 'Payment signature is required'
+  })
+});
+
+// Schema for appointment ID route parameters
+const appointmentIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.uuid': 'Appointment ID must be a valid UUID',
+    'any.required': 'Appointment ID is required'
+  })
+});
+
+module.exports = {
+  validateCreateOrder: (data) => createOrderSchema.validate(data, { abortEarly: false }),
+  validateVerifyPayment: (data) => verifyPaymentSchema.validate(data, { abortEarly: false }),
+  validateAppointmentId: (data) => appointmentIdSchema.validate(data, { abortEarly: false })
+};
@@ -1,5 +1,6 @@
 const { prisma } = require('../../services/database.service');
 const redisService = require('../../services/redis.service');
+const hospitalFeedService = require('../../services/hospitalFeed.service');
 const { getCurrentIst } = require('../../utils/timezone.util');
 
 class AttendanceService {
@@ -59,6 +60,8 @@ class AttendanceService {
       // Invalidate cache
       await this.invalidateAttendanceCaches(validatedData.staffId,hospitalId);
 
+      await hospitalFeedService.publish(attendance.staff.hospital.id, hospitalFeedService.EVENTS.ATTENDANCE_UPDATED, { attendance });
+
       return attendance;
     } catch (error) {
       console.error('Error in markAttendance:', error);
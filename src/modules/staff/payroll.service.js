@@ -0,0 +1,400 @@
+const { prisma } = require('../../services/database.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const staffPaymentService = require('./staffPayment.service');
+const staffLoanService = require('./staffLoan.service');
+const {
+  STAFF_SALARY_TYPES,
+  STAFF_PAYMENT_TYPES,
+  STAFF_ATTENDANCE_STATUS,
+  STAFF_LOAN_REPAYMENT_SOURCE,
+  PAYROLL_RUN_STATUS,
+  PAYROLL
+} = require('./staff.constants');
+
+const payrollError = (message, code) => Object.assign(new Error(message), { code });
+
+const toAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+const PAYROLL_ITEM_INCLUDE = {
+  staff: {
+    select: {
+      id: true,
+      name: true,
+      staffRole: true
+    }
+  }
+};
+
+/**
+ * Monthly payroll runs
+ *
+ * A run covers one calendar month (the cycle) of a hospital. Preparing it
+ * computes every active staff member's earned salary from attendance and
+ * deducts the advance and loan instalments due by then, see staffLoan.service.
+ * Admins can then adjust bonuses, deductions and corrections while the run
+ * is a draft. Approving it records the deductions as ledger repayments and
+ * creates the salary and bonus StaffPayment rows, which are credited on each
+ * staff member's salaryCreditCycle day of the following month.
+ */
+class PayrollService {
+  async listPayrolls(hospitalId) {
+    return prisma.payrollRun.findMany({
+      where: { hospitalId },
+      orderBy: { cycle: 'desc' }
+    });
+  }
+
+  async getPayroll(hospitalId, runId) {
+    const run = await prisma.payrollRun.findFirst({
+      where: { id: runId, hospitalId },
+      include: {
+        items: {
+          include: PAYROLL_ITEM_INCLUDE,
+          orderBy: { staff: { name: 'asc' } }
+        }
+      }
+    });
+
+    if (!run) {
+      throw new Error('Payroll not found');
+    }
+
+    return run;
+  }
+
+  /**
+   * Compute the draft payroll of a cycle, preparing an existing draft again
+   * refreshes attendance and balances but keeps bonuses and corrections
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} cycle - Month as YYYY-MM, not later than the current month
+   * @param {string|null} createdBy - Supabase user ID of the admin
+   * @returns {Promise<Object>} The draft run with its items
+   */
+  async preparePayroll(hospitalId, cycle, createdBy = null) {
+    if (cycle > TimezoneUtil.getIstDateString().slice(0, 7)) {
+      throw payrollError('Payroll cannot be prepared for a future month', 'INVALID_PAYROLL_CYCLE');
+    }
+
+    const existingRun = await prisma.payrollRun.findUnique({
+      where: { hospitalId_cycle: { hospitalId, cycle } },
+      include: { items: true }
+    });
+
+    if (existingRun?.status === PAYROLL_RUN_STATUS.APPROVED) {
+      throw payrollError(`Payroll for ${cycle} is already approved`, 'PAYROLL_APPROVED');
+    }
+
+    const { periodStart, periodEnd, periodDays } = this.getPeriod(cycle);
+    const staffMembers = await prisma.staff.findMany({
+      where: {
+        hospitalId,
+        isActive: true,
+        createdAt: { lt: new Date(periodEnd.getTime() + 24 * 60 * 60 * 1000) }
+      },
+      select: { id: true, salaryType: true, salaryAmount: true }
+    });
+
+    const staffIds = staffMembers.map(staff => staff.id);
+    const [attendance, dues] = await Promise.all([
+      prisma.attendance.groupBy({
+        by: ['staffId', 'status'],
+        where: {
+          staffId: { in: staffIds },
+          attendanceDate: { gte: periodStart, lte: periodEnd }
+        },
+        _count: { id: true }
+      }),
+      staffLoanService.getDueAmounts(staffIds, cycle)
+    ]);
+
+    const previousItems = new Map((existingRun?.items || []).map(item => [item.staffId, item]));
+    const items = staffMembers.map(staff => {
+      const counts = Object.fromEntries(
+        attendance.filter(row => row.staffId === staff.id).map(row => [row.status, row._count.id])
+      );
+      const previous = previousItems.get(staff.id);
+
+      return this.computeItem(staff, counts, periodDays, dues.get(staff.id), {
+        bonus: previous ? Number(previous.bonus) : 0,
+        adjustment: previous ? Number(previous.adjustment) : 0,
+        adjustmentNote: previous?.adjustmentNote || null
+      });
+    });
+
+    const run = await prisma.$transaction(async (tx) => {
+      const draft = existingRun
+        ? await tx.payrollRun.update({ where: { id: existingRun.id }, data: this.getTotals(items) })
+        : await tx.payrollRun.create({
+            data: { hospitalId, cycle, periodStart, periodEnd, createdBy, ...this.getTotals(items) }
+          });
+
+      await tx.payrollItem.deleteMany({ where: { payrollRunId: draft.id } });
+      await tx.payrollItem.createMany({
+        data: items.map(item => ({ ...item, payrollRunId: draft.id }))
+      });
+
+      return draft;
+    });
+
+    return this.getPayroll(hospitalId, run.id);
+  }
+
+  /**
+   * Pay of one staff member for the period
+   *
+   * Due instalments are deducted advances first, never beyond what was earned.
+   */
+  computeItem(staff, counts, periodDays, due = { advance: 0, loan: 0 }, extras = {}) {
+    const weights = PAYROLL.PAID_DAY_WEIGHTS[staff.salaryType];
+    const markedDays = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const paidDays = Object.entries(counts).reduce((sum, [status, count]) => sum + (weights[status] || 0) * count, 0);
+
+    const salaryAmount = Number(staff.salaryAmount);
+    const earnedAmount = toAmount(
+      staff.salaryType === STAFF_SALARY_TYPES.DAILY ? salaryAmount * paidDays : salaryAmount * paidDays / periodDays
+    );
+
+    const advanceDeduction = toAmount(Math.min(due.advance, earnedAmount));
+    const loanDeduction = toAmount(Math.max(0, Math.min(due.loan, earnedAmount - advanceDeduction)));
+
+    const item = {
+      staffId: staff.id,
+      salaryType: staff.salaryType,
+      salaryAmount,
+      periodDays,
+      paidDays,
+      attendance: {
+        ...Object.fromEntries(Object.values(STAFF_ATTENDANCE_STATUS).map(status => [status, counts[status] || 0])),
+        unmarked: Math.max(0, periodDays - markedDays)
+      },
+      earnedAmount,
+      advanceDeduction,
+      loanDeduction,
+      bonus: toAmount(extras.bonus || 0),
+      adjustment: toAmount(extras.adjustment || 0),
+      adjustmentNote: extras.adjustmentNote || null
+    };
+
+    return { ...item, netPay: this.getNetPay(item) };
+  }
+
+  getNetPay(item) {
+    return toAmount(
+      Number(item.earnedAmount) - Number(item.advanceDeduction) - Number(item.loanDeduction) + Number(item.bonus) + Number(item.adjustment)
+    );
+  }
+
+  getTotals(items) {
+    return {
+      totalEarned: toAmount(items.reduce((sum, item) => sum + Number(item.earnedAmount), 0)),
+      totalDeductions: toAmount(items.reduce((sum, item) => sum + Number(item.advanceDeduction) + Number(item.loanDeduction), 0)),
+      totalBonus: toAmount(items.reduce((sum, item) => sum + Number(item.bonus), 0)),
+      totalNetPay: toAmount(items.reduce((sum, item) => sum + Number(item.netPay), 0))
+    };
+  }
+
+  /**
+   * Calendar month of a YYYY-MM cycle
+   */
+  getPeriod(cycle) {
+    const [year, month] = cycle.split('-').map(Number);
+    const periodStart = new Date(Date.UTC(year, month - 1, 1));
+    const periodEnd = new Date(Date.UTC(year, month, 0));
+
+    return { periodStart, periodEnd, periodDays: periodEnd.getUTCDate() };
+  }
+
+  /**
+   * Adjust a staff member's pay in a draft payroll
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} runId - Payroll run ID
+   * @param {string} itemId - Payroll item ID
+   * @param {Object} data - Validated bonus, advanceDeduction, loanDeduction, adjustment and adjustmentNote
+   * @returns {Promise<Object>} The updated item
+   */
+  async adjustItem(hospitalId, runId, itemId, data) {
+    const item = await prisma.payrollItem.findFirst({
+      where: { id: itemId, payrollRunId: runId, payrollRun: { hospitalId } },
+      include: { payrollRun: { select: { status: true } } }
+    });
+
+    if (!item) {
+      throw new Error('Payroll item not found');
+    }
+
+    if (item.payrollRun.status !== PAYROLL_RUN_STATUS.DRAFT) {
+      throw payrollError('An approved payroll cannot be adjusted', 'PAYROLL_APPROVED');
+    }
+
+    const { payrollRun, ...current } = item;
+    const updated = { ...current, ...data };
+    const balance = (await staffLoanService.getBalances([item.staffId])).get(item.staffId);
+
+    if (Number(updated.advanceDeduction) > balance.advance) {
+      throw payrollError(`Advance deduction cannot exceed the outstanding advance of ${balance.advance}`, 'INVALID_PAYROLL_ADJUSTMENT');
+    }
+
+    if (Number(updated.loanDeduction) > balance.loan) {
+      throw payrollError(`Loan deduction cannot exceed the outstanding loan of ${balance.loan}`, 'INVALID_PAYROLL_ADJUSTMENT');
+    }
+
+    const netPay = this.getNetPay(updated);
+    if (netPay < 0) {
+      throw payrollError('Net pay cannot be negative', 'INVALID_PAYROLL_ADJUSTMENT');
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const adjusted = await tx.payrollItem.update({
+        where: { id: itemId },
+        data: { ...data, netPay },
+        include: PAYROLL_ITEM_INCLUDE
+      });
+
+      const items = await tx.payrollItem.findMany({ where: { payrollRunId: runId } });
+      await tx.payrollRun.update({ where: { id: runId }, data: this.getTotals(items) });
+
+      return adjusted;
+    });
+  }
+
+  /**
+   * Approve a draft payroll and record its payments
+   *
+   * Each item becomes a salary payment of its net pay without the bonus and,
+   * when there is one, a bonus payment. Payments are dated on the staff
+   * member's credit day unless a payment date is given.
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} runId - Payroll run ID
+   * @param {Object} data - Validated paymentMode and optional paymentDate
+   * @param {string|null} approvedBy - Supabase user ID of the admin
+   * @returns {Promise<Object>} The approved run with its items and the number of payments created
+   */
+  async approvePayroll(hospitalId, runId, data, approvedBy = null) {
+    const run = await this.getPayroll(hospitalId, runId);
+
+    if (run.status !== PAYROLL_RUN_STATUS.DRAFT) {
+      throw payrollError(`Payroll for ${run.cycle} is already approved`, 'PAYROLL_APPROVED');
+    }
+
+    if (TimezoneUtil.getIstDateString() < run.periodEnd.toISOString().split('T')[0]) {
+      throw payrollError(`Payroll for ${run.cycle} can be approved from the last day of the month`, 'PAYROLL_PERIOD_OPEN');
+    }
+
+    const staff = await prisma.staff.findMany({
+      where: { id: { in: run.items.map(item => item.staffId) } },
+      select: { id: true, salaryCreditCycle: true }
+    });
+    const creditDays = new Map(staff.map(member => [member.id, member.salaryCreditCycle]));
+
+    const payments = run.items.flatMap(item => {
+      const netPay = Number(item.netPay);
+      const salary = toAmount(Math.max(0, netPay - Number(item.bonus)));
+      const bonus = toAmount(netPay - salary);
+      const payment = {
+        staffId: item.staffId,
+        payrollItemId: item.id,
+        paymentMode: data.paymentMode,
+        paymentDate: data.paymentDate || this.getCreditDate(run.periodEnd, creditDays.get(item.staffId)),
+        remarks: `Payroll ${run.cycle}`
+      };
+
+      return [
+        ...(salary > 0 ? [{ ...payment, amount: salary, paymentType: STAFF_PAYMENT_TYPES.SALARY }] : []),
+        ...(bonus > 0 ? [{ ...payment, amount: bonus, paymentType: STAFF_PAYMENT_TYPES.BONUS }] : [])
+      ];
+    });
+
+    await prisma.$transaction(async (tx) => {
+      // Guards against approving the same run twice at once
+      const { count } = await tx.payrollRun.updateMany({
+        where: { id: runId, hospitalId, status: PAYROLL_RUN_STATUS.DRAFT },
+        data: {
+          status: PAYROLL_RUN_STATUS.APPROVED,
+          paymentMode: data.paymentMode,
+          approvedBy,
+          approvedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        throw payrollError(`Payroll for ${run.cycle} is already approved`, 'PAYROLL_APPROVED');
+      }
+
+      await tx.staffPayment.createMany({ data: payments });
+
+      for (const item of run.items) {
+        for (const [type, amount] of [[STAFF_PAYMENT_TYPES.ADVANCE, item.advanceDeduction], [STAFF_PAYMENT_TYPES.LOAN, item.loanDeduction]]) {
+          if (Number(amount) <= 0) continue;
+
+          await staffLoanService.applyRepayment(tx, {
+            staffId: item.staffId,
+            type,
+            amount,
+            source: STAFF_LOAN_REPAYMENT_SOURCE.PAYROLL,
+            cycle: run.cycle,
+            payrollItemId: item.id,
+            recordedBy: approvedBy
+          });
+        }
+      }
+    });
+
+    await Promise.all(run.items.map(item => staffPaymentService.invalidatePaymentCaches(item.staffId)));
+
+    return {
+      payroll: await this.getPayroll(hospitalId, runId),
+      paymentsCreated: payments.length
+    };
+  }
+
+  /**
+   * Salary credit date of a period, the credit day of the following month
+   */
+  getCreditDate(periodEnd, creditDay = 1) {
+    return new Date(Date.UTC(periodEnd.getUTCFullYear(), periodEnd.getUTCMonth() + 1, creditDay));
+  }
+
+  /**
+   * Take a staff member out of draft payrolls before they are deleted, refreshing the run totals
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} staffId - Staff ID
+   */
+  async removeDraftItems(tx, staffId) {
+    const draftItems = await tx.payrollItem.findMany({
+      where: { staffId, payrollRun: { status: PAYROLL_RUN_STATUS.DRAFT } },
+      select: { id: true, payrollRunId: true }
+    });
+
+    if (draftItems.length === 0) return;
+
+    await tx.payrollItem.deleteMany({
+      where: { id: { in: draftItems.map(item => item.id) } }
+    });
+
+    for (const runId of new Set(draftItems.map(item => item.payrollRunId))) {
+      const items = await tx.payrollItem.findMany({ where: { payrollRunId: runId } });
+      await tx.payrollRun.update({
+        where: { id: runId },
+        data: this.getTotals(items)
+      });
+    }
+  }
+
+  async deletePayroll(hospitalId, runId) {
+    const run = await prisma.payrollRun.findFirst({
+      where: { id: runId, hospitalId }
+    });
+
+    if (!run) {
+      throw new Error('Payroll not found');
+    }
+
+    if (run.status !== PAYROLL_RUN_STATUS.DRAFT) {
+      throw payrollError('An approved payroll cannot be deleted', 'PAYROLL_APPROVED');
+    }
+
+    return prisma.payrollRun.delete({ where: { id: runId } });
+  }
+}
+
+module.exports = new PayrollService();
@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const messageService = require('../notification/message.service');
+const { MESSAGE_TYPE } = require('../notification/notification.constants');
+const payrollService = require('./payroll.service');
+const staffLoanService = require('./staffLoan.service');
+const {
+  STAFF_ATTENDANCE_STATUS,
+  PAYROLL_RUN_STATUS,
+  PAYSLIP
+} = require('./staff.constants');
+
+const payslipError = (message, code) => Object.assign(new Error(message), { code });
+
+const ATTENDANCE_LABELS = {
+  [STAFF_ATTENDANCE_STATUS.PRESENT]: 'Present',
+  [STAFF_ATTENDANCE_STATUS.HALF_DAY]: 'Half day',
+  [STAFF_ATTENDANCE_STATUS.PAID_LEAVE]: 'Paid leave',
+  [STAFF_ATTENDANCE_STATUS.WEEK_HOLIDAY]: 'Week holiday',
+  [STAFF_ATTENDANCE_STATUS.ABSENT]: 'Absent',
+  unmarked: 'Not marked'
+};
+
+/**
+ * Payslips of approved payroll runs
+ *
+ * A payslip is built from a staff member's item in the approved run of a
+ * cycle, so it always matches what was paid. It is rendered as a PDF on
+ * request and never stored. Email carries the PDF as an attachment, while
+ * WhatsApp gets a short-lived download link since Twilio fetches media from
+ * a URL.
+ */
+class PayslipService {
+  /**
+   * Payslip data of a staff member for a cycle
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} staffId - Staff ID
+   * @param {string} cycle - Month as YYYY-MM
+   * @returns {Promise<Object>} Hospital, staff, attendance, earnings, deductions and net pay
+   */
+  async getPayslip(hospitalId, staffId, cycle) {
+    const item = await prisma.payrollItem.findFirst({
+      where: { staffId, payrollRun: { hospitalId, cycle } },
+      include: {
+        payrollRun: true,
+        staff: {
+          select: {
+            id: true,
+            name: true,
+            staffRole: true,
+            mobileNumber: true,
+            user: { select: { email: true } }
+          }
+        },
+        payments: {
+          select: { amount: true, paymentType: true, paymentMode: true, paymentDate: true },
+          orderBy: { paymentDate: 'asc' }
+        }
+      }
+    });
+
+    if (!item) {
+      throw new Error(`Payslip for ${cycle} not found`);
+    }
+
+    if (item.payrollRun.status !== PAYROLL_RUN_STATUS.APPROVED) {
+      throw payslipError(`Payslip for ${cycle} is available once the payroll is approved`, 'PAYROLL_NOT_APPROVED');
+    }
+
+    const [hospital, balances] = await Promise.all([
+      prisma.hospital.findUnique({
+        where: { id: hospitalId },
+        select: { name: true, logo: true, gstin: true, address: true, contactInfo: true }
+      }),
+      staffLoanService.getBalances([staffId])
+    ]);
+
+    const adjustment = Number(item.adjustment);
+    const earnings = {
+      earnedSalary: Number(item.earnedAmount),
+      bonus: Number(item.bonus),
+      adjustment: Math.max(0, adjustment)
+    };
+    const deductions = {
+      advance: Number(item.advanceDeduction),
+      loan: Number(item.loanDeduction),
+      adjustment: Math.max(0, -adjustment)
+    };
+    const sum = values => Math.round(Object.values(values).reduce((total, value) => total + value, 0) * 100) / 100;
+
+    return {
+      hospital,
+      staff: item.staff,
+      cycle,
+      periodStart: item.payrollRun.periodStart,
+      periodEnd: item.payrollRun.periodEnd,
+      salaryType: item.salaryType,
+      salaryAmount: Number(item.salaryAmount),
+      attendance: {
+        ...item.attendance,
+        periodDays: item.periodDays,
+        paidDays: Number(item.paidDays)
+      },
+      earnings,
+      deductions,
+      adjustmentNote: item.adjustmentNote,
+      grossEarnings: sum(earnings),
+      totalDeductions: sum(deductions),
+      netPay: Number(item.netPay),
+      paymentMode: item.payrollRun.paymentMode,
+      paymentDate: item.payments[0]?.paymentDate || payrollService.getCreditDate(item.payrollRun.periodEnd),
+      outstanding: balances.get(staffId)
+    };
+  }
+
+  /**
+   * Render a payslip as a PDF
+   * @param {Object} payslip - Payslip data from getPayslip
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async renderPdf(payslip) {
+    const logo = await this.fetchLogo(payslip.hospital?.logo);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.drawPayslip(doc, payslip, logo);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Hospital logo for the header, a payslip is still rendered when it cannot be loaded
+   *
+   * Hospital admins set the logo URL, so only https URLs on the asset hosts
+   * are fetched, without redirects and with a size cap.
+   */
+  async fetchLogo(url) {
+    if (!url) return null;
+
+    if (!this.isAllowedLogoUrl(url)) {
+      console.warn('Hospital logo skipped in payslip, its URL is not on an allowed asset host');
+      return null;
+    }
+
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: PAYSLIP.LOGO_TIMEOUT,
+        maxContentLength: PAYSLIP.LOGO_MAX_BYTES,
+        maxRedirects: 0
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('Error fetching hospital logo for payslip:', error.message);
+      return null;
+    }
+  }
+
+  isAllowedLogoUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    return parsed.protocol === 'https:' &&
+      !parsed.port &&
+      !parsed.username &&
+      this.getAssetHosts().includes(parsed.hostname.toLowerCase());
+  }
+
+  /**
+   * Hosts of uploaded assets from ASSET_HOSTS, the Supabase storage host by default
+   */
+  getAssetHosts() {
+    const hosts = (process.env.ASSET_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (hosts.length === 0 && process.env.SUPABASE_URL) {
+      try {
+        hosts.push(new URL(process.env.SUPABASE_URL).hostname.toLowerCase());
+      } catch (error) {
+        console.error('Invalid SUPABASE_URL:', error.message);
+      }
+    }
+
+    return hosts;
+  }
+
+  drawPayslip(doc, payslip, logo) {
+    const { hospital, staff } = payslip;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    // Header with hospital branding, pdfkit only embeds PNG and JPEG logos
+    let textLeft = left;
+    if (logo) {
+      try {
+        doc.image(logo, left, 45, { fit: [60, 60] });
+        textLeft = left + 75;
+      } catch (error) {
+        console.error('Error embedding hospital logo in payslip:', error.message);
+      }
+    }
+
+    doc.font('Helvetica-Bold').fontSize(16).text(hospital?.name || '', textLeft, 50, { width: width - (textLeft - left) });
+    doc.font('Helvetica').fontSize(9);
+    const address = this.formatAddress(hospital?.address);
+    if (address) doc.text(address, { width: width - (textLeft - left) });
+    if (hospital?.contactInfo?.phone) doc.text(`Phone: ${hospital.contactInfo.phone}`);
+    if (hospital?.gstin) doc.text(`GSTIN: ${hospital.gstin}`);
+
+    doc.y = Math.max(doc.y, 110) + 10;
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(13).text(`Payslip for ${this.formatCycle(payslip.cycle)}`, left, doc.y, { width, align: 'center' });
+    doc.moveDown();
+
+    this.drawRows(doc, 'Employee', [
+      ['Name', staff.name],
+      ['Role', this.formatLabel(staff.staffRole)],
+      ['Salary', `${this.formatAmount(payslip.salaryAmount)} (${payslip.salaryType})`],
+      ['Pay period', `${this.formatDate(payslip.periodStart)} to ${this.formatDate(payslip.periodEnd)}`]
+    ], left, width);
+
+    const { attendance } = payslip;
+    this.drawRows(doc, 'Attendance', [
+      ...Object.entries(ATTENDANCE_LABELS).map(([status, label]) => [label, `${attendance[status] || 0} days`]),
+      ['Paid days', `${attendance.paidDays} of ${attendance.periodDays}`]
+    ], left, width);
+
+    this.drawRows(doc, 'Earnings', [
+      ['Earned salary', this.formatAmount(payslip.earnings.earnedSalary)],
+      ['Bonus', this.formatAmount(payslip.earnings.bonus)],
+      ...(payslip.earnings.adjustment > 0 ? [['Adjustment', this.formatAmount(payslip.earnings.adjustment)]] : []),
+      ['Gross earnings', this.formatAmount(payslip.grossEarnings)]
+    ], left, width);
+
+    this.drawRows(doc, 'Deductions', [
+      ['Advance recovery', this.formatAmount(payslip.deductions.advance)],
+      ['Loan instalment', this.formatAmount(payslip.deductions.loan)],
+      ...(payslip.deductions.adjustment > 0 ? [['Adjustment', this.formatAmount(payslip.deductions.adjustment)]] : []),
+      ['Total deductions', this.formatAmount(payslip.totalDeductions)]
+    ], left, width);
+
+    if (payslip.adjustmentNote) {
+      doc.font('Helvetica-Oblique').fontSize(9).text(`Adjustment note: ${payslip.adjustmentNote}`, left, doc.y, { width });
+      doc.moveDown();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12);
+    const netPayY = doc.y;
+    doc.text('Net pay', left, netPayY);
+    doc.text(this.formatAmount(payslip.netPay), left, netPayY, { width, align: 'right' });
+    doc.font('Helvetica').fontSize(9).moveDown(0.5);
+    doc.text(`Paid by ${this.formatLabel(payslip.paymentMode || '')} on ${this.formatDate(payslip.paymentDate)}`, left, doc.y, { width });
+
+    const { advance = 0, loan = 0 } = payslip.outstanding || {};
+    if (advance > 0 || loan > 0) {
+      doc.text(`Outstanding balance: advance ${this.formatAmount(advance)}, loan ${this.formatAmount(loan)}`, left, doc.y, { width });
+    }
+
+    doc.moveDown(2);
+    doc.fillColor('#666666').fontSize(8)
+      .text('This is a computer generated payslip and does not require a signature.', left, doc.y, { width, align: 'center' });
+  }
+
+  /**
+   * A titled section of label and value rows
+   */
+  drawRows(doc, title, rows, left, width) {
+    doc.font('Helvetica-Bold').fontSize(11).text(title, left, doc.y);
+    doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).lineWidth(0.5).stroke();
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica').fontSize(10);
+    for (const [label, value] of rows) {
+      const y = doc.y;
+      doc.text(label, left, y);
+      doc.text(String(value), left, y, { width, align: 'right' });
+    }
+    doc.moveDown();
+  }
+
+  // The standard PDF fonts have no rupee sign
+  formatAmount(amount) {
+    return `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  formatCycle(cycle) {
+    const [year, month] = cycle.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  formatLabel(value) {
+    return value.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+
+  formatAddress(address) {
+    if (!address) return '';
+
+    return ['street', 'city', 'district', 'state', 'pincode']
+      .map(field => address[field])
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  getFilename(payslip) {
+    return `payslip-${payslip.staff.name.trim().replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase()}-${payslip.cycle}.pdf`;
+  }
+
+  /**
+   * Short-lived public link to a payslip PDF
+   * @returns {Promise<string>} Download URL
+   */
+  async createDownloadLink(hospitalId, staffId, cycle) {
+    const token = crypto.randomBytes(PAYSLIP.LINK_BYTES).toString('base64url');
+    await redisService.setCache(`${PAYSLIP.LINK_PREFIX}${token}`, { hospitalId, staffId, cycle }, PAYSLIP.LINK_TTL);
+
+    const baseUrl = (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8000}`).replace(/\/$/, '');
+    return `${baseUrl}/api/staff/payslips/download/${token}`;
+  }
+
+  /**
+   * Payslip PDF of a download link
+   * @param {string} token - Link token
+   * @returns {Promise<Object>} Filename and PDF
+   */
+  async getPdfByLink(token) {
+    const link = await redisService.getCache(`${PAYSLIP.LINK_PREFIX}${token}`);
+
+    if (!link) {
+      throw payslipError('Payslip link is invalid or has expired', 'INVALID_PAYSLIP_LINK');
+    }
+
+    return this.getPdf(link.hospitalId, link.staffId, link.cycle);
+  }
+
+  async getPdf(hospitalId, staffId, cycle) {
+    const payslip = await this.getPayslip(hospitalId, staffId, cycle);
+    return { filename: this.getFilename(payslip), pdf: await this.renderPdf(payslip) };
+  }
+
+  /**
+   * Send a payslip to a staff member through messageService
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} staffId - Staff ID
+   * @param {string} cycle - Month as YYYY-MM
+   * @param {Object} options - channels, and an email overriding the staff member's login email
+   * @returns {Promise<Object>} Message IDs per channel
+   */
+  async sendPayslip(hospitalId, staffId, cycle, { channels, email = null }) {
+    const payslip = await this.getPayslip(hospitalId, staffId, cycle);
+    const month = this.formatCycle(cycle);
+    const sent = {};
+
+    const to = {
+      [PAYSLIP.CHANNELS.EMAIL]: email || payslip.staff.user?.email,
+      [PAYSLIP.CHANNELS.WHATSAPP]: payslip.staff.mobileNumber
+    };
+    const missing = channels.filter(channel => !to[channel]);
+    if (missing.length > 0) {
+      throw payslipError(`No ${missing.join(' or ')} contact found for ${payslip.staff.name}`, 'PAYSLIP_RECIPIENT_MISSING');
+    }
+
+    if (channels.includes(PAYSLIP.CHANNELS.EMAIL)) {
+      const pdf = await this.renderPdf(payslip);
+
+      sent.email = await messageService.sendMessage(MESSAGE_TYPE.EMAIL, {
+        to: to.email,
+        subject: `Payslip for ${month} - ${payslip.hospital.name}`,
+        content: this.getEmailTemplate(payslip, month),
+        attachments: [{
+          filename: this.getFilename(payslip),
+          content: pdf.toString('base64'),
+          encoding: 'base64',
+          contentType: 'application/pdf'
+        }],
+        hospitalId
+      });
+    }
+
+    if (channels.includes(PAYSLIP.CHANNELS.WHATSAPP)) {
+      const link = await this.createDownloadLink(hospitalId, staffId, cycle);
+
+      sent.whatsapp = await messageService.sendMessage(MESSAGE_TYPE.WHATSAPP, {
+        to: to.whatsapp,
+        content: `Hi ${payslip.staff.name}, your payslip for ${month} from ${payslip.hospital.name} is attached. Net pay: ${this.formatAmount(payslip.netPay)}.`,
+        mediaUrl: link,
+        hospitalId
+      });
+    }
+
+    return sent;
+  }
+
+  getEmailTemplate(payslip, month) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Payslip for ${month}</h2>
+        <p>Dear ${payslip.staff.name},</p>
+        <p>Please find attached your payslip for ${month} from ${payslip.hospital.name}.</p>
+        <ul>
+          <li>Gross earnings: <strong>${this.formatAmount(payslip.grossEarnings)}</strong></li>
+          <li>Deductions: <strong>${this.formatAmount(payslip.totalDeductions)}</strong></li>
+          <li>Net pay: <strong>${this.formatAmount(payslip.netPay)}</strong></li>
+        </ul>
+        <p>Regards,<br>${payslip.hospital.name}</p>
+      </div>
+    `;
+  }
+}
+
+module.exports = new PayslipService();
@@ -42,10 +42,91 @@ const STAFF_PAYMENT_MODES = {
   OTHER: 'other'
 };
 
+// Payroll run status enum values
+const PAYROLL_RUN_STATUS = {
+  DRAFT: 'draft',
+  APPROVED: 'approved'
+};
+
+// Payroll settings
+const PAYROLL = {
+  // Share of a day's pay earned per attendance status, days without attendance earn nothing
+  PAID_DAY_WEIGHTS: {
+    [STAFF_SALARY_TYPES.MONTHLY]: {
+      [STAFF_ATTENDANCE_STATUS.PRESENT]: 1,
+      [STAFF_ATTENDANCE_STATUS.PAID_LEAVE]: 1,
+      [STAFF_ATTENDANCE_STATUS.WEEK_HOLIDAY]: 1,
+      [STAFF_ATTENDANCE_STATUS.HALF_DAY]: 0.5,
+      [STAFF_ATTENDANCE_STATUS.ABSENT]: 0
+    },
+    [STAFF_SALARY_TYPES.DAILY]: {
+      [STAFF_ATTENDANCE_STATUS.PRESENT]: 1,
+      [STAFF_ATTENDANCE_STATUS.PAID_LEAVE]: 1,
+      [STAFF_ATTENDANCE_STATUS.WEEK_HOLIDAY]: 0,
+      [STAFF_ATTENDANCE_STATUS.HALF_DAY]: 0.5,
+      [STAFF_ATTENDANCE_STATUS.ABSENT]: 0
+    }
+  },
+  CYCLE_PATTERN: /^\d{4}-(0[1-9]|1[0-2])$/
+};
+
+// Staff loan status enum values
+const STAFF_LOAN_STATUS = {
+  ACTIVE: 'active',
+  SETTLED: 'settled',
+  WRITTEN_OFF: 'written_off'
+};
+
+// How a loan repayment was made, enum values
+const STAFF_LOAN_REPAYMENT_SOURCE = {
+  PAYROLL: 'payroll', // deducted by an approved payroll
+  SALARY_PAYMENT: 'salary_payment', // deducted from a salary payment recorded by hand
+  MANUAL: 'manual', // paid back by the staff member
+  SETTLEMENT: 'settlement', // recovered when the staff member was deleted
+  WRITE_OFF: 'write_off' // forgiven, no money was received
+};
+
+// How an outstanding balance is settled when a staff member is deleted
+const STAFF_LOAN_SETTLEMENT = {
+  RECOVERED: 'recovered',
+  WRITTEN_OFF: 'written_off'
+};
+
+// Advance and loan ledger settings
+const STAFF_LOAN = {
+  LEDGER_PAYMENT_TYPES: [STAFF_PAYMENT_TYPES.ADVANCE, STAFF_PAYMENT_TYPES.LOAN],
+  // Instalments a ledger entry is recovered in unless the payment sets a schedule
+  DEFAULT_INSTALMENTS: {
+    [STAFF_PAYMENT_TYPES.ADVANCE]: 1,
+    [STAFF_PAYMENT_TYPES.LOAN]: 6
+  },
+  MAX_INSTALMENTS: 60
+};
+
+// Payslip settings
+const PAYSLIP = {
+  CHANNELS: {
+    EMAIL: 'email',
+    WHATSAPP: 'whatsapp'
+  },
+  LINK_PREFIX: 'payslip:link:', // download links for WhatsApp, which fetches the PDF from a URL
+  LINK_TTL: 24 * 60 * 60, // seconds
+  LINK_BYTES: 24,
+  LOGO_TIMEOUT: 5000, // milliseconds to fetch the hospital logo, the payslip is rendered without it after that
+  LOGO_MAX_BYTES: 1024 * 1024
+};
+
 module.exports = {
   STAFF_ROLES,
   STAFF_SALARY_TYPES,
   STAFF_ATTENDANCE_STATUS,
   STAFF_PAYMENT_TYPES,
-  STAFF_PAYMENT_MODES
+  STAFF_PAYMENT_MODES,
+  PAYROLL_RUN_STATUS,
+  PAYROLL,
+  STAFF_LOAN_STATUS,
+  STAFF_LOAN_REPAYMENT_SOURCE,
+  STAFF_LOAN_SETTLEMENT,
+  STAFF_LOAN,
+  PAYSLIP
 };
@@ -1,6 +1,9 @@
 const staffService = require('./staff.service');
 const staffPaymentService = require('./staffPayment.service');
 const attendanceService = require('./attendance.service');
+const payrollService = require('./payroll.service');
+const staffLoanService = require('./staffLoan.service');
+const payslipService = require('./payslip.service');
 const validator = require('./staff.validator');
 const { getCurrentIst } = require('../../utils/timezone.util');
 
@@ -277,7 +280,7 @@ class StaffController {
       const staffId = req.params.id;
 
       // Create the payment
-      const payment = await staffPaymentService.createStaffPayment(hospitalId, staffId, value);
+      const payment = await staffPaymentService.createStaffPayment(hospitalId, staffId, value, req.user.id);
 
       return res.status(201).json({
         success: true,
@@ -293,6 +296,13 @@ class StaffController {
           message: error.message
         });
       }
+
+      if (error.code === 'INVALID_LOAN_SCHEDULE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
       
       return res.status(500).json({ 
         success: false, 
@@ -337,6 +347,13 @@ class StaffController {
           message: error.message
         });
       }
+
+      if (error.code === 'LEDGER_HAS_REPAYMENTS') {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
       
       return res.status(500).json({ 
         success: false, 
@@ -392,6 +409,13 @@ class StaffController {
           message: error.message
         });
       }
+
+      if (error.code === 'LEDGER_PAYMENT_AMOUNT') {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
       
       return res.status(500).json({ 
         success: false, 
@@ -545,12 +569,21 @@ class StaffController {
         });
       }
 
+      const { error: queryError, value } = validator.validateDeleteStaffQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid settlement',
+          errors: queryError.details.map(detail => detail.message)
+        });
+      }
+
       // Get hospital ID from authenticated user
       const hospitalId = req.user.hospital_id;
       const staffId = req.params.id;
 
       // Delete the staff member
-      const deletedStaff = await staffService.deleteStaff(hospitalId, staffId);
+      const deletedStaff = await staffService.deleteStaff(hospitalId, staffId, value.settlement, req.user.id);
 
       return res.status(200).json({
         success: true,
@@ -566,6 +599,23 @@ class StaffController {
           message: error.message
         });
       }
+
+      if (error.code === 'OUTSTANDING_LOAN_BALANCE') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          data: error.balance
+        });
+      }
+
+      if (error.code === 'STAFF_HAS_PAYROLL_HISTORY') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
       
       return res.status(500).json({ 
         success: false, 
@@ -574,6 +624,444 @@ class StaffController {
       });
     }
   }
+
+  /**
+   * Advance and loan ledger of the whole hospital
+   */
+  async getHospitalLoanStatement(req, res) {
+    try {
+      const { error, value } = validator.validateLoanStatementQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const statement = await staffLoanService.getHospitalStatement(req.user.hospital_id, value);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Loan statement retrieved successfully',
+        data: statement
+      });
+    } catch (error) {
+      console.error('Error in getHospitalLoanStatement controller:', error);
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve loan statement',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Advances and loans of a staff member with schedules and repayments
+   */
+  async getStaffLoanStatement(req, res) {
+    try {
+      const { error } = validator.validateStaffId({ id: req.params.id });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff ID',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const statement = await staffLoanService.getStaffStatement(req.user.hospital_id, req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Loan statement retrieved successfully',
+        data: statement
+      });
+    } catch (error) {
+      console.error('Error in getStaffLoanStatement controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve loan statement',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record money a staff member paid back on an advance or loan
+   */
+  async recordLoanRepayment(req, res) {
+    try {
+      const { error: idError } = validator.validateLoanId(req.params);
+      if (idError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid loan ID',
+          errors: idError.details.map(detail => detail.message)
+        });
+      }
+
+      const { error, value } = validator.validateLoanRepayment(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid repayment data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const loan = await staffLoanService.recordRepayment(req.user.hospital_id, req.params.loanId, value, req.user.id);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Repayment recorded successfully',
+        data: loan
+      });
+    } catch (error) {
+      console.error('Error in recordLoanRepayment controller:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 'LOAN_CLOSED') {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.code === 'INVALID_REPAYMENT') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record repayment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List the payroll runs of the hospital
+   */
+  async listPayrolls(req, res) {
+    try {
+      const payrolls = await payrollService.listPayrolls(req.user.hospital_id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Payrolls retrieved successfully',
+        data: payrolls
+      });
+    } catch (error) {
+      console.error('Error in listPayrolls controller:', error);
+      return handlePayrollError(res, error, 'Failed to retrieve payrolls');
+    }
+  }
+
+  /**
+   * Compute, or refresh, the draft payroll of a month for preview
+   */
+  async preparePayroll(req, res) {
+    try {
+      const { error, value } = validator.validatePayrollCycle(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payroll data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const payroll = await payrollService.preparePayroll(req.user.hospital_id, value.cycle, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Payroll prepared successfully',
+        data: payroll
+      });
+    } catch (error) {
+      console.error('Error in preparePayroll controller:', error);
+      return handlePayrollError(res, error, 'Failed to prepare payroll');
+    }
+  }
+
+  /**
+   * Get a payroll run with the pay of every staff member
+   */
+  async getPayroll(req, res) {
+    try {
+      const { error } = validator.validatePayrollId(req.params);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payroll ID',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const payroll = await payrollService.getPayroll(req.user.hospital_id, req.params.runId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Payroll retrieved successfully',
+        data: payroll
+      });
+    } catch (error) {
+      console.error('Error in getPayroll controller:', error);
+      return handlePayrollError(res, error, 'Failed to retrieve payroll');
+    }
+  }
+
+  /**
+   * Adjust bonus, deductions or corrections of a staff member in a draft payroll
+   */
+  async adjustPayrollItem(req, res) {
+    try {
+      const { error: idError } = validator.validatePayrollId(req.params);
+      if (idError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payroll ID',
+          errors: idError.details.map(detail => detail.message)
+        });
+      }
+
+      const { error, value } = validator.validatePayrollAdjustment(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid adjustment data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const item = await payrollService.adjustItem(req.user.hospital_id, req.params.runId, req.params.itemId, value);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Payroll item updated successfully',
+        data: item
+      });
+    } catch (error) {
+      console.error('Error in adjustPayrollItem controller:', error);
+      return handlePayrollError(res, error, 'Failed to update payroll item');
+    }
+  }
+
+  /**
+   * Approve a draft payroll and record the staff payments
+   */
+  async approvePayroll(req, res) {
+    try {
+      const { error: idError } = validator.validatePayrollId(req.params);
+      if (idError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payroll ID',
+          errors: idError.details.map(detail => detail.message)
+        });
+      }
+
+      const { error, value } = validator.validateApprovePayroll(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid approval data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const result = await payrollService.approvePayroll(req.user.hospital_id, req.params.runId, value, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Payroll approved successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error in approvePayroll controller:', error);
+      return handlePayrollError(res, error, 'Failed to approve payroll');
+    }
+  }
+
+  /**
+   * Discard a draft payroll
+   */
+  async deletePayroll(req, res) {
+    try {
+      const { error } = validator.validatePayrollId(req.params);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payroll ID',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const payroll = await payrollService.deletePayroll(req.user.hospital_id, req.params.runId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Payroll deleted successfully',
+        data: payroll
+      });
+    } catch (error) {
+      console.error('Error in deletePayroll controller:', error);
+      return handlePayrollError(res, error, 'Failed to delete payroll');
+    }
+  }
+
+  /**
+   * Download the payslip PDF of a staff member for a month
+   */
+  async downloadPayslip(req, res) {
+    try {
+      const { error } = validator.validatePayslipParams(req.params);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payslip request',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const { filename, pdf } = await payslipService.getPdf(req.user.hospital_id, req.params.id, req.params.cycle);
+
+      return sendPdf(res, filename, pdf);
+    } catch (error) {
+      console.error('Error in downloadPayslip controller:', error);
+      return handlePayrollError(res, error, 'Failed to generate payslip');
+    }
+  }
+
+  /**
+   * Download a payslip through a link sent on WhatsApp, no login needed
+   */
+  async downloadPayslipByLink(req, res) {
+    try {
+      const { filename, pdf } = await payslipService.getPdfByLink(req.params.token);
+
+      return sendPdf(res, filename, pdf);
+    } catch (error) {
+      console.error('Error in downloadPayslipByLink controller:', error);
+
+      if (error.code === 'INVALID_PAYSLIP_LINK') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return handlePayrollError(res, error, 'Failed to generate payslip');
+    }
+  }
+
+  /**
+   * Send the payslip of a staff member for a month by email and/or WhatsApp
+   */
+  async sendPayslip(req, res) {
+    try {
+      const { error: paramsError } = validator.validatePayslipParams(req.params);
+      if (paramsError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payslip request',
+          errors: paramsError.details.map(detail => detail.message)
+        });
+      }
+
+      const { error, value } = validator.validateSendPayslip(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payslip delivery data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const messageIds = await payslipService.sendPayslip(req.user.hospital_id, req.params.id, req.params.cycle, value);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Payslip queued for delivery',
+        data: messageIds
+      });
+    } catch (error) {
+      console.error('Error in sendPayslip controller:', error);
+      return handlePayrollError(res, error, 'Failed to send payslip');
+    }
+  }
+}
+
+/**
+ * Send a PDF as a download
+ */
+function sendPdf(res, filename, pdf) {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length,
+    'Cache-Control': 'private, no-store'
+  });
+
+  return res.status(200).send(pdf);
+}
+
+/**
+ * Map payroll errors to responses
+ */
+function handlePayrollError(res, error, fallbackMessage) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'PAYROLL_APPROVED') {
+    return res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'PAYROLL_NOT_APPROVED') {
+    return res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (['INVALID_PAYROLL_CYCLE', 'INVALID_PAYROLL_ADJUSTMENT', 'PAYROLL_PERIOD_OPEN', 'INVALID_REPAYMENT', 'PAYSLIP_RECIPIENT_MISSING'].includes(error.code)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
 }
 
 module.exports = new StaffController();
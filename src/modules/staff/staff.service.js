@@ -1,6 +1,9 @@
 const { prisma } = require('../../services/database.service');
 const redisService = require('../../services/redis.service');
 const { getCurrentIst } = require('../../utils/timezone.util');
+const staffLoanService = require('./staffLoan.service');
+const payrollService = require('./payroll.service');
+const { PAYROLL_RUN_STATUS } = require('./staff.constants');
 
 class StaffService {
   
@@ -267,8 +270,15 @@ class StaffService {
 
   /**
    * Delete a staff member
+   *
+   * Outstanding advances and loans must be settled, either recovered or
+   * written off. The ledger entries are kept for the hospital's statement.
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} staffId - Staff ID
+   * @param {string|null} settlement - STAFF_LOAN_SETTLEMENT value, needed when a balance is outstanding
+   * @param {string|null} settledBy - Supabase user ID of the admin
    */
-  async deleteStaff(hospitalId, staffId) {
+  async deleteStaff(hospitalId, staffId, settlement = null, settledBy = null) {
     try {
       // Check if staff exists and belongs to hospital
       const existingStaff = await prisma.staff.findFirst({
@@ -282,9 +292,36 @@ class StaffService {
         throw new Error('Staff member not found');
       }
 
+      // Approved payroll runs and payslips need the staff member, deactivate them instead
+      const approvedItems = await prisma.payrollItem.count({
+        where: { staffId, payrollRun: { status: PAYROLL_RUN_STATUS.APPROVED } }
+      });
+
+      if (approvedItems > 0) {
+        throw Object.assign(
+          new Error('Staff member has approved payroll history and cannot be deleted, deactivate them instead'),
+          { code: 'STAFF_HAS_PAYROLL_HISTORY' }
+        );
+      }
+
+      const balance = (await staffLoanService.getBalances([staffId])).get(staffId);
+      const outstanding = balance.advance + balance.loan;
+
+      if (outstanding > 0 && !settlement) {
+        throw Object.assign(
+          new Error(`Staff member has an outstanding advance and loan balance of ${outstanding}, settle it before deleting`),
+          { code: 'OUTSTANDING_LOAN_BALANCE', balance }
+        );
+      }
+
       // Hard delete the staff member
-      const deletedStaff = await prisma.staff.delete({
-        where: { id: staffId }
+      const deletedStaff = await prisma.$transaction(async (tx) => {
+        await staffLoanService.settleForDeletion(tx, staffId, settlement, settledBy);
+        await payrollService.removeDraftItems(tx, staffId);
+
+        return tx.staff.delete({
+          where: { id: staffId }
+        });
       });
 
       // Invalidate cache
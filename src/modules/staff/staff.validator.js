@@ -3,7 +3,12 @@ const {
   STAFF_ROLES, 
   STAFF_SALARY_TYPES, 
   STAFF_PAYMENT_TYPES, 
-  STAFF_PAYMENT_MODES 
+  STAFF_PAYMENT_MODES,
+  PAYROLL,
+  STAFF_LOAN,
+  STAFF_LOAN_STATUS,
+  STAFF_LOAN_SETTLEMENT,
+  PAYSLIP
 } = require('./staff.constants');
 
 // Base staff validation schema for creation
@@ -159,7 +164,49 @@ const createStaffPaymentSchema = Joi.object({
 
   remarks: Joi.string().trim().max(500).optional().messages({
     'string.max': 'Remarks cannot exceed 500 characters'
-  })
+  }),
+
+  // Repayment schedule of an advance or loan, defaults to STAFF_LOAN.DEFAULT_INSTALMENTS from the next cycle
+  instalments: Joi.number().integer().min(1).max(STAFF_LOAN.MAX_INSTALMENTS)
+    .when('paymentType', { is: Joi.valid(...STAFF_LOAN.LEDGER_PAYMENT_TYPES), otherwise: Joi.forbidden() })
+    .messages({
+      'number.base': 'Instalments must be a number',
+      'number.min': 'Instalments must be at least 1',
+      'number.max': `Instalments cannot exceed ${STAFF_LOAN.MAX_INSTALMENTS}`,
+      'any.unknown': 'Instalments can only be set for an advance or loan'
+    }),
+
+  instalmentAmount: Joi.number().positive().precision(2)
+    .when('paymentType', { is: Joi.valid(...STAFF_LOAN.LEDGER_PAYMENT_TYPES), otherwise: Joi.forbidden() })
+    .messages({
+      'number.base': 'Instalment amount must be a number',
+      'number.positive': 'Instalment amount must be positive',
+      'any.unknown': 'Instalment amount can only be set for an advance or loan'
+    }),
+
+  startCycle: Joi.string().pattern(PAYROLL.CYCLE_PATTERN)
+    .when('paymentType', { is: Joi.valid(...STAFF_LOAN.LEDGER_PAYMENT_TYPES), otherwise: Joi.forbidden() })
+    .messages({
+      'string.pattern.base': 'Start cycle must be a month in YYYY-MM format',
+      'any.unknown': 'Start cycle can only be set for an advance or loan'
+    }),
+
+  // Deduct advance and loan instalments due by the cycle from a salary payment
+  deductInstalments: Joi.boolean()
+    .when('paymentType', { is: STAFF_PAYMENT_TYPES.SALARY, otherwise: Joi.forbidden() })
+    .messages({
+      'boolean.base': 'deductInstalments must be a boolean',
+      'any.unknown': 'Instalments can only be deducted from a salary payment'
+    }),
+
+  cycle: Joi.string().pattern(PAYROLL.CYCLE_PATTERN)
+    .when('paymentType', { is: STAFF_PAYMENT_TYPES.SALARY, otherwise: Joi.forbidden() })
+    .messages({
+      'string.pattern.base': 'Cycle must be a month in YYYY-MM format',
+      'any.unknown': 'Cycle can only be set for a salary payment'
+    })
+}).oxor('instalments', 'instalmentAmount').messages({
+  'object.oxor': 'Set either instalments or instalmentAmount, not both'
 });
 
 // Schema for updating staff payment (limited fields only)
@@ -211,6 +258,137 @@ const attendanceSchema = Joi.object({
     })
 });
 
+// Schema for preparing the payroll of a month
+const payrollCycleSchema = Joi.object({
+  cycle: Joi.string().pattern(PAYROLL.CYCLE_PATTERN).required().messages({
+    'string.pattern.base': 'Cycle must be a month in YYYY-MM format',
+    'string.empty': 'Cycle is required',
+    'any.required': 'Cycle is required'
+  })
+});
+
+// Schema for payroll run and item IDs
+const payrollIdSchema = Joi.object({
+  runId: Joi.string().uuid().required().messages({
+    'string.uuid': 'Payroll ID must be a valid UUID',
+    'any.required': 'Payroll ID is required'
+  }),
+  itemId: Joi.string().uuid().optional().messages({
+    'string.uuid': 'Payroll item ID must be a valid UUID'
+  })
+});
+
+// Schema for adjusting a staff member's pay in a draft payroll
+const payrollAdjustmentSchema = Joi.object({
+  bonus: Joi.number().min(0).precision(2).optional().messages({
+    'number.base': 'Bonus must be a number',
+    'number.min': 'Bonus cannot be negative'
+  }),
+
+  advanceDeduction: Joi.number().min(0).precision(2).optional().messages({
+    'number.base': 'Advance deduction must be a number',
+    'number.min': 'Advance deduction cannot be negative'
+  }),
+
+  loanDeduction: Joi.number().min(0).precision(2).optional().messages({
+    'number.base': 'Loan deduction must be a number',
+    'number.min': 'Loan deduction cannot be negative'
+  }),
+
+  adjustment: Joi.number().precision(2).optional().messages({
+    'number.base': 'Adjustment must be a number'
+  }),
+
+  adjustmentNote: Joi.string().trim().max(200).allow('', null).optional().messages({
+    'string.max': 'Adjustment note cannot exceed 200 characters'
+  })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Schema for approving a payroll
+const approvePayrollSchema = Joi.object({
+  paymentMode: Joi.string()
+    .valid(...Object.values(STAFF_PAYMENT_MODES))
+    .required()
+    .messages({
+      'any.only': `Payment mode must be one of: ${Object.values(STAFF_PAYMENT_MODES).join(', ')}`,
+      'any.required': 'Payment mode is required'
+    }),
+
+  paymentDate: Joi.date().iso().optional().messages({
+    'date.base': 'Payment date must be a valid date',
+    'date.format': 'Payment date must be in ISO format'
+  })
+});
+
+// Schema for a repayment made by a staff member
+const loanRepaymentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required().messages({
+    'number.base': 'Repayment amount must be a number',
+    'number.positive': 'Repayment amount must be positive',
+    'any.required': 'Repayment amount is required'
+  }),
+
+  remarks: Joi.string().trim().max(500).optional().messages({
+    'string.max': 'Remarks cannot exceed 500 characters'
+  })
+});
+
+// Schema for advance and loan ledger IDs
+const loanIdSchema = Joi.object({
+  loanId: Joi.string().uuid().required().messages({
+    'string.uuid': 'Loan ID must be a valid UUID',
+    'any.required': 'Loan ID is required'
+  })
+});
+
+// Schema for filtering the hospital ledger
+const loanStatementQuerySchema = Joi.object({
+  status: Joi.string().valid(...Object.values(STAFF_LOAN_STATUS)).optional().messages({
+    'any.only': `Status must be one of: ${Object.values(STAFF_LOAN_STATUS).join(', ')}`
+  })
+});
+
+// Schema for deleting a staff member, a settlement is needed when advances or loans are outstanding
+const deleteStaffQuerySchema = Joi.object({
+  settlement: Joi.string().valid(...Object.values(STAFF_LOAN_SETTLEMENT)).optional().messages({
+    'any.only': `Settlement must be one of: ${Object.values(STAFF_LOAN_SETTLEMENT).join(', ')}`
+  })
+});
+
+// Schema for the staff member and cycle of a payslip
+const payslipParamsSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.uuid': 'Staff ID must be a valid UUID',
+    'any.required': 'Staff ID is required'
+  }),
+  cycle: Joi.string().pattern(PAYROLL.CYCLE_PATTERN).required().messages({
+    'string.pattern.base': 'Cycle must be a month in YYYY-MM format',
+    'any.required': 'Cycle is required'
+  })
+});
+
+// Schema for sending a payslip to a staff member
+const sendPayslipSchema = Joi.object({
+  channels: Joi.array()
+    .items(Joi.string().valid(...Object.values(PAYSLIP.CHANNELS)))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Channel must be one of: ${Object.values(PAYSLIP.CHANNELS).join(', ')}`,
+      'array.min': 'At least one channel is required',
+      'array.unique': 'Channels must not repeat',
+      'any.required': 'Channels are required'
+    }),
+
+  // Defaults to the email the staff member logs in with
+  email: Joi.string().email().optional().messages({
+    'string.email': 'Email must be a valid email address'
+  })
+});
+
 // Validation functions
 module.exports = {
   validateCreateStaff: (data) => createStaffSchema.validate(data, { abortEarly: false }),
@@ -220,6 +398,16 @@ module.exports = {
   validateStaffId: (data) => staffIdSchema.validate(data, { abortEarly: false }),
   validatePaymentId: (data) => paymentIdSchema.validate(data, { abortEarly: false }),
   validateAttendance: (data) => attendanceSchema.validate(data, { abortEarly: false }),
+  validatePayrollCycle: (data) => payrollCycleSchema.validate(data, { abortEarly: false }),
+  validatePayrollId: (data) => payrollIdSchema.validate(data, { abortEarly: false }),
+  validatePayrollAdjustment: (data) => payrollAdjustmentSchema.validate(data, { abortEarly: false }),
+  validateApprovePayroll: (data) => approvePayrollSchema.validate(data || {}, { abortEarly: false }),
+  validateLoanRepayment: (data) => loanRepaymentSchema.validate(data, { abortEarly: false }),
+  validateLoanId: (data) => loanIdSchema.validate(data, { abortEarly: false }),
+  validateLoanStatementQuery: (data) => loanStatementQuerySchema.validate(data, { abortEarly: false }),
+  validateDeleteStaffQuery: (data) => deleteStaffQuerySchema.validate(data, { abortEarly: false }),
+  validatePayslipParams: (data) => payslipParamsSchema.validate(data, { abortEarly: false }),
+  validateSendPayslip: (data) => sendPayslipSchema.validate(data, { abortEarly: false }),
   STAFF_ROLES,
   STAFF_SALARY_TYPES,
   STAFF_PAYMENT_TYPES,
@@ -0,0 +1,423 @@
+const { prisma } = require('../../services/database.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const {
+  STAFF_PAYMENT_TYPES,
+  STAFF_LOAN_STATUS,
+  STAFF_LOAN_REPAYMENT_SOURCE,
+  STAFF_LOAN_SETTLEMENT,
+  STAFF_LOAN
+} = require('./staff.constants');
+
+const loanError = (message, code) => Object.assign(new Error(message), { code });
+
+const toAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Advance and loan ledger
+ *
+ * Every advance or loan payment opens a ledger entry with an instalment
+ * schedule of payroll cycles (YYYY-MM). Payroll approvals, salary payments
+ * with deductions, manual repayments and settlements are recorded as
+ * repayments against it until the balance reaches zero. Entries are kept
+ * when the staff member is deleted, so hospital statements stay complete.
+ */
+class StaffLoanService {
+  /**
+   * Open the ledger entry of an advance or loan payment
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} payment - The created advance or loan payment
+   * @param {Object} staff - Staff member with id, hospitalId and name
+   * @param {Object} schedule - Optional instalments, instalmentAmount and startCycle
+   * @param {string|null} createdBy - Supabase user ID of the admin
+   * @returns {Promise<Object>} The ledger entry with its instalments
+   */
+  async createLoan(tx, payment, staff, schedule = {}, createdBy = null) {
+    const principal = toAmount(payment.amount);
+    const count = schedule.instalmentAmount
+      ? Math.ceil(principal / schedule.instalmentAmount)
+      : schedule.instalments || STAFF_LOAN.DEFAULT_INSTALMENTS[payment.paymentType];
+
+    if (count > STAFF_LOAN.MAX_INSTALMENTS) {
+      throw loanError(`Repayment cannot be scheduled over more than ${STAFF_LOAN.MAX_INSTALMENTS} instalments`, 'INVALID_LOAN_SCHEDULE');
+    }
+
+    const startCycle = schedule.startCycle || this.addCycles(this.getCycle(payment.paymentDate), 1);
+
+    return tx.staffLoan.create({
+      data: {
+        hospitalId: staff.hospitalId,
+        staffId: staff.id,
+        staffName: staff.name,
+        type: payment.paymentType,
+        principal,
+        balance: principal,
+        disbursementPaymentId: payment.id,
+        remarks: payment.remarks || null,
+        createdBy,
+        instalments: {
+          create: this.buildSchedule(principal, count, schedule.instalmentAmount).map((amount, index) => ({
+            cycle: this.addCycles(startCycle, index),
+            amount
+          }))
+        }
+      },
+      include: { instalments: { orderBy: { cycle: 'asc' } } }
+    });
+  }
+
+  /**
+   * Split a principal into instalments, the last one takes the remainder
+   */
+  buildSchedule(principal, count, instalmentAmount = null) {
+    const amount = instalmentAmount ? toAmount(instalmentAmount) : Math.floor(principal * 100 / count) / 100;
+
+    return Array.from({ length: count }, (_, index) =>
+      index === count - 1 ? toAmount(principal - amount * (count - 1)) : amount
+    );
+  }
+
+  /**
+   * Payroll cycle (YYYY-MM) a moment falls in, in IST
+   */
+  getCycle(date = new Date()) {
+    return TimezoneUtil.getIstDateString(new Date(date)).slice(0, 7);
+  }
+
+  addCycles(cycle, count) {
+    const [year, month] = cycle.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + count, 1));
+    return date.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Instalments of active entries due up to a cycle and not recovered yet
+   * @param {Array<string>} staffIds - Staff IDs
+   * @param {string} cycle - Payroll cycle, YYYY-MM
+   * @returns {Promise<Map>} staffId -> amounts due for advances and loans
+   */
+  async getDueAmounts(staffIds, cycle) {
+    const instalments = await prisma.staffLoanInstalment.findMany({
+      where: {
+        cycle: { lte: cycle },
+        loan: { staffId: { in: staffIds }, status: STAFF_LOAN_STATUS.ACTIVE }
+      },
+      select: {
+        amount: true,
+        recovered: true,
+        loan: { select: { staffId: true, type: true } }
+      }
+    });
+
+    const dues = new Map(staffIds.map(staffId => [staffId, { advance: 0, loan: 0 }]));
+    for (const instalment of instalments) {
+      const due = dues.get(instalment.loan.staffId);
+      due[instalment.loan.type] = toAmount(due[instalment.loan.type] + Number(instalment.amount) - Number(instalment.recovered));
+    }
+
+    return dues;
+  }
+
+  /**
+   * Outstanding advance and loan balances of staff members
+   * @param {Array<string>} staffIds - Staff IDs
+   * @returns {Promise<Map>} staffId -> advance and loan balances
+   */
+  async getBalances(staffIds) {
+    const rows = await prisma.staffLoan.groupBy({
+      by: ['staffId', 'type'],
+      where: { staffId: { in: staffIds }, status: STAFF_LOAN_STATUS.ACTIVE },
+      _sum: { balance: true }
+    });
+
+    const balances = new Map(staffIds.map(staffId => [staffId, { advance: 0, loan: 0 }]));
+    for (const row of rows) {
+      balances.get(row.staffId)[row.type] = toAmount(row._sum.balance || 0);
+    }
+
+    return balances;
+  }
+
+  /**
+   * Record a repayment against the oldest active entries of a staff member,
+   * or against one entry, recovering the earliest instalments first
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} repayment - staffId or loanId, type, amount, source and optional
+   *   cycle, payrollItemId, staffPaymentId, remarks and recordedBy
+   * @returns {Promise<Array>} Repayments created, one per entry
+   */
+  async applyRepayment(tx, { staffId, loanId = null, type, amount, source, ...details }) {
+    // Lock the entries first so a concurrent repayment reads the balance this one leaves
+    if (loanId) {
+      await tx.$queryRaw`SELECT id FROM staff_loans WHERE id = ${loanId}::uuid FOR UPDATE`;
+    } else {
+      await tx.$queryRaw`SELECT id FROM staff_loans WHERE staff_id = ${staffId}::uuid ORDER BY id FOR UPDATE`;
+    }
+
+    const loans = await tx.staffLoan.findMany({
+      where: loanId
+        ? { id: loanId, status: STAFF_LOAN_STATUS.ACTIVE }
+        : { staffId, type, status: STAFF_LOAN_STATUS.ACTIVE },
+      include: { instalments: { orderBy: { cycle: 'asc' } } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    let remaining = toAmount(amount);
+    const repayments = [];
+
+    for (const loan of loans) {
+      const recovered = toAmount(Math.min(remaining, Number(loan.balance)));
+      if (recovered <= 0) continue;
+
+      let unallocated = recovered;
+      for (const instalment of loan.instalments) {
+        const open = toAmount(Number(instalment.amount) - Number(instalment.recovered));
+        const allocated = toAmount(Math.min(open, unallocated));
+        if (allocated <= 0) continue;
+
+        await tx.staffLoanInstalment.update({
+          where: { id: instalment.id },
+          data: { recovered: { increment: allocated } }
+        });
+        unallocated = toAmount(unallocated - allocated);
+      }
+
+      const balance = toAmount(Number(loan.balance) - recovered);
+      await tx.staffLoan.update({
+        where: { id: loan.id },
+        data: {
+          balance,
+          ...(balance === 0 && {
+            status: source === STAFF_LOAN_REPAYMENT_SOURCE.WRITE_OFF ? STAFF_LOAN_STATUS.WRITTEN_OFF : STAFF_LOAN_STATUS.SETTLED,
+            settledAt: new Date()
+          })
+        }
+      });
+
+      repayments.push(await tx.staffLoanRepayment.create({
+        data: { loanId: loan.id, amount: recovered, source, ...details }
+      }));
+
+      remaining = toAmount(remaining - recovered);
+      if (remaining <= 0) break;
+    }
+
+    if (remaining > 0) {
+      throw loanError('Repayment exceeds the outstanding balance', 'INVALID_REPAYMENT');
+    }
+
+    return repayments;
+  }
+
+  /**
+   * Undo repayments, e.g. when the salary payment they were deducted from is deleted
+   *
+   * Instalments are reopened from the latest cycle backwards.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} where - Repayments to undo
+   * @returns {Promise<number>} Number of repayments undone
+   */
+  async reverseRepayments(tx, where) {
+    const repayments = await tx.staffLoanRepayment.findMany({
+      where,
+      include: { loan: { include: { instalments: { orderBy: { cycle: 'desc' } } } } }
+    });
+
+    for (const repayment of repayments) {
+      let unallocated = toAmount(repayment.amount);
+      for (const instalment of repayment.loan.instalments) {
+        const reopened = toAmount(Math.min(Number(instalment.recovered), unallocated));
+        if (reopened <= 0) continue;
+
+        await tx.staffLoanInstalment.update({
+          where: { id: instalment.id },
+          data: { recovered: { decrement: reopened } }
+        });
+        instalment.recovered = toAmount(Number(instalment.recovered) - reopened);
+        unallocated = toAmount(unallocated - reopened);
+      }
+
+      await tx.staffLoan.update({
+        where: { id: repayment.loanId },
+        data: { balance: { increment: repayment.amount }, status: STAFF_LOAN_STATUS.ACTIVE, settledAt: null }
+      });
+      await tx.staffLoanRepayment.delete({ where: { id: repayment.id } });
+    }
+
+    return repayments.length;
+  }
+
+  /**
+   * Record money a staff member paid back
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} loanId - Ledger entry ID
+   * @param {Object} data - Validated amount and remarks
+   * @param {string|null} recordedBy - Supabase user ID of the admin
+   * @returns {Promise<Object>} The updated entry
+   */
+  async recordRepayment(hospitalId, loanId, data, recordedBy = null) {
+    const loan = await prisma.staffLoan.findFirst({
+      where: { id: loanId, hospitalId }
+    });
+
+    if (!loan) {
+      throw new Error('Advance or loan not found');
+    }
+
+    if (loan.status !== STAFF_LOAN_STATUS.ACTIVE) {
+      throw loanError('This advance or loan is already closed', 'LOAN_CLOSED');
+    }
+
+    await prisma.$transaction(tx => this.applyRepayment(tx, {
+      loanId,
+      amount: data.amount,
+      source: STAFF_LOAN_REPAYMENT_SOURCE.MANUAL,
+      remarks: data.remarks || null,
+      recordedBy
+    }));
+
+    return this.getLoan(hospitalId, loanId);
+  }
+
+  async getLoan(hospitalId, loanId) {
+    const loan = await prisma.staffLoan.findFirst({
+      where: { id: loanId, hospitalId },
+      include: {
+        instalments: { orderBy: { cycle: 'asc' } },
+        repayments: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+
+    if (!loan) {
+      throw new Error('Advance or loan not found');
+    }
+
+    return loan;
+  }
+
+  /**
+   * Statement of a staff member's advances and loans with schedules and repayments
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} staffId - Staff ID
+   * @returns {Promise<Object>} Entries and totals
+   */
+  async getStaffStatement(hospitalId, staffId) {
+    const staff = await prisma.staff.findFirst({
+      where: { id: staffId, hospitalId },
+      select: { id: true, name: true, staffRole: true }
+    });
+
+    if (!staff) {
+      throw new Error('Staff member not found');
+    }
+
+    const loans = await prisma.staffLoan.findMany({
+      where: { staffId, hospitalId },
+      include: {
+        instalments: { orderBy: { cycle: 'asc' } },
+        repayments: { orderBy: { createdAt: 'asc' } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const currentCycle = this.getCycle();
+    const entries = loans.map(loan => ({
+      ...loan,
+      overdue: toAmount(loan.instalments
+        .filter(instalment => instalment.cycle < currentCycle)
+        .reduce((sum, instalment) => sum + Number(instalment.amount) - Number(instalment.recovered), 0)),
+      nextInstalment: loan.status === STAFF_LOAN_STATUS.ACTIVE
+        ? loan.instalments.find(instalment => instalment.cycle >= currentCycle && Number(instalment.recovered) < Number(instalment.amount)) || null
+        : null
+    }));
+
+    return {
+      staff,
+      loans: entries,
+      totals: this.getTotals(loans)
+    };
+  }
+
+  /**
+   * Ledger of the whole hospital, one line per staff member
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} filters - Optional status
+   * @returns {Promise<Object>} Per staff member principal, repayments and balance, and totals
+   */
+  async getHospitalStatement(hospitalId, filters = {}) {
+    const loans = await prisma.staffLoan.findMany({
+      where: {
+        hospitalId,
+        ...(filters.status && { status: filters.status })
+      },
+      include: {
+        repayments: { select: { amount: true, source: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const byStaff = new Map();
+    for (const loan of loans) {
+      const key = loan.staffId || `deleted:${loan.id}`;
+      if (!byStaff.has(key)) {
+        byStaff.set(key, { staffId: loan.staffId, staffName: loan.staffName, loans: [] });
+      }
+      byStaff.get(key).loans.push(loan);
+    }
+
+    return {
+      staff: [...byStaff.values()].map(({ loans: staffLoans, ...staff }) => ({
+        ...staff,
+        activeLoans: staffLoans.filter(loan => loan.status === STAFF_LOAN_STATUS.ACTIVE).length,
+        ...this.getTotals(staffLoans)
+      })),
+      totals: this.getTotals(loans)
+    };
+  }
+
+  getTotals(loans) {
+    const repayments = loans.flatMap(loan => loan.repayments || []);
+    const sum = (items, field) => toAmount(items.reduce((total, item) => total + Number(item[field]), 0));
+    const writeOffs = repayments.filter(repayment => repayment.source === STAFF_LOAN_REPAYMENT_SOURCE.WRITE_OFF);
+
+    return {
+      advancePrincipal: sum(loans.filter(loan => loan.type === STAFF_PAYMENT_TYPES.ADVANCE), 'principal'),
+      loanPrincipal: sum(loans.filter(loan => loan.type === STAFF_PAYMENT_TYPES.LOAN), 'principal'),
+      repaid: toAmount(sum(repayments, 'amount') - sum(writeOffs, 'amount')),
+      writtenOff: sum(writeOffs, 'amount'),
+      balance: sum(loans, 'balance')
+    };
+  }
+
+  /**
+   * Close all active entries of a staff member who is being deleted
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} staffId - Staff ID
+   * @param {string} settlement - STAFF_LOAN_SETTLEMENT value
+   * @param {string|null} recordedBy - Supabase user ID of the admin
+   * @returns {Promise<number>} Amount settled
+   */
+  async settleForDeletion(tx, staffId, settlement, recordedBy = null) {
+    const loans = await tx.staffLoan.findMany({
+      where: { staffId, status: STAFF_LOAN_STATUS.ACTIVE },
+      select: { id: true, balance: true }
+    });
+
+    let settled = 0;
+    for (const loan of loans) {
+      await this.applyRepayment(tx, {
+        loanId: loan.id,
+        amount: loan.balance,
+        source: settlement === STAFF_LOAN_SETTLEMENT.WRITTEN_OFF
+          ? STAFF_LOAN_REPAYMENT_SOURCE.WRITE_OFF
+          : STAFF_LOAN_REPAYMENT_SOURCE.SETTLEMENT,
+        remarks: 'Staff member deleted',
+        recordedBy
+      });
+      settled = toAmount(settled + Number(loan.balance));
+    }
+
+    return settled;
+  }
+}
+
+module.exports = new StaffLoanService();
@@ -1,5 +1,9 @@
 const { prisma } = require('../../services/database.service');
 const redisService = require('../../services/redis.service');
+const staffLoanService = require('./staffLoan.service');
+const { STAFF_LOAN, STAFF_LOAN_REPAYMENT_SOURCE } = require('./staff.constants');
+
+const paymentError = (message, code) => Object.assign(new Error(message), { code });
 
 class StaffPaymentService {
   
@@ -13,11 +17,15 @@ class StaffPaymentService {
 
   /**
    * Create a new staff payment
+   *
+   * Advances and loans open a ledger entry with their instalment schedule.
+   * A salary payment with deductInstalments has the instalments due by its
+   * cycle deducted, the payment amount is what remains.
    */
-  async createStaffPayment(hospitalId, staffId, paymentData) {
+  async createStaffPayment(hospitalId, staffId, paymentData, createdBy = null) {
     try {
       // Data is already validated in controller
-      const validatedData = paymentData;
+      const { instalments, instalmentAmount, startCycle, deductInstalments, cycle, ...validatedData } = paymentData;
 
       // Verify staff exists and belongs to hospital
       const staff = await prisma.staff.findFirst({
@@ -32,23 +40,62 @@ class StaffPaymentService {
         throw new Error('Staff member not found or inactive');
       }
 
-      // Create payment record
-      const payment = await prisma.staffPayment.create({
-        data: {
-          ...validatedData,
-          staffId
-        },
-        include: {
-          staff: {
-            select: {
-              id: true,
-              name: true,
-              staffRole: true,
-              salaryType: true,
-              salaryAmount: true
+      const deductionCycle = cycle || staffLoanService.getCycle(validatedData.paymentDate);
+      const due = deductInstalments
+        ? (await staffLoanService.getDueAmounts([staffId], deductionCycle)).get(staffId)
+        : { advance: 0, loan: 0 };
+
+      // Advances are deducted before loans, never beyond the salary
+      const gross = Number(validatedData.amount);
+      const deductions = {
+        advance: Math.min(due.advance, gross),
+        loan: Math.min(due.loan, Math.max(0, gross - due.advance))
+      };
+      const deducted = Math.round((deductions.advance + deductions.loan) * 100) / 100;
+
+      const payment = await prisma.$transaction(async (tx) => {
+        // Create payment record
+        const created = await tx.staffPayment.create({
+          data: {
+            ...validatedData,
+            ...(deducted > 0 && {
+              amount: Math.round((gross - deducted) * 100) / 100,
+              remarks: [validatedData.remarks, `Instalments of ${deducted} deducted from ${gross}`].filter(Boolean).join('. ')
+            }),
+            staffId
+          },
+          include: {
+            staff: {
+              select: {
+                id: true,
+                name: true,
+                staffRole: true,
+                salaryType: true,
+                salaryAmount: true
+              }
             }
           }
+        });
+
+        if (STAFF_LOAN.LEDGER_PAYMENT_TYPES.includes(created.paymentType)) {
+          created.loan = await staffLoanService.createLoan(tx, created, staff, { instalments, instalmentAmount, startCycle }, createdBy);
+        }
+
+        for (const [type, amount] of Object.entries(deductions)) {
+          if (amount <= 0) continue;
+
+          await staffLoanService.applyRepayment(tx, {
+            staffId,
+            type,
+            amount,
+            source: STAFF_LOAN_REPAYMENT_SOURCE.SALARY_PAYMENT,
+            cycle: deductionCycle,
+            staffPaymentId: created.id,
+            recordedBy: createdBy
+          });
         }
+
+        return deducted > 0 ? { ...created, deductions } : created;
       });
 
       // Invalidate cache
@@ -228,6 +275,12 @@ class StaffPaymentService {
               id: true,
               name: true
             }
+          },
+          loan: {
+            select: {
+              id: true,
+              _count: { select: { repayments: true } }
+            }
           }
         }
       });
@@ -236,9 +289,21 @@ class StaffPaymentService {
         throw new Error('Payment not found');
       }
 
-      // Delete the payment
-      const deletedPayment = await prisma.staffPayment.delete({
-        where: { id: paymentId }
+      if (payment.loan && payment.loan._count.repayments > 0) {
+        throw paymentError('This advance or loan already has repayments and cannot be deleted', 'LEDGER_HAS_REPAYMENTS');
+      }
+
+      // Delete the payment with its ledger entry, and give back instalments deducted from it
+      const deletedPayment = await prisma.$transaction(async (tx) => {
+        if (payment.loan) {
+          await tx.staffLoan.delete({ where: { id: payment.loan.id } });
+        }
+
+        await staffLoanService.reverseRepayments(tx, { staffPaymentId: paymentId });
+
+        return tx.staffPayment.delete({
+          where: { id: paymentId }
+        });
       });
 
       // Invalidate cache
@@ -480,7 +545,8 @@ class StaffPaymentService {
               name: true,
               hospitalId: true
             }
-          }
+          },
+          loan: { select: { id: true } }
         }
       });
 
@@ -488,6 +554,11 @@ class StaffPaymentService {
         throw new Error('Payment not found');
       }
 
+      // The ledger entry of an advance or loan was opened with its amount
+      if (validatedData.amount !== undefined && existingPayment.loan && Number(validatedData.amount) !== Number(existingPayment.amount)) {
+        throw paymentError('The amount of an advance or loan cannot be changed, delete the payment and record it again', 'LEDGER_PAYMENT_AMOUNT');
+      }
+
       // Update payment
       const updatedPayment = await prisma.staffPayment.update({
         where: { id: paymentId },
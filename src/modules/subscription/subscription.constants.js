@@ -0,0 +1,118 @@
+// Subscription statuses matching the Prisma schema
+const SUBSCRIPTION_STATUS = {
+  TRIALING: 'trialing',
+  ACTIVE: 'active',
+  PAST_DUE: 'past_due',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// Billing cycles matching the Prisma BillingCycle enum
+const BILLING_CYCLE = {
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY'
+};
+
+// Months in each billing cycle
+const BILLING_CYCLE_MONTHS = {
+  [BILLING_CYCLE.MONTHLY]: 1,
+  [BILLING_CYCLE.YEARLY]: 12
+};
+
+// Resources limited by a plan and the plan field holding each limit
+const PLAN_RESOURCES = {
+  DOCTORS: 'doctors',
+  STAFF: 'staff',
+  MESSAGES: 'messages',
+  APPOINTMENTS: 'appointments'
+};
+
+const PLAN_LIMIT_FIELDS = {
+  [PLAN_RESOURCES.DOCTORS]: 'maxDoctors',
+  [PLAN_RESOURCES.STAFF]: 'maxStaff',
+  [PLAN_RESOURCES.MESSAGES]: 'maxMonthlyMessages',
+  [PLAN_RESOURCES.APPOINTMENTS]: 'maxMonthlyAppointments'
+};
+
+// Statuses that still allow limited actions, past_due is the grace period
+const USABLE_STATUSES = [
+  SUBSCRIPTION_STATUS.TRIALING,
+  SUBSCRIPTION_STATUS.ACTIVE,
+  SUBSCRIPTION_STATUS.PAST_DUE
+];
+
+const TRIAL_PLAN_CODE = 'trial';
+const TRIAL_DAYS = 14;
+const GRACE_PERIOD_DAYS = 7;
+
+// Plan given to hospitals that were customers before subscriptions launched
+const EXISTING_HOSPITAL_PLAN_CODE = 'premium';
+
+// Plans created on first use, prices in INR and null limits are unlimited
+const DEFAULT_PLANS = [
+  {
+    code: TRIAL_PLAN_CODE,
+    name: 'Trial',
+    description: `${TRIAL_DAYS} day free trial`,
+    monthlyPrice: 0,
+    yearlyPrice: 0,
+    maxDoctors: 2,
+    maxStaff: 5,
+    maxMonthlyMessages: 200,
+    maxMonthlyAppointments: 300
+  },
+  {
+    code: 'basic',
+    name: 'Basic',
+    description: 'For small clinics',
+    monthlyPrice: 999,
+    yearlyPrice: 9990,
+    maxDoctors: 3,
+    maxStaff: 10,
+    maxMonthlyMessages: 1000,
+    maxMonthlyAppointments: 1500
+  },
+  {
+    code: 'standard',
+    name: 'Standard',
+    description: 'For growing multi-doctor clinics',
+    monthlyPrice: 2499,
+    yearlyPrice: 24990,
+    maxDoctors: 10,
+    maxStaff: 30,
+    maxMonthlyMessages: 5000,
+    maxMonthlyAppointments: 6000
+  },
+  {
+    code: 'premium',
+    name: 'Premium',
+    description: 'Unlimited doctors, staff, messages and appointments',
+    monthlyPrice: 4999,
+    yearlyPrice: 49990,
+    maxDoctors: null,
+    maxStaff: null,
+    maxMonthlyMessages: null,
+    maxMonthlyAppointments: null
+  }
+];
+
+// Cache keys and TTL
+const CACHE = {
+  SUBSCRIPTION_PREFIX: 'subscription:',
+  SUBSCRIPTION_TTL: 5 * 60 // 5 minutes
+};
+
+module.exports = {
+  SUBSCRIPTION_STATUS,
+  BILLING_CYCLE,
+  BILLING_CYCLE_MONTHS,
+  PLAN_RESOURCES,
+  PLAN_LIMIT_FIELDS,
+  USABLE_STATUSES,
+  TRIAL_PLAN_CODE,
+  TRIAL_DAYS,
+  GRACE_PERIOD_DAYS,
+  EXISTING_HOSPITAL_PLAN_CODE,
+  DEFAULT_PLANS,
+  CACHE
+};
@@ -0,0 +1,180 @@
+const subscriptionService = require('./subscription.service');
+
+/**
+ * Controller for subscription plan API endpoints
+ */
+class SubscriptionController {
+  /**
+   * List the plans a hospital can choose from
+   */
+  async listPlans(req, res) {
+    try {
+      const plans = await subscriptionService.listPlans({
+        includeInactive: req.user?.isSuperAdmin && req.query.includeInactive === 'true'
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: plans
+      });
+    } catch (error) {
+      console.error('Error in listPlans controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get subscription plans',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the hospital's subscription with its usage against the plan limits
+   */
+  async getSubscription(req, res) {
+    try {
+      const overview = await subscriptionService.getSubscriptionOverview(req.user.hospital_id);
+
+      return res.status(200).json({
+        success: true,
+        data: overview
+      });
+    } catch (error) {
+      console.error('Error in getSubscription controller:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get subscription',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Switch the hospital to another plan
+   */
+  async changePlan(req, res) {
+    try {
+      const subscription = await subscriptionService.changePlan(req.user.hospital_id, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: subscription.pendingPlanId
+          ? 'Plan upgrade scheduled, it applies once the renewal payment is recorded'
+          : 'Subscription plan changed successfully',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Error in changePlan controller:', error);
+      return handleSubscriptionError(res, error, 'Failed to change subscription plan');
+    }
+  }
+
+  /**
+   * Cancel the subscription at the end of the current period
+   */
+  async cancelSubscription(req, res) {
+    try {
+      const subscription = await subscriptionService.cancelSubscription(req.user.hospital_id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Subscription will end with the current billing period',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Error in cancelSubscription controller:', error);
+      return handleSubscriptionError(res, error, 'Failed to cancel subscription');
+    }
+  }
+
+  // Super admin endpoints
+
+  async createPlan(req, res) {
+    try {
+      const plan = await subscriptionService.createPlan(req.body);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Subscription plan created successfully',
+        data: plan
+      });
+    } catch (error) {
+      console.error('Error in createPlan controller:', error);
+      return handleSubscriptionError(res, error, 'Failed to create subscription plan');
+    }
+  }
+
+  async updatePlan(req, res) {
+    try {
+      const plan = await subscriptionService.updatePlan(req.params.planId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Subscription plan updated successfully',
+        data: plan
+      });
+    } catch (error) {
+      console.error('Error in updatePlan controller:', error);
+      return handleSubscriptionError(res, error, 'Failed to update subscription plan');
+    }
+  }
+
+  /**
+   * Record a renewal payment for a hospital
+   */
+  async renewSubscription(req, res) {
+    try {
+      const subscription = await subscriptionService.renewSubscription(req.params.hospitalId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Subscription renewed successfully',
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Error in renewSubscription controller:', error);
+      return handleSubscriptionError(res, error, 'Failed to renew subscription');
+    }
+  }
+}
+
+/**
+ * Map subscription service errors onto HTTP responses
+ */
+function handleSubscriptionError(res, error, fallbackMessage) {
+  if (error.validationErrors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: error.validationErrors
+    });
+  }
+
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('already')) {
+    return res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'PLAN_DOWNGRADE_BLOCKED' || error.message.includes('Choose a paid plan')) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
+
+module.exports = new SubscriptionController();
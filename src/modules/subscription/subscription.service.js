@@ -0,0 +1,722 @@
+const { prisma } = require('../../services/database.service');
+const redisService = require('../../services/redis.service');
+const rabbitmqService = require('../../services/rabbitmq.service');
+const TimezoneUtil = require('../../utils/timezone.util');
+const subscriptionValidator = require('./subscription.validator');
+const { MESSAGE_QUEUES } = require('../notification/notification.constants');
+const {
+  SUBSCRIPTION_STATUS,
+  BILLING_CYCLE,
+  BILLING_CYCLE_MONTHS,
+  PLAN_RESOURCES,
+  PLAN_LIMIT_FIELDS,
+  USABLE_STATUSES,
+  TRIAL_PLAN_CODE,
+  TRIAL_DAYS,
+  GRACE_PERIOD_DAYS,
+  EXISTING_HOSPITAL_PLAN_CODE,
+  DEFAULT_PLANS,
+  CACHE
+} = require('./subscription.constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUBSCRIPTION_INCLUDE = { plan: true, pendingPlan: true };
+
+/**
+ * Build an error carrying a subscription error code for controllers and middleware
+ */
+const subscriptionError = (message, code, details = {}) => Object.assign(new Error(message), { code, ...details });
+
+/**
+ * Service layer for hospital SaaS plans and subscriptions
+ *
+ * Every hospital has one subscription, created on first use: a trial for
+ * hospitals created after subscriptions launched (SUBSCRIPTIONS_LAUNCHED_AT),
+ * an active plan for hospitals that were already customers. The status is resolved from the period dates whenever the subscription is
+ * read: once the period ends a paid subscription is past_due for
+ * GRACE_PERIOD_DAYS and then expired, a trial expires straight away.
+ */
+class SubscriptionService {
+  // Plans
+
+  /**
+   * Create the default plans that do not exist yet
+   */
+  async ensureDefaultPlans() {
+    if (this.defaultPlansReady) {
+      return;
+    }
+
+    await Promise.all(DEFAULT_PLANS.map(plan => prisma.subscriptionPlan.upsert({
+      where: { code: plan.code },
+      create: plan,
+      update: {}
+    })));
+
+    this.defaultPlansReady = true;
+  }
+
+  async listPlans({ includeInactive = false } = {}) {
+    try {
+      await this.ensureDefaultPlans();
+
+      return await prisma.subscriptionPlan.findMany({
+        where: includeInactive ? {} : { isActive: true },
+        orderBy: { monthlyPrice: 'asc' }
+      });
+    } catch (error) {
+      console.error('Error in listPlans:', error);
+      throw error;
+    }
+  }
+
+  async createPlan(planData) {
+    try {
+      const { error, value } = subscriptionValidator.validateCreatePlan(planData);
+      if (error) {
+        throw Object.assign(new Error('Validation failed'), {
+          validationErrors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const existingPlan = await prisma.subscriptionPlan.findUnique({
+        where: { code: value.code },
+        select: { id: true }
+      });
+
+      if (existingPlan) {
+        throw new Error('A plan with this code already exists');
+      }
+
+      return await prisma.subscriptionPlan.create({ data: value });
+    } catch (error) {
+      console.error('Error in createPlan:', error);
+      throw error;
+    }
+  }
+
+  async updatePlan(planId, planData) {
+    try {
+      const { error, value } = subscriptionValidator.validateUpdatePlan(planData);
+      if (error) {
+        throw Object.assign(new Error('Validation failed'), {
+          validationErrors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const plan = await prisma.subscriptionPlan.findUnique({
+        where: { id: planId },
+        select: { id: true }
+      });
+
+      if (!plan) {
+        throw new Error('Plan not found');
+      }
+
+      const updatedPlan = await prisma.subscriptionPlan.update({
+        where: { id: planId },
+        data: value
+      });
+
+      // Limits are read from the cached subscriptions
+      await redisService.deleteByPattern(`${CACHE.SUBSCRIPTION_PREFIX}*`);
+
+      return updatedPlan;
+    } catch (error) {
+      console.error('Error in updatePlan:', error);
+      throw error;
+    }
+  }
+
+  // Subscriptions
+
+  /**
+   * Get a hospital's subscription with its plan and resolved status
+   * @param {string} hospitalId - Hospital ID
+   * @returns {Promise<Object>} Subscription with plan, status and isUsable flag
+   */
+  async getSubscription(hospitalId) {
+    if (!hospitalId) {
+      throw new Error('Hospital ID is required');
+    }
+
+    const cacheKey = `${CACHE.SUBSCRIPTION_PREFIX}${hospitalId}`;
+    let subscription = await redisService.getCache(cacheKey);
+
+    if (!subscription) {
+      subscription = await prisma.hospitalSubscription.findUnique({
+        where: { hospitalId },
+        include: SUBSCRIPTION_INCLUDE
+      }) || await this.startSubscription(hospitalId);
+
+      await redisService.setCache(cacheKey, subscription, CACHE.SUBSCRIPTION_TTL);
+    }
+
+    const status = this.resolveStatus(subscription);
+
+    if (status !== subscription.status) {
+      subscription = await this.updateStatus(subscription, status);
+    }
+
+    return this.formatSubscription(subscription);
+  }
+
+  /**
+   * Create the first subscription of a hospital without one
+   */
+  async startSubscription(hospitalId) {
+    const hospital = await prisma.hospital.findUnique({
+      where: { id: hospitalId },
+      select: { createdAt: true }
+    });
+
+    if (!hospital) {
+      throw new Error('Hospital not found');
+    }
+
+    const launchedAt = this.getLaunchDate();
+
+    return launchedAt && hospital.createdAt >= launchedAt
+      ? this.startTrial(hospitalId)
+      : this.startExistingHospitalPlan(hospitalId);
+  }
+
+  /**
+   * Moment subscriptions launched, null until SUBSCRIPTIONS_LAUNCHED_AT is set
+   * so no existing customer is put on a trial
+   */
+  getLaunchDate() {
+    const launchedAt = process.env.SUBSCRIPTIONS_LAUNCHED_AT
+      ? new Date(process.env.SUBSCRIPTIONS_LAUNCHED_AT)
+      : null;
+
+    return launchedAt && !isNaN(launchedAt.getTime()) ? launchedAt : null;
+  }
+
+  /**
+   * Put a hospital that predates subscriptions on an active paid plan
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} options - planCode and billingCycle of the first period
+   * @returns {Promise<Object>} The hospital's subscription, an existing one is left as it is
+   */
+  async startExistingHospitalPlan(hospitalId, { planCode = EXISTING_HOSPITAL_PLAN_CODE, billingCycle = BILLING_CYCLE.MONTHLY } = {}) {
+    await this.ensureDefaultPlans();
+
+    const plan = await prisma.subscriptionPlan.findUnique({
+      where: { code: planCode }
+    });
+
+    if (!plan) {
+      throw new Error('Plan not found');
+    }
+
+    const now = new Date();
+    const periodEnd = this.addMonths(now, BILLING_CYCLE_MONTHS[billingCycle]);
+
+    return prisma.hospitalSubscription.upsert({
+      where: { hospitalId },
+      create: {
+        hospitalId,
+        planId: plan.id,
+        billingCycle,
+        status: SUBSCRIPTION_STATUS.ACTIVE,
+        currentPeriodStart: now,
+        currentPeriodEnd: periodEnd,
+        graceEndsAt: new Date(periodEnd.getTime() + GRACE_PERIOD_DAYS * DAY_MS)
+      },
+      update: {},
+      include: SUBSCRIPTION_INCLUDE
+    });
+  }
+
+  /**
+   * Start the free trial of a hospital without a subscription
+   */
+  async startTrial(hospitalId) {
+    await this.ensureDefaultPlans();
+
+    const trialPlan = await prisma.subscriptionPlan.findUnique({
+      where: { code: TRIAL_PLAN_CODE }
+    });
+
+    const now = new Date();
+
+    // upsert so concurrent first requests of a hospital create a single subscription
+    return prisma.hospitalSubscription.upsert({
+      where: { hospitalId },
+      create: {
+        hospitalId,
+        planId: trialPlan.id,
+        status: SUBSCRIPTION_STATUS.TRIALING,
+        currentPeriodStart: now,
+        currentPeriodEnd: new Date(now.getTime() + TRIAL_DAYS * DAY_MS)
+      },
+      update: {},
+      include: SUBSCRIPTION_INCLUDE
+    });
+  }
+
+  /**
+   * Work out the status of a subscription from its period dates
+   * @param {Object} subscription - Subscription record
+   * @param {Date} now - Point in time to resolve the status at
+   * @returns {string} Subscription status
+   */
+  resolveStatus(subscription, now = new Date()) {
+    if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED) {
+      return SUBSCRIPTION_STATUS.CANCELLED;
+    }
+
+    if (now < new Date(subscription.currentPeriodEnd)) {
+      return subscription.status === SUBSCRIPTION_STATUS.TRIALING
+        ? SUBSCRIPTION_STATUS.TRIALING
+        : SUBSCRIPTION_STATUS.ACTIVE;
+    }
+
+    if (subscription.cancelAtPeriodEnd) {
+      return SUBSCRIPTION_STATUS.CANCELLED;
+    }
+
+    // Trials have no grace period
+    if (subscription.status === SUBSCRIPTION_STATUS.TRIALING) {
+      return SUBSCRIPTION_STATUS.EXPIRED;
+    }
+
+    if (subscription.graceEndsAt && now < new Date(subscription.graceEndsAt)) {
+      return SUBSCRIPTION_STATUS.PAST_DUE;
+    }
+
+    return SUBSCRIPTION_STATUS.EXPIRED;
+  }
+
+  /**
+   * Persist a status change found while reading a subscription and tell the hospital
+   */
+  async updateStatus(subscription, status) {
+    // Conditional update so concurrent requests notify the hospital only once
+    const { count } = await prisma.hospitalSubscription.updateMany({
+      where: { id: subscription.id, status: subscription.status },
+      data: { status }
+    });
+
+    await this.invalidateCache(subscription.hospitalId);
+
+    const updatedSubscription = await prisma.hospitalSubscription.findUnique({
+      where: { id: subscription.id },
+      include: SUBSCRIPTION_INCLUDE
+    });
+
+    if (count > 0) {
+      await this.notifyStatusChange(updatedSubscription);
+    }
+
+    return updatedSubscription;
+  }
+
+  formatSubscription(subscription) {
+    const now = Date.now();
+    const periodEnd = new Date(subscription.currentPeriodEnd).getTime();
+    const graceEnd = subscription.graceEndsAt ? new Date(subscription.graceEndsAt).getTime() : null;
+
+    return {
+      ...subscription,
+      isUsable: USABLE_STATUSES.includes(subscription.status),
+      inGracePeriod: subscription.status === SUBSCRIPTION_STATUS.PAST_DUE,
+      daysRemaining: Math.max(0, Math.ceil((periodEnd - now) / DAY_MS)),
+      graceDaysRemaining: subscription.status === SUBSCRIPTION_STATUS.PAST_DUE && graceEnd
+        ? Math.max(0, Math.ceil((graceEnd - now) / DAY_MS))
+        : null
+    };
+  }
+
+  /**
+   * Switch a hospital to another plan, the current period is kept
+   *
+   * Downgrades apply straight away. An upgrade is only scheduled as the
+   * pending plan and applies when a super admin records the renewal payment,
+   * so limits are never raised without payment.
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} planData - planCode and billingCycle
+   * @returns {Promise<Object>} Updated subscription, pendingPlan is set for an upgrade
+   */
+  async changePlan(hospitalId, planData) {
+    try {
+      const { error, value } = subscriptionValidator.validateChangePlan(planData);
+      if (error) {
+        throw Object.assign(new Error('Validation failed'), {
+          validationErrors: error.details.map(detail => detail.message)
+        });
+      }
+
+      await this.ensureDefaultPlans();
+
+      const plan = await prisma.subscriptionPlan.findUnique({
+        where: { code: value.planCode }
+      });
+
+      if (!plan || !plan.isActive || plan.code === TRIAL_PLAN_CODE) {
+        throw new Error('Plan not found');
+      }
+
+      const subscription = await this.getSubscription(hospitalId);
+
+      if (this.isUpgrade(subscription.plan, plan)) {
+        await prisma.hospitalSubscription.update({
+          where: { id: subscription.id },
+          data: {
+            pendingPlanId: plan.id,
+            billingCycle: value.billingCycle
+          }
+        });
+
+        await this.invalidateCache(hospitalId);
+
+        return await this.getSubscription(hospitalId);
+      }
+
+      // Block downgrades the hospital has already outgrown
+      const [doctors, staff] = await Promise.all([
+        this.getUsageCount(hospitalId, PLAN_RESOURCES.DOCTORS),
+        this.getUsageCount(hospitalId, PLAN_RESOURCES.STAFF)
+      ]);
+
+      if (plan.maxDoctors !== null && doctors > plan.maxDoctors) {
+        throw subscriptionError(
+          `The ${plan.name} plan allows ${plan.maxDoctors} active doctors, deactivate ${doctors - plan.maxDoctors} before switching`,
+          'PLAN_DOWNGRADE_BLOCKED'
+        );
+      }
+
+      if (plan.maxStaff !== null && staff > plan.maxStaff) {
+        throw subscriptionError(
+          `The ${plan.name} plan allows ${plan.maxStaff} active staff members, deactivate ${staff - plan.maxStaff} before switching`,
+          'PLAN_DOWNGRADE_BLOCKED'
+        );
+      }
+
+      await prisma.hospitalSubscription.update({
+        where: { id: subscription.id },
+        data: {
+          planId: plan.id,
+          pendingPlanId: null,
+          billingCycle: value.billingCycle
+        }
+      });
+
+      await this.invalidateCache(hospitalId);
+
+      return await this.getSubscription(hospitalId);
+    } catch (error) {
+      console.error('Error in changePlan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a plan costs more or raises any limit of the current plan, leaving the trial always does
+   */
+  isUpgrade(currentPlan, plan) {
+    if (currentPlan.code === TRIAL_PLAN_CODE) {
+      return true;
+    }
+
+    return plan.monthlyPrice > currentPlan.monthlyPrice ||
+      plan.yearlyPrice > currentPlan.yearlyPrice ||
+      Object.values(PLAN_LIMIT_FIELDS).some(field =>
+        currentPlan[field] !== null && (plan[field] === null || plan[field] > currentPlan[field])
+      );
+  }
+
+  /**
+   * Record a renewal payment and start the next billing period
+   *
+   * A renewal inside the period or the grace period continues from the
+   * current period end, a renewal after expiry starts a new period today.
+   * A pending upgrade becomes the plan with the renewal.
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} renewalData - Optional billingCycle to switch to
+   * @returns {Promise<Object>} Renewed subscription
+   */
+  async renewSubscription(hospitalId, renewalData = {}) {
+    try {
+      const { error, value } = subscriptionValidator.validateRenew(renewalData);
+      if (error) {
+        throw Object.assign(new Error('Validation failed'), {
+          validationErrors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const subscription = await this.getSubscription(hospitalId);
+
+      if (subscription.plan.code === TRIAL_PLAN_CODE && !subscription.pendingPlanId) {
+        throw new Error('Choose a paid plan before renewing the subscription');
+      }
+
+      const billingCycle = value.billingCycle || subscription.billingCycle;
+      const now = new Date();
+      const continuesPeriod = [SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.PAST_DUE].includes(subscription.status);
+      const periodStart = continuesPeriod ? new Date(subscription.currentPeriodEnd) : now;
+      const periodEnd = this.addMonths(periodStart, BILLING_CYCLE_MONTHS[billingCycle]);
+
+      await prisma.hospitalSubscription.update({
+        where: { id: subscription.id },
+        data: {
+          planId: subscription.pendingPlanId || subscription.planId,
+          pendingPlanId: null,
+          billingCycle,
+          status: SUBSCRIPTION_STATUS.ACTIVE,
+          currentPeriodStart: periodStart,
+          currentPeriodEnd: periodEnd,
+          graceEndsAt: new Date(periodEnd.getTime() + GRACE_PERIOD_DAYS * DAY_MS),
+          cancelAtPeriodEnd: false,
+          cancelledAt: null,
+          lastRenewedAt: now
+        }
+      });
+
+      await this.invalidateCache(hospitalId);
+
+      return await this.getSubscription(hospitalId);
+    } catch (error) {
+      console.error('Error in renewSubscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the subscription at the end of the current period
+   */
+  async cancelSubscription(hospitalId) {
+    try {
+      const subscription = await this.getSubscription(hospitalId);
+
+      if (subscription.status === SUBSCRIPTION_STATUS.CANCELLED || subscription.cancelAtPeriodEnd) {
+        throw new Error('Subscription is already cancelled');
+      }
+
+      await prisma.hospitalSubscription.update({
+        where: { id: subscription.id },
+        data: {
+          cancelAtPeriodEnd: true,
+          cancelledAt: new Date()
+        }
+      });
+
+      await this.invalidateCache(hospitalId);
+
+      return await this.getSubscription(hospitalId);
+    } catch (error) {
+      console.error('Error in cancelSubscription:', error);
+      throw error;
+    }
+  }
+
+  // Limits and usage
+
+  /**
+   * First day of the current month (IST), the start of monthly limits
+   */
+  getCurrentMonthStart() {
+    return new Date(`${TimezoneUtil.getIstDateString().slice(0, 7)}-01`);
+  }
+
+  /**
+   * Count how much of a limited resource a hospital uses right now
+   */
+  async getUsageCount(hospitalId, resource) {
+    switch (resource) {
+      case PLAN_RESOURCES.DOCTORS:
+        return prisma.doctor.count({
+          where: { hospitalId, status: 'active' }
+        });
+      case PLAN_RESOURCES.STAFF:
+        return prisma.staff.count({
+          where: { hospitalId, isActive: true }
+        });
+      case PLAN_RESOURCES.APPOINTMENTS:
+        return prisma.appointment.count({
+          where: {
+            hospitalId,
+            createdAt: { gte: this.getCurrentMonthStart() }
+          }
+        });
+      case PLAN_RESOURCES.MESSAGES: {
+        const usage = await prisma.usageStats.findUnique({
+          where: {
+            hospitalId_month: { hospitalId, month: this.getCurrentMonthStart() }
+          }
+        });
+        return usage ? usage.smsUsed + usage.whatsappUsed : 0;
+      }
+      default:
+        throw new Error(`Unknown plan resource: ${resource}`);
+    }
+  }
+
+  /**
+   * Get the plan limit of a resource for callers that enforce it themselves
+   * @returns {Promise<Object>} isUsable flag, status and limit (null when unlimited)
+   */
+  async getLimit(hospitalId, resource) {
+    const subscription = await this.getSubscription(hospitalId);
+    const limit = subscription.plan[PLAN_LIMIT_FIELDS[resource]];
+
+    return {
+      isUsable: subscription.isUsable,
+      status: subscription.status,
+      limit: limit === undefined ? null : limit
+    };
+  }
+
+  /**
+   * Check whether a hospital may use more of a limited resource
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} resource - One of PLAN_RESOURCES
+   * @param {number} quantity - How many units the action needs
+   * @returns {Promise<Object>} allowed flag with the status, limit and usage
+   */
+  async checkLimit(hospitalId, resource, quantity = 1) {
+    const subscription = await this.getSubscription(hospitalId);
+
+    if (!subscription.isUsable) {
+      return {
+        allowed: false,
+        code: 'SUBSCRIPTION_EXPIRED',
+        message: `Your subscription is ${subscription.status}, renew it to continue`,
+        status: subscription.status,
+        resource
+      };
+    }
+
+    const limit = subscription.plan[PLAN_LIMIT_FIELDS[resource]];
+
+    if (limit === null || limit === undefined) {
+      return { allowed: true, status: subscription.status, resource, limit: null };
+    }
+
+    const used = await this.getUsageCount(hospitalId, resource);
+    const allowed = used + quantity <= limit;
+
+    return {
+      allowed,
+      ...(!allowed && {
+        code: 'PLAN_LIMIT_REACHED',
+        message: `Your ${subscription.plan.name} plan allows ${limit} ${resource}${PLAN_LIMIT_FIELDS[resource].startsWith('maxMonthly') ? ' per month' : ''}, upgrade your plan to add more`
+      }),
+      status: subscription.status,
+      resource,
+      limit,
+      used
+    };
+  }
+
+  /**
+   * Throw when a hospital may not use more of a limited resource
+   */
+  async assertWithinLimit(hospitalId, resource, quantity = 1) {
+    const result = await this.checkLimit(hospitalId, resource, quantity);
+
+    if (!result.allowed) {
+      throw subscriptionError(result.message, result.code, {
+        resource: result.resource,
+        limit: result.limit,
+        used: result.used
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Subscription with the usage of every limited resource
+   */
+  async getSubscriptionOverview(hospitalId) {
+    try {
+      const subscription = await this.getSubscription(hospitalId);
+
+      const usage = {};
+      for (const resource of Object.values(PLAN_RESOURCES)) {
+        usage[resource] = {
+          used: await this.getUsageCount(hospitalId, resource),
+          limit: subscription.plan[PLAN_LIMIT_FIELDS[resource]]
+        };
+      }
+
+      return { subscription, usage };
+    } catch (error) {
+      console.error('Error in getSubscriptionOverview:', error);
+      throw error;
+    }
+  }
+
+  async invalidateCache(hospitalId) {
+    try {
+      await redisService.deleteCache(`${CACHE.SUBSCRIPTION_PREFIX}${hospitalId}`);
+    } catch (error) {
+      console.error('Error invalidating subscription cache:', error);
+    }
+  }
+
+  // Notifications
+
+  async notifyStatusChange(subscription) {
+    const templates = {
+      [SUBSCRIPTION_STATUS.PAST_DUE]: {
+        subject: 'Your Tiqora subscription has ended',
+        body: `Your ${subscription.plan.name} subscription ended on ${TimezoneUtil.getIstDateString(new Date(subscription.currentPeriodEnd))}. Everything keeps working for ${GRACE_PERIOD_DAYS} more days, renew before ${TimezoneUtil.getIstDateString(new Date(subscription.graceEndsAt))} to avoid interruptions.`
+      },
+      [SUBSCRIPTION_STATUS.EXPIRED]: {
+        subject: 'Your Tiqora subscription has expired',
+        body: `Your ${subscription.plan.name} subscription has expired. Adding doctors and staff, online bookings and patient messages are paused until the subscription is renewed.`
+      },
+      [SUBSCRIPTION_STATUS.CANCELLED]: {
+        subject: 'Your Tiqora subscription has been cancelled',
+        body: `Your ${subscription.plan.name} subscription has ended as requested. Choose a plan at any time to continue using Tiqora.`
+      }
+    };
+
+    const template = templates[subscription.status];
+    if (!template) {
+      return;
+    }
+
+    try {
+      const hospital = await prisma.hospital.findUnique({
+        where: { id: subscription.hospitalId },
+        select: { name: true, adminEmail: true }
+      });
+
+      // Published straight to the email queue, messageService depends on this service for quotas
+      await rabbitmqService.publishToQueue(MESSAGE_QUEUES.email, {
+        to: hospital.adminEmail,
+        subject: template.subject,
+        hospitalId: subscription.hospitalId,
+        content: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff; border: 1px solid #e5e7eb; border-radius: 8px;">
+            <h2 style="color: #2563EB; font-size: 24px; margin-bottom: 10px;">${template.subject}</h2>
+            <p style="font-size: 16px; color: #111827;">Dear ${hospital.name} Admin,</p>
+            <p style="font-size: 16px; color: #111827; line-height: 1.6;">${template.body}</p>
+          </div>
+        `
+      });
+    } catch (error) {
+      console.error('Error sending subscription status email:', error);
+    }
+  }
+
+  // Helper methods
+
+  addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    // Clamp to the last day of the month, e.g. Jan 31 + 1 month is Feb 28/29
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+  }
+}
+
+module.exports = new SubscriptionService();
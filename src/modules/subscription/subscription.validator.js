@@ -0,0 +1,71 @@
+const Joi = require('joi');
+const { BILLING_CYCLE } = require('./subscription.constants');
+
+const limitField = (label) => Joi.number().integer().min(0).allow(null).messages({
+  'number.base': `${label} must be a number`,
+  'number.min': `${label} cannot be negative`
+});
+
+// Schema for a hospital choosing or changing its plan
+const changePlanSchema = Joi.object({
+  planCode: Joi.string().trim().required().messages({
+    'string.empty': 'Plan code is required',
+    'any.required': 'Plan code is required'
+  }),
+  billingCycle: Joi.string()
+    .valid(...Object.values(BILLING_CYCLE))
+    .default(BILLING_CYCLE.MONTHLY)
+    .messages({
+      'any.only': `Billing cycle must be one of: ${Object.values(BILLING_CYCLE).join(', ')}`
+    })
+});
+
+// Schema for recording a renewal payment
+const renewSchema = Joi.object({
+  billingCycle: Joi.string()
+    .valid(...Object.values(BILLING_CYCLE))
+    .optional()
+    .messages({
+      'any.only': `Billing cycle must be one of: ${Object.values(BILLING_CYCLE).join(', ')}`
+    })
+});
+
+// Schema for creating a plan
+const createPlanSchema = Joi.object({
+  code: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).max(50).required().messages({
+    'string.pattern.base': 'Plan code may only contain lowercase letters, numbers, dashes and underscores',
+    'any.required': 'Plan code is required'
+  }),
+  name: Joi.string().trim().min(2).max(100).required().messages({
+    'any.required': 'Plan name is required'
+  }),
+  description: Joi.string().trim().max(500).allow('', null),
+  monthlyPrice: Joi.number().integer().min(0).required().messages({
+    'any.required': 'Monthly price is required'
+  }),
+  yearlyPrice: Joi.number().integer().min(0).required().messages({
+    'any.required': 'Yearly price is required'
+  }),
+  maxDoctors: limitField('Doctor limit'),
+  maxStaff: limitField('Staff limit'),
+  maxMonthlyMessages: limitField('Monthly message limit'),
+  maxMonthlyAppointments: limitField('Monthly appointment limit'),
+  isActive: Joi.boolean().default(true)
+});
+
+// Schema for updating a plan, the code cannot change
+const updatePlanSchema = createPlanSchema
+  .fork(['code'], schema => schema.forbidden())
+  .fork(['name', 'monthlyPrice', 'yearlyPrice'], schema => schema.optional())
+  .fork(['isActive'], () => Joi.boolean())
+  .min(1)
+  .messages({
+    'object.min': 'No fields to update'
+  });
+
+module.exports = {
+  validateChangePlan: (data) => changePlanSchema.validate(data, { abortEarly: false }),
+  validateRenew: (data) => renewSchema.validate(data || {}, { abortEarly: false }),
+  validateCreatePlan: (data) => createPlanSchema.validate(data, { abortEarly: false }),
+  validateUpdatePlan: (data) => updatePlanSchema.validate(data, { abortEarly: false })
+};
@@ -0,0 +1,89 @@
+// Hospital user statuses matching the Prisma schema
+const USER_STATUS = {
+  INVITED: 'invited',
+  ACTIVE: 'active',
+  DEACTIVATED: 'deactivated'
+};
+
+// Roles follow the staff_role enum, the hospital's own account is the admin
+const USER_ROLE = {
+  ADMIN: 'admin',
+  STAFF_NURSE: 'Staff_Nurse',
+  OPD_ASSISTANT: 'OPD_Assistant',
+  RECEPTIONIST: 'Receptionist',
+  OPD_MANAGER: 'OPD_Manager',
+  HELPER: 'Helper',
+  DOCTOR: 'Doctor'
+};
+
+const PERMISSIONS = {
+  HOSPITAL_READ: 'hospital:read',
+  HOSPITAL_MANAGE: 'hospital:manage',
+  APPOINTMENTS_READ: 'appointments:read',
+  APPOINTMENTS_WRITE: 'appointments:write',
+  APPOINTMENTS_PAYMENT: 'appointments:payment',
+  NOTES_READ: 'notes:read',
+  NOTES_WRITE: 'notes:write',
+  PATIENTS_READ: 'patients:read',
+  PATIENTS_WRITE: 'patients:write',
+  PATIENTS_MERGE: 'patients:merge',
+  DOCTORS_READ: 'doctors:read',
+  DOCTORS_MANAGE: 'doctors:manage',
+  STAFF_READ: 'staff:read',
+  STAFF_MANAGE: 'staff:manage',
+  STAFF_SALARY: 'staff:salary',
+  ATTENDANCE_MANAGE: 'attendance:manage',
+  PAYMENTS_READ: 'payments:read',
+  PAYMENTS_REFUND: 'payments:refund',
+  SUBSCRIPTION_MANAGE: 'subscription:manage',
+  USERS_MANAGE: 'users:manage'
+};
+
+const P = PERMISSIONS;
+
+// What each role may do, the admin may do everything
+const ROLE_PERMISSIONS = {
+  [USER_ROLE.ADMIN]: Object.values(PERMISSIONS),
+  [USER_ROLE.OPD_MANAGER]: [
+    P.HOSPITAL_READ, P.APPOINTMENTS_READ, P.APPOINTMENTS_WRITE, P.APPOINTMENTS_PAYMENT,
+    P.NOTES_READ, P.PATIENTS_READ, P.PATIENTS_WRITE, P.PATIENTS_MERGE,
+    P.DOCTORS_READ, P.DOCTORS_MANAGE, P.STAFF_READ, P.ATTENDANCE_MANAGE,
+    P.PAYMENTS_READ, P.PAYMENTS_REFUND
+  ],
+  [USER_ROLE.RECEPTIONIST]: [
+    P.HOSPITAL_READ, P.APPOINTMENTS_READ, P.APPOINTMENTS_WRITE, P.APPOINTMENTS_PAYMENT,
+    P.PATIENTS_READ, P.PATIENTS_WRITE, P.DOCTORS_READ, P.PAYMENTS_READ
+  ],
+  [USER_ROLE.STAFF_NURSE]: [
+    P.APPOINTMENTS_READ, P.APPOINTMENTS_WRITE, P.NOTES_READ, P.PATIENTS_READ, P.DOCTORS_READ
+  ],
+  [USER_ROLE.OPD_ASSISTANT]: [
+    P.APPOINTMENTS_READ, P.APPOINTMENTS_WRITE, P.PATIENTS_READ, P.DOCTORS_READ
+  ],
+  [USER_ROLE.HELPER]: [
+    P.APPOINTMENTS_READ, P.DOCTORS_READ
+  ],
+  // Doctors are limited to their own appointments, see DOCTOR_SCOPED_ROLES
+  [USER_ROLE.DOCTOR]: [
+    P.APPOINTMENTS_READ, P.APPOINTMENTS_WRITE, P.NOTES_READ, P.NOTES_WRITE,
+    P.PATIENTS_READ, P.DOCTORS_READ
+  ]
+};
+
+// Roles that only see appointments of their own doctor record
+const DOCTOR_SCOPED_ROLES = [USER_ROLE.DOCTOR];
+
+// Invitation links
+const INVITE = {
+  TOKEN_BYTES: 32,
+  EXPIRY_DAYS: 7
+};
+
+module.exports = {
+  USER_STATUS,
+  USER_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  DOCTOR_SCOPED_ROLES,
+  INVITE
+};
@@ -0,0 +1,182 @@
+const userService = require('./user.service');
+const validator = require('./user.validator');
+
+/**
+ * Send the response for a failed user request
+ */
+const handleUserError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'USER_EXISTS') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      ...(error.userId && { data: { userId: error.userId } })
+    });
+  }
+
+  if (error.code === 'INVALID_INVITE' || error.code === 'INVITE_EXPIRED') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+/**
+ * Controller for hospital user and invitation API endpoints
+ */
+class UserController {
+  /**
+   * Get the logged in user's role, permissions and hospital
+   */
+  async getCurrentUser(req, res) {
+    try {
+      const profile = await userService.getCurrentUser(req.user);
+
+      return res.status(200).json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      console.error('Error in getCurrentUser controller:', error);
+      return handleUserError(res, error, 'Failed to get current user');
+    }
+  }
+
+  /**
+   * List the hospital's user logins and invitations
+   */
+  async listUsers(req, res) {
+    try {
+      const users = await userService.listUsers(req.user.hospital_id);
+
+      return res.status(200).json({
+        success: true,
+        data: users
+      });
+    } catch (error) {
+      console.error('Error in listUsers controller:', error);
+      return handleUserError(res, error, 'Failed to get users');
+    }
+  }
+
+  /**
+   * Invite a staff member or doctor to log in
+   */
+  async inviteUser(req, res) {
+    try {
+      const { error, value } = validator.validateInvite(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invitation data',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const user = await userService.inviteUser(req.user.hospital_id, value);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: user
+      });
+    } catch (error) {
+      console.error('Error in inviteUser controller:', error);
+      return handleUserError(res, error, 'Failed to invite user');
+    }
+  }
+
+  /**
+   * Accept an invitation with the logged in account
+   */
+  async acceptInvite(req, res) {
+    try {
+      const { error, value } = validator.validateAcceptInvite(req.body);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invitation',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const user = await userService.acceptInvite(req.user, value.token);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: user
+      });
+    } catch (error) {
+      console.error('Error in acceptInvite controller:', error);
+      return handleUserError(res, error, 'Failed to accept invitation');
+    }
+  }
+
+  /**
+   * Send a pending invitation again
+   */
+  async resendInvite(req, res) {
+    return runUserAction(req, res, 'resendInvite', 'Invitation resent successfully', 'Failed to resend invitation');
+  }
+
+  /**
+   * Revoke a user's access
+   */
+  async deactivateUser(req, res) {
+    return runUserAction(req, res, 'deactivateUser', 'User deactivated successfully', 'Failed to deactivate user');
+  }
+
+  /**
+   * Restore a deactivated user's access
+   */
+  async activateUser(req, res) {
+    return runUserAction(req, res, 'activateUser', 'User activated successfully', 'Failed to activate user');
+  }
+}
+
+/**
+ * Run a user service action on the user in the route
+ */
+async function runUserAction(req, res, action, successMessage, fallbackMessage) {
+  try {
+    const { error } = validator.validateUserId({ id: req.params.id });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const user = await userService[action](req.user.hospital_id, req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: user
+    });
+  } catch (error) {
+    console.error(`Error in ${action} controller:`, error);
+    return handleUserError(res, error, fallbackMessage);
+  }
+}
+
+module.exports = new UserController();
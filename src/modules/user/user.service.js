@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const { prisma } = require('../../services/database.service');
+const messageService = require('../notification/message.service');
+const { USER_STATUS, USER_ROLE, ROLE_PERMISSIONS, DOCTOR_SCOPED_ROLES, INVITE } = require('./user.constants');
+
+/**
+ * Build an error carrying a user error code for the controller
+ */
+const userError = (message, code) => Object.assign(new Error(message), { code });
+
+const LAST_LOGIN_INTERVAL = 60 * 60 * 1000; // only record logins once an hour
+
+const USER_SELECT = {
+  id: true,
+  hospitalId: true,
+  email: true,
+  role: true,
+  status: true,
+  staffId: true,
+  doctorId: true,
+  invitedAt: true,
+  inviteExpiresAt: true,
+  acceptedAt: true,
+  deactivatedAt: true,
+  lastLoginAt: true,
+  staff: { select: { id: true, name: true, staffRole: true, isActive: true } },
+  doctor: { select: { id: true, name: true, specialization: true, status: true } }
+};
+
+/**
+ * Service layer for the logins of a hospital's staff and doctors
+ *
+ * The Supabase user that registered the hospital is its admin. Every other
+ * login is a HospitalUser tied to a Staff or Doctor record, whose role and
+ * therefore permissions follow that record.
+ */
+class UserService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Work out the hospital and role of an authenticated Supabase user
+   * @param {Object} supabaseUser - User returned by Supabase
+   * @returns {Promise<Object|null>} Hospital, role and linked records, null when the user has no hospital
+   */
+  async resolveAuthUser(supabaseUser) {
+    const hospital = await prisma.hospital.findUnique({
+      where: { supabaseUserId: supabaseUser.id }
+    });
+
+    if (hospital) {
+      return { hospital, role: USER_ROLE.ADMIN, hospitalUser: null };
+    }
+
+    const hospitalUser = await prisma.hospitalUser.findUnique({
+      where: { supabaseUserId: supabaseUser.id },
+      include: {
+        hospital: true,
+        staff: { select: { isActive: true } },
+        doctor: { select: { status: true } }
+      }
+    });
+
+    if (!hospitalUser) {
+      return null;
+    }
+
+    // Deactivating the staff or doctor record also ends their access
+    if (hospitalUser.status !== USER_STATUS.ACTIVE ||
+        (hospitalUser.staff && !hospitalUser.staff.isActive) ||
+        (hospitalUser.doctor && hospitalUser.doctor.status !== 'active')) {
+      throw userError('Your account has been deactivated', 'USER_DEACTIVATED');
+    }
+
+    if (!hospitalUser.lastLoginAt || Date.now() - hospitalUser.lastLoginAt.getTime() > LAST_LOGIN_INTERVAL) {
+      prisma.hospitalUser.update({
+        where: { id: hospitalUser.id },
+        data: { lastLoginAt: new Date() }
+      }).catch(error => console.error('Error recording last login:', error));
+    }
+
+    return { hospital: hospitalUser.hospital, role: hospitalUser.role, hospitalUser };
+  }
+
+  /**
+   * Profile of the logged in user with the permissions of their role
+   */
+  async getCurrentUser(user) {
+    const profile = {
+      email: user.email,
+      role: user.role,
+      permissions: ROLE_PERMISSIONS[user.role] || [],
+      doctorScoped: DOCTOR_SCOPED_ROLES.includes(user.role),
+      hospital: {
+        id: user.hospital.id,
+        name: user.hospital.name,
+        subdomain: user.hospital.subdomain,
+        logo: user.hospital.logo
+      }
+    };
+
+    if (!user.hospital_user_id) {
+      return profile;
+    }
+
+    const hospitalUser = await prisma.hospitalUser.findUnique({
+      where: { id: user.hospital_user_id },
+      select: USER_SELECT
+    });
+
+    return { ...profile, user: hospitalUser };
+  }
+
+  async listUsers(hospitalId) {
+    try {
+      return await prisma.hospitalUser.findMany({
+        where: { hospitalId },
+        select: USER_SELECT,
+        orderBy: { invitedAt: 'desc' }
+      });
+    } catch (error) {
+      console.error('Error in listUsers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invite a staff member or doctor to log in
+   * @param {string} hospitalId - Hospital ID
+   * @param {Object} inviteData - email and either staffId or doctorId
+   * @returns {Promise<Object>} The invited user
+   */
+  async inviteUser(hospitalId, { email, staffId, doctorId }) {
+    try {
+      let role;
+
+      if (staffId) {
+        const staff = await prisma.staff.findFirst({
+          where: { id: staffId, hospitalId },
+          select: { staffRole: true, isActive: true }
+        });
+
+        if (!staff) {
+          throw new Error('Staff not found');
+        }
+        if (!staff.isActive) {
+          throw userError('Inactive staff cannot be invited', 'INVALID_INVITE');
+        }
+        // Doctor logins are scoped by their doctor record, a staff record has none
+        if (DOCTOR_SCOPED_ROLES.includes(staff.staffRole)) {
+          throw userError('Invite doctors by their doctor record, not their staff record', 'INVALID_INVITE');
+        }
+        role = staff.staffRole;
+      } else {
+        const doctor = await prisma.doctor.findFirst({
+          where: { id: doctorId, hospitalId },
+          select: { status: true }
+        });
+
+        if (!doctor) {
+          throw new Error('Doctor not found');
+        }
+        if (doctor.status !== 'active') {
+          throw userError('Inactive doctors cannot be invited', 'INVALID_INVITE');
+        }
+        role = USER_ROLE.DOCTOR;
+      }
+
+      const existing = await prisma.hospitalUser.findFirst({
+        where: {
+          hospitalId,
+          OR: [
+            { email },
+            ...(staffId ? [{ staffId }] : []),
+            ...(doctorId ? [{ doctorId }] : [])
+          ]
+        },
+        select: { id: true }
+      });
+
+      if (existing) {
+        throw Object.assign(
+          userError('A login already exists for this email or record', 'USER_EXISTS'),
+          { userId: existing.id }
+        );
+      }
+
+      const hospital = await prisma.hospital.findUnique({
+        where: { id: hospitalId },
+        select: { name: true, adminEmail: true }
+      });
+
+      if (hospital.adminEmail.toLowerCase() === email) {
+        throw userError('The admin email cannot be invited', 'INVALID_INVITE');
+      }
+
+      const token = crypto.randomBytes(INVITE.TOKEN_BYTES).toString('hex');
+
+      const user = await prisma.hospitalUser.create({
+        data: {
+          hospitalId,
+          email,
+          role,
+          staffId: staffId || null,
+          doctorId: doctorId || null,
+          status: USER_STATUS.INVITED,
+          inviteTokenHash: this.hashToken(token),
+          inviteExpiresAt: this.getInviteExpiry()
+        },
+        select: USER_SELECT
+      });
+
+      await this.sendInviteEmail(hospitalId, hospital.name, user, token);
+
+      return user;
+    } catch (error) {
+      console.error('Error in inviteUser:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a new invitation link, the previous one stops working
+   */
+  async resendInvite(hospitalId, userId) {
+    try {
+      const user = await this.getHospitalUser(hospitalId, userId);
+
+      if (user.status !== USER_STATUS.INVITED) {
+        throw userError('Only pending invitations can be resent', 'INVALID_INVITE');
+      }
+
+      const token = crypto.randomBytes(INVITE.TOKEN_BYTES).toString('hex');
+
+      const updated = await prisma.hospitalUser.update({
+        where: { id: userId },
+        data: {
+          inviteTokenHash: this.hashToken(token),
+          inviteExpiresAt: this.getInviteExpiry(),
+          invitedAt: new Date()
+        },
+        select: USER_SELECT
+      });
+
+      const hospital = await prisma.hospital.findUnique({
+        where: { id: hospitalId },
+        select: { name: true }
+      });
+
+      await this.sendInviteEmail(hospitalId, hospital.name, updated, token);
+
+      return updated;
+    } catch (error) {
+      console.error('Error in resendInvite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link the logged in Supabase user to the invitation
+   * @param {Object} supabaseUser - User returned by Supabase
+   * @param {string} token - Token from the invitation link
+   * @returns {Promise<Object>} The activated user
+   */
+  async acceptInvite(supabaseUser, token) {
+    try {
+      const user = await prisma.hospitalUser.findUnique({
+        where: { inviteTokenHash: this.hashToken(token) }
+      });
+
+      if (!user || user.status !== USER_STATUS.INVITED) {
+        throw userError('Invitation is invalid or has already been used', 'INVALID_INVITE');
+      }
+
+      if (user.inviteExpiresAt < new Date()) {
+        throw userError('Invitation has expired, ask the hospital admin to resend it', 'INVITE_EXPIRED');
+      }
+
+      if ((supabaseUser.email || '').toLowerCase() !== user.email) {
+        throw userError('Invitation was sent to a different email address', 'INVALID_INVITE');
+      }
+
+      const [ownsHospital, hasLogin] = await Promise.all([
+        prisma.hospital.findUnique({ where: { supabaseUserId: supabaseUser.id }, select: { id: true } }),
+        prisma.hospitalUser.findUnique({ where: { supabaseUserId: supabaseUser.id }, select: { id: true } })
+      ]);
+
+      if (ownsHospital || hasLogin) {
+        throw userError('This account already belongs to a hospital', 'USER_EXISTS');
+      }
+
+      return await prisma.hospitalUser.update({
+        where: { id: user.id },
+        data: {
+          supabaseUserId: supabaseUser.id,
+          status: USER_STATUS.ACTIVE,
+          acceptedAt: new Date(),
+          inviteTokenHash: null,
+          inviteExpiresAt: null
+        },
+        select: USER_SELECT
+      });
+    } catch (error) {
+      console.error('Error in acceptInvite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a user's access, pending invitations stop working too
+   */
+  async deactivateUser(hospitalId, userId) {
+    try {
+      await this.getHospitalUser(hospitalId, userId);
+
+      return await prisma.hospitalUser.update({
+        where: { id: userId },
+        data: {
+          status: USER_STATUS.DEACTIVATED,
+          deactivatedAt: new Date(),
+          inviteTokenHash: null,
+          inviteExpiresAt: null
+        },
+        select: USER_SELECT
+      });
+    } catch (error) {
+      console.error('Error in deactivateUser:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a deactivated user, users who never accepted need a new invitation
+   */
+  async activateUser(hospitalId, userId) {
+    try {
+      const user = await this.getHospitalUser(hospitalId, userId);
+
+      if (user.status !== USER_STATUS.DEACTIVATED) {
+        throw userError('User is not deactivated', 'INVALID_INVITE');
+      }
+
+      return await prisma.hospitalUser.update({
+        where: { id: userId },
+        data: {
+          status: user.supabaseUserId ? USER_STATUS.ACTIVE : USER_STATUS.INVITED,
+          deactivatedAt: null
+        },
+        select: USER_SELECT
+      });
+    } catch (error) {
+      console.error('Error in activateUser:', error);
+      throw error;
+    }
+  }
+
+  async getHospitalUser(hospitalId, userId) {
+    const user = await prisma.hospitalUser.findFirst({
+      where: { id: userId, hospitalId }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  getInviteExpiry() {
+    return new Date(Date.now() + INVITE.EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  async sendInviteEmail(hospitalId, hospitalName, user, token) {
+    const inviteLink = `${process.env.DASHBOARD_FRONTEND_URL || 'http://localhost:3000'}/accept-invite?token=${token}`;
+    const name = user.staff?.name || (user.doctor ? `Dr. ${user.doctor.name}` : 'there');
+
+    await messageService.sendMessage('email', {
+      to: user.email,
+      subject: `You're invited to ${hospitalName} on Tiqora`,
+      hospitalId,
+      content: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #ffffff; border: 1px solid #e5e7eb; border-radius: 8px;">
+          <h2 style="color: #2563EB; font-size: 24px; margin-bottom: 10px;">Join ${hospitalName} on Tiqora</h2>
+          <p style="font-size: 16px; color: #111827;">Hi ${name},</p>
+          <p style="font-size: 16px; color: #111827; line-height: 1.6;">
+            You have been invited to log in to <strong>${hospitalName}</strong> as <strong>${user.role.replace(/_/g, ' ')}</strong>.
+            Sign in with this email address and open the link below to accept the invitation.
+          </p>
+          <p style="margin: 25px 0;">
+            <a href="${inviteLink}" style="background-color: #2563EB; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none; font-weight: 600;">Accept invitation</a>
+          </p>
+          <p style="font-size: 14px; color: #6B7280;">The link expires in ${INVITE.EXPIRY_DAYS} days. If you were not expecting this invitation, you can ignore this email.</p>
+        </div>
+      `
+    });
+  }
+}
+
+module.exports = new UserService();
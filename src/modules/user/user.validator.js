@@ -0,0 +1,40 @@
+const Joi = require('joi');
+
+// Schema for inviting a staff member or doctor, exactly one of the two
+const inviteSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required().messages({
+    'string.email': 'Email must be a valid email address',
+    'any.required': 'Email is required'
+  }),
+  staffId: Joi.string().uuid().messages({
+    'string.uuid': 'Staff ID must be a valid UUID'
+  }),
+  doctorId: Joi.string().uuid().messages({
+    'string.uuid': 'Doctor ID must be a valid UUID'
+  })
+}).xor('staffId', 'doctorId').messages({
+  'object.missing': 'Either a staff ID or a doctor ID is required',
+  'object.xor': 'Provide either a staff ID or a doctor ID, not both'
+});
+
+// Schema for accepting an invitation
+const acceptInviteSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.hex': 'Invalid invitation token',
+    'string.length': 'Invalid invitation token',
+    'any.required': 'Invitation token is required'
+  })
+});
+
+const userIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.uuid': 'User ID must be a valid UUID',
+    'any.required': 'User ID is required'
+  })
+});
+
+module.exports = {
+  validateInvite: (data) => inviteSchema.validate(data, { abortEarly: false }),
+  validateAcceptInvite: (data) => acceptInviteSchema.validate(data, { abortEarly: false }),
+  validateUserId: (data) => userIdSchema.validate(data, { abortEarly: false })
+};
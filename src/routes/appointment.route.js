@@ -1,26 +1,64 @@
 const express = require('express');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission, requirePermissionIf, restrictAppointmentAccess } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
 const verifySignature=require('../middleware/public-auth.middleware');
+const { checkPlanLimit } = require('../middleware/subscription.middleware');
+const { PLAN_RESOURCES } = require('../modules/subscription/subscription.constants');
 const appointmentController = require('../modules/appointment/appointment.controller');
 const router = express.Router();
 
+const takesPayment = (req) => !!req.body?.payment;
+
 // // Public endpoints
 router.get('/details/:subdomain',verifySignature, appointmentController.getHospitalDetailsBySubdomainForAppointment);
+router.get('/details/:subdomain/doctors/:doctorId/slots', verifySignature, appointmentController.getDoctorSlots);
 
 // Patient endpoints - no auth required for patient to create/manage their own appointments
-router.post('/',verifySignature, appointmentController.createAppointment);
+router.post('/',verifySignature, checkPlanLimit(PLAN_RESOURCES.APPOINTMENTS), appointmentController.createAppointment);
 router.delete('/:id', verifySignature,appointmentController.deleteAppointment);
 router.get('/public/:id', verifySignature, appointmentController.getAppointmentById);
+router.post('/public/check-in/:token', verifySignature, appointmentController.selfCheckIn);
 router.patch('/documents/:token', verifySignature, appointmentController.updateAppointmentDocuments);
 router.get('/verify_upload/:token', verifySignature, appointmentController.verifyUploadToken);
 
+// Queue tracking fallbacks for clients without socket.io, the tracking token authenticates them
+router.get('/track/:token', appointmentController.pollQueueStatus);
+router.get('/track/:token/stream', appointmentController.streamQueueUpdates);
+
 // Protected endpoints - require authentication
-router.get('/history', authMiddleware, appointmentController.getAppointmentHistory);
-router.get('/mobile', authMiddleware, appointmentController.getAppointmentHistoryByMobileNumber);
-router.get('/', authMiddleware, appointmentController.getTodayAndTomorrowandPastWeekAppointments);
+router.get('/history', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_READ), appointmentController.getAppointmentHistory);
+router.get('/mobile', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_READ), appointmentController.getAppointmentHistoryByMobileNumber);
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_READ), appointmentController.getTodayAndTomorrowandPastWeekAppointments);
+
+// Walk-ins registered at the reception, taking payment at once needs the payment permission
+router.post('/walk-in', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), requirePermissionIf(takesPayment, PERMISSIONS.APPOINTMENTS_PAYMENT), checkPlanLimit(PLAN_RESOURCES.APPOINTMENTS), appointmentController.createWalkIn);
+
+// Live queue console
+router.get('/queue/:doctorId', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_READ), appointmentController.getDoctorQueue);
+router.post('/queue/:doctorId/call-next', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), appointmentController.callNextPatient);
+router.get('/queue/:doctorId/delays', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_READ), appointmentController.listDoctorDelays);
+router.post('/queue/:doctorId/delays', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), appointmentController.declareDoctorDelay);
+router.delete('/queue/:doctorId/delays/:delayId', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), appointmentController.clearDoctorDelay);
+router.get('/queue/:doctorId/overrides', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_READ), appointmentController.listQueueOverrides);
+router.post('/check-in', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), appointmentController.checkInWithCode);
+router.post('/:id/check-in', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.checkInPatient);
+router.post('/:id/start', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.startConsultation);
+router.post('/:id/skip', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.skipPatient);
+router.post('/:id/recall', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.recallPatient);
+router.post('/:id/requeue', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.requeuePatient);
+router.patch('/:id/priority', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.setAppointmentPriority);
+router.post('/:id/fast-track', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.fastTrackPatient);
+router.delete('/:id/fast-track', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.removeFastTrack);
+
+router.get('/:id', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_READ), restrictAppointmentAccess, appointmentController.getAppointmentById);
+router.patch('/:id/status', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_WRITE), restrictAppointmentAccess, appointmentController.updateAppointmentStatus);
+router.patch('/:id/payment', authMiddleware, requirePermission(PERMISSIONS.APPOINTMENTS_PAYMENT), restrictAppointmentAccess, appointmentController.updatePaymentStatus);
 
-router.get('/:id', authMiddleware, appointmentController.getAppointmentById);
-router.patch('/:id/status', authMiddleware, appointmentController.updateAppointmentStatus);
-router.patch('/:id/payment', authMiddleware, appointmentController.updatePaymentStatus);
+// Visit notes
+router.get('/:id/notes', authMiddleware, requirePermission(PERMISSIONS.NOTES_READ), restrictAppointmentAccess, appointmentController.getVisitNotes);
+router.post('/:id/notes', authMiddleware, requirePermission(PERMISSIONS.NOTES_WRITE), restrictAppointmentAccess, appointmentController.createVisitNote);
+router.patch('/:id/notes/:noteId', authMiddleware, requirePermission(PERMISSIONS.NOTES_WRITE), restrictAppointmentAccess, appointmentController.updateVisitNote);
+router.delete('/:id/notes/:noteId', authMiddleware, requirePermission(PERMISSIONS.NOTES_WRITE), restrictAppointmentAccess, appointmentController.deleteVisitNote);
 
 module.exports = router;
\ No newline at end of file
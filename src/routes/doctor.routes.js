@@ -2,16 +2,28 @@ const express = require('express');
 const router = express.Router();
 const doctorController = require('../modules/doctor/doctor.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
+const { checkPlanLimit } = require('../middleware/subscription.middleware');
+const { PLAN_RESOURCES } = require('../modules/subscription/subscription.constants');
 
 // All doctor routes require authentication
 router.use(authMiddleware);
 
 // Doctor management routes
-router.post('/create-doctor' ,doctorController.createDoctor);
-router.get('/', doctorController.listDoctors);
-router.get('/:id', doctorController.getDoctorDetails);
-router.put('/update-doctor', doctorController.updateDoctorDetails);
-router.put('/schedules', doctorController.updateDoctorSchedule);
+router.post('/create-doctor', requirePermission(PERMISSIONS.DOCTORS_MANAGE), checkPlanLimit(PLAN_RESOURCES.DOCTORS), doctorController.createDoctor);
+router.get('/', requirePermission(PERMISSIONS.DOCTORS_READ), doctorController.listDoctors);
+
+// Leave, closure and extra hours calendar
+router.get('/overrides', requirePermission(PERMISSIONS.DOCTORS_READ), doctorController.listScheduleOverrides);
+router.post('/overrides', requirePermission(PERMISSIONS.DOCTORS_MANAGE), doctorController.createScheduleOverride);
+router.delete('/overrides/:overrideId', requirePermission(PERMISSIONS.DOCTORS_MANAGE), doctorController.deleteScheduleOverride);
+router.get('/overrides/:overrideId/appointments', requirePermission(PERMISSIONS.DOCTORS_READ), doctorController.getOverrideAffectedAppointments);
+router.post('/overrides/:overrideId/appointments', requirePermission(PERMISSIONS.DOCTORS_MANAGE), doctorController.resolveOverrideAppointments);
+
+router.get('/:id', requirePermission(PERMISSIONS.DOCTORS_READ), doctorController.getDoctorDetails);
+router.put('/update-doctor', requirePermission(PERMISSIONS.DOCTORS_MANAGE), doctorController.updateDoctorDetails);
+router.put('/schedules', requirePermission(PERMISSIONS.DOCTORS_MANAGE), doctorController.updateDoctorSchedule);
 // add delete doctor route::
 
 module.exports = router;
\ No newline at end of file
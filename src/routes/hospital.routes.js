@@ -2,10 +2,16 @@ const express = require('express');
 const router = express.Router();
 const hospitalController = require('../modules/hospital/hospital.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
 
 // Form configuration routes
 router.get('/form-config', hospitalController.getFormConfig);
 
+// Waiting-room display boards, authenticated with a display key
+router.get('/display/:subdomain', hospitalController.getDisplayBoard);
+router.get('/display/:subdomain/stream', hospitalController.streamDisplayBoard);
+
 
 // Initial registration route - needs auth but not hospital_id
 router.post('/initial-details', authMiddleware, hospitalController.createHospital);
@@ -14,11 +20,25 @@ router.use(authMiddleware);
 
 // Hospital information
 router.get('/details', hospitalController.getHospitalDetails);
-router.get('/dashboard', hospitalController.getDashboardStats);
+router.get('/dashboard', requirePermission(PERMISSIONS.HOSPITAL_READ), hospitalController.getDashboardStats);
+router.get('/usage', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.getUsage);
+
+// Appointment reminder settings
+router.get('/reminder-settings', requirePermission(PERMISSIONS.HOSPITAL_READ), hospitalController.getReminderSettings);
+router.put('/reminder-settings', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.updateReminderSettings);
+
+// Queue order settings
+router.get('/queue-settings', requirePermission(PERMISSIONS.HOSPITAL_READ), hospitalController.getQueueSettings);
+router.put('/queue-settings', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.updateQueueSettings);
+
+// Display keys of waiting-room screens
+router.get('/display-keys', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.listDisplayKeys);
+router.post('/display-keys', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.createDisplayKey);
+router.delete('/display-keys/:keyId', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.revokeDisplayKey);
 
 // Hospital editing flow
-router.post('/request-edit-verification', hospitalController.requestEditVerification);
-router.post('/verify-edit-otp', hospitalController.verifyEditOTP);
-router.put('/update', hospitalController.updateHospitalDetails);
+router.post('/request-edit-verification', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.requestEditVerification);
+router.post('/verify-edit-otp', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.verifyEditOTP);
+router.put('/update', requirePermission(PERMISSIONS.HOSPITAL_MANAGE), hospitalController.updateHospitalDetails);
 
 module.exports = router;
\ No newline at end of file
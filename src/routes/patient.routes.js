@@ -0,0 +1,19 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
+const patientController = require('../modules/patient/patient.controller');
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get('/', requirePermission(PERMISSIONS.PATIENTS_READ), patientController.searchPatients);
+router.post('/', requirePermission(PERMISSIONS.PATIENTS_WRITE), patientController.createPatient);
+router.get('/duplicates', requirePermission(PERMISSIONS.PATIENTS_MERGE), patientController.getDuplicates);
+
+router.get('/:id', requirePermission(PERMISSIONS.PATIENTS_READ), patientController.getPatient);
+router.patch('/:id', requirePermission(PERMISSIONS.PATIENTS_WRITE), patientController.updatePatient);
+router.post('/:id/merge', requirePermission(PERMISSIONS.PATIENTS_MERGE), patientController.mergePatients);
+router.get('/:id/timeline', requirePermission(PERMISSIONS.PATIENTS_READ), patientController.getTimeline);
+
+module.exports = router;
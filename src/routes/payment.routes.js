@@ -0,0 +1,20 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission, restrictAppointmentAccess } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
+const verifySignature = require('../middleware/public-auth.middleware');
+const paymentController = require('../modules/payment/payment.controller');
+const router = express.Router();
+
+// Razorpay webhooks - authenticated by the X-Razorpay-Signature header
+router.post('/razorpay/webhook', paymentController.handleRazorpayWebhook);
+
+// Patient endpoints
+router.post('/orders', verifySignature, paymentController.createOrder);
+router.post('/verify', verifySignature, paymentController.verifyPayment);
+
+// Protected endpoints - require authentication
+router.get('/appointments/:id', authMiddleware, requirePermission(PERMISSIONS.PAYMENTS_READ), restrictAppointmentAccess, paymentController.getAppointmentPayments);
+router.post('/appointments/:id/refund', authMiddleware, requirePermission(PERMISSIONS.PAYMENTS_REFUND), restrictAppointmentAccess, paymentController.refundAppointmentPayment);
+
+module.exports = router;
@@ -1,29 +1,57 @@
 const express = require('express');
 const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission, requirePermissionIf } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
+const { checkPlanLimit } = require('../middleware/subscription.middleware');
+const { PLAN_RESOURCES } = require('../modules/subscription/subscription.constants');
 const staffController = require('../modules/staff/staff.controller');
 const router = express.Router();
 
-// All staff endpoints require authentication
+const SALARY_FIELDS = ['salaryType', 'salaryAmount', 'salaryCreditCycle'];
+const touchesSalary = (req) => SALARY_FIELDS.some(field => field in (req.body || {}));
+const settlesLoans = (req) => !!req.query.settlement;
+
+// Payslip links sent on WhatsApp, the token is the credential
+router.get('/payslips/download/:token', staffController.downloadPayslipByLink);
+
+// All other staff endpoints require authentication
 router.use(authMiddleware);
 
 // Get all staff members
-router.get('/', staffController.getAllStaff);
+router.get('/', requirePermission(PERMISSIONS.STAFF_READ), staffController.getAllStaff);
+
+// Payroll runs, registered before the /:id routes
+router.get('/payroll', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.listPayrolls);
+router.post('/payroll', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.preparePayroll);
+router.get('/payroll/:runId', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.getPayroll);
+router.patch('/payroll/:runId/items/:itemId', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.adjustPayrollItem);
+router.post('/payroll/:runId/approve', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.approvePayroll);
+router.delete('/payroll/:runId', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.deletePayroll);
+
+// Advance and loan ledger
+router.get('/loans', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.getHospitalLoanStatement);
+router.post('/loans/:loanId/repayments', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.recordLoanRepayment);
+router.get('/:id/loans', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.getStaffLoanStatement);
+
+// Payslips of approved payroll runs
+router.get('/:id/payslips/:cycle', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.downloadPayslip);
+router.post('/:id/payslips/:cycle/send', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.sendPayslip);
 
 // Staff CRUD operations
-router.post('/', staffController.createStaff);
-router.patch('/:id', staffController.updateStaff);
-router.get('/:id', staffController.getStaffById);
-router.delete('/:id', staffController.deleteStaff);
+router.post('/', requirePermission(PERMISSIONS.STAFF_MANAGE), requirePermissionIf(touchesSalary, PERMISSIONS.STAFF_SALARY), checkPlanLimit(PLAN_RESOURCES.STAFF), staffController.createStaff);
+router.patch('/:id', requirePermission(PERMISSIONS.STAFF_MANAGE), requirePermissionIf(touchesSalary, PERMISSIONS.STAFF_SALARY), staffController.updateStaff);
+router.get('/:id', requirePermission(PERMISSIONS.STAFF_READ), staffController.getStaffById);
+router.delete('/:id', requirePermission(PERMISSIONS.STAFF_MANAGE), requirePermissionIf(settlesLoans, PERMISSIONS.STAFF_SALARY), staffController.deleteStaff);
 
 // Staff payment operations
-router.get('/:id/payments', staffController.getStaffPayments);
-router.post('/:id/payments', staffController.createStaffPayment);
-router.patch('/payments/:paymentId', staffController.updateStaffPayment);
-router.delete('/payments/:paymentId', staffController.deleteStaffPayment);
+router.get('/:id/payments', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.getStaffPayments);
+router.post('/:id/payments', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.createStaffPayment);
+router.patch('/payments/:paymentId', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.updateStaffPayment);
+router.delete('/payments/:paymentId', requirePermission(PERMISSIONS.STAFF_SALARY), staffController.deleteStaffPayment);
 
 // Staff attendance operations
-router.put('/attendance', staffController.markAttendance);
-router.get('/:id/attendance', staffController.getStaffAttendance);
-router.get('/attendance/summary', staffController.getAttendanceSummary);
+router.put('/attendance', requirePermission(PERMISSIONS.ATTENDANCE_MANAGE), staffController.markAttendance);
+router.get('/:id/attendance', requirePermission(PERMISSIONS.STAFF_READ), staffController.getStaffAttendance);
+router.get('/attendance/summary', requirePermission(PERMISSIONS.STAFF_READ), staffController.getAttendanceSummary);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
+const superAdminMiddleware = require('../middleware/superadmin.middleware');
+const subscriptionController = require('../modules/subscription/subscription.controller');
+const router = express.Router();
+
+// Super admin endpoints
+router.get('/admin/plans', superAdminMiddleware, subscriptionController.listPlans);
+router.post('/admin/plans', superAdminMiddleware, subscriptionController.createPlan);
+router.patch('/admin/plans/:planId', superAdminMiddleware, subscriptionController.updatePlan);
+router.post('/admin/hospitals/:hospitalId/renew', superAdminMiddleware, subscriptionController.renewSubscription);
+
+// Hospital endpoints
+router.get('/plans', authMiddleware, requirePermission(PERMISSIONS.HOSPITAL_READ), subscriptionController.listPlans);
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.HOSPITAL_READ), subscriptionController.getSubscription);
+router.put('/', authMiddleware, requirePermission(PERMISSIONS.SUBSCRIPTION_MANAGE), subscriptionController.changePlan);
+router.post('/cancel', authMiddleware, requirePermission(PERMISSIONS.SUBSCRIPTION_MANAGE), subscriptionController.cancelSubscription);
+
+module.exports = router;
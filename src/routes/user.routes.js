@@ -0,0 +1,21 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
+const userController = require('../modules/user/user.controller');
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Any logged in user
+router.get('/me', userController.getCurrentUser);
+router.post('/accept-invite', userController.acceptInvite);
+
+// User management
+router.get('/', requirePermission(PERMISSIONS.USERS_MANAGE), userController.listUsers);
+router.post('/invite', requirePermission(PERMISSIONS.USERS_MANAGE), userController.inviteUser);
+router.post('/:id/resend-invite', requirePermission(PERMISSIONS.USERS_MANAGE), userController.resendInvite);
+router.patch('/:id/deactivate', requirePermission(PERMISSIONS.USERS_MANAGE), userController.deactivateUser);
+router.patch('/:id/activate', requirePermission(PERMISSIONS.USERS_MANAGE), userController.activateUser);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const redisService = require('./redis.service');
+
+/**
+ * Publishes hospital events for the reception dashboard feed
+ *
+ * Events go through Redis so every instance's socket server can forward them
+ * to the hospital users connected to it. Publishing never fails the change
+ * that triggered it.
+ */
+class HospitalFeedService {
+  constructor() {
+    this.CHANNEL = 'hospital:events';
+
+    this.EVENTS = {
+      APPOINTMENT_CREATED: 'appointment:created',
+      APPOINTMENT_UPDATED: 'appointment:updated',
+      APPOINTMENT_PAID: 'appointment:paid',
+      APPOINTMENT_DELETED: 'appointment:deleted',
+      ATTENDANCE_UPDATED: 'attendance:updated'
+    };
+  }
+
+  /**
+   * Publish an event to a hospital's feed
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} event - One of EVENTS
+   * @param {Object} data - Event payload
+   * @param {string|null} doctorId - Doctor the event belongs to, if any
+   * @returns {Promise<void>}
+   */
+  async publish(hospitalId, event, data, doctorId = null) {
+    try {
+      await redisService.publish(this.CHANNEL, {
+        hospitalId,
+        doctorId,
+        event,
+        data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Error publishing ${event} to the hospital feed:`, error);
+    }
+  }
+
+  async publishAppointment(event, appointment, extra = {}) {
+    // Relations loaded for notifications are not part of the feed
+    const { hospital, doctor, ...data } = appointment;
+    return this.publish(appointment.hospitalId, event, { appointment: data, ...extra }, appointment.doctorId);
+  }
+}
+
+module.exports = new HospitalFeedService();
@@ -114,7 +114,7 @@ class MailService {
     return true;
   }
 
-  async sendMail(to, subject, html, hospitalId = null) {
+  async sendMail(to, subject, html, hospitalId = null, attachments = []) {
     try {
       // Validate email
       this.validateEmail(to);
@@ -133,7 +133,8 @@ class MailService {
         from: `"${process.env.MAIL_FROM_NAME}" <${process.env.MAIL_FROM_ADDRESS}>`,
         to,
         subject: this.sanitizeHtml(subject),
-        html: this.sanitizeHtml(html)
+        html: this.sanitizeHtml(html),
+        attachments
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const redisService = require('./redis.service');
+const queueService = require('../modules/appointment/advanced-queue.service');
+
+/**
+ * Server-Sent Events and conditional polling for queue tracking
+ *
+ * A fallback for tracking pages that cannot keep a socket.io connection.
+ * Streams carry the same payload as the `queue-update` socket event and are
+ * refreshed from the `queue:updates` channel. Every instance listens to the
+ * channel and serves only the streams connected to it. Payloads get an ETag
+ * so streams skip unchanged updates and polling clients get a 304.
+ */
+class QueueStreamService {
+  constructor() {
+    this.streams = new Map(); // `${hospitalId}:${doctorId}` -> Set of open streams
+    this.subscribed = false;
+    this.HEARTBEAT_INTERVAL = 25 * 1000; // milliseconds, keeps proxies from closing idle streams
+    this.RETRY_DELAY = 5000; // milliseconds before the browser reconnects a dropped stream
+  }
+
+  /**
+   * Current tracking payload of a token and its ETag
+   * @param {string} token - Tracking token
+   * @returns {Promise<Object>} queueInfo and etag
+   */
+  async getSnapshot(token) {
+    const queueInfo = await queueService.getAppointmentByTrackingToken(token);
+    return { queueInfo, etag: this.getEtag(queueInfo) };
+  }
+
+  /**
+   * Weak ETag of a tracking payload, ignoring when it was refreshed
+   */
+  getEtag(queueInfo) {
+    const { refreshedAt, ...data } = queueInfo?.data || {};
+    const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url');
+    return `W/"${hash}"`;
+  }
+
+  /**
+   * Whether an If-None-Match header matches an ETag
+   */
+  matchesEtag(ifNoneMatch, etag) {
+    if (!ifNoneMatch) return false;
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => tag.trim() === etag);
+  }
+
+  /**
+   * Open an event stream for a tracking token
+   *
+   * The first payload is loaded before any header is sent, so an invalid
+   * token still gets a regular error response.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} token - Tracking token
+   * @returns {Promise<void>}
+   */
+  async openStream(req, res, token) {
+    const { queueInfo, etag } = await this.getSnapshot(token);
+    const { appointment, doctor, hospital } = queueInfo.data;
+
+    await this.subscribe();
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${this.RETRY_DELAY}\n\n`);
+
+    const key = `${hospital.id}:${doctor.id}`;
+    const stream = { res, token, appointmentId: appointment.id, etag, heartbeat: null };
+
+    stream.heartbeat = setInterval(() => res.write(': ping\n\n'), this.HEARTBEAT_INTERVAL);
+
+    if (!this.streams.has(key)) {
+      this.streams.set(key, new Set());
+    }
+    this.streams.get(key).add(stream);
+
+    req.on('close', () => this.closeStream(key, stream));
+
+    this.send(stream, 'queue-update', queueInfo);
+  }
+
+  closeStream(key, stream) {
+    clearInterval(stream.heartbeat);
+
+    const streams = this.streams.get(key);
+    if (streams) {
+      streams.delete(stream);
+      if (streams.size === 0) {
+        this.streams.delete(key);
+      }
+    }
+
+    if (!stream.res.writableEnded) {
+      stream.res.end();
+    }
+  }
+
+  send(stream, event, data, eventId = null) {
+    const id = eventId ? `id: ${eventId}\n` : '';
+    stream.res.write(`${id}event: ${event}\ndata: ${JSON.stringify({ ...data, eventId })}\n\n`);
+  }
+
+  async subscribe() {
+    if (this.subscribed) return;
+    this.subscribed = true;
+
+    try {
+      await redisService.subscribe('queue:updates', (updateData) => {
+        this.handleQueueUpdate(updateData).catch(error => console.error('Error refreshing queue streams:', error));
+      });
+    } catch (error) {
+      this.subscribed = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Send the affected streams of a doctor their refreshed payload if it changed
+   */
+  async handleQueueUpdate(updateData) {
+    if (!updateData || !updateData.hospitalId || !updateData.doctorId) return;
+
+    const key = `${updateData.hospitalId}:${updateData.doctorId}`;
+    const { appointmentIds, eventId } = updateData;
+    const streams = [...(this.streams.get(key) || [])]
+      .filter(stream => !Array.isArray(appointmentIds) || appointmentIds.includes(stream.appointmentId));
+
+    for (const stream of streams) {
+      try {
+        const { queueInfo, etag } = await this.getSnapshot(stream.token);
+        if (etag === stream.etag) continue;
+
+        stream.etag = etag;
+        this.send(stream, 'queue-update', queueInfo, eventId || null);
+      } catch (tokenError) {
+        console.error(`Token error for queue stream of appointment ${stream.appointmentId}:`, tokenError.message);
+        this.send(stream, 'error', {
+          message: 'Your tracking session has expired. Please refresh the page.',
+          code: 'SESSION_EXPIRED'
+        });
+        this.closeStream(key, stream);
+      }
+    }
+  }
+
+  /**
+   * End all open streams so the HTTP server can close
+   */
+  closeAll() {
+    for (const [key, streams] of this.streams.entries()) {
+      for (const stream of streams) {
+        this.closeStream(key, stream);
+      }
+    }
+  }
+}
+
+module.exports = new QueueStreamService();
@@ -1,14 +1,47 @@
+const os = require('os');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const redisService = require('./redis.service');
 const trackingUtil = require('../utils/tracking.util');
 const queueService = require('../modules/appointment/advanced-queue.service');
+const hospitalFeedService = require('./hospitalFeed.service');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { hasPermissions } = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../modules/user/user.constants');
 
+/**
+ * Socket.io server shared by every API instance
+ *
+ * Rooms are shared through the Redis adapter, so an emit to a room reaches
+ * its sockets on any instance. Which tracking rooms have listeners, and the
+ * token to refresh them with, is kept in Redis: each queue update is picked
+ * up by one instance, which refreshes every watched room of the doctor for
+ * all instances. Instances keep a heartbeat so presence left behind by a
+ * crashed instance is ignored and cleaned up.
+ */
 class WebSocketService {
   constructor() {
     this.io = null;
-    this.clients = new Map();
-    this.roomSubscriptions = new Map();
+    this.adapterClients = [];
+    this.heartbeat = null;
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
     this.ROOM_PREFIX = 'queue:';
+    this.hospitalFeed = null;
+    this.HOSPITAL_NAMESPACE = '/hospital';
+    this.HOSPITAL_ROOM_PREFIX = 'hospital:';
+
+    this.PRESENCE = {
+      ROOM_PREFIX: 'ws:presence:', // hash of socket ID to instance ID per tracking room
+      DOCTOR_ROOMS_PREFIX: 'ws:doctor_rooms:', // set of watched tracking rooms per hospital and doctor
+      TOKEN_PREFIX: 'ws:room_token:', // tracking token to refresh a room with
+      INSTANCE_PREFIX: 'ws:instance:',
+      UPDATE_LOCK_PREFIX: 'ws:update_lock:', // one instance handles each queue update
+      TTL: 2 * 24 * 60 * 60, // seconds, same as the tracking link
+      INSTANCE_TTL: 60, // seconds
+      HEARTBEAT_INTERVAL: 20 * 1000, // milliseconds
+      UPDATE_LOCK_TTL: 5 * 60 // seconds
+    };
   }
 
   initialize(server) {
@@ -21,20 +54,38 @@ class WebSocketService {
       transports: ['websocket', 'polling']
     });
 
+    this.setupAdapter();
+    this.startHeartbeat();
     this.setupEventHandlers();
     this.setupRedisSubscription();
+    this.setupHospitalFeed();
     console.log('WebSocket service initialized');
   }
 
+  /**
+   * Share rooms and broadcasts between instances through Redis
+   */
+  setupAdapter() {
+    const pubClient = redisService.createClient();
+    const subClient = redisService.createClient();
+
+    this.adapterClients = [pubClient, subClient];
+    this.io.adapter(createAdapter(pubClient, subClient));
+  }
+
+  startHeartbeat() {
+    const beat = () => redisService.set(`${this.PRESENCE.INSTANCE_PREFIX}${this.instanceId}`, Date.now(), this.PRESENCE.INSTANCE_TTL)
+      .catch(error => console.error('Error sending WebSocket instance heartbeat:', error));
+
+    beat();
+    this.heartbeat = setInterval(beat, this.PRESENCE.HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
   setupEventHandlers() {
     this.io.on('connection', (socket) => {
       console.log(`Client connected: ${socket.id}`);
-      
-      this.clients.set(socket.id, {
-        id: socket.id,
-        connectedAt: Date.now(),
-        rooms: new Set()
-      });
+      socket.data.queueRooms = new Set();
 
       // Handle tracking token connection
       socket.on('track-queue', async (data) => {
@@ -96,25 +147,41 @@ class WebSocketService {
       
       // Join the room
       socket.join(roomId);
-      
-      // Update client tracking info
-      const client = this.clients.get(socket.id);
-      if (client) {
-        client.rooms.add(roomId);
-        client.token = token;
-        client.tokenData = {appointmentId, hospitalId, doctorId};  // Store decoded data to avoid re-verification
-      }
+      socket.data.queueRooms.add(roomId);
+      socket.data.token = token;
 
-      // Track room subscription
-      if (!this.roomSubscriptions.has(roomId)) {
-        this.roomSubscriptions.set(roomId, new Set());
+      try {
+        await this.addPresence(roomId, socket.id, token, hospitalId, doctorId);
+      } catch (presenceError) {
+        console.error('Error recording WebSocket presence:', presenceError);
       }
-      this.roomSubscriptions.get(roomId).add(socket.id);
 
       try {
         // Send initial queue status
         const queueInfo = await queueService.getAppointmentByTrackingToken(token);
-        socket.emit('queue-update', queueInfo);
+
+        // A reconnecting client first gets the updates it missed
+        const lastEventId = parseInt(data.lastEventId, 10);
+        let eventId = null;
+        if (queueInfo?.data?.appointment) {
+          const replay = await queueService.getQueueEventsSince(
+            hospitalId,
+            doctorId,
+            queueInfo.data.appointment.appointmentDate,
+            Number.isNaN(lastEventId) ? Infinity : lastEventId
+          );
+          eventId = replay.latestEventId;
+
+          if (!Number.isNaN(lastEventId)) {
+            socket.emit('queue-replay', {
+              events: replay.events.filter(event => !event.appointmentIds || event.appointmentIds.includes(appointmentId)),
+              complete: replay.complete,
+              latestEventId: replay.latestEventId
+            });
+          }
+        }
+
+        socket.emit('queue-update', { ...queueInfo, eventId });
       } catch (queueError) {
         console.error('Error fetching queue info:', queueError);
         // Send a partial update to let the client know they're connected but data is unavailable
@@ -136,73 +203,245 @@ class WebSocketService {
    * @param {Object} socket - Socket instance
    */
   handleDisconnect(socket) {
-    const client = this.clients.get(socket.id);
-    
-    if (client) {
-      // Remove from all room subscriptions
-      for (const roomId of client.rooms) {
-        const roomSubs = this.roomSubscriptions.get(roomId);
-        if (roomSubs) {
-          roomSubs.delete(socket.id);
-          if (roomSubs.size === 0) {
-            this.roomSubscriptions.delete(roomId);
-          }
-        }
+    for (const roomId of socket.data.queueRooms || []) {
+      this.removePresence(roomId, socket.id)
+        .catch(error => console.error('Error removing WebSocket presence:', error));
+    }
+  }
+
+  async addPresence(roomId, socketId, token, hospitalId, doctorId) {
+    const client = await redisService.getClient();
+    const doctorRoomsKey = `${this.PRESENCE.DOCTOR_ROOMS_PREFIX}${hospitalId}:${doctorId}`;
+
+    await client.multi()
+      .hset(`${this.PRESENCE.ROOM_PREFIX}${roomId}`, socketId, this.instanceId)
+      .expire(`${this.PRESENCE.ROOM_PREFIX}${roomId}`, this.PRESENCE.TTL)
+      .set(`${this.PRESENCE.TOKEN_PREFIX}${roomId}`, token, 'EX', this.PRESENCE.TTL)
+      .sadd(doctorRoomsKey, roomId)
+      .expire(doctorRoomsKey, this.PRESENCE.TTL)
+      .exec();
+  }
+
+  async removePresence(roomId, socketId) {
+    const client = await redisService.getClient();
+    const presenceKey = `${this.PRESENCE.ROOM_PREFIX}${roomId}`;
+
+    await client.hdel(presenceKey, socketId);
+
+    if (await client.hlen(presenceKey) === 0) {
+      await this.forgetRoom(roomId);
+    }
+  }
+
+  async forgetRoom(roomId) {
+    const client = await redisService.getClient();
+    const [hospitalId, doctorId] = roomId.slice(this.ROOM_PREFIX.length).split(':');
+
+    await client.multi()
+      .del(`${this.PRESENCE.ROOM_PREFIX}${roomId}`)
+      .del(`${this.PRESENCE.TOKEN_PREFIX}${roomId}`)
+      .srem(`${this.PRESENCE.DOCTOR_ROOMS_PREFIX}${hospitalId}:${doctorId}`, roomId)
+      .exec();
+  }
+
+  /**
+   * Whether a room still has a socket on a running instance, dropping sockets of instances that stopped
+   */
+  async hasListeners(roomId) {
+    const client = await redisService.getClient();
+    const presenceKey = `${this.PRESENCE.ROOM_PREFIX}${roomId}`;
+    const sockets = await client.hgetall(presenceKey);
+    const instanceIds = [...new Set(Object.values(sockets))];
+
+    const alive = new Set();
+    for (const instanceId of instanceIds) {
+      if (instanceId === this.instanceId || await client.exists(`${this.PRESENCE.INSTANCE_PREFIX}${instanceId}`)) {
+        alive.add(instanceId);
       }
     }
 
-    this.clients.delete(socket.id);
+    const stale = Object.keys(sockets).filter(socketId => !alive.has(sockets[socketId]));
+    if (stale.length > 0) {
+      await client.hdel(presenceKey, ...stale);
+    }
+
+    if (stale.length === Object.keys(sockets).length) {
+      await this.forgetRoom(roomId);
+      return false;
+    }
+
+    return true;
   }
 
   setupRedisSubscription() {
-    redisService.subscribe('queue:updates', async (updateData) => {
+    redisService.subscribe('queue:updates', (updateData) => {
+      this.handleQueueUpdate(updateData).catch(error => console.error('Error handling queue update:', error));
+    });
+  }
+
+  /**
+   * Refresh the tracking rooms affected by a queue update on every instance
+   */
+  async handleQueueUpdate(updateData) {
+    if (!updateData || !updateData.hospitalId || !updateData.doctorId) {
+      console.error('Invalid update data received:', updateData);
+      return;
+    }
+
+    const { hospitalId, doctorId, appointmentIds, eventId } = updateData;
+
+    // Every instance receives the update, the first to claim it refreshes the rooms for all of them
+    if (eventId) {
+      const claimed = await redisService.setCache(
+        `${this.PRESENCE.UPDATE_LOCK_PREFIX}${hospitalId}:${doctorId}:${updateData.date}:${eventId}`,
+        this.instanceId,
+        this.PRESENCE.UPDATE_LOCK_TTL,
+        'NX'
+      );
+      if (!claimed) return;
+    }
+
+    const client = await redisService.getClient();
+    const roomIds = await client.smembers(`${this.PRESENCE.DOCTOR_ROOMS_PREFIX}${hospitalId}:${doctorId}`);
+    const isAffected = roomId => !Array.isArray(appointmentIds) || appointmentIds.some(id => roomId.endsWith(`:${id}`));
+
+    for (const roomId of roomIds.filter(isAffected)) {
       try {
-        if (!updateData || !updateData.hospitalId || !updateData.doctorId) {
-          console.error('Invalid update data received:', updateData);
-          return;
+        if (!await this.hasListeners(roomId)) {
+          continue;
         }
-        
-        const { hospitalId, doctorId } = updateData;
-        
-        // Find all affected rooms and send updates
-        for (const [roomId, subscribers] of this.roomSubscriptions.entries()) {
-          if (roomId.includes(`${hospitalId}:${doctorId}`)) {
-            for (const clientId of subscribers) {
-              const client = this.clients.get(clientId);
-              if (client && client.token) {
-                const socket = this.io.sockets.sockets.get(clientId);
-                if (socket) {
-                  try {
-                    const queueInfo = await queueService.getAppointmentByTrackingToken(client.token);
-                    socket.emit('queue-update', queueInfo);
-                  } catch (tokenError) {
-                    // Don't disconnect the client, just notify them of the token issue
-                    console.error(`Token error for client ${clientId}:`, tokenError.message);
-                    socket.emit('error', { 
-                      message: 'Your tracking session has expired. Please refresh the page.', 
-                      code: 'SESSION_EXPIRED'
-                    });
-                    
-                    // Keep the connection but mark the token as invalid
-                    client.tokenInvalid = true;
-                  }
-                }
-              }
-            }
-          }
+
+        const token = await client.get(`${this.PRESENCE.TOKEN_PREFIX}${roomId}`);
+        const queueInfo = await queueService.getAppointmentByTrackingToken(token);
+        this.io.to(roomId).emit('queue-update', { ...queueInfo, eventId: eventId || null });
+      } catch (tokenError) {
+        // Don't disconnect the clients, just notify them of the token issue
+        console.error(`Token error for room ${roomId}:`, tokenError.message);
+        this.io.to(roomId).emit('error', { 
+          message: 'Your tracking session has expired. Please refresh the page.', 
+          code: 'SESSION_EXPIRED'
+        });
+      }
+    }
+  }
+
+  /**
+   * Authenticated namespace streaming appointment and attendance events to hospital users
+   *
+   * Clients connect to /hospital with the Supabase access token in
+   * `auth.token`, optionally with `auth.doctorId` to follow one doctor. They
+   * can change the doctor later with a `feed:filter` event. Users limited to
+   * their own appointments always follow their own doctor.
+   */
+  setupHospitalFeed() {
+    this.hospitalFeed = this.io.of(this.HOSPITAL_NAMESPACE);
+
+    this.hospitalFeed.use(async (socket, next) => {
+      try {
+        const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.split(' ')[1];
+        const user = await authenticateToken(token);
+
+        if (!hasPermissions(user, [PERMISSIONS.APPOINTMENTS_READ])) {
+          const error = new Error('You do not have permission to follow appointments');
+          error.data = { code: 'FORBIDDEN' };
+          return next(error);
         }
+
+        socket.data.user = {
+          id: user.id,
+          hospitalId: user.hospital_id,
+          role: user.role,
+          doctorId: user.doctor_id
+        };
+        next();
       } catch (error) {
-        console.error('Error handling queue update:', error);
+        const authError = new Error(error.code ? error.message : 'Authentication failed');
+        authError.data = { code: error.code || 'AUTH_FAILED' };
+        next(authError);
       }
     });
+
+    this.hospitalFeed.on('connection', (socket) => {
+      this.joinHospitalFeed(socket, socket.handshake.auth?.doctorId || null);
+
+      socket.on('feed:filter', (data) => {
+        this.joinHospitalFeed(socket, data?.doctorId || null);
+      });
+    });
+
+    redisService.subscribe(hospitalFeedService.CHANNEL, (event) => {
+      this.forwardHospitalEvent(event);
+    });
+  }
+
+  /**
+   * Put a hospital user in the rooms of their hospital, or of one doctor
+   * @param {Object} socket - Socket of the hospital namespace
+   * @param {string|null} doctorId - Doctor to follow, null for the whole hospital
+   */
+  joinHospitalFeed(socket, doctorId) {
+    const user = socket.data.user;
+    const filterDoctorId = user.doctorId || (typeof doctorId === 'string' ? doctorId : null);
+
+    for (const room of socket.rooms) {
+      if (room.startsWith(this.HOSPITAL_ROOM_PREFIX)) {
+        socket.leave(room);
+      }
+    }
+
+    socket.join(filterDoctorId
+      ? `${this.HOSPITAL_ROOM_PREFIX}${user.hospitalId}:doctor:${filterDoctorId}`
+      : `${this.HOSPITAL_ROOM_PREFIX}${user.hospitalId}:all`);
+
+    if (!user.doctorId && hasPermissions(user, [PERMISSIONS.STAFF_READ])) {
+      socket.join(`${this.HOSPITAL_ROOM_PREFIX}${user.hospitalId}:attendance`);
+    }
+
+    socket.emit('feed:ready', { hospitalId: user.hospitalId, doctorId: filterDoctorId });
+  }
+
+  /**
+   * Send an event from the hospital feed channel to the sockets following it
+   */
+  forwardHospitalEvent({ hospitalId, doctorId, event, data, timestamp } = {}) {
+    if (!this.hospitalFeed || !hospitalId || !event) {
+      console.error('Invalid hospital feed event received:', event);
+      return;
+    }
+
+    const prefix = `${this.HOSPITAL_ROOM_PREFIX}${hospitalId}`;
+    let rooms;
+
+    if (event === hospitalFeedService.EVENTS.ATTENDANCE_UPDATED) {
+      rooms = [`${prefix}:attendance`];
+    } else {
+      // A moved appointment also leaves the queue of its previous doctor
+      const doctorIds = [doctorId, data?.previousDoctorId].filter(Boolean);
+      rooms = [`${prefix}:all`, ...doctorIds.map(id => `${prefix}:doctor:${id}`)];
+    }
+
+    // Every instance receives the event, each one delivers it to its own sockets
+    this.hospitalFeed.local.to(rooms).emit(event, { ...data, timestamp });
   }
 
   async cleanup() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
     if (this.io) {
       this.io.close();
     }
-    this.clients.clear();
-    this.roomSubscriptions.clear();
+
+    try {
+      await redisService.deleteCache(`${this.PRESENCE.INSTANCE_PREFIX}${this.instanceId}`);
+    } catch (error) {
+      console.error('Error removing WebSocket instance heartbeat:', error);
+    }
+
+    await Promise.all(this.adapterClients.map(client => client.quit().catch(() => {})));
+    this.adapterClients = [];
   }
 }
 
@@ -214,6 +214,25 @@ function getUtcISOString(utcDate) {
     }
 }
 
+/**
+ * Get the IST calendar date (YYYY-MM-DD) for a moment in time
+ * @param {Date} date - Date to convert (defaults to now)
+ * @returns {string} IST date string
+ */
+function getIstDateString(date = new Date()) {
+    return utcToIst(date).toISOString().split('T')[0];
+}
+
+/**
+ * Get the minutes elapsed since IST midnight for a moment in time
+ * @param {Date} date - Date to convert (defaults to now)
+ * @returns {number} Minutes since IST midnight
+ */
+function getIstMinutesOfDay(date = new Date()) {
+    const istDate = utcToIst(date);
+    return istDate.getUTCHours() * 60 + istDate.getUTCMinutes();
+}
+
 /**
  * Check if a date is valid
  * @param {Date|string} date - Date to validate
@@ -247,6 +266,8 @@ module.exports = {
     formatForFrontend,
     getIstISOString,
     getUtcISOString,
+    getIstDateString,
+    getIstMinutesOfDay,
     isValidDate,
     
     // Constants for reference
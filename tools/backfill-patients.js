@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Patient Backfill Tool
+ *
+ * Links appointments booked before the patient registry existed to patient
+ * records, creating one patient per hospital, mobile number and name the same
+ * way new bookings do. Safe to run more than once, only appointments without
+ * a patient are touched.
+ *
+ * Usage: node tools/backfill-patients.js [batchSize]
+ */
+
+require('dotenv').config();
+const { prisma } = require('../src/services/database.service');
+const patientService = require('../src/modules/patient/patient.service');
+
+const BATCH_SIZE = parseInt(process.argv[2], 10) || 500;
+
+async function backfillPatients() {
+  let linked = 0;
+  let lastId = null;
+
+  try {
+    console.log(`🔄 Linking appointments to patients in batches of ${BATCH_SIZE}...`);
+
+    for (;;) {
+      const appointments = await prisma.appointment.findMany({
+        where: {
+          patientId: null,
+          ...(lastId && { id: { gt: lastId } })
+        },
+        select: {
+          id: true,
+          hospitalId: true,
+          patientName: true,
+          mobile: true,
+          age: true
+        },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE
+      });
+
+      if (appointments.length === 0) {
+        break;
+      }
+
+      for (const appointment of appointments) {
+        await prisma.$transaction(async (tx) => {
+          const patient = await patientService.findOrCreateForAppointment(tx, appointment);
+
+          await tx.appointment.update({
+            where: { id: appointment.id },
+            data: { patientId: patient.id }
+          });
+        });
+        linked++;
+      }
+
+      lastId = appointments[appointments.length - 1].id;
+      console.log(`   ${linked} appointments linked`);
+    }
+
+    console.log(`\n✅ Backfill complete, ${linked} appointments linked`);
+    return true;
+  } catch (error) {
+    console.error('\n❌ Backfill failed:', error.message || error);
+    return false;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run the backfill
+backfillPatients()
+  .then(success => process.exit(success ? 0 : 1))
+  .catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Subscription Backfill Tool
+ *
+ * Puts hospitals that were customers before subscriptions launched on an
+ * active paid plan, so none of them is limited by the free trial. Hospitals
+ * without a subscription get one, hospitals already moved to a trial are
+ * switched over. Hospitals created from SUBSCRIPTIONS_LAUNCHED_AT on are left
+ * alone, without that setting every hospital counts as existing. Safe to run
+ * more than once.
+ *
+ * Usage: node tools/backfill-subscriptions.js [planCode] [MONTHLY|YEARLY] [batchSize]
+ */
+
+require('dotenv').config();
+const { prisma } = require('../src/services/database.service');
+const subscriptionService = require('../src/modules/subscription/subscription.service');
+const {
+  SUBSCRIPTION_STATUS,
+  BILLING_CYCLE,
+  BILLING_CYCLE_MONTHS,
+  GRACE_PERIOD_DAYS,
+  TRIAL_PLAN_CODE,
+  EXISTING_HOSPITAL_PLAN_CODE
+} = require('../src/modules/subscription/subscription.constants');
+
+const PLAN_CODE = process.argv[2] || EXISTING_HOSPITAL_PLAN_CODE;
+const BILLING = (process.argv[3] || BILLING_CYCLE.MONTHLY).toUpperCase();
+const BATCH_SIZE = parseInt(process.argv[4], 10) || 200;
+
+async function backfillSubscriptions() {
+  let created = 0;
+  let converted = 0;
+  let lastId = null;
+
+  try {
+    if (!BILLING_CYCLE_MONTHS[BILLING]) {
+      throw new Error(`Unknown billing cycle ${BILLING}, use MONTHLY or YEARLY`);
+    }
+
+    await subscriptionService.ensureDefaultPlans();
+
+    const plan = await prisma.subscriptionPlan.findUnique({ where: { code: PLAN_CODE } });
+    if (!plan) {
+      throw new Error(`Plan ${PLAN_CODE} not found`);
+    }
+
+    const launchedAt = subscriptionService.getLaunchDate();
+
+    console.log(`🔄 Moving existing hospitals to the ${plan.name} plan (${BILLING}) in batches of ${BATCH_SIZE}...`);
+    console.log(launchedAt
+      ? `   Hospitals created before ${launchedAt.toISOString()}`
+      : '   SUBSCRIPTIONS_LAUNCHED_AT is not set, every hospital counts as existing');
+
+    for (;;) {
+      const hospitals = await prisma.hospital.findMany({
+        where: {
+          ...(launchedAt && { createdAt: { lt: launchedAt } }),
+          ...(lastId && { id: { gt: lastId } })
+        },
+        select: {
+          id: true,
+          subscription: {
+            select: {
+              id: true,
+              status: true,
+              plan: { select: { code: true } }
+            }
+          }
+        },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE
+      });
+
+      if (hospitals.length === 0) {
+        break;
+      }
+
+      for (const hospital of hospitals) {
+        const { subscription } = hospital;
+
+        if (!subscription) {
+          await subscriptionService.startExistingHospitalPlan(hospital.id, {
+            planCode: PLAN_CODE,
+            billingCycle: BILLING
+          });
+          created++;
+          continue;
+        }
+
+        // Only trials started automatically, paid subscriptions stay as they are
+        if (subscription.plan.code !== TRIAL_PLAN_CODE) {
+          continue;
+        }
+
+        const now = new Date();
+        const periodEnd = subscriptionService.addMonths(now, BILLING_CYCLE_MONTHS[BILLING]);
+
+        await prisma.hospitalSubscription.update({
+          where: { id: subscription.id },
+          data: {
+            planId: plan.id,
+            pendingPlanId: null,
+            billingCycle: BILLING,
+            status: SUBSCRIPTION_STATUS.ACTIVE,
+            currentPeriodStart: now,
+            currentPeriodEnd: periodEnd,
+            graceEndsAt: new Date(periodEnd.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+          }
+        });
+        await subscriptionService.invalidateCache(hospital.id);
+        converted++;
+      }
+
+      lastId = hospitals[hospitals.length - 1].id;
+      console.log(`   ${created} subscriptions created, ${converted} trials converted`);
+    }
+
+    console.log(`\n✅ Backfill complete, ${created} subscriptions created, ${converted} trials converted`);
+    return true;
+  } catch (error) {
+    console.error('\n❌ Backfill failed:', error.message || error);
+    return false;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run the backfill
+backfillSubscriptions()
+  .then(success => process.exit(success ? 0 : 1))
+  .catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });